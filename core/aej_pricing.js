@@ -0,0 +1,49 @@
+// /opt/content360/core/aej_pricing.js
+// Token -> AEJ conversion per model, for the "generation" stages of c360_aej_logs.
+//
+// Env AEJ_TOKEN_RATES (JSON) overrides/extends the defaults, keyed by model name
+// (exact match first, then longest prefix, then "default"):
+//   {"default":{"prompt_per_1k":1,"completion_per_1k":4,"min":1},"gpt-4o":{"prompt_per_1k":3,"completion_per_1k":12}}
+// AEJ_FLAT_GENERATION is charged when a provider does not report usage.
+
+const DEFAULT_RATES = {
+  default: { prompt_per_1k: 1, completion_per_1k: 4, min: 1 },
+};
+
+function loadRates() {
+  let extra = {};
+  try {
+    extra = JSON.parse(process.env.AEJ_TOKEN_RATES || "{}") || {};
+  } catch (e) {
+    console.warn("[aej_pricing] invalid AEJ_TOKEN_RATES, using defaults:", e?.message || e);
+  }
+  return { ...DEFAULT_RATES, ...extra };
+}
+
+const RATES = loadRates();
+const FLAT_GENERATION = Number(process.env.AEJ_FLAT_GENERATION || 5);
+
+function rateFor(model, rates = RATES) {
+  const m = String(model || "");
+  if (m && rates[m]) return { ...rates.default, ...rates[m] };
+  const prefix = Object.keys(rates)
+    .filter((k) => k !== "default" && m.startsWith(k))
+    .sort((a, b) => b.length - a.length)[0];
+  return { ...rates.default, ...(prefix ? rates[prefix] : {}) };
+}
+
+/**
+ * AEJ for one LLM call. Integer, rounded up, never below the model's `min`.
+ * Returns AEJ_FLAT_GENERATION when token counts are unknown.
+ */
+function tokensToAEJ({ model, prompt_tokens, completion_tokens }, rates = RATES) {
+  if (prompt_tokens === null || prompt_tokens === undefined || completion_tokens === null || completion_tokens === undefined) {
+    return FLAT_GENERATION;
+  }
+  const r = rateFor(model, rates);
+  const raw = (Number(prompt_tokens) / 1000) * Number(r.prompt_per_1k || 0)
+    + (Number(completion_tokens) / 1000) * Number(r.completion_per_1k || 0);
+  return Math.max(Number(r.min || 0), Math.ceil(raw));
+}
+
+module.exports = { tokensToAEJ, rateFor };
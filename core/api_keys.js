@@ -0,0 +1,175 @@
+// /opt/content360/core/api_keys.js
+// S4: API keys (c360_api_keys). A client can hold several keys, each with scopes, an optional
+// expiry and a rotation grace period during which the previous secret still verifies.
+// Secrets are stored sealed by secret_box.js, bound to the row's api_key.
+
+const crypto = require("crypto");
+const { encryptSecret, decryptSecret } = require("./secret_box");
+
+const SCOPES = ["jobs:write", "jobs:read", "billing:read"];
+const KEY_ROTATION_GRACE_MS = Number(process.env.KEY_ROTATION_GRACE_HOURS || 72) * 3600 * 1000;
+const MAX_ROTATION_GRACE_MS = 30 * 24 * 3600 * 1000;
+const LAST_USED_INTERVAL_MS = 60 * 1000;
+
+// Columns safe to return (never the secrets).
+const PUBLIC_COLUMNS = `id, client_id, api_key, scopes, label, status, expires_at, last_used_at,
+  prev_secret_expires_at, rotated_at, revoked_at, created_at, updated_at`;
+
+function generateApiKey() {
+  return "ck_" + crypto.randomBytes(16).toString("hex");
+}
+
+function generateApiSecret() {
+  return "cs_" + crypto.randomBytes(20).toString("hex");
+}
+
+// Encryption context of a key's secrets: a sealed value cannot be moved to another key row.
+function secretContext(apiKey) {
+  return `api_key:${apiKey}`;
+}
+
+// Key + owning client, for authV1.
+async function findApiKey(db, apiKey) {
+  const r = await db.query(
+    `SELECT k.id, k.client_id, k.api_key, k.api_secret, k.prev_secret, k.prev_secret_expires_at, k.scopes,
+            k.status, k.expires_at, c.status AS client_status, c.legacy_signing
+     FROM c360_api_keys k
+     JOIN c360_clients c ON c.id::text=k.client_id
+     WHERE k.api_key=$1`,
+    [String(apiKey)]
+  );
+  return r.rows[0] || null;
+}
+
+// null when the key can be used, else the 401 error code.
+function keyUnusableReason(key, now = Date.now()) {
+  if (key.status !== "active") return "key_revoked";
+  if (key.expires_at && new Date(key.expires_at).getTime() <= now) return "key_expired";
+  return null;
+}
+
+// Current secret first, then the previous one while its grace period runs (decrypted).
+function activeSecrets(key, now = Date.now()) {
+  const context = secretContext(key.api_key);
+  const out = [decryptSecret(key.api_secret, { context })];
+  if (key.prev_secret && key.prev_secret_expires_at && new Date(key.prev_secret_expires_at).getTime() > now) {
+    out.push(decryptSecret(key.prev_secret, { context }));
+  }
+  return out;
+}
+
+// Input of key creation / update. `partial` allows omitting scopes (update).
+function validateKeyInput(body, { partial = false, now = Date.now() } = {}) {
+  const errors = [];
+  const b = body && typeof body === "object" && !Array.isArray(body) ? body : {};
+  for (const k of Object.keys(b)) {
+    if (!["scopes", "label", "expires_at"].includes(k)) errors.push(`unexpected field: ${k}`);
+  }
+
+  let scopes;
+  if (b.scopes !== undefined || !partial) {
+    scopes = b.scopes === undefined ? [...SCOPES] : Array.isArray(b.scopes) ? [...new Set(b.scopes.map(String))] : null;
+    if (!scopes || !scopes.length) errors.push("scopes must be a non-empty list");
+    else for (const s of scopes) if (!SCOPES.includes(s)) errors.push(`invalid scope: ${s}`);
+  }
+
+  let label;
+  if (b.label !== undefined) {
+    label = b.label === null ? null : String(b.label).trim().slice(0, 100) || null;
+  }
+
+  let expires_at;
+  if (b.expires_at !== undefined) {
+    if (b.expires_at === null) expires_at = null;
+    else {
+      const t = new Date(b.expires_at);
+      if (Number.isNaN(t.getTime())) errors.push("invalid expires_at");
+      else if (t.getTime() <= now) errors.push("expires_at must be in the future");
+      else expires_at = t.toISOString();
+    }
+  }
+
+  if (errors.length) return { ok: false, errors };
+  return { ok: true, scopes, label, expires_at };
+}
+
+// Returns the key row plus api_secret. The secret is only ever returned here and by rotateApiKey.
+async function createApiKey(db, { clientId, scopes = SCOPES, label = null, expiresAt = null, apiKey = null, apiSecret = null }) {
+  const api_key = apiKey || generateApiKey();
+  const api_secret = apiSecret || generateApiSecret();
+  const r = await db.query(
+    `INSERT INTO c360_api_keys (client_id, api_key, api_secret, scopes, label, expires_at, status, created_at, updated_at)
+     VALUES ($1,$2,$3,$4,$5,$6,'active',NOW(),NOW())
+     RETURNING ${PUBLIC_COLUMNS}`,
+    [String(clientId), api_key, encryptSecret(api_secret, { context: secretContext(api_key) }), scopes, label, expiresAt]
+  );
+  return { ...r.rows[0], api_secret };
+}
+
+// New secret now; the old one keeps verifying for `graceMs` so live integrations can switch.
+// prev_secret takes the stored (sealed) value as is: same row, same context.
+async function rotateApiKey(db, keyId, { graceMs = KEY_ROTATION_GRACE_MS } = {}) {
+  const grace = Math.min(MAX_ROTATION_GRACE_MS, Math.max(0, Number(graceMs) || 0));
+  const k = await db.query(`SELECT api_key FROM c360_api_keys WHERE id=$1 AND status='active'`, [String(keyId)]);
+  if (!k.rows.length) throw Object.assign(new Error("key_not_found"), { code: "key_not_found" });
+  const api_secret = generateApiSecret();
+  const r = await db.query(
+    `UPDATE c360_api_keys
+       SET prev_secret=api_secret, prev_secret_expires_at=NOW() + ($2::bigint * INTERVAL '1 millisecond'),
+           api_secret=$3, rotated_at=NOW(), updated_at=NOW()
+     WHERE id=$1 AND status='active' AND api_key=$4
+     RETURNING ${PUBLIC_COLUMNS}`,
+    [String(keyId), grace, encryptSecret(api_secret, { context: secretContext(k.rows[0].api_key) }), k.rows[0].api_key]
+  );
+  if (!r.rows.length) throw Object.assign(new Error("key_not_found"), { code: "key_not_found" });
+  return { ...r.rows[0], api_secret };
+}
+
+async function revokeApiKey(db, keyId) {
+  const r = await db.query(
+    `UPDATE c360_api_keys
+       SET status='revoked', revoked_at=NOW(), prev_secret=NULL, prev_secret_expires_at=NULL, updated_at=NOW()
+     WHERE id=$1
+     RETURNING ${PUBLIC_COLUMNS}`,
+    [String(keyId)]
+  );
+  if (!r.rows.length) throw Object.assign(new Error("key_not_found"), { code: "key_not_found" });
+  return r.rows[0];
+}
+
+async function listApiKeys(db, clientId) {
+  const r = await db.query(
+    `SELECT ${PUBLIC_COLUMNS} FROM c360_api_keys WHERE client_id=$1 ORDER BY created_at ASC`,
+    [String(clientId)]
+  );
+  return r.rows;
+}
+
+// last_used_at is written at most once a minute per key and per process.
+const lastUsedWrites = new Map();
+async function markKeyUsed(db, keyId, now = Date.now()) {
+  const id = String(keyId);
+  if (now - (lastUsedWrites.get(id) || 0) < LAST_USED_INTERVAL_MS) return;
+  lastUsedWrites.set(id, now);
+  try {
+    await db.query(`UPDATE c360_api_keys SET last_used_at=NOW() WHERE id=$1`, [id]);
+  } catch (e) {
+    console.error("[api_keys] last_used error:", e?.message || e);
+  }
+}
+
+module.exports = {
+  SCOPES,
+  PUBLIC_COLUMNS,
+  KEY_ROTATION_GRACE_MS,
+  secretContext,
+  findApiKey,
+  keyUnusableReason,
+  activeSecrets,
+  validateKeyInput,
+  createApiKey,
+  rotateApiKey,
+  revokeApiKey,
+  listApiKeys,
+  markKeyUsed,
+};
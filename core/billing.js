@@ -0,0 +1,62 @@
+// /opt/content360/core/billing.js
+// S2 billing summary (monthly quota, consumed, held, remaining). Shared by the API
+// (/v1/billing/me, /v1/aej/balance) and the worker (quota.low webhooks).
+
+async function fetchBillingSummary(db, clientId) {
+  const now = new Date();
+  const monthStart = new Date(Date.UTC(now.getUTCFullYear(), now.getUTCMonth(), 1, 0, 0, 0));
+  const monthEnd = new Date(Date.UTC(now.getUTCFullYear(), now.getUTCMonth() + 1, 1, 0, 0, 0));
+
+  const quotaR = await db.query(
+    `SELECT plan_code, monthly_quota_aej
+     FROM c360_site_settings
+     WHERE client_id=$1`,
+    [clientId]
+  );
+  const plan = quotaR.rows[0]?.plan_code || "starter";
+  const quota = Number(quotaR.rows[0]?.monthly_quota_aej || 500);
+
+  // Worker stages are per item ("generation:0", "generation:1", ...): group on the prefix.
+  const usageR = await db.query(
+    `SELECT
+       COALESCE(SUM(aej_used),0) AS aej_consumed,
+       COALESCE(SUM(aej_used) FILTER (WHERE split_part(stage,':',1) IN ('analyse','decision')),0) AS aej_analysis,
+       COALESCE(SUM(aej_used) FILTER (WHERE split_part(stage,':',1) IN ('generation','application','regenerate')),0) AS aej_writing,
+       COALESCE(SUM(aej_used) FILTER (WHERE split_part(stage,':',1)='suivi'),0) AS aej_followup
+     FROM c360_aej_logs
+     WHERE client_id=$1 AND created_at >= $2 AND created_at < $3`,
+    [clientId, monthStart, monthEnd]
+  );
+  const consumed = Number(usageR.rows[0]?.aej_consumed || 0);
+
+  const holdsR = await db.query(
+    `SELECT COALESCE(SUM(aej_estimated),0) AS aej_held
+     FROM c360_aej_holds
+     WHERE client_id=$1 AND status='held'`,
+    [clientId]
+  );
+  const held = Number(holdsR.rows[0]?.aej_held || 0);
+
+  const balR = await db.query(
+    `SELECT aej_balance FROM c360_clients WHERE id=$1`,
+    [clientId]
+  );
+  const aej_balance = Number(balR.rows[0]?.aej_balance || 0);
+
+  return {
+    month: monthStart.toISOString().slice(0, 7),
+    plan,
+    monthly_quota_aej: quota,
+    aej_consumed: consumed,
+    aej_held: held,
+    aej_remaining: Math.max(0, quota - consumed - held),
+    breakdown: {
+      analysis: Number(usageR.rows[0]?.aej_analysis || 0),
+      writing: Number(usageR.rows[0]?.aej_writing || 0),
+      followup: Number(usageR.rows[0]?.aej_followup || 0),
+    },
+    aej_balance,
+  };
+}
+
+module.exports = { fetchBillingSummary };
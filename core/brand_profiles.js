@@ -0,0 +1,277 @@
+// /opt/content360/core/brand_profiles.js
+// S4: brand voice / style guide profile per client (c360_brand_profiles).
+//
+// A profile holds the shop's tone, persona, banned and required terms, a glossary (preferred
+// term instead of others) and the commercial claims it may make. prompts.js injects it into
+// every prompt (brand block of the language pack); after generation checkBrand() flags banned
+// terms, glossary terms to avoid, claims that are not in approved_claims, missing required
+// terms and a checks.tone that differs from the profile. The worker stores the result as
+// `brand_check` on the result item (violations are flagged, the output is kept).
+
+const { outputStrings } = require("./lang_detect");
+
+const LIMITS = {
+  tone: 40, // same bound as checks.tone in FULL_CONTENT_SCHEMA
+  persona: 500,
+  term: 60,
+  banned_terms: 100,
+  required_terms: 20,
+  glossary: 100,
+  avoid: 10,
+  claim: 200,
+  approved_claims: 30,
+};
+const MAX_VIOLATIONS = 50;
+// Profiles are re-read by each worker at most this often.
+const BRAND_CACHE_MS = Number(process.env.BRAND_PROFILE_CACHE_MS || 30000);
+
+const FIELDS = ["tone", "persona", "banned_terms", "required_terms", "glossary", "approved_claims"];
+
+// Commercial promises looked for in the output (accent-free, lower-case text). A match is fine
+// when it is covered by an approved claim (same numbers, most of the words).
+const CLAIM_PATTERNS = [
+  { kind: "delivery", re: /\b(?:livraison|livre|expedition|expedie|delivery|delivered|shipping|shipped|lieferung|geliefert|versand|envio|entrega)\b[^.!?;\n]{0,40}?(?:\b\d+\s?(?:h|heures?|hours?|stunden|horas|jours?|days?|tagen?|dias)\b|\b(?:gratuite?s?|offerte?s?|free|kostenlos|gratis|express)\b)/g },
+  { kind: "delivery", re: /\b(?:free|gratis|kostenlose?r?)\s+(?:shipping|delivery|versand|lieferung|envio)\b/g },
+  { kind: "guarantee", re: /\b(?:garantie|garanti|guarantee|guaranteed|warranty|garantia|gewahrleistung)\b[^.!?;\n]{0,30}?\b\d+\s?(?:ans?|years?|jahre?n?|anos?|mois|months?|monate?n?|meses)\b/g },
+  { kind: "guarantee", re: /\b(?:satisfait ou rembourse|money[- ]back|geld[- ]zuruck|satisfecho o (?:le devolvemos|reembolsado))\b/g },
+  { kind: "superlative", re: /(?:\bn\s?°\s?1\b|\bnumero 1\b|\bnumber one\b|\bno\.\s?1\b|\bnr\.\s?1\b|\bmeilleure?s? du marche\b|\bbest on the market\b|\bbest[- ]selling\b|\ble moins cher\b|\bcheapest\b|\bam gunstigsten\b|\bel mas barato\b|\bmejor del mercado\b)/g },
+  { kind: "discount", re: /(?:-\s?\d{1,2}\s?%|\b\d{1,2}\s?%\s?(?:de reduction|de remise|off|rabatt|de descuento)\b)/g },
+  { kind: "natural", re: /\b100\s?%\s?(?:naturel(?:le)?s?|natural|natur(?:lich)?|bio|organic|biologique|vegan|recycle|recycled|recycelt|reciclado)\b/g },
+];
+
+function isPlainObject(x) {
+  return !!x && typeof x === "object" && !Array.isArray(x);
+}
+
+/** Lower case, no accents, straight apostrophes, single spaces: text and terms compare on this. */
+function normalizeText(s) {
+  return String(s ?? "")
+    .normalize("NFD")
+    .replace(/[\u0300-\u036f]/g, "")
+    .toLowerCase()
+    .replace(/[’‘`]/g, "'")
+    .replace(/\s+/g, " ")
+    .trim();
+}
+
+function escapeRe(s) {
+  return s.replace(/[.*+?^${}()|[\]\\]/g, "\\$&");
+}
+
+function termRegex(term) {
+  return new RegExp(`(?<![\\p{L}\\p{N}])${escapeRe(normalizeText(term))}(?![\\p{L}\\p{N}])`, "u");
+}
+
+function cleanTerms(list, field, max, errors) {
+  if (list === undefined || list === null) return [];
+  if (!Array.isArray(list)) {
+    errors.push(`${field} must be a list`);
+    return [];
+  }
+  if (list.length > max) errors.push(`${field}: max ${max}`);
+  const seen = new Set();
+  const out = [];
+  list.forEach((t, i) => {
+    const term = typeof t === "string" ? t.trim().replace(/\s+/g, " ") : "";
+    if (!term || term.length > LIMITS.term) errors.push(`${field}[${i}] must be a term of 1..${LIMITS.term} chars`);
+    else if (!seen.has(normalizeText(term))) {
+      seen.add(normalizeText(term));
+      out.push(term);
+    }
+  });
+  return out;
+}
+
+/**
+ * Profile input (PUT replaces the whole profile). Returns { ok: true, value } or { ok: false, errors }.
+ * glossary: [{ use: "trottinette électrique", avoid: ["trottinette", "scooter"] }]
+ */
+function validateBrandProfile(body) {
+  if (!isPlainObject(body)) return { ok: false, errors: ["body must be an object"] };
+  const errors = Object.keys(body).filter((k) => !FIELDS.includes(k)).map((k) => `unexpected field: ${k}`);
+  const value = {};
+
+  for (const k of ["tone", "persona"]) {
+    if (body[k] === undefined || body[k] === null) continue;
+    const text = typeof body[k] === "string" ? body[k].trim() : "";
+    if (!text || text.length > LIMITS[k]) errors.push(`${k} must be a string of 1..${LIMITS[k]} chars`);
+    else value[k] = text;
+  }
+  value.banned_terms = cleanTerms(body.banned_terms, "banned_terms", LIMITS.banned_terms, errors);
+  value.required_terms = cleanTerms(body.required_terms, "required_terms", LIMITS.required_terms, errors);
+  const banned = new Set(value.banned_terms.map(normalizeText));
+  for (const t of value.required_terms) {
+    if (banned.has(normalizeText(t))) errors.push(`term both banned and required: ${t}`);
+  }
+
+  value.glossary = [];
+  if (body.glossary !== undefined && body.glossary !== null) {
+    if (!Array.isArray(body.glossary)) errors.push("glossary must be a list");
+    else {
+      if (body.glossary.length > LIMITS.glossary) errors.push(`glossary: max ${LIMITS.glossary}`);
+      body.glossary.forEach((g, i) => {
+        if (!isPlainObject(g) || Object.keys(g).some((k) => !["use", "avoid"].includes(k))) {
+          errors.push(`glossary[${i}] must be { use, avoid: [...] }`);
+          return;
+        }
+        const [use] = cleanTerms([g.use], `glossary[${i}].use`, 1, errors);
+        const avoid = cleanTerms(g.avoid, `glossary[${i}].avoid`, LIMITS.avoid, errors);
+        if (use && avoid.length) value.glossary.push({ use, avoid });
+        else if (use) errors.push(`glossary[${i}].avoid required`);
+      });
+    }
+  }
+
+  value.approved_claims = [];
+  if (body.approved_claims !== undefined && body.approved_claims !== null) {
+    if (!Array.isArray(body.approved_claims)) errors.push("approved_claims must be a list");
+    else {
+      if (body.approved_claims.length > LIMITS.approved_claims) errors.push(`approved_claims: max ${LIMITS.approved_claims}`);
+      body.approved_claims.forEach((c, i) => {
+        const claim = typeof c === "string" ? c.trim().replace(/\s+/g, " ") : "";
+        if (!claim || claim.length > LIMITS.claim) errors.push(`approved_claims[${i}] must be a string of 1..${LIMITS.claim} chars`);
+        else value.approved_claims.push(claim);
+      });
+    }
+  }
+
+  if (errors.length) return { ok: false, errors };
+  return { ok: true, value };
+}
+
+// "24h" and "24 h" give the same tokens.
+function tokens(s) {
+  return normalizeText(s).replace(/(\d)(\p{L})/gu, "$1 $2").match(/[\p{L}\p{N}]+/gu) || [];
+}
+
+// A claim found in the output is approved when an approved claim has all of its numbers and
+// at least 60% of its words ("livraison offerte" ~ "Livraison offerte dès 50 €").
+function isApprovedClaim(match, approved) {
+  const words = tokens(match);
+  const numbers = words.filter((w) => /\d/.test(w));
+  return approved.some((claim) => {
+    const have = new Set(tokens(claim));
+    if (numbers.some((n) => !have.has(n))) return false;
+    const common = words.filter((w) => have.has(w)).length;
+    return common / words.length >= 0.6;
+  });
+}
+
+/** Promise-like phrases of `text` (see CLAIM_PATTERNS): [{ kind, text }]. */
+function findClaims(text) {
+  const norm = normalizeText(text);
+  const found = [];
+  for (const { kind, re } of CLAIM_PATTERNS) {
+    for (const m of norm.matchAll(re)) found.push({ kind, text: m[0].trim() });
+  }
+  return found;
+}
+
+/**
+ * Check a generated output against a profile. Returns null without a profile, otherwise
+ * { ok, profile_version, violations: [{ type, path?, term?, use?, kind?, text?, expected?, actual? }] }.
+ * Types: banned_term, glossary_term, unapproved_claim, missing_required_term, tone.
+ */
+function checkBrand(exec, profile, { version = null } = {}) {
+  if (!profile) return null;
+  const violations = [];
+  const strings = outputStrings(exec).map((s) => ({ ...s, norm: normalizeText(s.text) }));
+
+  for (const term of profile.banned_terms || []) {
+    const re = termRegex(term);
+    for (const s of strings) if (re.test(s.norm)) violations.push({ type: "banned_term", term, path: s.path });
+  }
+  for (const { use, avoid } of profile.glossary || []) {
+    const useRe = new RegExp(termRegex(use).source, "gu");
+    for (const term of avoid) {
+      const re = termRegex(term);
+      // "trottinette" inside the preferred "trottinette électrique" is not a violation.
+      for (const s of strings) if (re.test(s.norm.replace(useRe, " "))) violations.push({ type: "glossary_term", term, use, path: s.path });
+    }
+  }
+  const approved = profile.approved_claims || [];
+  for (const s of strings) {
+    for (const claim of findClaims(s.text)) {
+      if (!isApprovedClaim(claim.text, approved)) violations.push({ type: "unapproved_claim", kind: claim.kind, text: claim.text, path: s.path });
+    }
+  }
+  const all = strings.map((s) => s.norm).join(" \n ");
+  for (const term of profile.required_terms || []) {
+    if (!termRegex(term).test(all)) violations.push({ type: "missing_required_term", term });
+  }
+  const tone = exec?.checks?.tone;
+  if (profile.tone && typeof tone === "string" && normalizeText(tone) !== normalizeText(profile.tone)) {
+    violations.push({ type: "tone", expected: profile.tone, actual: tone });
+  }
+
+  return {
+    ok: violations.length === 0,
+    profile_version: version,
+    violations: violations.slice(0, MAX_VIOLATIONS),
+    ...(violations.length > MAX_VIOLATIONS ? { violations_total: violations.length } : {}),
+  };
+}
+
+function publicProfile(row) {
+  if (!row) return null;
+  return { ...row.profile, version: row.version, updated_at: row.updated_at, updated_by: row.updated_by ?? null };
+}
+
+async function getBrandProfile(db, clientId) {
+  const r = await db.query(`SELECT profile, version, updated_at, updated_by FROM c360_brand_profiles WHERE client_id=$1`, [String(clientId)]);
+  return r.rows[0] || null;
+}
+
+async function putBrandProfile(db, { clientId, value, actor = null }) {
+  const r = await db.query(
+    `INSERT INTO c360_brand_profiles (client_id, profile, version, updated_by, created_at, updated_at)
+     VALUES ($1, $2::jsonb, 1, $3, NOW(), NOW())
+     ON CONFLICT (client_id) DO UPDATE
+       SET profile=EXCLUDED.profile, version=c360_brand_profiles.version+1, updated_by=EXCLUDED.updated_by, updated_at=NOW()
+     RETURNING profile, version, updated_at, updated_by`,
+    [String(clientId), JSON.stringify(value), actor]
+  );
+  return r.rows[0];
+}
+
+async function deleteBrandProfile(db, clientId) {
+  const r = await db.query(`DELETE FROM c360_brand_profiles WHERE client_id=$1 RETURNING client_id`, [String(clientId)]);
+  return r.rows.length > 0;
+}
+
+/**
+ * Worker side: cached profiles. get(clientId) returns { profile, version } or null.
+ * A missing table (migration not applied yet) means no profile.
+ */
+function createBrandStore(db, { ttlMs = BRAND_CACHE_MS } = {}) {
+  const cache = new Map();
+  return async function getBrand(clientId) {
+    const id = String(clientId);
+    const hit = cache.get(id);
+    if (hit && hit.expires > Date.now()) return hit.brand;
+    let brand = null;
+    try {
+      const row = await getBrandProfile(db, id);
+      brand = row ? { profile: row.profile, version: row.version } : null;
+    } catch (_) {
+      brand = null;
+    }
+    cache.set(id, { brand, expires: Date.now() + ttlMs });
+    return brand;
+  };
+}
+
+module.exports = {
+  LIMITS,
+  CLAIM_PATTERNS,
+  normalizeText,
+  validateBrandProfile,
+  findClaims,
+  isApprovedClaim,
+  checkBrand,
+  publicProfile,
+  getBrandProfile,
+  putBrandProfile,
+  deleteBrandProfile,
+  createBrandStore,
+};
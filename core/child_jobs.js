@@ -0,0 +1,108 @@
+// /opt/content360/core/child_jobs.js
+// S4: parent/child jobs. A parent holds the client's request; each item runs as a child job.
+// Shared by the API (status/result/cancel/retry) and the worker (roll-up after each child).
+
+const FINAL_STATUSES = new Set(["done", "error", "canceled"]);
+
+async function fetchChildren(db, parentId, clientId = null) {
+  const args = [String(parentId)];
+  let where = "parent_id=$1";
+  if (clientId !== null) {
+    args.push(String(clientId));
+    where += " AND client_id=$2";
+  }
+  const r = await db.query(
+    `SELECT id, item_index, status, progress, error_text, result_json, aej_final
+     FROM c360_jobs
+     WHERE ${where}
+     ORDER BY item_index ASC`,
+    args
+  );
+  return r.rows;
+}
+
+function countChildren(children) {
+  const counts = { total: children.length, queued: 0, running: 0, done: 0, error: 0, canceled: 0 };
+  for (const c of children) counts[c.status] = (counts[c.status] || 0) + 1;
+  return counts;
+}
+
+function aggregateChildResults(children) {
+  const results = [];
+  const failed = [];
+  for (const c of children) {
+    if (c.status === "done") {
+      for (const it of c.result_json?.results || []) results.push({ ...it, item_index: c.item_index, child_id: c.id });
+    } else if (c.status === "error" || c.status === "canceled") {
+      failed.push({ item_index: c.item_index, child_id: c.id, status: c.status, error: c.error_text || null });
+    }
+  }
+  return { ok: failed.length === 0, results, failed };
+}
+
+// Parent status: queued/running while children are pending, then done | partial | error
+// (or canceled when every child was canceled).
+function rollupStatus(counts) {
+  const finished = counts.done + counts.error + counts.canceled;
+  if (finished < counts.total) return counts.queued === counts.total ? "queued" : "running";
+  if (counts.done === counts.total) return "done";
+  if (counts.done > 0) return "partial";
+  if (counts.canceled === counts.total) return "canceled";
+  return "error";
+}
+
+// Recompute the parent row from its children. Serialized on the parent row lock so two
+// children finishing at the same time cannot overwrite each other's roll-up.
+async function rollupParent(pool, parentId) {
+  const conn = await pool.connect();
+  try {
+    await conn.query("BEGIN");
+    const pr = await conn.query(`SELECT id, status FROM c360_jobs WHERE id=$1 AND is_parent FOR UPDATE`, [String(parentId)]);
+    if (!pr.rows.length) {
+      await conn.query("ROLLBACK");
+      return null;
+    }
+
+    const children = await fetchChildren(conn, parentId);
+    const counts = countChildren(children);
+    const status = rollupStatus(counts);
+    const progress = counts.total
+      ? Math.floor(children.reduce((acc, c) => acc + (FINAL_STATUSES.has(c.status) ? 100 : Number(c.progress || 0)), 0) / counts.total)
+      : 0;
+    const isFinal = FINAL_STATUSES.has(status) || status === "partial";
+
+    if (isFinal) {
+      const aejFinal = children.reduce((acc, c) => acc + Number(c.aej_final || 0), 0);
+      const failedCount = counts.error + counts.canceled;
+      await conn.query(
+        `UPDATE c360_jobs
+           SET status=$1, progress=100, result_json=$2::jsonb, aej_final=$3,
+               error_text=$4, finished_at=COALESCE(finished_at, NOW()), updated_at=NOW()
+         WHERE id=$5`,
+        [status, aggregateChildResults(children), aejFinal, failedCount ? `${failedCount}/${counts.total} items failed` : null, String(parentId)]
+      );
+    } else {
+      await conn.query(
+        `UPDATE c360_jobs SET status=$1, progress=$2, updated_at=NOW() WHERE id=$3`,
+        [status, progress, String(parentId)]
+      );
+    }
+
+    await conn.query("COMMIT");
+    return { status, counts, previous_status: pr.rows[0].status, final: isFinal };
+  } catch (e) {
+    try { await conn.query("ROLLBACK"); } catch {}
+    throw e;
+  } finally {
+    conn.release();
+  }
+}
+
+module.exports = {
+  FINAL_STATUSES,
+  fetchChildren,
+  countChildren,
+  aggregateChildResults,
+  rollupStatus,
+  rollupParent,
+};
@@ -0,0 +1,37 @@
+// /opt/content360/core/decision_log.js
+// S1-T4 decision log (c360_decision_log), shared by the worker (analysed / modified) and the
+// API review workflow (approved / rejected / edited, one row per transition and revision).
+
+function inferContentMeta(reqJson) {
+  const first = Array.isArray(reqJson?.items) && reqJson.items.length ? reqJson.items[0] : {};
+  const content_source = reqJson?.content_source || first.content_source || "wp";
+  const content_type = reqJson?.content_type || first.content_type || first.type || "page";
+  const content_id =
+    reqJson?.content_id || first.content_id || first.wp_id || first.post_id || first.id || first.entity_id || "unknown";
+  return { content_source, content_type, content_id: String(content_id) };
+}
+
+// Job-level decisions (revision null) are logged once per job and type; review transitions
+// carry the result item and revision they apply to and are all kept.
+async function logDecision(db, { client_id, job_id, reqJson, decision_type, decision_reason, revision = null, result_index = null }) {
+  const meta = inferContentMeta(reqJson);
+  const args = [client_id, String(job_id), meta.content_source, meta.content_type, meta.content_id, decision_type, decision_reason];
+  if (revision === null) {
+    await db.query(
+      `INSERT INTO c360_decision_log
+         (client_id, job_id, content_source, content_type, content_id, decision_type, decision_reason, created_at)
+       VALUES ($1,$2,$3,$4,$5,$6,$7,NOW())
+       ON CONFLICT (client_id, job_id, decision_type) WHERE revision IS NULL DO NOTHING`,
+      args
+    );
+    return;
+  }
+  await db.query(
+    `INSERT INTO c360_decision_log
+       (client_id, job_id, content_source, content_type, content_id, decision_type, decision_reason, revision, result_index, created_at)
+     VALUES ($1,$2,$3,$4,$5,$6,$7,$8,$9,NOW())`,
+    [...args, revision, result_index ?? 0]
+  );
+}
+
+module.exports = { inferContentMeta, logDecision };
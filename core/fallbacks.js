@@ -0,0 +1,298 @@
+// /opt/content360/core/fallbacks.js
+// Deterministic (no LLM) generator used when OpenAI is down, forced degraded, or keeps
+// returning schema-invalid output. Output always validates against schemas.js.
+
+const { slugify } = require("./prompt_packs");
+
+const PHRASES = {
+  fr: {
+    subject: "Contenu",
+    title_suffix: " : guide et conseils",
+    meta_filler: "Découvrez les points clés, les conseils d'utilisation et les réponses aux questions fréquentes.",
+    intro_filler: "Cette page présente l'essentiel pour bien comprendre le sujet, comparer les options et faire un choix éclairé.",
+    h2: (kw) => [`Pourquoi choisir ${kw}`, "Caractéristiques principales", "Conseils d'utilisation", "Questions fréquentes"],
+    bullets: ["Les informations essentielles à retenir", "Les critères pour bien choisir", "Les erreurs courantes à éviter"],
+    faq: (kw) => [
+      { q: `Qu'est-ce que ${kw} ?`, a: `Cette page décrit ${kw} à partir des informations fournies : caractéristiques, usages et conseils pratiques.` },
+      { q: `Comment bien choisir ${kw} ?`, a: "Comparez les caractéristiques avec votre besoin réel et vérifiez les informations de la fiche avant de vous décider." },
+    ],
+    benefits: ["Informations claires et vérifiables", "Adapté à un usage quotidien", "Caractéristiques détaillées sur la fiche"],
+    usage: ["Consultez la fiche avant la première utilisation", "Vérifiez la compatibilité avec votre usage"],
+    cross_sell: ["Découvrez les produits de la même gamme", "Complétez votre achat avec nos accessoires"],
+    alt: ["vue principale", "vue de détail"],
+    tags: ["guide", "conseils", "sélection"],
+    tone: "neutre",
+  },
+  en: {
+    subject: "Content",
+    title_suffix: ": guide and tips",
+    meta_filler: "Discover the key points, practical usage tips and answers to the most frequently asked questions.",
+    intro_filler: "This page covers the essentials to understand the topic, compare the options and make an informed choice.",
+    h2: (kw) => [`Why choose ${kw}`, "Key features", "Usage tips", "Frequently asked questions"],
+    bullets: ["The essential information to remember", "The criteria to choose well", "Common mistakes to avoid"],
+    faq: (kw) => [
+      { q: `What is ${kw}?`, a: `This page describes ${kw} based on the information provided: features, uses and practical advice.` },
+      { q: `How to choose ${kw}?`, a: "Compare the features with your actual needs and check the product information before deciding." },
+    ],
+    benefits: ["Clear and verifiable information", "Suited to everyday use", "Detailed features on the product page"],
+    usage: ["Read the product information before first use", "Check compatibility with your intended use"],
+    cross_sell: ["Discover products from the same range", "Complete your purchase with our accessories"],
+    alt: ["main view", "detail view"],
+    tags: ["guide", "tips", "selection"],
+    tone: "neutral",
+  },
+  de: {
+    subject: "Inhalt",
+    title_suffix: ": Ratgeber und Tipps",
+    meta_filler: "Entdecken Sie die wichtigsten Punkte, praktische Tipps zur Anwendung und Antworten auf häufige Fragen.",
+    intro_filler: "Diese Seite fasst das Wesentliche zusammen, um das Thema zu verstehen, Optionen zu vergleichen und gut zu entscheiden.",
+    h2: (kw) => [`Warum ${kw}`, "Wichtigste Merkmale", "Tipps zur Anwendung", "Häufige Fragen"],
+    bullets: ["Die wichtigsten Informationen", "Kriterien für die richtige Wahl", "Häufige Fehler vermeiden"],
+    faq: (kw) => [
+      { q: `Was ist ${kw}?`, a: `Diese Seite beschreibt ${kw} anhand der bereitgestellten Informationen: Merkmale, Einsatz und praktische Tipps.` },
+      { q: `Wie wähle ich ${kw} aus?`, a: "Vergleichen Sie die Merkmale mit Ihrem tatsächlichen Bedarf und prüfen Sie die Produktangaben vor der Entscheidung." },
+    ],
+    benefits: ["Klare und überprüfbare Informationen", "Für den täglichen Gebrauch geeignet", "Detaillierte Merkmale auf der Produktseite"],
+    usage: ["Lesen Sie die Produktangaben vor dem ersten Gebrauch", "Prüfen Sie die Eignung für Ihren Einsatzzweck"],
+    cross_sell: ["Entdecken Sie Produkte aus derselben Serie", "Ergänzen Sie Ihren Kauf mit passendem Zubehör"],
+    alt: ["Hauptansicht", "Detailansicht"],
+    tags: ["ratgeber", "tipps", "auswahl"],
+    tone: "neutral",
+  },
+  es: {
+    subject: "Contenido",
+    title_suffix: ": guía y consejos",
+    meta_filler: "Descubra los puntos clave, consejos prácticos de uso y respuestas a las preguntas más frecuentes.",
+    intro_filler: "Esta página resume lo esencial para entender el tema, comparar las opciones y elegir con criterio.",
+    h2: (kw) => [`Por qué elegir ${kw}`, "Características principales", "Consejos de uso", "Preguntas frecuentes"],
+    bullets: ["La información esencial", "Los criterios para elegir bien", "Errores comunes que evitar"],
+    faq: (kw) => [
+      { q: `¿Qué es ${kw}?`, a: `Esta página describe ${kw} a partir de la información facilitada: características, usos y consejos prácticos.` },
+      { q: `¿Cómo elegir ${kw}?`, a: "Compare las características con su necesidad real y revise la ficha del producto antes de decidir." },
+    ],
+    benefits: ["Información clara y verificable", "Adecuado para el uso diario", "Características detalladas en la ficha"],
+    usage: ["Consulte la ficha antes del primer uso", "Compruebe la compatibilidad con su uso previsto"],
+    cross_sell: ["Descubra productos de la misma gama", "Complete su compra con nuestros accesorios"],
+    alt: ["vista principal", "vista de detalle"],
+    tags: ["guía", "consejos", "selección"],
+    tone: "neutro",
+  },
+};
+
+function phrasesFor(lang) {
+  const base = String(lang || "fr").trim().toLowerCase().slice(0, 2);
+  return PHRASES[base] || PHRASES.en;
+}
+
+function clean(x) {
+  if (x === null || x === undefined) return "";
+  return String(x).replace(/<[^>]*>/g, " ").replace(/\s+/g, " ").trim();
+}
+
+function escapeHtml(s) {
+  return String(s).replace(/&/g, "&amp;").replace(/</g, "&lt;").replace(/>/g, "&gt;").replace(/"/g, "&quot;");
+}
+
+function len(s) {
+  return [...s].length;
+}
+
+// Cut at a word boundary so the result (ellipsis included) is at most `max` chars.
+function truncate(s, max) {
+  const chars = [...s];
+  if (chars.length <= max) return s;
+  const cut = chars.slice(0, max - 1).join("");
+  const sp = cut.lastIndexOf(" ");
+  const base = sp > max / 2 ? cut.slice(0, sp) : cut;
+  return base.replace(/[\s,;:.–-]+$/u, "") + "…";
+}
+
+// Bring `text` within [min, max]. When too short, add `suffix` once (" : guide et conseils"),
+// then the filler sentences in turn, each at most once; truncate when too long.
+function fit(text, min, max, fillers = [], suffix = "") {
+  let s = clean(text);
+  if (s && suffix && len(s) < min) s += suffix;
+  for (const pad of (Array.isArray(fillers) ? fillers : [fillers]).map(clean).filter(Boolean)) {
+    if (len(s) >= min) break;
+    s = !s ? pad : /[.!?…。]$/u.test(s) ? `${s} ${pad}` : `${s}. ${pad}`;
+  }
+  return truncate(s, max);
+}
+
+function focusKeyword(title, p) {
+  const words = clean(title).split(" ").filter((w) => len(w) > 2).slice(0, 4);
+  let kw = words.join(" ").toLowerCase();
+  while (len(kw) > 40 && words.length > 1) {
+    words.pop();
+    kw = words.join(" ").toLowerCase();
+  }
+  kw = truncate(kw, 40);
+  return len(kw) >= 3 ? kw : p.subject.toLowerCase();
+}
+
+function buildTags(title, taxonomy, p, min, max) {
+  const tax = Array.isArray(taxonomy) ? taxonomy : clean(taxonomy).split(/[,;|]/);
+  const words = clean(title).toLowerCase().split(" ").filter((w) => len(w) > 3);
+  const out = [];
+  for (const t of [...tax.map(clean), ...words, ...p.tags]) {
+    const tag = truncate(clean(t).toLowerCase(), 30);
+    if (len(tag) < 2 || out.includes(tag)) continue;
+    out.push(tag);
+    if (out.length >= max) break;
+  }
+  let n = 1;
+  while (out.length < min) out.push(`${p.tags[0]}-${n++}`);
+  return out;
+}
+
+// Accepts "k: v; k2: v2", one "k: v" / "k = v" per line, or [{ k, v }] / [[k, v]] arrays.
+function parseSpecs(raw) {
+  let pairs = [];
+  if (Array.isArray(raw)) {
+    pairs = raw.map((x) => (Array.isArray(x) ? { k: x[0], v: x[1] } : { k: x?.k ?? x?.key ?? x?.name, v: x?.v ?? x?.value }));
+  } else if (raw && typeof raw === "object") {
+    pairs = Object.entries(raw).map(([k, v]) => ({ k, v }));
+  } else {
+    pairs = String(raw || "")
+      .split(/[\n;|]+/)
+      .map((line) => {
+        const m = line.match(/^\s*([^:=]+?)\s*[:=]\s*(.+?)\s*$/);
+        return m ? { k: m[1], v: m[2] } : null;
+      })
+      .filter(Boolean);
+  }
+  const out = [];
+  for (const { k, v } of pairs) {
+    const key = truncate(clean(k), 40);
+    const val = truncate(clean(v), 80);
+    if (len(key) < 2 || len(val) < 1) continue;
+    out.push({ k: key, v: val });
+    if (out.length >= 12) break;
+  }
+  return out;
+}
+
+// Phrase lists always hold at least `minItems` entries; only cap and fit them.
+function fitList(list, maxItems, minLen, maxLen, filler) {
+  return list.slice(0, maxItems).map((x) => fit(x, minLen, maxLen, filler));
+}
+
+function itemContext(item) {
+  const it = item || {};
+  const p = phrasesFor(it.lang);
+  const title = clean(it.source_title || it.title) || p.subject;
+  const excerpt = clean(it.source_excerpt || it.excerpt);
+  return { it, p, title, excerpt, kw: focusKeyword(title, p) };
+}
+
+function buildQuickBoost(item) {
+  const { it, p, title, excerpt, kw } = itemContext(item);
+  return {
+    mode: "quick_boost",
+    title: fit(title, 15, 70, p.meta_filler, p.title_suffix),
+    meta_description: fit(excerpt || title, 120, 170, [p.meta_filler, p.intro_filler]),
+    intro: fit(excerpt ? `${title}. ${excerpt}` : title, 120, 600, [p.intro_filler, p.meta_filler]),
+    h2: fitList(p.h2(kw), 6, 6, 80, p.subject),
+    faq: p.faq(kw).map(({ q, a }) => ({ q: fit(q, 8, 120, p.subject), a: fit(a, 20, 300, p.meta_filler) })),
+    seo: {
+      focus_keyword: kw,
+      tags: buildTags(title, it.source_taxonomy, p, 0, 8),
+    },
+  };
+}
+
+function buildFullContent(item) {
+  const { it, p, title, excerpt, kw } = itemContext(item);
+  const h2s = fitList(p.h2(kw), 8, 6, 80, p.subject);
+  const facts = clean(Array.isArray(it.source_facts) ? it.source_facts.join(". ") : it.source_facts);
+  const paragraphs = [excerpt || title, facts, p.intro_filler].filter(Boolean);
+
+  let html = `<p>${escapeHtml(fit(paragraphs[0], 0, 600, ""))}</p>\n`;
+  h2s.forEach((h, i) => {
+    html += `<h2>${escapeHtml(h)}</h2>\n<p>${escapeHtml(paragraphs[(i + 1) % paragraphs.length])}</p>\n`;
+    html += `<ul>${p.bullets.map((b) => `<li>${escapeHtml(b)}</li>`).join("")}</ul>\n`;
+  });
+  while (len(html) < 600) html += `<p>${escapeHtml(p.meta_filler)}</p>\n`;
+
+  const slug = slugify(title, it.lang) || slugify(`${p.subject} ${it.entity_id || ""}`, it.lang) || "contenu";
+
+  return {
+    mode: "full_content",
+    title: fit(title, 15, 80, p.meta_filler, p.title_suffix),
+    meta_description: fit(excerpt || title, 120, 170, [p.meta_filler, p.intro_filler]),
+    outline: h2s.map((h2) => ({
+      h2,
+      bullets: fitList(p.bullets, 5, 6, 120, p.subject),
+      notes: "",
+    })),
+    content_html: truncate(html, 12000),
+    faq: p.faq(kw).map(({ q, a }) => ({ q: fit(q, 8, 120, p.subject), a: fit(a, 30, 450, p.meta_filler) })),
+    seo: {
+      focus_keyword: kw,
+      tags: buildTags(title, it.source_taxonomy, p, 3, 12),
+      slug,
+      meta_title: fit(title, 35, 75, p.meta_filler, p.title_suffix),
+      internal_links: [],
+      image_alts: p.alt.map((a) => fit(`${title} – ${a}`, 6, 120, p.subject)),
+    },
+    checks: {
+      tone: p.tone,
+      plagiarism_risk: "low",
+      readability: "medium",
+    },
+  };
+}
+
+function buildEcomCatalog(item) {
+  const { it, p, title, excerpt, kw } = itemContext(item);
+  const specs = parseSpecs(it.source_specs);
+  const usage = clean(it.source_usage);
+
+  let html = `<p>${escapeHtml(excerpt || title)}</p>\n`;
+  html += `<h2>${escapeHtml(fit(p.h2(kw)[1], 0, 80, ""))}</h2>\n<ul>`;
+  html += (specs.length ? specs.map((s) => `<li><strong>${escapeHtml(s.k)}</strong> : ${escapeHtml(s.v)}</li>`) : p.benefits.map((b) => `<li>${escapeHtml(b)}</li>`)).join("");
+  html += `</ul>\n`;
+  if (usage) html += `<h2>${escapeHtml(p.h2(kw)[2])}</h2>\n<p>${escapeHtml(usage)}</p>\n`;
+  while (len(html) < 400) html += `<p>${escapeHtml(p.intro_filler)}</p>\n`;
+
+  const usageLines = [
+    ...usage.split(/[.\n]+/).map(clean).filter((u) => len(u) >= 6),
+    ...p.usage,
+  ];
+
+  return {
+    mode: "ecom_catalog",
+    product: {
+      title: fit(title, 10, 90, p.meta_filler, p.title_suffix),
+      short_description: fit(excerpt || title, 40, 240, [p.meta_filler, p.intro_filler]),
+      long_description_html: truncate(html, 9000),
+      benefits: fitList(p.benefits, 8, 6, 120, p.subject),
+      specs,
+      usage: fitList(usageLines, 8, 6, 140, p.subject),
+      faq: p.faq(kw).map(({ q, a }) => ({ q: fit(q, 8, 120, p.subject), a: fit(a, 30, 450, p.meta_filler) })),
+      cross_sell_copy: fitList(p.cross_sell, 6, 8, 120, p.subject),
+    },
+    seo: {
+      focus_keyword: kw,
+      tags: buildTags(title, it.source_taxonomy, p, 3, 12),
+      meta_title: fit(title, 35, 75, p.meta_filler, p.title_suffix),
+      meta_description: fit(excerpt || title, 120, 170, [p.meta_filler, p.intro_filler]),
+    },
+  };
+}
+
+/**
+ * Build a schema-valid result for `mode` from one job item
+ * ({ source_title, source_excerpt, source_specs, lang, ... }).
+ */
+function buildDeterministicFallback(mode, item = {}) {
+  if (mode === "ecom_catalog") return buildEcomCatalog(item);
+  if (mode === "full_content") return buildFullContent(item);
+  return buildQuickBoost(item);
+}
+
+module.exports = {
+  buildDeterministicFallback,
+  parseSpecs,
+  truncate,
+};
@@ -0,0 +1,265 @@
+// /opt/content360/core/html_sanitize.js
+// S4: allow-list sanitiser for the HTML fields of generated outputs (content_html,
+// product.long_description_html), which are published as-is in WordPress.
+//
+// Kept: p, h2, h3, h4, ul, ol, li, strong, em, br, without any attribute. b/i become strong/em,
+// h1 becomes h2 (the title is the page's H1) and h5/h6 become h4. Scripts, styles, embeds, forms
+// and media are dropped with their content; other tags (div, span, a, font, table...) are
+// unwrapped and their text kept. Markup is rebuilt on a stack, so unbalanced or misnested tags
+// are closed in order, stray closing tags are dropped, and loose text or inline tags get a <p>.
+// Whitespace is collapsed and every top-level block is on its own line. Every removal is
+// counted in `removed` ({ kind, tag, attr?, count }), which the worker logs as a job event.
+
+const ALLOWED = new Set(["p", "h2", "h3", "h4", "ul", "ol", "li", "strong", "em", "br"]);
+const RENAME = { b: "strong", i: "em", h1: "h2", h5: "h4", h6: "h4" };
+const TEXT_BLOCKS = new Set(["p", "h2", "h3", "h4"]);
+const LISTS = new Set(["ul", "ol"]);
+const INLINE = new Set(["strong", "em"]);
+// Raw text elements: their content is skipped up to the closing tag, without parsing it.
+const RAW_TEXT = new Set(["script", "style", "textarea", "title", "xmp", "iframe", "noembed", "noframes", "noscript", "plaintext"]);
+// Removed with their content.
+const DROP = new Set([
+  ...RAW_TEXT,
+  "object", "embed", "applet", "svg", "math", "template", "head", "select", "option", "button", "form", "input",
+  "frameset", "frame", "img", "picture", "video", "audio", "source", "track", "canvas", "map", "area", "param",
+  "meta", "link", "base", "hr", "wbr", "col", "colgroup", "dialog", "portal",
+]);
+const VOID = new Set(["area", "base", "br", "col", "embed", "hr", "img", "input", "link", "meta", "param", "source", "track", "wbr"]);
+// Unwrapped tags that separate paragraphs: opening or closing one ends the current text block.
+const BLOCK_BREAK = new Set([
+  "div", "section", "article", "header", "footer", "main", "aside", "nav", "blockquote", "pre", "address", "center",
+  "table", "thead", "tbody", "tfoot", "tr", "td", "th", "caption", "figure", "figcaption", "dl", "dt", "dd",
+  "details", "summary", "fieldset", "legend", "body", "html",
+]);
+// Closing tags of these may be omitted in HTML: closing them implicitly is not reported.
+const OPTIONAL_END = new Set(["p", "li"]);
+
+const TOKEN_RE = /<!--[\s\S]*?(?:-->|$)|<!\[CDATA\[[\s\S]*?(?:\]\]>|$)|<![^>]*>?|<\?[^>]*>?|<(\/?)([a-zA-Z][a-zA-Z0-9:-]*)((?:[\s/]+[^\s"'=<>\/]+(?:\s*=\s*(?:"[^"]*"|'[^']*'|[^\s>]+))?)*)[\s/]*>|[^<]+|</g;
+const ATTR_RE = /([^\s"'=<>\/]+)(?:\s*=\s*(?:"[^"]*"|'[^']*'|[^\s>]+))?/g;
+const CONTROL_RE = /[\u0000-\u0008\u000B\u000C\u000E-\u001F\u007F]/g;
+
+function escapeText(s) {
+  return s
+    .replace(/&(?!(?:[a-zA-Z][a-zA-Z0-9]{1,31}|#\d{1,7}|#x[0-9a-fA-F]{1,6});)/g, "&amp;")
+    .replace(/</g, "&lt;")
+    .replace(/>/g, "&gt;");
+}
+
+/** { html, removed: [{ kind, tag, attr?, count }] }. Same input, same output; safe to run twice. */
+function sanitizeHtml(input) {
+  const counts = new Map();
+  const report = (kind, tag = null, attr = null, n = 1) => {
+    const key = `${kind}|${tag}|${attr}`;
+    const r = counts.get(key) || { kind, ...(tag ? { tag } : {}), ...(attr ? { attr } : {}), count: 0 };
+    r.count += n;
+    counts.set(key, r);
+  };
+
+  let src = String(input ?? "");
+  const controls = src.match(CONTROL_RE);
+  if (controls) {
+    report("control_char", null, null, controls.length);
+    src = src.replace(CONTROL_RE, "");
+  }
+
+  const out = [];
+  const stack = [];
+  const top = () => stack[stack.length - 1];
+  const open = (tag) => {
+    out.push(`<${tag}>`);
+    stack.push(tag);
+  };
+  const close = () => {
+    const tag = stack.pop();
+    out.push(`</${tag}>`);
+    if (!stack.length) out.push("\n");
+  };
+  const autoClose = () => {
+    if (!OPTIONAL_END.has(top())) report("auto_close", top());
+    close();
+  };
+  // Ends the open paragraph / heading and its inline tags (not the list item around them).
+  const endTextBlock = () => {
+    while (TEXT_BLOCKS.has(top()) || INLINE.has(top())) autoClose();
+  };
+  // Text and inline tags need a block: a <p> at the top level, an <li> inside a list.
+  const ensureFlow = () => {
+    if (!stack.length) open("p");
+    else if (LISTS.has(top())) open("li");
+  };
+
+  const startTag = (tag) => {
+    if (TEXT_BLOCKS.has(tag)) {
+      endTextBlock();
+      // A paragraph or heading directly in a list ends the list.
+      if (LISTS.has(top())) autoClose();
+      open(tag);
+    } else if (LISTS.has(tag)) {
+      endTextBlock();
+      if (LISTS.has(top())) open("li");
+      open(tag);
+    } else if (tag === "li") {
+      while (stack.length && !LISTS.has(top())) autoClose();
+      if (!stack.length) open("ul");
+      open("li");
+    } else if (tag === "br") {
+      ensureFlow();
+      out.push("<br>");
+    } else {
+      ensureFlow();
+      open(tag);
+    }
+  };
+
+  const endTag = (tag) => {
+    if (!stack.includes(tag)) return report("stray_close", tag);
+    while (top() !== tag) autoClose();
+    close();
+  };
+
+  const text = (raw) => {
+    const t = raw.replace(/\s+/g, " ");
+    if (t === " ") {
+      if (stack.length && !LISTS.has(top())) out.push(" ");
+      return;
+    }
+    ensureFlow();
+    out.push(escapeText(t));
+  };
+
+  TOKEN_RE.lastIndex = 0;
+  let m;
+  while ((m = TOKEN_RE.exec(src)) !== null) {
+    const tok = m[0];
+    if (tok === "<") {
+      text("<");
+      continue;
+    }
+    if (tok[0] !== "<") {
+      text(tok);
+      continue;
+    }
+    if (m[2] === undefined) {
+      report("comment");
+      continue;
+    }
+    const closing = m[1] === "/";
+    const name = m[2].toLowerCase();
+    const selfClosing = /\/\s*>$/.test(tok) || VOID.has(name);
+
+    if (DROP.has(name)) {
+      if (closing) continue;
+      report("dropped", name);
+      if (selfClosing) continue;
+      if (RAW_TEXT.has(name)) {
+        const end = new RegExp(`</${name}(?:[\\s/][^>]*)?>`, "gi");
+        end.lastIndex = TOKEN_RE.lastIndex;
+        TOKEN_RE.lastIndex = end.exec(src) ? end.lastIndex : src.length;
+        continue;
+      }
+      // Skip up to the matching closing tag (same-name tags nest).
+      let depth = 1;
+      while (depth && (m = TOKEN_RE.exec(src)) !== null) {
+        if (m[2] && m[2].toLowerCase() === name && !/\/\s*>$/.test(m[0])) depth += m[1] === "/" ? -1 : 1;
+      }
+      if (m === null) break;
+      continue;
+    }
+
+    const tag = RENAME[name] || name;
+    if (!ALLOWED.has(tag)) {
+      if (!closing) report("unwrapped", name);
+      if (BLOCK_BREAK.has(name)) endTextBlock();
+      continue;
+    }
+    if (!closing) {
+      if (tag !== name) report("renamed", name);
+      ATTR_RE.lastIndex = 0;
+      for (const a of m[3].matchAll(ATTR_RE)) report("attribute", tag, a[1].toLowerCase());
+    }
+    if (closing) {
+      if (tag !== "br") endTag(tag);
+    } else {
+      startTag(tag);
+      if (selfClosing && tag !== "br") endTag(tag);
+    }
+  }
+  while (stack.length) autoClose();
+
+  // Empty elements left by the removals are dropped (repeated for nested ones); an empty inline
+  // tag leaves its space so the words around it stay apart.
+  const EMPTY_RE = /<(p|h2|h3|h4|li|strong|em|ul|ol)>(?:\s|<br>)*<\/\1>\n?/g;
+  let html = out.join("");
+  for (let prev = null; prev !== html; ) {
+    prev = html;
+    html = html
+      .replace(/ {2,}/g, " ")
+      .replace(/ *(<\/?(?:p|h2|h3|h4|ul|ol|li)>) */g, "$1")
+      .replace(/ *<br> */g, "<br>")
+      .replace(EMPTY_RE, (e, tag) => (report("empty", tag), INLINE.has(tag) && /\s/.test(e) ? " " : ""));
+  }
+  html = html.replace(/\n{2,}/g, "\n").trim();
+
+  return { html, removed: [...counts.values()] };
+}
+
+// Closing a tag or renaming one fixes the markup without removing anything.
+const NOT_REMOVALS = new Set(["auto_close", "renamed"]);
+
+/** Number of removals (elements, tags, attributes, comments...) in a `removed` list. */
+function removalCount(removed) {
+  return (removed || []).reduce((n, r) => n + (NOT_REMOVALS.has(r.kind) ? 0 : r.count), 0);
+}
+
+// Output strings holding HTML: every key ending in "_html".
+function htmlFields(value, path = "") {
+  const found = [];
+  if (Array.isArray(value)) value.forEach((v, i) => found.push(...htmlFields(v, `${path}[${i}]`)));
+  else if (value && typeof value === "object") {
+    for (const [k, v] of Object.entries(value)) {
+      const p = path ? `${path}.${k}` : k;
+      if (typeof v === "string" && k.endsWith("_html")) found.push({ path: p, holder: value, key: k });
+      else if (v && typeof v === "object") found.push(...htmlFields(v, p));
+    }
+  }
+  return found;
+}
+
+/**
+ * Sanitises the HTML fields of `exec` in place. Returns the fields that changed:
+ * [{ path, removed }] (removed is empty when only whitespace / nesting was normalised).
+ */
+function sanitizeOutput(exec) {
+  const changed = [];
+  for (const { path, holder, key } of htmlFields(exec)) {
+    const { html, removed } = sanitizeHtml(holder[key]);
+    if (html === holder[key]) continue;
+    holder[key] = html;
+    changed.push({ path, removed });
+  }
+  return changed;
+}
+
+/**
+ * Sanitises a generated answer before it is validated: every *_html field, plus the `value` of a
+ * regenerated HTML field ({ value: "<p>..." }) with `htmlValue`. Returns the fields that lost
+ * something: [{ path, removed }].
+ */
+function sanitizeGenerated(out, { htmlValue = false } = {}) {
+  if (!out || typeof out !== "object") return [];
+  const fields = sanitizeOutput(out);
+  if (htmlValue && typeof out.value === "string") {
+    const { html, removed } = sanitizeHtml(out.value);
+    if (html !== out.value) fields.push({ path: "value", removed });
+    out.value = html;
+  }
+  return fields.filter((f) => removalCount(f.removed) > 0);
+}
+
+module.exports = {
+  ALLOWED,
+  sanitizeHtml,
+  sanitizeOutput,
+  sanitizeGenerated,
+  removalCount,
+};
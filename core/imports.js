@@ -0,0 +1,439 @@
+// /opt/content360/core/imports.js
+// S4: bulk imports (c360_imports). POST /v1/imports takes a raw CSV or NDJSON body, maps
+// columns to item fields, validates every row with the /v1/jobs/create item rules
+// (job_payload.js) and splits the valid rows into jobs of IMPORT_CHUNK_SIZE items created
+// through job_create.js (same quota check, holds and lanes). The import row keeps the row
+// errors and the chunk -> job mapping for progress and the combined results download.
+
+const { ITEM_FIELDS, EXISTING_META_LIMITS, MAX_ITEMS, ALLOWED_MODES, validateItem, validateCreatePayload } = require("./job_payload");
+const { isProviderAllowed } = require("./providers");
+const { estimateAEJ, createJob } = require("./job_create");
+const { fetchChildren, rollupStatus } = require("./child_jobs");
+const { fetchReviews } = require("./reviews");
+
+const FORMATS = ["csv", "ndjson"];
+const MAX_ROWS = Number(process.env.IMPORT_MAX_ROWS || 5000);
+const CHUNK_SIZE = Math.min(MAX_ITEMS, Math.max(1, Number(process.env.IMPORT_CHUNK_SIZE || MAX_ITEMS)));
+// Row errors stored with their messages; the invalid rows past these are stored as { row }
+// only, so the results download still has a line for each of them.
+const MAX_STORED_ERRORS = 1000;
+// List fields given as one CSV cell: "a | b | c".
+const LIST_FIELDS = new Set(["source_facts", "source_taxonomy"]);
+const LIST_SEPARATOR = "|";
+
+function importError(status, code, details = {}) {
+  return Object.assign(new Error(code), { status, code, details });
+}
+
+/* ------------------------------ parsing ------------------------------ */
+
+function detectDelimiter(text) {
+  const line = text.slice(0, text.search(/\r?\n|$/));
+  let best = ",";
+  let bestCount = 0;
+  for (const d of [",", ";", "\t"]) {
+    const n = line.split(d).length - 1;
+    if (n > bestCount) [best, bestCount] = [d, n];
+  }
+  return best;
+}
+
+/**
+ * RFC 4180 CSV (quoted fields, "" escapes, newlines inside quotes, CRLF). The first record is
+ * the header. Returns { columns, rows: [{ row, values }] } with `row` = record number in the file
+ * (header = 1), or throws import_parse_error.
+ */
+function parseCsv(text, { delimiter = null } = {}) {
+  const s = String(text).replace(/^\uFEFF/, "");
+  const d = delimiter || detectDelimiter(s);
+  const records = [];
+  let record = [];
+  let field = "";
+  let quoted = false;
+  let i = 0;
+  while (i < s.length) {
+    const ch = s[i];
+    if (quoted) {
+      if (ch === '"' && s[i + 1] === '"') { field += '"'; i += 2; continue; }
+      if (ch === '"') { quoted = false; i++; continue; }
+      field += ch;
+      i++;
+      continue;
+    }
+    if (ch === '"' && field === "") { quoted = true; i++; continue; }
+    if (ch === d) { record.push(field); field = ""; i++; continue; }
+    if (ch === "\r" || ch === "\n") {
+      record.push(field);
+      records.push(record);
+      record = [];
+      field = "";
+      i += ch === "\r" && s[i + 1] === "\n" ? 2 : 1;
+      continue;
+    }
+    field += ch;
+    i++;
+  }
+  if (quoted) throw importError(400, "import_parse_error", { details: [`row ${records.length + 1}: unterminated quoted field`] });
+  if (field !== "" || record.length) {
+    record.push(field);
+    records.push(record);
+  }
+
+  const header = records.shift();
+  if (!header || !header.some((h) => h.trim())) throw importError(400, "import_parse_error", { details: ["missing header row"] });
+  const columns = header.map((h) => h.trim());
+  const rows = [];
+  records.forEach((values, idx) => {
+    if (values.length === 1 && values[0].trim() === "") return; // blank line
+    rows.push({ row: idx + 2, values: Object.fromEntries(columns.map((c, j) => [c, values[j] ?? ""])), extra: values.length > columns.length });
+  });
+  return { columns, rows };
+}
+
+// One JSON object per line; blank lines skipped. Returns { columns, rows, errors }.
+function parseNdjson(text) {
+  const rows = [];
+  const errors = [];
+  const columns = new Set();
+  String(text).replace(/^\uFEFF/, "").split(/\r?\n/).forEach((line, idx) => {
+    if (!line.trim()) return;
+    let obj;
+    try {
+      obj = JSON.parse(line);
+    } catch (_) {
+      errors.push({ row: idx + 1, errors: [`row ${idx + 1} invalid JSON`] });
+      return;
+    }
+    if (!obj || typeof obj !== "object" || Array.isArray(obj)) {
+      errors.push({ row: idx + 1, errors: [`row ${idx + 1} must be a JSON object`] });
+      return;
+    }
+    Object.keys(obj).forEach((k) => columns.add(k));
+    rows.push({ row: idx + 1, values: obj });
+  });
+  return { columns: [...columns], rows, errors };
+}
+
+/* ------------------------------ mapping ------------------------------ */
+
+// Item field a column can be mapped to: an item field, "existing_meta.<key>" or
+// "source_specs.<spec name>".
+function isMappingTarget(target) {
+  const t = String(target || "");
+  if (ITEM_FIELDS.has(t)) return true;
+  if (t.startsWith("existing_meta.")) return Boolean(EXISTING_META_LIMITS[t.slice("existing_meta.".length)]);
+  return t.startsWith("source_specs.") && t.length > "source_specs.".length;
+}
+
+/**
+ * Column -> field mapping. `raw` is the `mapping` query parameter (JSON object), or empty:
+ * columns named like a mapping target are then used as is, the others are ignored.
+ */
+function resolveMapping(raw, columns) {
+  let mapping;
+  if (raw === undefined || raw === null || raw === "") {
+    mapping = Object.fromEntries(columns.filter(isMappingTarget).map((c) => [c, c]));
+  } else {
+    try {
+      mapping = typeof raw === "string" ? JSON.parse(raw) : raw;
+    } catch (_) {
+      throw importError(400, "invalid_mapping", { details: ["mapping must be a JSON object { column: field }"] });
+    }
+    if (!mapping || typeof mapping !== "object" || Array.isArray(mapping)) {
+      throw importError(400, "invalid_mapping", { details: ["mapping must be a JSON object { column: field }"] });
+    }
+    const errors = [];
+    for (const [col, target] of Object.entries(mapping)) {
+      if (!isMappingTarget(target)) errors.push(`${col}: unknown field ${target}`);
+    }
+    if (errors.length) throw importError(400, "invalid_mapping", { details: errors });
+  }
+  if (!Object.keys(mapping).length) throw importError(400, "invalid_mapping", { details: ["no column maps to an item field"] });
+  return mapping;
+}
+
+function isEmptyCell(v) {
+  return v === undefined || v === null || (typeof v === "string" && v.trim() === "");
+}
+
+// Row values -> item. CSV cells are strings; NDJSON values keep their JSON type.
+function rowToItem(values, mapping, defaults = {}) {
+  const item = {};
+  for (const [col, target] of Object.entries(mapping)) {
+    const v = values[col];
+    if (isEmptyCell(v)) continue;
+    if (target.startsWith("existing_meta.")) {
+      item.existing_meta = { ...item.existing_meta, [target.slice("existing_meta.".length)]: typeof v === "string" ? v.trim() : v };
+    } else if (target.startsWith("source_specs.")) {
+      if (item.source_specs !== undefined && !Array.isArray(item.source_specs)) continue;
+      item.source_specs = [...(item.source_specs || []), { k: target.slice("source_specs.".length), v: typeof v === "string" ? v.trim() : v }];
+    } else if (LIST_FIELDS.has(target) && typeof v === "string") {
+      item[target] = v.split(LIST_SEPARATOR).map((x) => x.trim()).filter(Boolean);
+    } else {
+      item[target] = typeof v === "string" ? v.trim() : v;
+    }
+  }
+  return applyDefaults(item, defaults);
+}
+
+// Query defaults (entity_type, lang) for rows that leave them empty.
+function applyDefaults(item, defaults) {
+  for (const [k, v] of Object.entries(defaults)) {
+    if (v && isEmptyCell(item[k])) item[k] = v;
+  }
+  return item;
+}
+
+/**
+ * Parse, map and validate an upload. Returns
+ * { columns, mapping, ignored_columns, rows_total, valid: [{ row, item }], row_errors: [{ row, errors, field_errors }] }.
+ */
+function prepareImport(text, { format, mode, mapping: rawMapping, defaults = {}, delimiter = null }) {
+  if (!FORMATS.includes(format)) throw importError(400, "invalid_format", { details: [`format must be ${FORMATS.join(" or ")}`] });
+  if (!ALLOWED_MODES.has(mode)) throw importError(400, "schema_invalid", { details: [`invalid mode: ${mode || "(empty)"}`] });
+
+  const parsed = format === "csv" ? parseCsv(text, { delimiter }) : parseNdjson(text);
+  const rows_total = parsed.rows.length + (parsed.errors?.length || 0);
+  if (!rows_total) throw importError(400, "import_empty");
+  if (rows_total > MAX_ROWS) throw importError(413, "import_too_large", { max_rows: MAX_ROWS, rows: rows_total });
+
+  // NDJSON without a mapping: every object is an item as is.
+  const mapping = format === "ndjson" && !rawMapping ? null : resolveMapping(rawMapping, parsed.columns);
+  if (mapping && format === "csv") {
+    const missing = Object.keys(mapping).filter((c) => !parsed.columns.includes(c));
+    if (missing.length) throw importError(400, "invalid_mapping", { details: missing.map((c) => `column not found: ${c}`) });
+  }
+
+  const valid = [];
+  const row_errors = [...(parsed.errors || []).map((e) => ({ ...e, field_errors: [] }))];
+  for (const r of parsed.rows) {
+    const item = mapping ? rowToItem(r.values, mapping, defaults) : applyDefaults({ ...r.values }, defaults);
+    const c = validateItem(item, mode, `row ${r.row}`);
+    if (r.extra) c.add(`row ${r.row}`, "too_many", `row ${r.row} has more cells than the header`);
+    if (c.errors.length) row_errors.push({ row: r.row, errors: c.errors, field_errors: c.field_errors });
+    else valid.push({ row: r.row, item });
+  }
+  row_errors.sort((a, b) => a.row - b.row);
+
+  return {
+    columns: parsed.columns,
+    mapping,
+    ignored_columns: mapping ? parsed.columns.filter((c) => !(c in mapping)) : [],
+    rows_total,
+    valid,
+    row_errors,
+  };
+}
+
+function chunkRows(valid, size = CHUNK_SIZE) {
+  const chunks = [];
+  for (let i = 0; i < valid.length; i += size) chunks.push(valid.slice(i, i + size));
+  return chunks;
+}
+
+// Jobs and AEJ reservation the valid rows will take.
+function planImport(prepared, mode) {
+  const chunks = chunkRows(prepared.valid);
+  return { chunks, jobs_planned: chunks.length, aej_estimated: chunks.reduce((n, c) => n + estimateAEJ(mode, c.length).total, 0) };
+}
+
+/* ------------------------------ storage ------------------------------ */
+
+const PUBLIC_COLUMNS = `id, mode, format, status, rows_total, rows_valid, rows_invalid, aej_estimated, chunks,
+  options, created_at, updated_at`;
+
+// Stored row errors: messages for the first MAX_STORED_ERRORS, row numbers for the rest.
+function storedRowErrors(rowErrors) {
+  return rowErrors.map((e, i) => (i < MAX_STORED_ERRORS ? e : { row: e.row }));
+}
+
+/**
+ * Create the import row and its jobs. `prepared` comes from prepareImport. deps are createJob's
+ * ({ queue, redis, logJobEvent }). Chunks refused by the quota check (concurrent usage) are
+ * kept as { status: "quota_exceeded" } and the import is then "partial". The chunk list is
+ * saved after each job, so a failure midway never leaves untracked jobs: the failed chunk and
+ * the ones after it are { status: "error" } and the import is "partial" (or "error" when no chunk
+ * was created).
+ */
+async function createImport(pool, deps, { clientId, prepared, format, mode, llm_provider = null, options = {}, actor = null }) {
+  const { chunks, aej_estimated: aejEstimated } = planImport(prepared, mode);
+
+  const ins = await pool.query(
+    `INSERT INTO c360_imports
+       (client_id, mode, format, status, rows_total, rows_valid, rows_invalid, row_errors, aej_estimated, chunks, options, created_by, created_at, updated_at)
+     VALUES ($1,$2,$3,'creating',$4,$5,$6,$7::jsonb,$8,'[]'::jsonb,$9::jsonb,$10,NOW(),NOW())
+     RETURNING id`,
+    [
+      String(clientId), mode, format, prepared.rows_total, prepared.valid.length, prepared.row_errors.length,
+      JSON.stringify(storedRowErrors(prepared.row_errors)), aejEstimated, JSON.stringify(options), actor,
+    ]
+  );
+  const importId = String(ins.rows[0].id);
+
+  const stored = [];
+  let stop = null; // "quota_exceeded" | "error"
+  for (let i = 0; i < chunks.length; i++) {
+    const rows = chunks[i].map((r) => r.row);
+    if (stop) {
+      stored.push({ index: i, status: stop, rows });
+      continue;
+    }
+    const requestJson = { mode, items: chunks[i].map((r) => r.item), ...(llm_provider ? { llm_provider } : {}) };
+    const v = validateCreatePayload(requestJson, { isProviderAllowed });
+    const idemKey = `import:${importId}:${i}`;
+    try {
+      const out = await createJob(pool, deps, { clientId, requestJson, v, idemKey, eventMeta: { import_id: importId, chunk: i } });
+      if (!out.ok) {
+        stop = "quota_exceeded";
+        stored.push({ index: i, status: stop, rows });
+      } else {
+        stored.push({ index: i, status: "created", job_id: String(out.job_id), rows });
+      }
+    } catch (e) {
+      console.error("[imports] chunk error:", e?.message || e);
+      stop = "error";
+      // The job may be committed already (enqueueing failed): keep its id when it is.
+      const job_id = await chunkJobId(pool, clientId, idemKey);
+      stored.push({ index: i, status: "error", ...(job_id ? { job_id } : {}), error: String(e?.code || e?.message || e), rows });
+    }
+    await pool.query(`UPDATE c360_imports SET chunks=$2::jsonb, updated_at=NOW() WHERE id=$1`, [importId, JSON.stringify(stored)]);
+  }
+
+  const created = stored.some((c) => c.status === "created");
+  const status = !stop ? "created" : stop === "error" && !created ? "error" : "partial";
+  const r = await pool.query(
+    `UPDATE c360_imports SET status=$2, chunks=$3::jsonb, updated_at=NOW() WHERE id=$1 RETURNING ${PUBLIC_COLUMNS}`,
+    [importId, status, JSON.stringify(stored)]
+  );
+  return r.rows[0];
+}
+
+async function chunkJobId(db, clientId, idemKey) {
+  try {
+    const r = await db.query(`SELECT job_id FROM c360_idempotency WHERE client_id=$1 AND idem_key=$2`, [String(clientId), idemKey]);
+    return r.rows[0] ? String(r.rows[0].job_id) : null;
+  } catch {
+    return null;
+  }
+}
+
+async function getImport(db, { id, clientId }) {
+  if (!/^\d{1,18}$/.test(String(id))) return null;
+  const r = await db.query(`SELECT ${PUBLIC_COLUMNS}, row_errors FROM c360_imports WHERE id=$1 AND client_id=$2`, [String(id), String(clientId)]);
+  return r.rows[0] || null;
+}
+
+function jobIdsOf(imp) {
+  return (imp.chunks || []).filter((c) => c.job_id).map((c) => c.job_id);
+}
+
+// Progress of every generated job: item counts by status, overall status and progress.
+async function importProgress(db, imp) {
+  const jobIds = jobIdsOf(imp);
+  const items = { total: 0, queued: 0, running: 0, done: 0, error: 0, canceled: 0 };
+  let progressSum = 0;
+  if (jobIds.length) {
+    const r = await db.query(
+      `SELECT status, COUNT(*)::int AS n, COALESCE(SUM(CASE WHEN status IN ('done','error','canceled') THEN 100 ELSE progress END),0)::int AS p
+       FROM c360_jobs
+       WHERE parent_id = ANY($1::text[])
+       GROUP BY status`,
+      [jobIds]
+    );
+    for (const row of r.rows) {
+      items[row.status] = (items[row.status] || 0) + row.n;
+      items.total += row.n;
+      progressSum += row.p;
+    }
+  }
+  return {
+    status: items.total ? rollupStatus(items) : "error",
+    progress: items.total ? Math.floor(progressSum / items.total) : 0,
+    jobs: jobIds.length,
+    items,
+  };
+}
+
+function publicImport(imp, progress, { errorsLimit = 100 } = {}) {
+  const { row_errors, chunks, ...rest } = imp;
+  return {
+    ...rest,
+    id: String(imp.id),
+    jobs: (chunks || []).map((c) => ({
+      chunk: c.index,
+      job_id: c.job_id || null,
+      status: c.status,
+      first_row: c.rows[0],
+      last_row: c.rows[c.rows.length - 1],
+      items: c.rows.length,
+    })),
+    row_errors: (row_errors || []).slice(0, errorsLimit).map(({ row, errors }) => ({ row, errors })),
+    progress,
+  };
+}
+
+/**
+ * Combined results, one JSON line per row of the file, in file order: invalid rows (from the
+ * stored errors; `errors` is null past the first MAX_STORED_ERRORS), rows of chunks refused
+ * over quota or failed, then every generated item with its review status and output (approved
+ * revision when there is one). `write(line)` may return a promise.
+ */
+async function writeImportResults(db, imp, write) {
+  const byRow = [];
+  for (const e of imp.row_errors || []) byRow.push({ row: e.row, line: { row: e.row, status: "invalid", errors: e.errors ?? null } });
+  for (const c of imp.chunks || []) {
+    if (c.status !== "created") {
+      for (const row of c.rows) byRow.push({ row, line: { row, status: c.status, ...(c.error ? { error: c.error } : {}) } });
+    }
+  }
+  // Written between the generated items so that lines follow the file order.
+  byRow.sort((a, b) => a.row - b.row);
+  let k = 0;
+  const flushUpTo = async (row) => {
+    while (k < byRow.length && byRow[k].row < row) await write(JSON.stringify(byRow[k++].line) + "\n");
+  };
+
+  for (const c of imp.chunks || []) {
+    if (c.status !== "created") continue;
+    const children = await fetchChildren(db, c.job_id);
+    const keys = children.map((ch) => ({ job_id: String(ch.id), result_index: 0, exec: ch.result_json?.results?.[0]?.exec ?? null }));
+    const reviews = await fetchReviews(db, keys.filter((x) => x.exec), { withHistory: false });
+    for (const ch of children) {
+      const row = c.rows[ch.item_index];
+      await flushUpTo(row);
+      const res = ch.result_json?.results?.[0] || null;
+      const review = res ? reviews.get(`${ch.id}:0`) : null;
+      await write(JSON.stringify({
+        row,
+        job_id: c.job_id,
+        item_index: ch.item_index,
+        entity_id: res?.entity_id ?? null,
+        status: ch.status,
+        review_status: review?.status ?? null,
+        revision: review?.approved?.revision ?? review?.current_revision ?? null,
+        output: review?.approved?.output ?? res?.exec ?? null,
+        error: ch.error_text || null,
+      }) + "\n");
+    }
+  }
+  await flushUpTo(Infinity);
+}
+
+module.exports = {
+  FORMATS,
+  MAX_ROWS,
+  CHUNK_SIZE,
+  importError,
+  parseCsv,
+  parseNdjson,
+  resolveMapping,
+  rowToItem,
+  prepareImport,
+  chunkRows,
+  planImport,
+  createImport,
+  getImport,
+  importProgress,
+  publicImport,
+  writeImportResults,
+};
@@ -11,7 +11,70 @@ const cors = require("cors");
 const path = require("path");
 const crypto = require("crypto");
 const { Pool } = require("pg");
-const { getQueue, redisConnection } = require("./queue");
+const { getQueue, getWebhookQueue, redisConnection, sharedRedis } = require("./queue");
+const { FINAL_STATUSES, fetchChildren, countChildren, aggregateChildResults, rollupParent } = require("./child_jobs");
+const { publishJobEvent, createJobStreamHub, sseFrame, parseLastEventId } = require("./job_stream");
+const { isProviderAllowed } = require("./providers");
+const { validateCreatePayload, ALLOWED_MODES } = require("./job_payload");
+const { fetchBillingSummary } = require("./billing");
+const { verifyRequestSignature } = require("./request_signing");
+const { secretBox } = require("./secret_box");
+const {
+  SCOPES,
+  findApiKey,
+  keyUnusableReason,
+  activeSecrets,
+  validateKeyInput,
+  createApiKey,
+  rotateApiKey,
+  revokeApiKey,
+  listApiKeys,
+  markKeyUsed,
+} = require("./api_keys");
+const {
+  MAX_WEBHOOKS_PER_CLIENT,
+  validateWebhookInput,
+  checkWebhookUrl,
+  notifyJobFinal,
+  replayDelivery,
+} = require("./webhooks");
+const { createCircuitBreaker } = require("./providers/circuit_breaker");
+const { checkOpenAI } = require("./openai_health");
+const { listHeartbeats } = require("./worker_heartbeat");
+const { createLimitsStore, createRateLimiter } = require("./rate_limits");
+const { laneForItems, enqueueJob, laneStats } = require("./scheduling");
+const { applyReviewAction, fetchReviews, resolveResultItem } = require("./reviews");
+const { REGEN_MIN_AEJ, createRegeneration, fetchRegeneration } = require("./regenerate");
+const { AEJ_ESTIMATE_PER_ITEM, createJob } = require("./job_create");
+const {
+  MAX_PREVIEW,
+  isValidTimezone,
+  nextRuns,
+  cronError,
+  validateScheduleInput,
+  publicSchedule,
+  createSchedule,
+  getSchedule,
+  listSchedules,
+  updateSchedule,
+  deleteSchedule,
+  listRuns,
+} = require("./schedules");
+const { prepareImport, planImport, createImport, getImport, importProgress, publicImport, writeImportResults } = require("./imports");
+const {
+  previewPrompt,
+  validateTemplateInput,
+  publicTemplate,
+  createTemplate,
+  getTemplate,
+  listTemplates,
+  updateTemplate,
+  publishTemplate,
+  archiveTemplate,
+  templateStats,
+} = require("./prompt_templates");
+const { scoreQuality } = require("./seo_quality");
+const { validateBrandProfile, checkBrand, publicProfile, getBrandProfile, putBrandProfile, deleteBrandProfile } = require("./brand_profiles");
 
 const app = express();
 app.use(helmet());
@@ -31,19 +94,12 @@ app.use(
 const PORT = Number(process.env.PORT || 8080);
 const DATABASE_URL = process.env.DATABASE_URL;
 if (!DATABASE_URL) console.error("[api] DATABASE_URL missing");
+// Throws on a malformed C360_MASTER_KEYS: better at boot than on the first signed call.
+if (!secretBox().configured) console.warn("[api] C360_MASTER_KEYS missing: API secrets are stored in plain text");
 
 const pg = new Pool({ connectionString: DATABASE_URL });
 const queue = getQueue();
-
-/* ----------------------- S2 constants ----------------------- */
-const ALLOWED_MODES = new Set(["quick_boost", "full_content", "ecom_catalog"]);
-// Conservative AEJ estimates per item (reservation at job create).
-// You can refine these numbers later using real token telemetry.
-const AEJ_ESTIMATE_PER_ITEM = {
-  quick_boost: 8, // analyse+decision+generation+application
-  full_content: 12,
-  ecom_catalog: 12,
-};
+const webhookQueue = getWebhookQueue();
 
 function pickIdempotencyKey(req) {
   // Support common header variants.
@@ -53,61 +109,6 @@ function pickIdempotencyKey(req) {
   return s.length ? s.slice(0, 200) : null;
 }
 
-function validateCreatePayload(body) {
-  const errors = [];
-  if (!body || typeof body !== "object" || Array.isArray(body)) {
-    errors.push("body must be an object");
-    return { ok: false, errors };
-  }
-
-  const allowedTop = new Set(["mode", "items"]);
-  for (const k of Object.keys(body)) {
-    if (!allowedTop.has(k)) errors.push(`unexpected top-level field: ${k}`);
-  }
-
-  const mode = String(body.mode || "").trim();
-  if (!ALLOWED_MODES.has(mode)) errors.push(`invalid mode: ${mode || "(empty)"}`);
-
-  const items = Array.isArray(body.items) ? body.items : null;
-  if (!items || items.length < 1) errors.push("items_required");
-  if (items && items.length > 50) errors.push("items_max_50");
-
-  const allowedItem = new Set([
-    "entity_type",
-    "entity_id",
-    "lang",
-    "source_title",
-    "source_excerpt",
-  ]);
-
-  if (items) {
-    items.forEach((it, idx) => {
-      if (!it || typeof it !== "object" || Array.isArray(it)) {
-        errors.push(`items[${idx}] must be an object`);
-        return;
-      }
-      for (const k of Object.keys(it)) {
-        if (!allowedItem.has(k)) errors.push(`items[${idx}] unexpected field: ${k}`);
-      }
-
-      const et = String(it.entity_type || "").trim();
-      const ei = String(it.entity_id || "").trim();
-      const lang = String(it.lang || "").trim();
-      const st = String(it.source_title || "").trim();
-      const se = String(it.source_excerpt || "").trim();
-
-      if (!["product", "page", "post"].includes(et)) errors.push(`items[${idx}] invalid entity_type: ${et || "(empty)"}`);
-      if (!ei) errors.push(`items[${idx}] entity_id_required`);
-      if (!lang || lang.length < 2 || lang.length > 10) errors.push(`items[${idx}] invalid lang: ${lang || "(empty)"}`);
-      if (!st) errors.push(`items[${idx}] source_title_required`);
-      if (!se) errors.push(`items[${idx}] source_excerpt_required`);
-    });
-  }
-
-  if (errors.length) return { ok: false, errors };
-  return { ok: true, mode, items };
-}
-
 function err(res, code, error) {
   return res.status(code).json({ ok: false, error });
 }
@@ -115,16 +116,24 @@ function err(res, code, error) {
 /* ------------------------- S3+++ helpers -------------------------- */
 async function logJobEvent({ job_id, client_id, event_type, message = null, meta = null }) {
   try {
-    await pg.query(
+    const r = await pg.query(
       `INSERT INTO c360_job_events (job_id, client_id, event_type, message, meta, created_at)
-       VALUES ($1,$2,$3,$4,$5,NOW())`,
+       VALUES ($1,$2,$3,$4,$5,NOW())
+       RETURNING id, job_id, event_type, message, meta, created_at`,
       [String(job_id), String(client_id), String(event_type), message, meta]
     );
+    // Live job streams (GET /v1/jobs/:id/stream) on every API replica.
+    await publishJobEvent(sharedRedis(), r.rows[0]);
   } catch (e) {
     // Never block core flow for observability.
   }
 }
 
+// Dependencies of createJob (job_create.js) and schedules.js.
+function jobDeps() {
+  return { queue, redis: sharedRedis(), logJobEvent };
+}
+
 async function setAdminFlag(key, value) {
   await pg.query(
     `INSERT INTO c360_admin_flags (key, value, updated_at)
@@ -149,6 +158,76 @@ async function isForceDegraded() {
 }
 
 
+/* ------------------------- health (S4) -------------------------- */
+// Read-only view of the worker circuit breaker (state is in Redis, see providers/circuit_breaker.js).
+const circuitView = createCircuitBreaker({ redis: sharedRedis() });
+
+// Shared by /v1/admin/health/deps and /v1/admin/ui/api/health/deps.
+async function collectDepsHealth() {
+  const out = {
+    ok: true,
+    deps: {
+      db: "unknown",
+      redis: "unknown",
+      worker: "unknown",
+      openai: "unknown",
+    },
+    time_utc: new Date().toISOString(),
+  };
+
+  // DB
+  try {
+    await pg.query("SELECT 1");
+    out.deps.db = "ok";
+  } catch (e) {
+    out.ok = false;
+    out.deps.db = "error";
+    out.db_error = String(e?.message || e);
+  }
+
+  // Redis + worker heartbeats
+  try {
+    const rconn = sharedRedis();
+    const pong = await rconn.ping();
+    out.deps.redis = pong === "PONG" ? "ok" : "degraded";
+    const workers = await listHeartbeats(rconn);
+    const running = workers.filter((w) => w.running);
+    out.deps.worker = running.length ? "ok" : workers.length ? "degraded" : "down";
+    out.workers = workers;
+    if (!running.length) out.ok = false;
+  } catch (e) {
+    out.ok = false;
+    out.deps.redis = "error";
+    out.redis_error = String(e?.message || e);
+    out.deps.worker = "unknown";
+  }
+
+  // Queue lanes: depth and wait times (scheduling.js). Informational, never flips `ok`.
+  try {
+    out.queue = await laneStats(queue, sharedRedis());
+  } catch (e) {
+    out.queue = { error: String(e?.message || e) };
+  }
+
+  // OpenAI: cached probe + degraded state (manual flag and circuit breaker)
+  try {
+    const [probe, forced, auto, circuit] = await Promise.all([
+      checkOpenAI(),
+      isForceDegraded(),
+      getAdminFlag("auto_degraded"),
+      circuitView.state("openai_responses"),
+    ]);
+    out.openai = { ...probe, force_degraded: forced, auto_degraded: auto === "1", circuit };
+    if (forced || circuit !== "closed") out.deps.openai = "degraded";
+    else out.deps.openai = probe.status === "ok" ? "ok" : probe.status === "unconfigured" ? "unconfigured" : "degraded";
+  } catch (e) {
+    out.deps.openai = "degraded";
+    out.openai = { status: "degraded", error: String(e?.message || e) };
+  }
+
+  return out;
+}
+
 /* ------------------------- admin auth (S3) -------------------------- */
 // Admin endpoints are protected by BOTH:
 // 1) standard client auth (x-c360-key + x-c360-sign)
@@ -268,10 +347,12 @@ function uiRequireLogin(req, res, next) {
 
 /* ------------------------ admin helpers: cancel/retry ------------------------ */
 async function cancelJob(jobId) {
-  const r = await pg.query(`SELECT id, status, client_id FROM c360_jobs WHERE id=$1`, [jobId]);
+  const r = await pg.query(`SELECT id, status, client_id, is_parent, parent_id FROM c360_jobs WHERE id=$1`, [jobId]);
   if (!r.rows.length) throw Object.assign(new Error("job_not_found"), { code: "job_not_found" });
   const job = r.rows[0];
 
+  if (job.is_parent) return cancelParentJob(job);
+
   await pg.query(
     `UPDATE c360_jobs
        SET status='canceled', error_text=COALESCE(error_text,'canceled_by_admin'), finished_at=NOW(), updated_at=NOW()
@@ -294,14 +375,39 @@ async function cancelJob(jobId) {
   } catch (_e) {}
 
   await logJobEvent({ job_id: jobId, client_id: String(job.client_id), event_type: "canceled", message: "Canceled by admin", meta: {} });
+  if (job.parent_id) await rollupAndNotify(job.parent_id);
+  else await notifyJobFinalSafe(jobId);
   return { job_id: jobId, status: "canceled" };
 }
 
+// Lane of a job that is queued again: from the item count of the original request.
+async function enqueueRetry(jobId) {
+  const r = await pg.query(
+    `SELECT j.id, j.client_id, j.parent_id,
+            COALESCE(jsonb_array_length(p.request_json->'items'), jsonb_array_length(j.request_json->'items'), 1) AS items_count
+     FROM c360_jobs j
+     LEFT JOIN c360_jobs p ON p.id=j.parent_id
+     WHERE j.id=$1`,
+    [jobId]
+  );
+  const job = r.rows[0];
+  const { plan } = await getLimits(job.client_id);
+  return enqueueJob(queue, sharedRedis(), {
+    jobId,
+    parentId: job.parent_id,
+    clientId: job.client_id,
+    lane: laneForItems(job.items_count),
+    plan,
+  });
+}
+
 async function retryJob(jobId) {
-  const r = await pg.query(`SELECT id, client_id FROM c360_jobs WHERE id=$1`, [jobId]);
+  const r = await pg.query(`SELECT id, client_id, is_parent FROM c360_jobs WHERE id=$1`, [jobId]);
   if (!r.rows.length) throw Object.assign(new Error("job_not_found"), { code: "job_not_found" });
   const job = r.rows[0];
 
+  if (job.is_parent) return retryParentJob(job);
+
   await pg.query(
     `UPDATE c360_jobs
        SET status='queued', progress=0, error_text=NULL, result_json=NULL, updated_at=NOW(), finished_at=NULL
@@ -309,44 +415,138 @@ async function retryJob(jobId) {
     [jobId]
   );
 
-  await queue.add("run", { job_id: jobId }, { jobId, attempts: 3, backoff: { type: "exponential", delay: 2000 } });
+  await enqueueRetry(jobId);
   await logJobEvent({ job_id: jobId, client_id: String(job.client_id), event_type: "retry", message: "Retried by admin", meta: {} });
   return { job_id: jobId, status: "queued", retried: true };
 }
 
-/* ------------------------- auth (unchanged) -------------------------- */
+// Webhooks (job.done|job.error|job.canceled) never fail the admin action.
+async function notifyJobFinalSafe(jobId) {
+  try {
+    await notifyJobFinal({ db: pg, queue: webhookQueue, jobId });
+  } catch (e) {
+    console.error("[webhooks] enqueue error:", e?.message || e);
+  }
+}
+
+// Roll the parent up and notify once it reaches a final status.
+async function rollupAndNotify(parentId) {
+  const rolled = await rollupParent(pg, parentId);
+  if (rolled?.final) await notifyJobFinalSafe(parentId);
+  return rolled;
+}
+
+// S4: a parent is canceled/retried through its children, then rolled up.
+async function cancelParentJob(job) {
+  const children = await fetchChildren(pg, job.id);
+  for (const c of children) {
+    if (c.status === "done" || c.status === "error" || c.status === "canceled") continue;
+    await cancelJob(String(c.id));
+  }
+  const rolled = await rollupAndNotify(job.id);
+  await logJobEvent({ job_id: job.id, client_id: String(job.client_id), event_type: "canceled", message: "Canceled by admin", meta: { children: rolled?.counts || null } });
+  return { job_id: String(job.id), status: rolled?.status || "canceled" };
+}
+
+// Only failed/canceled children are re-run; finished items keep their results.
+async function retryParentJob(job) {
+  const children = await fetchChildren(pg, job.id);
+  const retried = [];
+  for (const c of children) {
+    if (c.status !== "error" && c.status !== "canceled") continue;
+    await pg.query(
+      `INSERT INTO c360_aej_holds (job_id, client_id, aej_estimated, status, created_at)
+       SELECT id::text, client_id, COALESCE(aej_estimated,1), 'held', NOW()
+       FROM c360_jobs WHERE id=$1
+       ON CONFLICT (job_id) DO UPDATE SET status='held', released_at=NULL`,
+      [String(c.id)]
+    );
+    await retryJob(String(c.id));
+    retried.push(String(c.id));
+  }
+  await pg.query(
+    `UPDATE c360_jobs SET status='queued', error_text=NULL, finished_at=NULL, updated_at=NOW() WHERE id=$1`,
+    [job.id]
+  );
+  const rolled = await rollupParent(pg, job.id);
+  await logJobEvent({ job_id: job.id, client_id: String(job.client_id), event_type: "retry", message: "Retried by admin", meta: { retried_children: retried } });
+  return { job_id: String(job.id), status: rolled?.status || "queued", retried: retried.length > 0, retried_children: retried };
+}
+
+/* ------------------------- auth -------------------------- */
+// v2 signatures (timestamp + nonce) or, for clients still flagged legacy_signing, the
+// deprecated body-only signature. See request_signing.js.
+const LEGACY_SIGNING_SUNSET = process.env.LEGACY_SIGNING_SUNSET || null; // HTTP-date, optional
+const LEGACY_MARK_INTERVAL_MS = 10 * 60 * 1000;
+const legacyMarkedAt = new Map(); // client_id -> last legacy_signing_last_at write (ms)
+
+async function markLegacySigning(res, clientId) {
+  res.setHeader("Deprecation", "true");
+  res.setHeader("Warning", '299 - "Body-only x-c360-sign is deprecated, sign requests with C360-HMAC-V2"');
+  if (LEGACY_SIGNING_SUNSET) res.setHeader("Sunset", LEGACY_SIGNING_SUNSET);
+
+  // Lets admins see which clients still need to migrate, without a write per request.
+  const now = Date.now();
+  if (now - (legacyMarkedAt.get(clientId) || 0) < LEGACY_MARK_INTERVAL_MS) return;
+  legacyMarkedAt.set(clientId, now);
+  try {
+    await pg.query(`UPDATE c360_clients SET legacy_signing_last_at=NOW() WHERE id=$1`, [clientId]);
+  } catch (e) {
+    console.error("[auth] legacy mark error:", e?.message || e);
+  }
+}
+
+// Resolves the API key (c360_api_keys), then checks the signature against its secrets.
+// Sets req.client ({ id, status, legacy_signing }) and req.apiKey ({ id, scopes }).
 async function authV1(req, res, next) {
   const apiKey = req.headers["x-c360-key"];
   const apiSign = req.headers["x-c360-sign"];
   if (!apiKey || !apiSign) return err(res, 401, "missing_auth");
 
-  const r = await pg.query(
-    `SELECT id, api_secret, status
-     FROM c360_clients
-     WHERE api_key=$1`,
-    [apiKey]
-  );
-
-  if (!r.rows.length) return err(res, 401, "invalid_key");
-  const client = r.rows[0];
-  if (client.status !== "active") return err(res, 403, "client_inactive");
+  const key = await findApiKey(pg, apiKey);
+  if (!key) return err(res, 401, "invalid_key");
+  if (key.client_status !== "active") return err(res, 403, "client_inactive");
+  const unusable = keyUnusableReason(key);
+  if (unusable) return err(res, 401, unusable);
 
-  // Signature over the EXACT request body bytes.
-  // Fallback to JSON.stringify for backward compatibility if rawBody is unavailable.
-  const rawBodyBuf = req.rawBody && Buffer.isBuffer(req.rawBody)
-    ? req.rawBody
-    : Buffer.from(JSON.stringify(req.body || {}), "utf8");
-  const expected = crypto
-    .createHmac("sha256", client.api_secret)
-    .update(rawBodyBuf)
-    .digest("hex");
-
-  if (expected !== apiSign) return err(res, 401, "bad_signature");
+  let secrets;
+  try {
+    secrets = activeSecrets(key);
+  } catch (e) {
+    console.error("[auth] secret decrypt error:", e?.code || e?.message || e);
+    return err(res, 500, "secret_unavailable");
+  }
+  const client = { id: key.client_id, status: key.client_status, legacy_signing: key.legacy_signing, secrets };
+  const v = await verifyRequestSignature(req, client, { redis: sharedRedis() });
+  if (!v.ok) return err(res, v.status, v.error);
+  if (v.scheme === "legacy") await markLegacySigning(res, client.id);
+  if (v.secret_index > 0) {
+    res.setHeader("Warning", `299 - "Signed with a rotated secret, valid until ${new Date(key.prev_secret_expires_at).toISOString()}"`);
+  }
+  await markKeyUsed(pg, key.id);
 
+  delete client.secrets;
   req.client = client;
+  req.apiKey = { id: String(key.id), scopes: key.scopes || [] };
+  req.authScheme = v.scheme;
   return next();
 }
 
+// Per-route scope check, after authV1. Admin routes use requireAdmin instead.
+function requireScope(scope) {
+  return (req, res, next) => {
+    if (!req.apiKey) return err(res, 401, "missing_auth");
+    if (!req.apiKey.scopes.includes(scope)) {
+      return res.status(403).json({ ok: false, error: "insufficient_scope", required_scope: scope });
+    }
+    return next();
+  };
+}
+
+// Per-client token buckets (rate_limits.js), after requireScope: unauthorized calls cost nothing.
+const getLimits = createLimitsStore(pg);
+const rateLimit = createRateLimiter({ redis: sharedRedis(), getLimits });
+
 /* ------------------------ health ------------------------- */
 app.get("/health", (_req, res) => {
   res.json({ ok: true, service: "content360-api" });
@@ -415,31 +615,9 @@ app.get("/v1/admin/ui/admin-ui.css", (_req, res) => {
 // They DO NOT replace the HMAC admin endpoints; they sit alongside them.
 
 app.get("/v1/admin/ui/api/health/deps", uiRequireLogin, async (_req, res) => {
-  // Reuse same health check logic as /v1/admin/health/deps but without HMAC.
+  // Same health check logic as /v1/admin/health/deps but without HMAC.
   try {
-    const dbOk = await pg.query("SELECT 1");
-    // Redis: best effort (do not crash if Redis is down)
-    let redisStatus = "unknown";
-    try {
-      const rconn = redisConnection();
-      const pong = await rconn.ping();
-      redisStatus = pong === "PONG" ? "ok" : "degraded";
-    } catch (e) {
-      redisStatus = "error";
-    }
-
-    // OpenAI: best effort (some deployments may not configure it yet)
-    let openaiStatus = "unknown";
-    try {
-      if (typeof pingOpenAI === "function") {
-        const openai = await pingOpenAI();
-        openaiStatus = openai?.status || "unknown";
-      }
-    } catch (e) {
-      openaiStatus = "degraded";
-    }
-
-    res.json({ ok: true, deps: { db: dbOk ? "ok" : "bad", redis: redisStatus, openai: openaiStatus }, time_utc: new Date().toISOString() });
+    return res.json(await collectDepsHealth());
   } catch (e) {
     console.error("[ui/api/health] error:", e?.message || e);
     return err(res, 500, "health_error");
@@ -515,10 +693,28 @@ app.post("/v1/admin/ui/api/jobs/:id/retry", uiRequireLogin, async (req, res) =>
   }
 });
 
+app.post("/v1/admin/ui/api/webhooks/deliveries/:id/replay", uiRequireLogin, async (req, res) => {
+  try {
+    const r = await replayDelivery({ db: pg, queue: webhookQueue, deliveryId: String(req.params.id) });
+    return res.json({ ok: true, ...r });
+  } catch (e) {
+    if (e?.code === "delivery_not_found") return err(res, 404, "delivery_not_found");
+    console.error("[ui/api/webhooks/replay] error:", e?.message || e);
+    return err(res, 500, "webhook_replay_error");
+  }
+});
+
 // Clients management (UI)
 app.get("/v1/admin/ui/api/clients", uiRequireLogin, async (_req, res) => {
   try {
-    const r = await pg.query(`SELECT id, api_key, status, aej_balance, created_at FROM c360_clients ORDER BY created_at DESC LIMIT 500`);
+    const r = await pg.query(
+      `SELECT c.id, c.status, c.aej_balance, c.legacy_signing, c.legacy_signing_last_at, c.created_at,
+              (SELECT k.api_key FROM c360_api_keys k WHERE k.client_id=c.id::text AND k.status='active' ORDER BY k.created_at LIMIT 1) AS api_key,
+              (SELECT COUNT(*)::int FROM c360_api_keys k WHERE k.client_id=c.id::text AND k.status='active') AS active_keys
+       FROM c360_clients c
+       ORDER BY c.created_at DESC
+       LIMIT 500`
+    );
     res.json({ ok: true, clients: r.rows });
   } catch (e) {
     console.error("[ui/api/clients] error:", e?.message || e);
@@ -527,22 +723,33 @@ app.get("/v1/admin/ui/api/clients", uiRequireLogin, async (_req, res) => {
 });
 
 app.post("/v1/admin/ui/api/clients", uiRequireLogin, express.json(), async (req, res) => {
+  const conn = await pg.connect();
   try {
     const status = String(req.body?.status || "active");
     const aej_balance = Number(req.body?.aej_balance || 0);
-    const api_key = String(req.body?.api_key || ("ck_" + crypto.randomBytes(16).toString("hex")));
-    const api_secret = String(req.body?.api_secret || ("cs_" + crypto.randomBytes(20).toString("hex")));
     const id = String(req.body?.id || crypto.randomUUID());
 
-    await pg.query(
-      `INSERT INTO c360_clients (id, api_key, api_secret, status, aej_balance, created_at)
-       VALUES ($1,$2,$3,$4,$5,NOW())`,
-      [id, api_key, api_secret, status, aej_balance]
+    await conn.query("BEGIN");
+    await conn.query(
+      `INSERT INTO c360_clients (id, status, aej_balance, created_at)
+       VALUES ($1,$2,$3,NOW())`,
+      [id, status, aej_balance]
     );
-    res.json({ ok: true, client: { id, api_key, api_secret, status, aej_balance } });
+    // First key: every scope. The secret is only shown in this response.
+    const key = await createApiKey(conn, {
+      clientId: id,
+      label: "primary",
+      apiKey: req.body?.api_key ? String(req.body.api_key) : null,
+      apiSecret: req.body?.api_secret ? String(req.body.api_secret) : null,
+    });
+    await conn.query("COMMIT");
+    res.json({ ok: true, client: { id, api_key: key.api_key, api_secret: key.api_secret, key_id: String(key.id), status, aej_balance } });
   } catch (e) {
+    try { await conn.query("ROLLBACK"); } catch {}
     console.error("[ui/api/clients/create] error:", e?.message || e);
     return err(res, 500, "client_create_error");
+  } finally {
+    conn.release();
   }
 });
 
@@ -554,6 +761,8 @@ app.patch("/v1/admin/ui/api/clients/:id", uiRequireLogin, express.json(), async
     const set = (k, v) => { args.push(v); fields.push(`${k}=$${args.length}`); };
     if (req.body?.status) set("status", String(req.body.status));
     if (req.body?.aej_balance !== undefined) set("aej_balance", Number(req.body.aej_balance));
+    // Deprecated body-only signatures (see request_signing.js). Turn off once the client signs v2.
+    if (req.body?.legacy_signing !== undefined) set("legacy_signing", req.body.legacy_signing === true);
     if (!fields.length) return err(res, 400, "no_fields");
     args.push(id);
     const q = `UPDATE c360_clients SET ${fields.join(", ")} WHERE id=$${args.length}`;
@@ -565,80 +774,100 @@ app.patch("/v1/admin/ui/api/clients/:id", uiRequireLogin, express.json(), async
   }
 });
 
-app.post("/v1/admin/ui/api/clients/:id/reset_secret", uiRequireLogin, async (req, res) => {
+// Rotates the client's primary (oldest active) key, or body.key_id. The previous secret keeps
+// verifying during the grace period so the live plugin does not break.
+app.post("/v1/admin/ui/api/clients/:id/reset_secret", uiRequireLogin, express.json(), async (req, res) => {
   try {
     const id = String(req.params.id);
-    const api_secret = "cs_" + crypto.randomBytes(20).toString("hex");
-    await pg.query(`UPDATE c360_clients SET api_secret=$1 WHERE id=$2`, [api_secret, id]);
-    res.json({ ok: true, api_secret });
+    const keys = (await listApiKeys(pg, id)).filter((k) => k.status === "active");
+    const key = req.body?.key_id ? keys.find((k) => String(k.id) === String(req.body.key_id)) : keys[0];
+    if (!key) return err(res, 404, "key_not_found");
+    const graceMs = req.body?.grace_hours !== undefined ? Number(req.body.grace_hours) * 3600 * 1000 : undefined;
+    const r = await rotateApiKey(pg, key.id, { graceMs });
+    res.json({ ok: true, key_id: String(r.id), api_key: r.api_key, api_secret: r.api_secret, previous_secret_valid_until: r.prev_secret_expires_at });
   } catch (e) {
+    if (e?.code === "key_not_found") return err(res, 404, "key_not_found");
     console.error("[ui/api/clients/reset_secret] error:", e?.message || e);
     return err(res, 500, "client_reset_secret_error");
   }
 });
 
+// API keys (S4). Secrets are only returned on creation and rotation.
+app.get("/v1/admin/ui/api/clients/:id/keys", uiRequireLogin, async (req, res) => {
+  try {
+    res.json({ ok: true, keys: await listApiKeys(pg, String(req.params.id)), scopes: SCOPES });
+  } catch (e) {
+    console.error("[ui/api/keys] error:", e?.message || e);
+    return err(res, 500, "keys_error");
+  }
+});
 
-/* -------------------- S2 helpers: billing summary ------------------ */
-async function fetchBillingSummary(clientId) {
-  const now = new Date();
-  const monthStart = new Date(Date.UTC(now.getUTCFullYear(), now.getUTCMonth(), 1, 0, 0, 0));
-  const monthEnd = new Date(Date.UTC(now.getUTCFullYear(), now.getUTCMonth() + 1, 1, 0, 0, 0));
+app.post("/v1/admin/ui/api/clients/:id/keys", uiRequireLogin, express.json(), async (req, res) => {
+  const v = validateKeyInput(req.body || {});
+  if (!v.ok) return res.status(400).json({ ok: false, error: "schema_invalid", details: v.errors });
+  try {
+    const c = await pg.query(`SELECT id FROM c360_clients WHERE id=$1`, [String(req.params.id)]);
+    if (!c.rows.length) return err(res, 404, "client_not_found");
+    const key = await createApiKey(pg, { clientId: String(req.params.id), scopes: v.scopes, label: v.label ?? null, expiresAt: v.expires_at ?? null });
+    res.status(201).json({ ok: true, key });
+  } catch (e) {
+    console.error("[ui/api/keys/create] error:", e?.message || e);
+    return err(res, 500, "key_create_error");
+  }
+});
 
-  const quotaR = await pg.query(
-    `SELECT plan_code, monthly_quota_aej
-     FROM c360_site_settings
-     WHERE client_id=$1`,
-    [clientId]
-  );
-  const plan = quotaR.rows[0]?.plan_code || "starter";
-  const quota = Number(quotaR.rows[0]?.monthly_quota_aej || 500);
-
-  const usageR = await pg.query(
-    `SELECT
-       COALESCE(SUM(aej_used),0) AS aej_consumed,
-       COALESCE(SUM(aej_used) FILTER (WHERE stage IN ('analyse','decision')),0) AS aej_analysis,
-       COALESCE(SUM(aej_used) FILTER (WHERE stage IN ('generation','application')),0) AS aej_writing,
-       COALESCE(SUM(aej_used) FILTER (WHERE stage='suivi'),0) AS aej_followup
-     FROM c360_aej_logs
-     WHERE client_id=$1 AND created_at >= $2 AND created_at < $3`,
-    [clientId, monthStart, monthEnd]
-  );
-  const consumed = Number(usageR.rows[0]?.aej_consumed || 0);
+app.patch("/v1/admin/ui/api/keys/:keyId", uiRequireLogin, express.json(), async (req, res) => {
+  const v = validateKeyInput(req.body || {}, { partial: true });
+  if (!v.ok) return res.status(400).json({ ok: false, error: "schema_invalid", details: v.errors });
+  try {
+    const fields = [];
+    const args = [];
+    const set = (k, val) => { args.push(val); fields.push(`${k}=$${args.length}`); };
+    if (v.scopes !== undefined) set("scopes", v.scopes);
+    if (v.label !== undefined) set("label", v.label);
+    if (v.expires_at !== undefined) set("expires_at", v.expires_at);
+    if (!fields.length) return err(res, 400, "no_fields");
+    args.push(String(req.params.keyId));
+    const r = await pg.query(
+      `UPDATE c360_api_keys SET ${fields.join(", ")}, updated_at=NOW() WHERE id=$${args.length} RETURNING id`,
+      args
+    );
+    if (!r.rows.length) return err(res, 404, "key_not_found");
+    res.json({ ok: true, key_id: String(r.rows[0].id) });
+  } catch (e) {
+    console.error("[ui/api/keys/update] error:", e?.message || e);
+    return err(res, 500, "key_update_error");
+  }
+});
 
-  const holdsR = await pg.query(
-    `SELECT COALESCE(SUM(aej_estimated),0) AS aej_held
-     FROM c360_aej_holds
-     WHERE client_id=$1 AND status='held'`,
-    [clientId]
-  );
-  const held = Number(holdsR.rows[0]?.aej_held || 0);
+app.post("/v1/admin/ui/api/keys/:keyId/rotate", uiRequireLogin, express.json(), async (req, res) => {
+  try {
+    const graceMs = req.body?.grace_hours !== undefined ? Number(req.body.grace_hours) * 3600 * 1000 : undefined;
+    const key = await rotateApiKey(pg, String(req.params.keyId), { graceMs });
+    res.json({ ok: true, key });
+  } catch (e) {
+    if (e?.code === "key_not_found") return err(res, 404, "key_not_found");
+    console.error("[ui/api/keys/rotate] error:", e?.message || e);
+    return err(res, 500, "key_rotate_error");
+  }
+});
 
-  const balR = await pg.query(
-    `SELECT aej_balance FROM c360_clients WHERE id=$1`,
-    [clientId]
-  );
-  const aej_balance = Number(balR.rows[0]?.aej_balance || 0);
+app.post("/v1/admin/ui/api/keys/:keyId/revoke", uiRequireLogin, async (req, res) => {
+  try {
+    const key = await revokeApiKey(pg, String(req.params.keyId));
+    res.json({ ok: true, key });
+  } catch (e) {
+    if (e?.code === "key_not_found") return err(res, 404, "key_not_found");
+    console.error("[ui/api/keys/revoke] error:", e?.message || e);
+    return err(res, 500, "key_revoke_error");
+  }
+});
 
-  return {
-    month: monthStart.toISOString().slice(0, 7),
-    plan,
-    monthly_quota_aej: quota,
-    aej_consumed: consumed,
-    aej_held: held,
-    aej_remaining: Math.max(0, quota - consumed - held),
-    breakdown: {
-      analysis: Number(usageR.rows[0]?.aej_analysis || 0),
-      writing: Number(usageR.rows[0]?.aej_writing || 0),
-      followup: Number(usageR.rows[0]?.aej_followup || 0),
-    },
-    aej_balance,
-  };
-}
 
 /* -------------------- S1-T3 billing (NEW) ------------------ */
-app.get("/v1/billing/me", authV1, async (req, res) => {
+app.get("/v1/billing/me", authV1, requireScope("billing:read"), rateLimit("default"), async (req, res) => {
   try {
-    const r = await fetchBillingSummary(req.client.id);
+    const r = await fetchBillingSummary(pg, req.client.id);
     res.json({ ok: true, ...r });
   } catch (e) {
     console.error("[billing/me] error:", e?.message || e);
@@ -647,9 +876,9 @@ app.get("/v1/billing/me", authV1, async (req, res) => {
 });
 
 // Backward/Frontend convenience: simple AEJ balance endpoint.
-app.get("/v1/aej/balance", authV1, async (req, res) => {
+app.get("/v1/aej/balance", authV1, requireScope("billing:read"), rateLimit("default"), async (req, res) => {
   try {
-    const r = await fetchBillingSummary(req.client.id);
+    const r = await fetchBillingSummary(pg, req.client.id);
     return res.json({
       ok: true,
       month: r.month,
@@ -666,230 +895,691 @@ app.get("/v1/aej/balance", authV1, async (req, res) => {
 });
 
 /* ------------------------- jobs -------------------------- */
-app.post("/v1/jobs/create", authV1, async (req, res) => {
+app.post("/v1/jobs/create", authV1, requireScope("jobs:write"), rateLimit("jobs_create"), async (req, res) => {
   const requestJson = req.body || {};
-  const v = validateCreatePayload(requestJson);
-  if (!v.ok) return res.status(400).json({ ok: false, error: "schema_invalid", details: v.errors });
+  const v = validateCreatePayload(requestJson, { isProviderAllowed });
+  if (!v.ok) {
+    return res.status(400).json({
+      ok: false,
+      error: "schema_invalid",
+      details: v.errors,
+      errors_version: v.errors_version,
+      field_errors: v.field_errors,
+    });
+  }
 
-  const mode = v.mode;
-  const itemsCount = v.items.length;
-
-  const idemKey = pickIdempotencyKey(req);
-
-  // Calculate conservative AEJ reservation.
-  const per = AEJ_ESTIMATE_PER_ITEM[mode] || 8;
-  const aejEstimated = Math.max(1, Number(per) * itemsCount);
-
-  // client id may be UUID (common) or integer depending on legacy DB.
-  // Treat it as a string to avoid implicit integer casts.
-  const clientId = String(req.client.id);
-  const now = new Date();
-  const monthStart = new Date(Date.UTC(now.getUTCFullYear(), now.getUTCMonth(), 1, 0, 0, 0));
-  const monthEnd = new Date(Date.UTC(now.getUTCFullYear(), now.getUTCMonth() + 1, 1, 0, 0, 0));
-
-  const client = await pg.connect();
-  try {
-    await client.query("BEGIN");
-
-    // Idempotency: return same job_id if already created.
-    if (idemKey) {
-      const idemR = await client.query(
-        `SELECT job_id FROM c360_idempotency WHERE client_id=$1 AND idem_key=$2`,
-        [clientId, idemKey]
-      );
-      if (idemR.rows.length) {
-        const existingJobId = idemR.rows[0].job_id;
-        await client.query("COMMIT");
-        await logJobEvent({ job_id: existingJobId, client_id: clientId, event_type: "idempotent_hit", message: "Idempotency hit: returning existing job" });
-        return res.json({ ok: true, job_id: existingJobId, status: "queued", idempotent: true });
-      }
-    }
+  try {
+    const out = await createJob(pg, jobDeps(), {
+      clientId: req.client.id,
+      requestJson,
+      v,
+      idemKey: pickIdempotencyKey(req),
+    });
+    if (!out.ok) return res.status(402).json(out);
+    if (out.idempotent) return res.json({ ok: true, job_id: out.job_id, status: "queued", idempotent: true });
+    return res.json({ ok: true, job_id: out.job_id, status: "queued", aej_estimated: out.aej_estimated });
+  } catch (e) {
+    console.error("[jobs/create] error:", e?.message || e);
+    return err(res, 500, "job_create_error");
+  }
+});
 
-    // Quota check (month): consumed + active holds + this estimate.
-    const quotaR = await client.query(
-      `SELECT plan_code, monthly_quota_aej
-       FROM c360_site_settings
-       WHERE client_id=$1`,
-      [clientId]
-    );
-    const plan = quotaR.rows[0]?.plan_code || "starter";
-    const quota = Number(quotaR.rows[0]?.monthly_quota_aej || 500);
+// Status body shared by /status and /stream. Returns null when the job is not the client's.
+async function fetchJobStatus(jobId, clientId) {
+  const r = await pg.query(
+    `SELECT id, status, progress, mode, is_parent, updated_at
+     FROM c360_jobs
+     WHERE id=$1 AND client_id=$2`,
+    [jobId, clientId]
+  );
 
-    const usageR = await client.query(
-      `SELECT COALESCE(SUM(aej_used),0) AS aej_consumed
-       FROM c360_aej_logs
-       WHERE client_id=$1 AND created_at >= $2 AND created_at < $3`,
-      [clientId, monthStart, monthEnd]
-    );
-    const consumed = Number(usageR.rows[0]?.aej_consumed || 0);
+  if (!r.rows.length) return null;
+  const { is_parent, ...row } = r.rows[0];
 
-    const holdR = await client.query(
-      `SELECT COALESCE(SUM(aej_estimated),0) AS aej_held
-       FROM c360_aej_holds
-       WHERE client_id=$1 AND status='held'`,
-      [clientId]
+  if (!is_parent) return { body: { ok: true, job_id: jobId, ...row }, is_parent: false, child_ids: [] };
+
+  const children = await fetchChildren(pg, jobId, clientId);
+  return {
+    body: { ok: true, job_id: jobId, ...row, children: countChildren(children) },
+    is_parent: true,
+    child_ids: children.map((c) => String(c.id)),
+  };
+}
+
+app.get("/v1/jobs/:id/status", authV1, requireScope("jobs:read"), rateLimit("jobs_read"), async (req, res) => {
+  const st = await fetchJobStatus(req.params.id, req.client.id);
+  if (!st) return err(res, 404, "job_not_found");
+  res.json(st.body);
+});
+
+// Review state (reviews.js) on every result item: `status` is the review status, `review` holds
+// the approved revision and, unless ?history=0, every revision and transition.
+async function attachReviews(results, holderId, { withHistory }) {
+  const perHolder = new Map();
+  const keys = results.map((it, i) => {
+    if (!it.child_id) return { job_id: String(holderId), result_index: i, exec: it.exec };
+    const n = perHolder.get(String(it.child_id)) || 0;
+    perHolder.set(String(it.child_id), n + 1);
+    return { job_id: String(it.child_id), result_index: n, exec: it.exec };
+  });
+  const reviews = await fetchReviews(pg, keys, { withHistory });
+  return results.map((it, i) => {
+    const { status, ...review } = reviews.get(`${keys[i].job_id}:${keys[i].result_index}`);
+    return { ...it, status, review };
+  });
+}
+
+app.get("/v1/jobs/:id/result", authV1, requireScope("jobs:read"), rateLimit("jobs_read"), async (req, res) => {
+  const jobId = req.params.id;
+  const withHistory = req.query.history !== "0";
+  try {
+    const r = await pg.query(
+      `SELECT id, status, progress, is_parent, result_json
+       FROM c360_jobs
+       WHERE id=$1 AND client_id=$2`,
+      [jobId, req.client.id]
     );
-    const held = Number(holdR.rows[0]?.aej_held || 0);
 
-    if (consumed + held + aejEstimated > quota) {
-      await client.query("ROLLBACK");
+    if (!r.rows.length) return err(res, 404, "job_not_found");
+    const row = r.rows[0];
+
+    if (!row.is_parent) {
+      const result = row.result_json || null;
+      return res.json({
+        ok: true,
+        job_id: jobId,
+        status: row.status,
+        progress: row.progress,
+        result: result?.results ? { ...result, results: await attachReviews(result.results, jobId, { withHistory }) } : result,
+      });
+    }
+
+    // Parent: whatever children have finished so far, in item order.
+    const children = await fetchChildren(pg, jobId, req.client.id);
+    const result = aggregateChildResults(children);
+    result.results = await attachReviews(result.results, jobId, { withHistory });
+    res.json({
+      ok: true,
+      job_id: jobId,
+      status: row.status,
+      progress: row.progress,
+      result,
+    });
+  } catch (e) {
+    console.error("[jobs/result] error:", e?.message || e);
+    return err(res, 500, "job_result_error");
+  }
+});
+
+// Review of one result item (index = item_index of the request). See reviews.js.
+function reviewRoute(action) {
+  return async (req, res) => {
+    try {
+      const out = await applyReviewAction(pg, {
+        jobId: String(req.params.id),
+        clientId: req.client.id,
+        index: req.params.index,
+        action,
+        body: req.body || {},
+        actor: req.apiKey.id,
+      });
+      await logJobEvent({
+        job_id: out.job_id,
+        client_id: req.client.id,
+        event_type: `review_${out.review.status}`,
+        message: `Item ${out.item_index} ${action}`,
+        meta: { item_index: out.item_index, ...out.review },
+      });
+      return res.json({ ok: true, ...out });
+    } catch (e) {
+      if (e?.status) return res.status(e.status).json({ ok: false, error: e.code, ...e.details });
+      console.error(`[jobs/review/${action}] error:`, e?.message || e);
+      return err(res, 500, "review_error");
+    }
+  };
+}
+
+app.post("/v1/jobs/:id/items/:index/approve", authV1, requireScope("jobs:write"), rateLimit("default"), reviewRoute("approve"));
+app.post("/v1/jobs/:id/items/:index/reject", authV1, requireScope("jobs:write"), rateLimit("default"), reviewRoute("reject"));
+app.post("/v1/jobs/:id/items/:index/revisions", authV1, requireScope("jobs:write"), rateLimit("default"), reviewRoute("edit"));
+
+// Regenerate one field of a result item ({ path: "seo.meta_title" | "faq[2]" | ..., guidance? }).
+// Runs on the worker; the new value is stored as a revision. See regenerate.js.
+app.post("/v1/jobs/:id/items/:index/regenerate", authV1, requireScope("jobs:write"), rateLimit("jobs_create"), async (req, res) => {
+  try {
+    const billing = await fetchBillingSummary(pg, req.client.id);
+    if (billing.aej_remaining < REGEN_MIN_AEJ) {
       return res.status(402).json({
         ok: false,
         error: "quota_exceeded",
-        plan,
-        monthly_quota_aej: quota,
-        aej_consumed: consumed,
-        aej_held: held,
-        aej_needed: aejEstimated,
-        aej_remaining: Math.max(0, quota - consumed - held),
+        plan: billing.plan,
+        monthly_quota_aej: billing.monthly_quota_aej,
+        aej_needed: REGEN_MIN_AEJ,
+        aej_remaining: billing.aej_remaining,
       });
     }
 
-    const ins = await client.query(
-      `INSERT INTO c360_jobs
-       (client_id, mode, status, progress, request_json, idempotency_key, aej_estimated, created_at, updated_at)
-       VALUES ($1, $2, 'queued', 0, $3::jsonb, $4, $5, NOW(), NOW())
-       RETURNING id`,
-      [clientId, mode, requestJson, idemKey, aejEstimated]
+    const item = await resolveResultItem(pg, { jobId: String(req.params.id), clientId: req.client.id, index: req.params.index });
+    const regen = await createRegeneration(pg, queue, { item, clientId: req.client.id, body: req.body || {}, actor: req.apiKey.id });
+    await logJobEvent({
+      job_id: regen.job_id,
+      client_id: req.client.id,
+      event_type: "regenerate_queued",
+      message: `Item ${regen.item_index}: ${regen.path} queued for regeneration`,
+      meta: { regeneration_id: String(regen.id), item_index: regen.item_index, path: regen.path },
+    });
+    return res.status(202).json({ ok: true, regeneration_id: String(regen.id), status: regen.status, path: regen.path });
+  } catch (e) {
+    if (e?.status) return res.status(e.status).json({ ok: false, error: e.code, ...e.details });
+    console.error("[jobs/regenerate] error:", e?.message || e);
+    return err(res, 500, "regenerate_error");
+  }
+});
+
+app.get("/v1/jobs/:id/regenerations/:rid", authV1, requireScope("jobs:read"), rateLimit("jobs_read"), async (req, res) => {
+  try {
+    const regen = await fetchRegeneration(pg, { id: req.params.rid, jobId: String(req.params.id), clientId: req.client.id });
+    if (!regen) return err(res, 404, "regeneration_not_found");
+    return res.json({ ok: true, regeneration: { ...regen, id: String(regen.id) } });
+  } catch (e) {
+    console.error("[jobs/regenerations] error:", e?.message || e);
+    return err(res, 500, "regeneration_error");
+  }
+});
+
+/* ------------------------- job stream (S4) -------------------------- */
+// SSE alternative to polling /status. Workers publish on Redis pub/sub (see job_stream.js);
+// each API replica holds one subscriber connection.
+const SSE_KEEPALIVE_MS = Number(process.env.SSE_KEEPALIVE_MS || 15000);
+const SSE_MAX_MS = Number(process.env.SSE_MAX_MS || 30 * 60 * 1000);
+const SSE_RETRY_MS = Number(process.env.SSE_RETRY_MS || 3000);
+// Trailing events (e.g. "done" right after the final status) still get through before "end".
+const SSE_END_GRACE_MS = Number(process.env.SSE_END_GRACE_MS || 2000);
+const SSE_REPLAY_LIMIT = 1000;
+
+let _streamHub = null;
+function streamHub() {
+  if (!_streamHub) _streamHub = createJobStreamHub(redisConnection());
+  return _streamHub;
+}
+
+function isFinalStatus(status) {
+  return FINAL_STATUSES.has(status) || status === "partial";
+}
+
+async function fetchEventsSince({ clientId, jobIds, afterId }) {
+  const r = await pg.query(
+    `SELECT id, job_id, event_type, message, meta, created_at
+     FROM c360_job_events
+     WHERE client_id=$1 AND job_id = ANY($2::text[]) AND id > $3
+     ORDER BY id ASC
+     LIMIT $4`,
+    [String(clientId), jobIds, afterId, SSE_REPLAY_LIMIT]
+  );
+  return r.rows.map((e) => ({ ...e, id: String(e.id) }));
+}
+
+// Events:
+// - status:    same body as GET /v1/jobs/:id/status, sent when it changes
+// - job_event: one c360_job_events row (parent and children), SSE id = event id
+// - end:       the job reached a final status; the server closes the stream
+// Reconnecting with Last-Event-ID replays the job events missed since that id.
+app.get("/v1/jobs/:id/stream", authV1, requireScope("jobs:read"), rateLimit("jobs_read"), async (req, res) => {
+  const jobId = String(req.params.id);
+  const clientId = req.client.id;
+
+  let first;
+  try {
+    first = await fetchJobStatus(jobId, clientId);
+  } catch (e) {
+    console.error("[jobs/stream] error:", e?.message || e);
+    return err(res, 500, "stream_error");
+  }
+  if (!first) return err(res, 404, "job_not_found");
+
+  const jobIds = [jobId, ...first.child_ids];
+  let lastId = parseLastEventId(req.headers["last-event-id"] ?? req.query.last_event_id);
+  let lastStatus = null;
+  let closed = false;
+  let ending = false;
+  let replaying = true;
+  let chain = Promise.resolve();
+  const pending = [];
+  const timers = [];
+  let unsubscribe = null;
+
+  res.status(200).set({
+    "Content-Type": "text/event-stream; charset=utf-8",
+    "Cache-Control": "no-cache, no-transform",
+    Connection: "keep-alive",
+    "X-Accel-Buffering": "no",
+  });
+  res.flushHeaders();
+  res.write(`retry: ${SSE_RETRY_MS}\n\n`);
+
+  const close = async () => {
+    if (closed) return;
+    closed = true;
+    for (const t of timers) clearTimeout(t);
+    if (unsubscribe) await unsubscribe();
+    res.end();
+  };
+  req.on("close", close);
+
+  const sendEvent = (ev) => {
+    if (closed || Number(ev.id) <= lastId) return;
+    lastId = Number(ev.id);
+    const { type: _type, ...data } = ev;
+    res.write(sseFrame({ id: ev.id, event: "job_event", data }));
+  };
+
+  const sendStatus = async () => {
+    if (closed) return;
+    const st = await fetchJobStatus(jobId, clientId);
+    if (!st || closed) return;
+    const key = JSON.stringify(st.body);
+    if (key !== lastStatus) {
+      lastStatus = key;
+      res.write(sseFrame({ event: "status", data: st.body }));
+    }
+    if (!ending && isFinalStatus(st.body.status)) {
+      ending = true;
+      timers.push(setTimeout(() => {
+        if (closed) return;
+        res.write(sseFrame({ event: "end", data: { job_id: jobId, status: st.body.status } }));
+        close();
+      }, SSE_END_GRACE_MS));
+    }
+  };
+
+  // Status refreshes are serialized so frames go out in order.
+  const onMessage = (msg) => {
+    if (closed) return;
+    if (replaying) {
+      pending.push(msg);
+      return;
+    }
+    if (msg.type === "event") sendEvent(msg);
+    chain = chain.then(() => sendStatus()).catch((e) => console.error("[jobs/stream] status error:", e?.message || e));
+  };
+
+  try {
+    // Subscribe before reading the DB so nothing falls between the replay and the live feed.
+    unsubscribe = await streamHub().subscribe(jobIds, onMessage);
+    if (closed) return unsubscribe();
+
+    if (lastId > 0) {
+      for (const ev of await fetchEventsSince({ clientId, jobIds, afterId: lastId })) sendEvent(ev);
+    }
+    replaying = false;
+    for (const msg of pending.splice(0)) if (msg.type === "event") sendEvent(msg);
+    chain = chain.then(() => sendStatus());
+    await chain;
+
+    timers.push(setInterval(() => !closed && res.write(": ping\n\n"), SSE_KEEPALIVE_MS));
+    // Bounded connections: the client reconnects with Last-Event-ID.
+    timers.push(setTimeout(close, SSE_MAX_MS));
+  } catch (e) {
+    console.error("[jobs/stream] error:", e?.message || e);
+    res.write(sseFrame({ event: "error", data: { ok: false, error: "stream_error" } }));
+    close();
+  }
+});
+
+/* ------------------------- webhooks (S4) -------------------------- */
+// Client-managed endpoints. Deliveries are signed with the secret of the API key that registered
+// the endpoint (see webhooks.js).
+app.get("/v1/webhooks", authV1, requireScope("jobs:read"), rateLimit("default"), async (req, res) => {
+  try {
+    const r = await pg.query(
+      `SELECT id, url, events, description, key_id, is_active, created_at, updated_at
+       FROM c360_webhooks WHERE client_id=$1 ORDER BY id`,
+      [String(req.client.id)]
     );
-    const jobId = ins.rows[0].id;
+    return res.json({ ok: true, webhooks: r.rows });
+  } catch (e) {
+    console.error("[webhooks/list] error:", e?.message || e);
+    return err(res, 500, "webhooks_error");
+  }
+});
 
-    await client.query(
-      `INSERT INTO c360_aej_holds (job_id, client_id, aej_estimated, status, created_at)
-       VALUES ($1,$2,$3,'held',NOW())`,
-      [String(jobId), clientId, aejEstimated]
+app.post("/v1/webhooks", authV1, requireScope("jobs:write"), rateLimit("default"), async (req, res) => {
+  const v = validateWebhookInput(req.body);
+  if (!v.ok) return res.status(400).json({ ok: false, error: "schema_invalid", details: v.errors });
+  const target = await checkWebhookUrl(v.url);
+  if (!target.ok) return res.status(400).json({ ok: false, error: "schema_invalid", details: [target.error] });
+  try {
+    const n = await pg.query(`SELECT COUNT(*)::int AS n FROM c360_webhooks WHERE client_id=$1`, [String(req.client.id)]);
+    if (n.rows[0].n >= MAX_WEBHOOKS_PER_CLIENT) return err(res, 409, "webhooks_limit_reached");
+    const r = await pg.query(
+      `INSERT INTO c360_webhooks (client_id, url, events, description, key_id, is_active, created_at, updated_at)
+       VALUES ($1,$2,$3,$4,$5,TRUE,NOW(),NOW())
+       RETURNING id, url, events, description, key_id, is_active, created_at, updated_at`,
+      [String(req.client.id), v.url, v.events, v.description, req.apiKey.id]
     );
+    return res.status(201).json({ ok: true, webhook: r.rows[0] });
+  } catch (e) {
+    console.error("[webhooks/create] error:", e?.message || e);
+    return err(res, 500, "webhooks_error");
+  }
+});
 
-    if (idemKey) {
-      await client.query(
-        `INSERT INTO c360_idempotency (client_id, idem_key, job_id, created_at)
-         VALUES ($1,$2,$3,NOW())`,
-        [clientId, idemKey, String(jobId)]
-      );
-    }
+app.delete("/v1/webhooks/:id", authV1, requireScope("jobs:write"), rateLimit("default"), async (req, res) => {
+  try {
+    const r = await pg.query(
+      `DELETE FROM c360_webhooks WHERE id=$1 AND client_id=$2 RETURNING id`,
+      [Number(req.params.id) || 0, String(req.client.id)]
+    );
+    if (!r.rows.length) return err(res, 404, "webhook_not_found");
+    return res.json({ ok: true, webhook_id: String(r.rows[0].id), deleted: true });
+  } catch (e) {
+    console.error("[webhooks/delete] error:", e?.message || e);
+    return err(res, 500, "webhooks_error");
+  }
+});
 
-    await client.query("COMMIT");
-
-    // Enqueue AFTER commit.
-    await queue.add(
-      "run",
-      { job_id: jobId },
-      {
-        jobId,
-        attempts: 3,
-        backoff: { type: "exponential", delay: 2000 },
-        removeOnComplete: 1000,
-        removeOnFail: 2000,
-      }
+app.get("/v1/webhooks/:id/deliveries", authV1, requireScope("jobs:read"), rateLimit("default"), async (req, res) => {
+  try {
+    const limit = Math.min(200, Math.max(1, Number(req.query.limit || 50)));
+    const r = await pg.query(
+      `SELECT d.id, d.event_id, d.event_type, d.job_id, d.status, d.attempts, d.replay_count,
+              d.last_status_code, d.last_error, d.last_latency_ms, d.last_attempt_at, d.delivered_at, d.created_at
+       FROM c360_webhook_deliveries d
+       JOIN c360_webhooks w ON w.id=d.webhook_id
+       WHERE d.webhook_id=$1 AND w.client_id=$2
+       ORDER BY d.created_at DESC
+       LIMIT $3`,
+      [Number(req.params.id) || 0, String(req.client.id), limit]
     );
+    return res.json({ ok: true, deliveries: r.rows, limit });
+  } catch (e) {
+    console.error("[webhooks/deliveries] error:", e?.message || e);
+    return err(res, 500, "webhooks_error");
+  }
+});
 
-    await logJobEvent({ job_id: jobId, client_id: clientId, event_type: "created", message: "Job created & enqueued", meta: { mode, items_count: itemsCount, aej_estimated: aejEstimated } });
+/* ------------------------- imports (S4) -------------------------- */
+// Bulk CSV / NDJSON upload split into jobs. The raw body is signed like any other (authV1).
+// Options come in the (signed) query string. See imports.js.
+const IMPORT_MAX_BYTES = process.env.IMPORT_MAX_BYTES || "10mb";
+const parseImportBody = express.text({
+  type: ["text/csv", "application/x-ndjson", "application/ndjson", "text/plain"],
+  limit: IMPORT_MAX_BYTES,
+  verify: (req, _res, buf) => {
+    req.rawBody = buf;
+  },
+});
+
+function importBody(req, res, next) {
+  parseImportBody(req, res, (e) => {
+    if (e) return err(res, e.status || 400, e.type === "entity.too.large" ? "import_too_large" : "invalid_body");
+    return next();
+  });
+}
+
+function importFormat(req) {
+  if (req.query.format) return String(req.query.format);
+  return /csv/.test(String(req.headers["content-type"] || "")) ? "csv" : "ndjson";
+}
+
+app.post("/v1/imports", importBody, authV1, requireScope("jobs:write"), rateLimit("jobs_create"), async (req, res) => {
+  if (typeof req.body !== "string") return err(res, 400, "import_body_required");
+  const format = importFormat(req);
+  const mode = String(req.query.mode || "").trim();
+  const llm_provider = req.query.llm_provider ? String(req.query.llm_provider).trim() : null;
+  if (llm_provider && !isProviderAllowed(llm_provider)) {
+    return res.status(400).json({ ok: false, error: "schema_invalid", details: [`invalid llm_provider: ${llm_provider}`] });
+  }
+  const defaults = { entity_type: req.query.entity_type ? String(req.query.entity_type) : null, lang: req.query.lang ? String(req.query.lang) : null };
+  const delimiter = req.query.delimiter === "tab" ? "\t" : req.query.delimiter ? String(req.query.delimiter).slice(0, 1) : null;
 
-    return res.json({ ok: true, job_id: jobId, status: "queued", aej_estimated: aejEstimated });
+  try {
+    const prepared = prepareImport(req.body, { format, mode, mapping: req.query.mapping, defaults, delimiter });
+    const report = {
+      rows_total: prepared.rows_total,
+      rows_valid: prepared.valid.length,
+      rows_invalid: prepared.row_errors.length,
+      ignored_columns: prepared.ignored_columns,
+      row_errors: prepared.row_errors.slice(0, 100),
+    };
+    if (!prepared.valid.length || (req.query.strict === "1" && prepared.row_errors.length)) {
+      return res.status(400).json({ ok: false, error: "import_invalid", ...report });
+    }
+
+    const plan = planImport(prepared, mode);
+    const aejNeeded = plan.aej_estimated;
+    if (req.query.dry_run === "1") return res.json({ ok: true, dry_run: true, ...report, jobs_planned: plan.jobs_planned, aej_estimated: aejNeeded });
+
+    // Whole import against the quota first: no half-imported file when it clearly does not fit.
+    const billing = await fetchBillingSummary(pg, req.client.id);
+    if (billing.aej_remaining < aejNeeded) {
+      return res.status(402).json({
+        ok: false,
+        error: "quota_exceeded",
+        plan: billing.plan,
+        monthly_quota_aej: billing.monthly_quota_aej,
+        aej_needed: aejNeeded,
+        aej_remaining: billing.aej_remaining,
+        ...report,
+      });
+    }
+
+    const imp = await createImport(pg, jobDeps(), {
+      clientId: req.client.id,
+      prepared,
+      format,
+      mode,
+      llm_provider,
+      options: { mapping: prepared.mapping, defaults, llm_provider },
+      actor: req.apiKey.id,
+    });
+    const full = await getImport(pg, { id: imp.id, clientId: req.client.id });
+    return res.status(201).json({ ok: true, import: publicImport(full, await importProgress(pg, full)) });
   } catch (e) {
-    try { await client.query("ROLLBACK"); } catch {}
-    console.error("[jobs/create] error:", e?.message || e);
-    return err(res, 500, "job_create_error");
-  } finally {
-    client.release();
+    if (e?.status) return res.status(e.status).json({ ok: false, error: e.code, ...e.details });
+    console.error("[imports/create] error:", e?.message || e);
+    return err(res, 500, "import_error");
   }
 });
 
-app.get("/v1/jobs/:id/status", authV1, async (req, res) => {
-  const jobId = req.params.id;
-  const r = await pg.query(
-    `SELECT id, status, progress, mode, updated_at
-     FROM c360_jobs
-     WHERE id=$1 AND client_id=$2`,
-    [jobId, req.client.id]
-  );
+app.get("/v1/imports/:id", authV1, requireScope("jobs:read"), rateLimit("jobs_read"), async (req, res) => {
+  try {
+    const imp = await getImport(pg, { id: req.params.id, clientId: req.client.id });
+    if (!imp) return err(res, 404, "import_not_found");
+    const errorsLimit = Math.min(1000, Math.max(0, Number(req.query.errors ?? 100) || 0));
+    return res.json({ ok: true, import: publicImport(imp, await importProgress(pg, imp), { errorsLimit }) });
+  } catch (e) {
+    console.error("[imports/get] error:", e?.message || e);
+    return err(res, 500, "import_error");
+  }
+});
 
-  if (!r.rows.length) return err(res, 404, "job_not_found");
+// Combined results of every job of the import, one NDJSON line per row of the file.
+app.get("/v1/imports/:id/results", authV1, requireScope("jobs:read"), rateLimit("jobs_read"), async (req, res) => {
+  let imp;
+  try {
+    imp = await getImport(pg, { id: req.params.id, clientId: req.client.id });
+    if (!imp) return err(res, 404, "import_not_found");
+  } catch (e) {
+    console.error("[imports/results] error:", e?.message || e);
+    return err(res, 500, "import_error");
+  }
+  res.setHeader("Content-Type", "application/x-ndjson; charset=utf-8");
+  res.setHeader("Content-Disposition", `attachment; filename="import_${imp.id}_results.ndjson"`);
+  try {
+    await writeImportResults(pg, imp, (line) => {
+      if (!res.write(line)) return new Promise((resolve) => res.once("drain", resolve));
+    });
+  } catch (e) {
+    // Headers are sent: the truncated body is the only signal left.
+    console.error("[imports/results] error:", e?.message || e);
+  }
+  res.end();
+});
 
-  res.json({ ok: true, job_id: jobId, ...r.rows[0] });
+/* ------------------------- schedules (S4) -------------------------- */
+// Recurring jobs: cron + mode + items (or the items of an earlier job). See schedules.js.
+function scheduleError(res, e, tag) {
+  if (e?.status) return err(res, e.status, e.code);
+  console.error(`[schedules/${tag}] error:`, e?.message || e);
+  return err(res, 500, "schedules_error");
+}
+
+function previewCount(req) {
+  return Math.min(MAX_PREVIEW, Math.max(0, Number(req.query.next ?? 5) || 0));
+}
+
+app.get("/v1/schedules", authV1, requireScope("jobs:read"), rateLimit("default"), async (req, res) => {
+  try {
+    const rows = await listSchedules(pg, req.client.id);
+    return res.json({ ok: true, schedules: rows.map((row) => publicSchedule(row, { preview: 1 })) });
+  } catch (e) {
+    return scheduleError(res, e, "list");
+  }
 });
 
-app.get("/v1/jobs/:id/result", authV1, async (req, res) => {
-  const jobId = req.params.id;
-  const r = await pg.query(
-    `SELECT id, status, progress, result_json
-     FROM c360_jobs
-     WHERE id=$1 AND client_id=$2`,
-    [jobId, req.client.id]
-  );
+app.post("/v1/schedules", authV1, requireScope("jobs:write"), rateLimit("default"), async (req, res) => {
+  const v = validateScheduleInput(req.body);
+  if (!v.ok) return res.status(400).json({ ok: false, error: "schema_invalid", details: v.errors });
+  try {
+    const row = await createSchedule(pg, queue, { clientId: req.client.id, value: v.value, actor: req.apiKey.id });
+    return res.status(201).json({ ok: true, schedule: publicSchedule(row) });
+  } catch (e) {
+    return scheduleError(res, e, "create");
+  }
+});
 
-  if (!r.rows.length) return err(res, 404, "job_not_found");
-  const row = r.rows[0];
+// Next runs of a cron expression, without saving anything.
+app.post("/v1/schedules/preview", authV1, requireScope("jobs:read"), rateLimit("default"), async (req, res) => {
+  const cron = String(req.body?.cron || "").trim().replace(/\s+/g, " ");
+  const timezone = String(req.body?.timezone || "UTC").trim();
+  const error = isValidTimezone(timezone) ? cronError(cron, timezone) : `invalid timezone: ${timezone}`;
+  if (error) return res.status(400).json({ ok: false, error: "schema_invalid", details: [error] });
+  const count = Math.min(MAX_PREVIEW, Math.max(1, Number(req.body?.count || 5)));
+  return res.json({ ok: true, cron, timezone, next_runs: nextRuns(cron, timezone, count).map((d) => d.toISOString()) });
+});
 
-  res.json({
-    ok: true,
-    job_id: jobId,
-    status: row.status,
-    progress: row.progress,
-    result: row.result_json || null,
-  });
+app.get("/v1/schedules/:id", authV1, requireScope("jobs:read"), rateLimit("default"), async (req, res) => {
+  try {
+    const row = await getSchedule(pg, { id: req.params.id, clientId: req.client.id });
+    if (!row) return err(res, 404, "schedule_not_found");
+    return res.json({ ok: true, schedule: publicSchedule(row, { preview: previewCount(req) }) });
+  } catch (e) {
+    return scheduleError(res, e, "get");
+  }
 });
 
-/* ------------------------- S3 admin APIs -------------------------- */
+app.patch("/v1/schedules/:id", authV1, requireScope("jobs:write"), rateLimit("default"), async (req, res) => {
+  try {
+    const current = await getSchedule(pg, { id: req.params.id, clientId: req.client.id });
+    if (!current) return err(res, 404, "schedule_not_found");
+    const v = validateScheduleInput(req.body, { partial: true, current });
+    if (!v.ok) return res.status(400).json({ ok: false, error: "schema_invalid", details: v.errors });
+    const row = await updateSchedule(pg, queue, { current, value: v.value });
+    return res.json({ ok: true, schedule: publicSchedule(row) });
+  } catch (e) {
+    return scheduleError(res, e, "update");
+  }
+});
 
-// Health for dependencies: DB + Redis + Worker (best effort) + OpenAI.
-app.get("/v1/admin/health/deps", authV1, requireAdmin, async (_req, res) => {
-  const out = {
-    ok: true,
-    deps: {
-      db: "unknown",
-      redis: "unknown",
-      worker: "unknown",
-      openai: "unknown",
-    },
-    time_utc: new Date().toISOString(),
-  };
+app.delete("/v1/schedules/:id", authV1, requireScope("jobs:write"), rateLimit("default"), async (req, res) => {
+  try {
+    const current = await getSchedule(pg, { id: req.params.id, clientId: req.client.id });
+    if (!current || !(await deleteSchedule(pg, queue, { id: current.id, clientId: req.client.id }))) {
+      return err(res, 404, "schedule_not_found");
+    }
+    return res.json({ ok: true, schedule_id: String(current.id), deleted: true });
+  } catch (e) {
+    return scheduleError(res, e, "delete");
+  }
+});
 
-  // DB
+app.get("/v1/schedules/:id/runs", authV1, requireScope("jobs:read"), rateLimit("default"), async (req, res) => {
   try {
-    await pg.query("SELECT 1");
-    out.deps.db = "ok";
+    const current = await getSchedule(pg, { id: req.params.id, clientId: req.client.id });
+    if (!current) return err(res, 404, "schedule_not_found");
+    const limit = Math.min(200, Math.max(1, Number(req.query.limit || 50)));
+    return res.json({ ok: true, runs: await listRuns(pg, { scheduleId: current.id, limit }), limit });
   } catch (e) {
-    out.ok = false;
-    out.deps.db = "error";
-    out.db_error = String(e?.message || e);
+    return scheduleError(res, e, "runs");
   }
+});
 
-  // Redis
-  let rconn = null;
+/* ------------------------- brand profile (S4) ------------------------- */
+// Tone, persona, banned / required terms, glossary and approved claims of the client's shop.
+// Injected into every prompt; results carry a brand_check. See brand_profiles.js.
+app.get("/v1/brand-profile", authV1, requireScope("jobs:read"), rateLimit("default"), async (req, res) => {
   try {
-    rconn = redisConnection();
-    const pong = await rconn.ping();
-    out.deps.redis = pong ? "ok" : "degraded";
-    // Worker: best effort - check if queue operations work.
-    const counts = await queue.getJobCounts("waiting", "active", "delayed", "failed", "completed");
-    out.deps.worker = typeof counts === "object" ? "ok" : "unknown";
+    const row = await getBrandProfile(pg, req.client.id);
+    if (!row) return err(res, 404, "brand_profile_not_found");
+    return res.json({ ok: true, profile: publicProfile(row) });
   } catch (e) {
-    out.ok = false;
-    out.deps.redis = "error";
-    out.redis_error = String(e?.message || e);
-    out.deps.worker = "unknown";
-  } finally {
-    try { await rconn?.quit(); } catch {}
+    console.error("[brand_profile/get] error:", e?.message || e);
+    return err(res, 500, "brand_profile_error");
+  }
+});
+
+app.put("/v1/brand-profile", authV1, requireScope("jobs:write"), rateLimit("default"), async (req, res) => {
+  const v = validateBrandProfile(req.body);
+  if (!v.ok) return res.status(400).json({ ok: false, error: "schema_invalid", details: v.errors });
+  try {
+    const row = await putBrandProfile(pg, { clientId: req.client.id, value: v.value, actor: req.apiKey.id });
+    return res.json({ ok: true, profile: publicProfile(row) });
+  } catch (e) {
+    console.error("[brand_profile/put] error:", e?.message || e);
+    return err(res, 500, "brand_profile_error");
+  }
+});
+
+app.delete("/v1/brand-profile", authV1, requireScope("jobs:write"), rateLimit("default"), async (req, res) => {
+  try {
+    if (!(await deleteBrandProfile(pg, req.client.id))) return err(res, 404, "brand_profile_not_found");
+    return res.json({ ok: true, deleted: true });
+  } catch (e) {
+    console.error("[brand_profile/delete] error:", e?.message || e);
+    return err(res, 500, "brand_profile_error");
   }
+});
 
-  // OpenAI
+// Dry run of the checker: { output, profile? } (default: the saved profile).
+app.post("/v1/brand-profile/check", authV1, requireScope("jobs:read"), rateLimit("default"), async (req, res) => {
+  const output = req.body?.output;
+  if (!output || typeof output !== "object") return res.status(400).json({ ok: false, error: "schema_invalid", details: ["output must be an object"] });
   try {
-    const forced = await isForceDegraded();
-    const o = await checkOpenAI();
-    if (forced) {
-      out.deps.openai = "degraded";
-      out.openai = { status: "degraded", error: "force_degraded" };
+    let profile = null;
+    let version = null;
+    if (req.body.profile !== undefined) {
+      const v = validateBrandProfile(req.body.profile);
+      if (!v.ok) return res.status(400).json({ ok: false, error: "schema_invalid", details: v.errors });
+      profile = v.value;
     } else {
-      out.deps.openai = o.status === "ok" ? "ok" : "degraded";
-      if (o.status !== "ok") out.openai = o;
+      const row = await getBrandProfile(pg, req.client.id);
+      if (!row) return err(res, 404, "brand_profile_not_found");
+      ({ profile, version } = row);
     }
+    return res.json({ ok: true, brand_check: checkBrand(output, profile, { version }) });
   } catch (e) {
-    out.deps.openai = "degraded";
-    out.openai = { status: "degraded", error: String(e?.message || e) };
+    console.error("[brand_profile/check] error:", e?.message || e);
+    return err(res, 500, "brand_profile_error");
   }
+});
+
+/* ------------------------- SEO quality (S4) ------------------------- */
+// Scores an output like the worker does for every result (e.g. an edited revision).
+app.post("/v1/quality/check", authV1, requireScope("jobs:read"), rateLimit("default"), (req, res) => {
+  const output = req.body?.output;
+  if (!output || typeof output !== "object") return res.status(400).json({ ok: false, error: "schema_invalid", details: ["output must be an object"] });
+  const mode = String(req.body.mode || output.mode || "");
+  if (!ALLOWED_MODES.has(mode)) return res.status(400).json({ ok: false, error: "schema_invalid", details: [`invalid mode: ${mode || "(empty)"}`] });
+  const lang = req.body.lang ? String(req.body.lang).slice(0, 35) : "en";
+  return res.json({ ok: true, quality: scoreQuality(output, { mode, lang }) });
+});
+
+/* ------------------------- S3 admin APIs -------------------------- */
 
-  return res.json(out);
+// Health for dependencies: DB + Redis + Worker (heartbeats) + OpenAI.
+app.get("/v1/admin/health/deps", authV1, requireAdmin, async (_req, res) => {
+  return res.json(await collectDepsHealth());
 });
 
 // Jobs list
@@ -945,7 +1635,7 @@ app.get("/v1/admin/jobs/:id", authV1, requireAdmin, async (req, res) => {
     );
 
     const aej = await pg.query(
-      `SELECT stage, aej_used, tokens_used, model_used, created_at
+      `SELECT stage, aej_used, tokens_used, model_used, prompt_tokens, completion_tokens, latency_ms, provider, created_at
        FROM c360_aej_logs WHERE job_id=$1 AND client_id=$2
        ORDER BY created_at ASC`,
       [String(jobId), String(job.client_id)]
@@ -1025,7 +1715,7 @@ app.get("/v1/admin/aej/logs", authV1, requireAdmin, async (req, res) => {
     if (job_id) { where.push(`job_id=$${i++}`); args.push(job_id); }
     const wsql = where.length ? `WHERE ${where.join(" AND ")}` : "";
     const q = await pg.query(
-      `SELECT client_id, job_id, stage, aej_used, tokens_used, model_used, created_at
+      `SELECT client_id, job_id, stage, aej_used, tokens_used, model_used, prompt_tokens, completion_tokens, latency_ms, provider, created_at
        FROM c360_aej_logs
        ${wsql}
        ORDER BY created_at DESC
@@ -1039,11 +1729,47 @@ app.get("/v1/admin/aej/logs", authV1, requireAdmin, async (req, res) => {
   }
 });
 
+// AEJ actuals per item, by mode and model (S4): data to tune AEJ_ESTIMATE_PER_ITEM.
+app.get("/v1/admin/aej/usage_stats", authV1, requireAdmin, async (req, res) => {
+  try {
+    const days = Math.min(365, Math.max(1, Number(req.query.days || 30)));
+    const q = await pg.query(
+      `WITH per_item AS (
+         SELECT j.mode, l.job_id, split_part(l.stage, ':', 2) AS item,
+                SUM(l.aej_used) AS aej,
+                SUM(l.tokens_used) AS tokens,
+                SUM(l.latency_ms) AS latency_ms,
+                MAX(l.model_used) AS model
+         FROM c360_aej_logs l
+         JOIN c360_jobs j ON j.id::text = l.job_id
+         WHERE l.created_at >= NOW() - ($1 || ' days')::interval
+           AND split_part(l.stage, ':', 2) <> ''
+         GROUP BY j.mode, l.job_id, split_part(l.stage, ':', 2)
+       )
+       SELECT mode, COALESCE(model, 'deterministic') AS model, COUNT(*) AS items,
+              ROUND(AVG(aej), 2) AS avg_aej_per_item,
+              PERCENTILE_CONT(0.95) WITHIN GROUP (ORDER BY aej) AS p95_aej_per_item,
+              ROUND(AVG(tokens)) AS avg_tokens_per_item,
+              ROUND(AVG(latency_ms)) AS avg_latency_ms
+       FROM per_item
+       GROUP BY mode, COALESCE(model, 'deterministic')
+       ORDER BY mode, model`,
+      [String(days)]
+    );
+    return res.json({ ok: true, days, estimates: AEJ_ESTIMATE_PER_ITEM, stats: q.rows });
+  } catch (e) {
+    console.error("[admin/aej_usage_stats] error:", e?.message || e);
+    return err(res, 500, "admin_aej_usage_stats_error");
+  }
+});
+
 // OpenAI degraded mode flag (S3+++)
 app.get("/v1/admin/openai/degraded", authV1, requireAdmin, async (_req, res) => {
   try {
     const v = await getAdminFlag("force_degraded");
-    return res.json({ ok: true, force_degraded: v === "1" });
+    // auto_degraded mirrors the worker circuit breaker (S4); it recovers on its own.
+    const auto = await getAdminFlag("auto_degraded");
+    return res.json({ ok: true, force_degraded: v === "1", auto_degraded: auto === "1" });
   } catch (e) {
     console.error("[admin/openai_degraded_get] error:", e?.message || e);
     return err(res, 500, "admin_openai_degraded_error");
@@ -1108,8 +1834,9 @@ app.get("/v1/admin/jobs.csv", authV1, requireAdmin, async (req, res) => {
 app.post("/v1/admin/jobs/:id/cancel", authV1, requireAdmin, async (req, res) => {
   const jobId = String(req.params.id);
   try {
-    const r = await pg.query(`SELECT id, status, client_id FROM c360_jobs WHERE id=$1`, [jobId]);
+    const r = await pg.query(`SELECT id, status, client_id, is_parent, parent_id FROM c360_jobs WHERE id=$1`, [jobId]);
     if (!r.rows.length) return err(res, 404, "job_not_found");
+    if (r.rows[0].is_parent) return res.json({ ok: true, ...(await cancelParentJob(r.rows[0])) });
 
     const st = r.rows[0].status;
     if (st === "done" || st === "error") {
@@ -1134,6 +1861,8 @@ app.post("/v1/admin/jobs/:id/cancel", authV1, requireAdmin, async (req, res) =>
     );
 
     await logJobEvent({ job_id: jobId, client_id: r.rows[0].client_id, event_type: "canceled", message: "Canceled by admin" });
+    if (r.rows[0].parent_id) await rollupAndNotify(r.rows[0].parent_id);
+    else await notifyJobFinalSafe(jobId);
     return res.json({ ok: true, job_id: jobId, status: "canceled" });
   } catch (e) {
     console.error("[admin/job/cancel] error:", e?.message || e);
@@ -1145,8 +1874,9 @@ app.post("/v1/admin/jobs/:id/cancel", authV1, requireAdmin, async (req, res) =>
 app.post("/v1/admin/jobs/:id/retry", authV1, requireAdmin, async (req, res) => {
   const jobId = String(req.params.id);
   try {
-    const r = await pg.query(`SELECT id, client_id FROM c360_jobs WHERE id=$1`, [jobId]);
+    const r = await pg.query(`SELECT id, client_id, is_parent FROM c360_jobs WHERE id=$1`, [jobId]);
     if (!r.rows.length) return err(res, 404, "job_not_found");
+    if (r.rows[0].is_parent) return res.json({ ok: true, ...(await retryParentJob(r.rows[0])) });
 
     await pg.query(
       `UPDATE c360_jobs
@@ -1164,7 +1894,7 @@ app.post("/v1/admin/jobs/:id/retry", authV1, requireAdmin, async (req, res) => {
       [jobId]
     );
 
-    await queue.add("run", { job_id: jobId }, { jobId, attempts: 3, backoff: { type: "exponential", delay: 2000 } });
+    await enqueueRetry(jobId);
 
     await logJobEvent({ job_id: jobId, client_id: r.rows[0].client_id, event_type: "retry", message: "Retried by admin" });
     return res.json({ ok: true, job_id: jobId, status: "queued", retried: true });
@@ -1174,6 +1904,51 @@ app.post("/v1/admin/jobs/:id/retry", authV1, requireAdmin, async (req, res) => {
   }
 });
 
+// Webhook delivery log (all clients).
+app.get("/v1/admin/webhooks/deliveries", authV1, requireAdmin, async (req, res) => {
+  try {
+    const status = req.query.status ? String(req.query.status) : null;
+    const client_id = req.query.client_id ? String(req.query.client_id) : null;
+    const limit = Math.min(200, Math.max(1, Number(req.query.limit || 50)));
+    const offset = Math.max(0, Number(req.query.offset || 0));
+
+    const where = [];
+    const args = [];
+    let i = 1;
+    if (status) { where.push(`d.status=$${i++}`); args.push(status); }
+    if (client_id) { where.push(`d.client_id=$${i++}`); args.push(client_id); }
+    const wsql = where.length ? `WHERE ${where.join(" AND ")}` : "";
+
+    const q = await pg.query(
+      `SELECT d.id, d.webhook_id, w.url, d.client_id, d.event_id, d.event_type, d.job_id, d.status,
+              d.attempts, d.replay_count, d.last_status_code, d.last_error, d.last_latency_ms,
+              d.last_attempt_at, d.delivered_at, d.created_at
+       FROM c360_webhook_deliveries d
+       JOIN c360_webhooks w ON w.id=d.webhook_id
+       ${wsql}
+       ORDER BY d.created_at DESC
+       LIMIT $${i++} OFFSET $${i++}`,
+      [...args, limit, offset]
+    );
+    return res.json({ ok: true, deliveries: q.rows, limit, offset });
+  } catch (e) {
+    console.error("[admin/webhooks/deliveries] error:", e?.message || e);
+    return err(res, 500, "admin_webhooks_error");
+  }
+});
+
+// Re-send a delivery (same event id and body) with a fresh retry budget.
+app.post("/v1/admin/webhooks/deliveries/:id/replay", authV1, requireAdmin, async (req, res) => {
+  try {
+    const r = await replayDelivery({ db: pg, queue: webhookQueue, deliveryId: String(req.params.id) });
+    return res.json({ ok: true, ...r });
+  } catch (e) {
+    if (e?.code === "delivery_not_found") return err(res, 404, "delivery_not_found");
+    console.error("[admin/webhooks/replay] error:", e?.message || e);
+    return err(res, 500, "admin_webhook_replay_error");
+  }
+});
+
 // Replay by idempotency key (S3+ convenience)
 app.get("/v1/admin/idempotency/:key", authV1, requireAdmin, async (req, res) => {
   try {
@@ -1190,6 +1965,182 @@ app.get("/v1/admin/idempotency/:key", authV1, requireAdmin, async (req, res) =>
   }
 });
 
+/* ---------------------- prompt templates (S4) ---------------------- */
+// Versioned prompts per (client, mode, locale): draft, preview, publish (A/B by weight).
+// See prompt_templates.js.
+function promptError(res, e, tag) {
+  if (e?.status) return res.status(e.status).json({ ok: false, error: e.code, ...(e.details || {}) });
+  console.error(`[admin/prompts/${tag}] error:`, e?.message || e);
+  return err(res, 500, "admin_prompts_error");
+}
+
+// Preview item: same rules as a /v1/jobs/create item of that mode.
+function previewItem(mode, item) {
+  return validateCreatePayload({ mode, items: [item ?? {}] }, { isProviderAllowed });
+}
+
+app.get("/v1/admin/prompts", authV1, requireAdmin, async (req, res) => {
+  try {
+    const limit = Math.min(500, Math.max(1, Number(req.query.limit || 100)));
+    const rows = await listTemplates(pg, {
+      mode: req.query.mode ? String(req.query.mode) : null,
+      locale: req.query.locale ? String(req.query.locale) : null,
+      clientId: req.query.client_id ? String(req.query.client_id) : null,
+      status: req.query.status ? String(req.query.status) : null,
+      limit,
+    });
+    return res.json({ ok: true, templates: rows.map(publicTemplate), limit });
+  } catch (e) {
+    return promptError(res, e, "list");
+  }
+});
+
+app.post("/v1/admin/prompts", authV1, requireAdmin, async (req, res) => {
+  const v = validateTemplateInput(req.body);
+  if (!v.ok) return res.status(400).json({ ok: false, error: "schema_invalid", details: v.errors });
+  try {
+    const row = await createTemplate(pg, { value: v.value, actor: String(req.client.id) });
+    return res.status(201).json({ ok: true, template: publicTemplate(row) });
+  } catch (e) {
+    return promptError(res, e, "create");
+  }
+});
+
+// Brand profile used by a preview (client templates, or `client_id` of an unsaved preview).
+async function previewBrand(clientId) {
+  if (!clientId || clientId === "*") return null;
+  const row = await getBrandProfile(pg, clientId).catch(() => null);
+  return row?.profile || null;
+}
+
+// Render without saving: an unsaved body, or the built-in prompt when `body` is omitted.
+app.post("/v1/admin/prompts/preview", authV1, requireAdmin, async (req, res) => {
+  const mode = String(req.body?.mode || "").trim();
+  const item = previewItem(mode, req.body?.item);
+  if (!item.ok) return res.status(400).json({ ok: false, error: "schema_invalid", details: item.errors });
+  let template = null;
+  if (req.body?.body !== undefined) {
+    const v = validateTemplateInput({ mode, body: req.body.body });
+    if (!v.ok) return res.status(400).json({ ok: false, error: "schema_invalid", details: v.errors });
+    template = { id: "preview", client_id: "*", locale: "*", version: 0, ...v.value };
+  }
+  const brand = await previewBrand(req.body?.client_id ? String(req.body.client_id) : null);
+  return res.json({ ok: true, ...previewPrompt(mode, item.items[0], template, { brand }) });
+});
+
+// Review outcomes per prompt version (built-in included), to compare A/B versions.
+app.get("/v1/admin/prompts/stats", authV1, requireAdmin, async (req, res) => {
+  try {
+    const days = Math.min(365, Math.max(1, Number(req.query.days || 30)));
+    const mode = req.query.mode ? String(req.query.mode) : null;
+    return res.json({ ok: true, days, mode, versions: await templateStats(pg, { mode, days }) });
+  } catch (e) {
+    return promptError(res, e, "stats");
+  }
+});
+
+app.get("/v1/admin/prompts/:id", authV1, requireAdmin, async (req, res) => {
+  try {
+    const row = await getTemplate(pg, req.params.id);
+    if (!row) return err(res, 404, "template_not_found");
+    return res.json({ ok: true, template: publicTemplate(row) });
+  } catch (e) {
+    return promptError(res, e, "get");
+  }
+});
+
+app.patch("/v1/admin/prompts/:id", authV1, requireAdmin, async (req, res) => {
+  try {
+    const current = await getTemplate(pg, req.params.id);
+    if (!current) return err(res, 404, "template_not_found");
+    const v = validateTemplateInput(req.body, { partial: true });
+    if (!v.ok) return res.status(400).json({ ok: false, error: "schema_invalid", details: v.errors });
+    if (!Object.keys(v.value).length) return res.json({ ok: true, template: publicTemplate(current) });
+    return res.json({ ok: true, template: publicTemplate(await updateTemplate(pg, { current, value: v.value })) });
+  } catch (e) {
+    return promptError(res, e, "update");
+  }
+});
+
+app.post("/v1/admin/prompts/:id/preview", authV1, requireAdmin, async (req, res) => {
+  try {
+    const template = await getTemplate(pg, req.params.id);
+    if (!template) return err(res, 404, "template_not_found");
+    const item = previewItem(template.mode, req.body?.item);
+    if (!item.ok) return res.status(400).json({ ok: false, error: "schema_invalid", details: item.errors });
+    const brand = await previewBrand(template.client_id);
+    return res.json({ ok: true, template_id: String(template.id), ...previewPrompt(template.mode, item.items[0], template, { brand }) });
+  } catch (e) {
+    return promptError(res, e, "preview");
+  }
+});
+
+app.post("/v1/admin/prompts/:id/publish", authV1, requireAdmin, async (req, res) => {
+  try {
+    const current = await getTemplate(pg, req.params.id);
+    if (!current) return err(res, 404, "template_not_found");
+    const weight = req.body?.weight === undefined ? null : req.body.weight;
+    if (weight !== null) {
+      const v = validateTemplateInput({ weight }, { partial: true });
+      if (!v.ok) return res.status(400).json({ ok: false, error: "schema_invalid", details: v.errors });
+    }
+    const out = await publishTemplate(pg, { current, weight, keepOthers: !!req.body?.keep_others, actor: String(req.client.id) });
+    const label = publicTemplate(out.template).label;
+    await logJobEvent({
+      job_id: "admin",
+      client_id: String(req.client.id),
+      event_type: "prompt_published",
+      message: `${label} published (weight ${out.template.weight})`,
+      meta: { template_id: String(out.template.id), prompt_version: label, archived: out.archived },
+    });
+    return res.json({ ok: true, template: publicTemplate(out.template), archived: out.archived });
+  } catch (e) {
+    return promptError(res, e, "publish");
+  }
+});
+
+app.post("/v1/admin/prompts/:id/archive", authV1, requireAdmin, async (req, res) => {
+  try {
+    const current = await getTemplate(pg, req.params.id);
+    if (!current) return err(res, 404, "template_not_found");
+    const row = await archiveTemplate(pg, { current });
+    await logJobEvent({
+      job_id: "admin",
+      client_id: String(req.client.id),
+      event_type: "prompt_archived",
+      message: `${publicTemplate(row).label} archived`,
+      meta: { template_id: String(row.id), prompt_version: publicTemplate(row).label },
+    });
+    return res.json({ ok: true, template: publicTemplate(row) });
+  } catch (e) {
+    return promptError(res, e, "archive");
+  }
+});
+
+// Brand profile of any client (support).
+app.get("/v1/admin/clients/:id/brand-profile", authV1, requireAdmin, async (req, res) => {
+  try {
+    const row = await getBrandProfile(pg, req.params.id);
+    if (!row) return err(res, 404, "brand_profile_not_found");
+    return res.json({ ok: true, client_id: String(req.params.id), profile: publicProfile(row) });
+  } catch (e) {
+    console.error("[admin/brand_profile_get] error:", e?.message || e);
+    return err(res, 500, "admin_brand_profile_error");
+  }
+});
+
+app.put("/v1/admin/clients/:id/brand-profile", authV1, requireAdmin, async (req, res) => {
+  const v = validateBrandProfile(req.body);
+  if (!v.ok) return res.status(400).json({ ok: false, error: "schema_invalid", details: v.errors });
+  try {
+    const row = await putBrandProfile(pg, { clientId: req.params.id, value: v.value, actor: `admin:${req.client.id}` });
+    return res.json({ ok: true, client_id: String(req.params.id), profile: publicProfile(row) });
+  } catch (e) {
+    console.error("[admin/brand_profile_put] error:", e?.message || e);
+    return err(res, 500, "admin_brand_profile_error");
+  }
+});
+
 app.listen(PORT, () => {
   console.log(`[api] Content360 API listening on port ${PORT}`);
 });
@@ -0,0 +1,165 @@
+// /opt/content360/core/job_create.js
+// Job creation shared by POST /v1/jobs/create and scheduled runs (schedules.js):
+// idempotency, monthly quota check (consumed + active holds + estimate), parent + child jobs,
+// one AEJ hold per child, then enqueue in the item count's lane (scheduling.js).
+
+const { laneForItems, enqueueJob } = require("./scheduling");
+
+/* ----------------------- S2 constants ----------------------- */
+// Conservative AEJ estimates per item (reservation at job create).
+// You can refine these numbers later using real token telemetry.
+const AEJ_ESTIMATE_PER_ITEM = {
+  quick_boost: 8, // analyse+decision+generation+application
+  full_content: 12,
+  ecom_catalog: 12,
+};
+
+function estimateAEJ(mode, itemsCount) {
+  const per = AEJ_ESTIMATE_PER_ITEM[mode] || 8;
+  return { per, total: Math.max(1, Number(per) * itemsCount) };
+}
+
+/**
+ * `v` is a successful validateCreatePayload() result for `requestJson`.
+ * deps: { queue, redis, logJobEvent }.
+ * Returns { ok: true, job_id, aej_estimated, idempotent? } or the 402 body
+ * { ok: false, error: "quota_exceeded", plan, monthly_quota_aej, ... }.
+ */
+async function createJob(pool, deps, { clientId: rawClientId, requestJson, v, idemKey = null, eventMeta = null }) {
+  const { queue, redis, logJobEvent } = deps;
+  const mode = v.mode;
+  const itemsCount = v.items.length;
+  const { per, total: aejEstimated } = estimateAEJ(mode, itemsCount);
+
+  // client id may be UUID (common) or integer depending on legacy DB.
+  // Treat it as a string to avoid implicit integer casts.
+  const clientId = String(rawClientId);
+  const now = new Date();
+  const monthStart = new Date(Date.UTC(now.getUTCFullYear(), now.getUTCMonth(), 1, 0, 0, 0));
+  const monthEnd = new Date(Date.UTC(now.getUTCFullYear(), now.getUTCMonth() + 1, 1, 0, 0, 0));
+
+  const client = await pool.connect();
+  let jobId;
+  let plan;
+  const childIds = [];
+  try {
+    await client.query("BEGIN");
+
+    // Idempotency: return same job_id if already created.
+    if (idemKey) {
+      const idemR = await client.query(
+        `SELECT job_id FROM c360_idempotency WHERE client_id=$1 AND idem_key=$2`,
+        [clientId, idemKey]
+      );
+      if (idemR.rows.length) {
+        const existingJobId = idemR.rows[0].job_id;
+        await client.query("COMMIT");
+        await logJobEvent({ job_id: existingJobId, client_id: clientId, event_type: "idempotent_hit", message: "Idempotency hit: returning existing job" });
+        return { ok: true, job_id: existingJobId, idempotent: true };
+      }
+    }
+
+    // Quota check (month): consumed + active holds + this estimate.
+    const quotaR = await client.query(
+      `SELECT plan_code, monthly_quota_aej
+       FROM c360_site_settings
+       WHERE client_id=$1`,
+      [clientId]
+    );
+    plan = quotaR.rows[0]?.plan_code || "starter";
+    const quota = Number(quotaR.rows[0]?.monthly_quota_aej || 500);
+
+    const usageR = await client.query(
+      `SELECT COALESCE(SUM(aej_used),0) AS aej_consumed
+       FROM c360_aej_logs
+       WHERE client_id=$1 AND created_at >= $2 AND created_at < $3`,
+      [clientId, monthStart, monthEnd]
+    );
+    const consumed = Number(usageR.rows[0]?.aej_consumed || 0);
+
+    const holdR = await client.query(
+      `SELECT COALESCE(SUM(aej_estimated),0) AS aej_held
+       FROM c360_aej_holds
+       WHERE client_id=$1 AND status='held'`,
+      [clientId]
+    );
+    const held = Number(holdR.rows[0]?.aej_held || 0);
+
+    if (consumed + held + aejEstimated > quota) {
+      await client.query("ROLLBACK");
+      return {
+        ok: false,
+        error: "quota_exceeded",
+        plan,
+        monthly_quota_aej: quota,
+        aej_consumed: consumed,
+        aej_held: held,
+        aej_needed: aejEstimated,
+        aej_remaining: Math.max(0, quota - consumed - held),
+      };
+    }
+
+    // S4: one parent job (what the client polls) + one child job per item.
+    // Holds are taken per child so each child releases its own reservation.
+    const ins = await client.query(
+      `INSERT INTO c360_jobs
+       (client_id, mode, status, progress, request_json, idempotency_key, aej_estimated, is_parent, created_at, updated_at)
+       VALUES ($1, $2, 'queued', 0, $3::jsonb, $4, $5, TRUE, NOW(), NOW())
+       RETURNING id`,
+      [clientId, mode, requestJson, idemKey, aejEstimated]
+    );
+    jobId = ins.rows[0].id;
+
+    for (let idx = 0; idx < v.items.length; idx++) {
+      const childIns = await client.query(
+        `INSERT INTO c360_jobs
+         (client_id, mode, status, progress, request_json, aej_estimated, parent_id, item_index, created_at, updated_at)
+         VALUES ($1, $2, 'queued', 0, $3::jsonb, $4, $5, $6, NOW(), NOW())
+         RETURNING id`,
+        [clientId, mode, { mode, items: [v.items[idx]], ...(v.llm_provider ? { llm_provider: v.llm_provider } : {}) }, per, String(jobId), idx]
+      );
+      const childId = childIns.rows[0].id;
+      childIds.push(childId);
+
+      await client.query(
+        `INSERT INTO c360_aej_holds (job_id, client_id, aej_estimated, status, created_at)
+         VALUES ($1,$2,$3,'held',NOW())`,
+        [String(childId), clientId, per]
+      );
+    }
+
+    if (idemKey) {
+      await client.query(
+        `INSERT INTO c360_idempotency (client_id, idem_key, job_id, created_at)
+         VALUES ($1,$2,$3,NOW())`,
+        [clientId, idemKey, String(jobId)]
+      );
+    }
+
+    await client.query("COMMIT");
+  } catch (e) {
+    try { await client.query("ROLLBACK"); } catch {}
+    throw e;
+  } finally {
+    client.release();
+  }
+
+  // Enqueue AFTER commit. Each child retries on its own.
+  // Single-item requests take the interactive lane, batches the bulk lane (scheduling.js).
+  const lane = laneForItems(itemsCount);
+  for (const childId of childIds) {
+    await enqueueJob(queue, redis, { jobId: childId, parentId: jobId, clientId, lane, plan });
+  }
+
+  await logJobEvent({
+    job_id: jobId,
+    client_id: clientId,
+    event_type: "created",
+    message: "Job created & enqueued",
+    meta: { mode, items_count: itemsCount, aej_estimated: aejEstimated, child_ids: childIds, lane, ...eventMeta },
+  });
+
+  return { ok: true, job_id: jobId, aej_estimated: aejEstimated };
+}
+
+module.exports = { AEJ_ESTIMATE_PER_ITEM, estimateAEJ, createJob };
@@ -0,0 +1,249 @@
+// /opt/content360/core/job_payload.js
+// Validation of POST /v1/jobs/create payloads (also used for bulk imports).
+//
+// Errors are returned twice:
+// - `errors`: legacy strings (kept for existing clients, e.g. "items[0] source_title_required")
+// - `field_errors`: [{ field, code, message }] with versioned codes ("v1.required", ...)
+
+const ERRORS_VERSION = "v1";
+
+const ALLOWED_MODES = new Set(["quick_boost", "full_content", "ecom_catalog"]);
+const ENTITY_TYPES = ["product", "page", "post"];
+const MAX_ITEMS = 50;
+
+// Per-field limits (characters / array items).
+const LIMITS = {
+  entity_id: 64,
+  source_title: 300,
+  source_excerpt: 5000,
+  source_facts: 4000,
+  source_facts_items: 30,
+  source_facts_item: 300,
+  source_specs: 4000,
+  source_specs_items: 50,
+  spec_key: 60,
+  spec_value: 200,
+  source_usage: 2000,
+  source_taxonomy: 1000,
+  source_taxonomy_items: 30,
+  source_taxonomy_item: 80,
+  intent: 2000,
+};
+
+const EXISTING_META_LIMITS = {
+  meta_title: 120,
+  meta_description: 400,
+  focus_keyword: 80,
+  slug: 200,
+  h1: 200,
+};
+
+// Mode-specific requirements. Each entry is a list of fields of which at least one must be present.
+const REQUIRED_BY_MODE = {
+  quick_boost: [["source_title"], ["source_excerpt"]],
+  full_content: [["source_title"], ["source_excerpt", "intent", "source_facts"]],
+  ecom_catalog: [["source_title"], ["source_excerpt", "source_specs"]],
+};
+
+const ITEM_FIELDS = new Set([
+  "entity_type",
+  "entity_id",
+  "lang",
+  "source_title",
+  "source_excerpt",
+  "source_facts",
+  "source_specs",
+  "source_usage",
+  "source_taxonomy",
+  "intent",
+  "existing_meta",
+]);
+
+const LANG_RE = /^[a-z]{2,3}(?:[-_][a-z0-9]{2,8})*$/i;
+
+function isPlainObject(x) {
+  return !!x && typeof x === "object" && !Array.isArray(x);
+}
+
+function isPresent(v) {
+  if (v === null || v === undefined) return false;
+  if (typeof v === "string") return v.trim().length > 0;
+  if (Array.isArray(v)) return v.length > 0;
+  if (isPlainObject(v)) return Object.keys(v).length > 0;
+  return true;
+}
+
+function strLen(s) {
+  return [...String(s)].length;
+}
+
+function createCollector() {
+  const errors = [];
+  const field_errors = [];
+  return {
+    errors,
+    field_errors,
+    add(field, code, legacy, message = legacy) {
+      errors.push(legacy);
+      field_errors.push({ field, code: `${ERRORS_VERSION}.${code}`, message });
+    },
+  };
+}
+
+function checkString(c, field, v, max) {
+  if (typeof v !== "string" && typeof v !== "number") {
+    c.add(field, "invalid_type", `${field} must be a string`);
+    return;
+  }
+  if (strLen(v) > max) c.add(field, "too_long", `${field} too_long (max ${max})`);
+}
+
+function checkStringList(c, field, v, maxItems, maxItem) {
+  if (v.length > maxItems) c.add(field, "too_many", `${field} too_many (max ${maxItems})`);
+  v.forEach((x, i) => {
+    if (typeof x !== "string") c.add(`${field}[${i}]`, "invalid_type", `${field}[${i}] must be a string`);
+    else if (strLen(x) > maxItem) c.add(`${field}[${i}]`, "too_long", `${field}[${i}] too_long (max ${maxItem})`);
+  });
+}
+
+// source_specs: string, [{ k, v }], [[k, v]] or { k: v }.
+function checkSpecs(c, field, v) {
+  if (typeof v === "string") return checkString(c, field, v, LIMITS.source_specs);
+  let pairs = null;
+  if (Array.isArray(v)) {
+    pairs = v.map((x, i) => {
+      if (Array.isArray(x) && x.length === 2) return [i, x[0], x[1]];
+      if (isPlainObject(x) && Object.keys(x).every((k) => k === "k" || k === "v")) return [i, x.k, x.v];
+      c.add(`${field}[${i}]`, "invalid_type", `${field}[${i}] must be { k, v } or [k, v]`);
+      return null;
+    }).filter(Boolean);
+  } else if (isPlainObject(v)) {
+    pairs = Object.entries(v).map(([k, val], i) => [i, k, val]);
+  } else {
+    c.add(field, "invalid_type", `${field} must be a string, a list of { k, v } or an object`);
+    return;
+  }
+  if (pairs.length > LIMITS.source_specs_items) c.add(field, "too_many", `${field} too_many (max ${LIMITS.source_specs_items})`);
+  for (const [i, k, val] of pairs) {
+    const f = `${field}[${i}]`;
+    if (typeof k !== "string" || !k.trim()) c.add(`${f}.k`, "required", `${f}.k required`);
+    else if (strLen(k) > LIMITS.spec_key) c.add(`${f}.k`, "too_long", `${f}.k too_long (max ${LIMITS.spec_key})`);
+    if (typeof val !== "string" && typeof val !== "number") c.add(`${f}.v`, "invalid_type", `${f}.v must be a string`);
+    else if (strLen(val) > LIMITS.spec_value) c.add(`${f}.v`, "too_long", `${f}.v too_long (max ${LIMITS.spec_value})`);
+  }
+}
+
+function checkExistingMeta(c, field, v) {
+  if (!isPlainObject(v)) {
+    c.add(field, "invalid_type", `${field} must be an object`);
+    return;
+  }
+  for (const [k, val] of Object.entries(v)) {
+    if (!EXISTING_META_LIMITS[k]) {
+      c.add(`${field}.${k}`, "unexpected_field", `${field} unexpected field: ${k}`);
+      continue;
+    }
+    if (val === null) continue;
+    checkString(c, `${field}.${k}`, val, EXISTING_META_LIMITS[k]);
+  }
+}
+
+/**
+ * Validate one item for `mode`. `prefix` is the field path used in errors ("items[3]", "row 12").
+ * Returns { errors, field_errors } (empty arrays when valid).
+ */
+function validateItem(it, mode, prefix) {
+  const c = createCollector();
+  if (!isPlainObject(it)) {
+    c.add(prefix, "invalid_type", `${prefix} must be an object`);
+    return c;
+  }
+
+  for (const k of Object.keys(it)) {
+    if (!ITEM_FIELDS.has(k)) c.add(`${prefix}.${k}`, "unexpected_field", `${prefix} unexpected field: ${k}`);
+  }
+
+  const et = String(it.entity_type || "").trim();
+  const ei = String(it.entity_id ?? "").trim();
+  const lang = String(it.lang || "").trim();
+
+  if (!ENTITY_TYPES.includes(et)) c.add(`${prefix}.entity_type`, "invalid_value", `${prefix} invalid entity_type: ${et || "(empty)"}`);
+  else if (mode === "ecom_catalog" && et !== "product") c.add(`${prefix}.entity_type`, "invalid_value", `${prefix} invalid entity_type for ecom_catalog: ${et}`);
+  if (!ei) c.add(`${prefix}.entity_id`, "required", `${prefix} entity_id_required`);
+  else if (strLen(ei) > LIMITS.entity_id) c.add(`${prefix}.entity_id`, "too_long", `${prefix}.entity_id too_long (max ${LIMITS.entity_id})`);
+  if (!lang || lang.length < 2 || lang.length > 10 || !LANG_RE.test(lang)) c.add(`${prefix}.lang`, "invalid_value", `${prefix} invalid lang: ${lang || "(empty)"}`);
+
+  for (const f of ["source_title", "source_excerpt", "source_usage", "intent"]) {
+    if (it[f] !== undefined && it[f] !== null) checkString(c, `${prefix}.${f}`, it[f], LIMITS[f]);
+  }
+  if (it.source_facts !== undefined && it.source_facts !== null) {
+    if (Array.isArray(it.source_facts)) checkStringList(c, `${prefix}.source_facts`, it.source_facts, LIMITS.source_facts_items, LIMITS.source_facts_item);
+    else checkString(c, `${prefix}.source_facts`, it.source_facts, LIMITS.source_facts);
+  }
+  if (it.source_taxonomy !== undefined && it.source_taxonomy !== null) {
+    if (Array.isArray(it.source_taxonomy)) checkStringList(c, `${prefix}.source_taxonomy`, it.source_taxonomy, LIMITS.source_taxonomy_items, LIMITS.source_taxonomy_item);
+    else checkString(c, `${prefix}.source_taxonomy`, it.source_taxonomy, LIMITS.source_taxonomy);
+  }
+  if (it.source_specs !== undefined && it.source_specs !== null) checkSpecs(c, `${prefix}.source_specs`, it.source_specs);
+  if (it.existing_meta !== undefined && it.existing_meta !== null) checkExistingMeta(c, `${prefix}.existing_meta`, it.existing_meta);
+
+  for (const group of REQUIRED_BY_MODE[mode] || []) {
+    if (group.some((f) => isPresent(it[f]))) continue;
+    const legacy = group.length === 1 ? `${prefix} ${group[0]}_required` : `${prefix} one_of_required: ${group.join("|")}`;
+    c.add(`${prefix}.${group[0]}`, "required", legacy, group.length === 1 ? legacy : `${legacy} (mode ${mode})`);
+  }
+
+  return c;
+}
+
+/**
+ * Validate a create payload. Returns { ok: true, mode, items, llm_provider }
+ * or { ok: false, errors, field_errors, errors_version }.
+ * `isProviderAllowed` checks the optional top-level llm_provider.
+ */
+function validateCreatePayload(body, { isProviderAllowed = () => false, maxItems = MAX_ITEMS } = {}) {
+  const c = createCollector();
+  if (!isPlainObject(body)) {
+    c.add("(body)", "invalid_type", "body must be an object");
+    return { ok: false, errors: c.errors, field_errors: c.field_errors, errors_version: ERRORS_VERSION };
+  }
+
+  const allowedTop = new Set(["mode", "items", "llm_provider"]);
+  for (const k of Object.keys(body)) {
+    if (!allowedTop.has(k)) c.add(k, "unexpected_field", `unexpected top-level field: ${k}`);
+  }
+
+  // Optional per-job LLM provider (see providers/index.js). Defaults to the client's setting.
+  const llmProvider = body.llm_provider === undefined ? null : String(body.llm_provider).trim();
+  if (llmProvider !== null && !isProviderAllowed(llmProvider)) c.add("llm_provider", "invalid_value", `invalid llm_provider: ${llmProvider || "(empty)"}`);
+
+  const mode = String(body.mode || "").trim();
+  if (!ALLOWED_MODES.has(mode)) c.add("mode", "invalid_value", `invalid mode: ${mode || "(empty)"}`);
+
+  const items = Array.isArray(body.items) ? body.items : null;
+  if (!items || items.length < 1) c.add("items", "required", "items_required");
+  if (items && items.length > maxItems) c.add("items", "too_many", `items_max_${maxItems}`);
+
+  if (items) {
+    items.forEach((it, idx) => {
+      const r = validateItem(it, mode, `items[${idx}]`);
+      c.errors.push(...r.errors);
+      c.field_errors.push(...r.field_errors);
+    });
+  }
+
+  if (c.errors.length) return { ok: false, errors: c.errors, field_errors: c.field_errors, errors_version: ERRORS_VERSION };
+  return { ok: true, mode, items, llm_provider: llmProvider };
+}
+
+module.exports = {
+  ERRORS_VERSION,
+  ALLOWED_MODES,
+  MAX_ITEMS,
+  LIMITS,
+  EXISTING_META_LIMITS,
+  ITEM_FIELDS,
+  REQUIRED_BY_MODE,
+  validateItem,
+  validateCreatePayload,
+};
@@ -0,0 +1,139 @@
+// /opt/content360/core/job_stream.js
+// S4: live job updates over Redis pub/sub, consumed by GET /v1/jobs/:id/stream (SSE).
+//
+// Publishers (worker and API) send one message per job channel (c360:job:<id>):
+//   { type: "event",  job_id, id, event_type, message, meta, created_at }  (a c360_job_events row)
+//   { type: "status", job_id, status, progress }
+// Any API replica can serve a stream: each one holds a single subscriber connection
+// and fans messages out to its open streams.
+
+const CHANNEL_PREFIX = "c360:job:";
+
+function jobChannel(jobId) {
+  return `${CHANNEL_PREFIX}${jobId}`;
+}
+
+// Publishing never blocks the job flow: a lost message is recovered with Last-Event-ID
+// (events) or the next status refresh.
+async function publishJobMessage(redis, jobId, msg) {
+  if (!redis || !jobId) return;
+  try {
+    await redis.publish(jobChannel(jobId), JSON.stringify({ ...msg, job_id: String(jobId) }));
+  } catch (e) {
+    console.warn("[job_stream] publish error:", e?.message || e);
+  }
+}
+
+function publishJobEvent(redis, row) {
+  return publishJobMessage(redis, row.job_id, {
+    type: "event",
+    id: String(row.id),
+    event_type: row.event_type,
+    message: row.message ?? null,
+    meta: row.meta ?? null,
+    created_at: row.created_at,
+  });
+}
+
+function publishJobStatus(redis, jobId, { status, progress } = {}) {
+  return publishJobMessage(redis, jobId, { type: "status", status: status ?? null, progress: progress ?? null });
+}
+
+// One subscriber connection per process, reference-counted per channel.
+function createJobStreamHub(subscriber) {
+  const listeners = new Map(); // channel -> Set<fn>
+
+  subscriber.on("message", (channel, raw) => {
+    const set = listeners.get(channel);
+    if (!set) return;
+    let msg;
+    try {
+      msg = JSON.parse(raw);
+    } catch {
+      return;
+    }
+    for (const fn of set) {
+      try {
+        fn(msg);
+      } catch (e) {
+        console.error("[job_stream] listener error:", e?.message || e);
+      }
+    }
+  });
+
+  // Returns an async unsubscribe function.
+  async function subscribe(jobIds, fn) {
+    const channels = [...new Set(jobIds.map((id) => jobChannel(id)))];
+    const fresh = [];
+    for (const ch of channels) {
+      if (!listeners.has(ch)) {
+        listeners.set(ch, new Set());
+        fresh.push(ch);
+      }
+      listeners.get(ch).add(fn);
+    }
+    if (fresh.length) {
+      try {
+        await subscriber.subscribe(...fresh);
+      } catch (e) {
+        // Not subscribed: forget the listener and the new channels, so the next stream of
+        // these jobs sends SUBSCRIBE again.
+        for (const ch of channels) listeners.get(ch)?.delete(fn);
+        for (const ch of fresh) listeners.delete(ch);
+        throw e;
+      }
+    }
+
+    let done = false;
+    return async () => {
+      if (done) return;
+      done = true;
+      const gone = [];
+      for (const ch of channels) {
+        const set = listeners.get(ch);
+        if (!set) continue;
+        set.delete(fn);
+        if (!set.size) {
+          listeners.delete(ch);
+          gone.push(ch);
+        }
+      }
+      if (gone.length) {
+        try {
+          await subscriber.unsubscribe(...gone);
+        } catch (e) {
+          console.warn("[job_stream] unsubscribe error:", e?.message || e);
+        }
+      }
+    };
+  }
+
+  return { subscribe, channelCount: () => listeners.size };
+}
+
+// One SSE frame. Multi-line data is split into several data: lines.
+function sseFrame({ id = null, event = null, data }) {
+  let out = "";
+  if (id !== null && id !== undefined) out += `id: ${id}\n`;
+  if (event) out += `event: ${event}\n`;
+  const s = typeof data === "string" ? data : JSON.stringify(data);
+  for (const line of s.split("\n")) out += `data: ${line}\n`;
+  return `${out}\n`;
+}
+
+// Event ids are c360_job_events ids. Anything else means "no resume".
+function parseLastEventId(v) {
+  const s = String(v ?? "").trim();
+  if (!/^\d{1,18}$/.test(s)) return 0;
+  const n = Number(s);
+  return Number.isSafeInteger(n) ? n : 0;
+}
+
+module.exports = {
+  jobChannel,
+  publishJobEvent,
+  publishJobStatus,
+  createJobStreamHub,
+  sseFrame,
+  parseLastEventId,
+};
@@ -0,0 +1,137 @@
+// /opt/content360/core/lang_detect.js
+// S4: local language check of generated text (no external service, no model). Two signals:
+// - the writing system (Latin, Cyrillic, Greek, CJK, ...) from Unicode script classes;
+// - for Latin-script languages, the share of each language's function words ("the", "und",
+//   "les", "los"...), which is stable even on short marketing copy with brand names.
+// The worker only rejects an answer when the text is long enough and clearly in another language.
+
+const MIN_WORDS = Math.max(1, Number(process.env.LANG_DETECT_MIN_WORDS || 12));
+const MIN_MARGIN = Number(process.env.LANG_DETECT_MIN_MARGIN || 0.5);
+
+const STOPWORDS = {
+  en: "the and of to is are for with this that your you it on from be by an or can our will has have which more its as at these into",
+  fr: "le la les des du et est une un pour dans sur avec vous votre vos qui ce cette ces au aux son sa ses pas plus par nos notre sont être mais ou",
+  de: "der die das und ist mit für den dem des ein eine einen einem nicht sie ihre ihr auf auch wird sind zu im von bei aus oder noch sich",
+  es: "el la los las y es con para por una un del que en su sus se al más como este esta sin muy son lo también pero",
+  it: "il lo gli le e è con per una un del della che di in non sono questo questa nel alla più anche ma come ogni",
+  pt: "o os as e é com para uma um do da dos das que em no na não seu sua mais por ao são também",
+  nl: "de het een en is van voor met op te dat die niet zijn uw ook aan bij om als naar dit wordt of",
+};
+const STOPWORD_SETS = Object.fromEntries(Object.entries(STOPWORDS).map(([l, s]) => [l, new Set(s.split(" "))]));
+
+// Expected writing systems per language (default Latin).
+const SCRIPTS_OF = {
+  ru: ["Cyrillic"], uk: ["Cyrillic"], bg: ["Cyrillic"], be: ["Cyrillic"], mk: ["Cyrillic"], sr: ["Cyrillic", "Latin"],
+  el: ["Greek"],
+  ja: ["Japanese", "Han"], zh: ["Han"], ko: ["Hangul"],
+  ar: ["Arabic"], fa: ["Arabic"], ur: ["Arabic"], he: ["Hebrew"],
+  th: ["Thai"], hi: ["Devanagari"], mr: ["Devanagari"], ne: ["Devanagari"],
+};
+
+const SCRIPT_RE = {
+  Latin: /\p{Script=Latin}/u,
+  Cyrillic: /\p{Script=Cyrillic}/u,
+  Greek: /\p{Script=Greek}/u,
+  Han: /\p{Script=Han}/u,
+  Kana: /[\p{Script=Hiragana}\p{Script=Katakana}]/u,
+  Hangul: /\p{Script=Hangul}/u,
+  Arabic: /\p{Script=Arabic}/u,
+  Hebrew: /\p{Script=Hebrew}/u,
+  Thai: /\p{Script=Thai}/u,
+  Devanagari: /\p{Script=Devanagari}/u,
+};
+
+// Output fields that are not prose (identifiers, enums, URLs).
+const SKIP_KEYS = new Set(["mode", "slug", "url", "plagiarism_risk", "tone"]);
+
+/**
+ * Prose strings of a generated output with their path ("faq[1].a"), HTML tags and entities
+ * stripped. Shared with the brand check (brand_profiles.js).
+ */
+function outputStrings(value) {
+  const out = [];
+  const walk = (v, path, key) => {
+    if (SKIP_KEYS.has(key)) return;
+    if (typeof v === "string") out.push({ path, text: v.replace(/<[^>]*>/g, " ").replace(/&[a-z]+;|&#\d+;/gi, " ") });
+    else if (Array.isArray(v)) v.forEach((x, i) => walk(x, `${path}[${i}]`, key));
+    else if (v && typeof v === "object") for (const [k, x] of Object.entries(v)) walk(x, path ? `${path}.${k}` : k, k);
+  };
+  walk(value, "", null);
+  return out;
+}
+
+/** Every prose string of a generated output, HTML stripped, joined with spaces. */
+function outputText(value) {
+  return outputStrings(value).map((s) => s.text).join(" ").replace(/\s+/g, " ").trim();
+}
+
+/** Dominant writing system of `text` and its letter count. Kana makes Han text "Japanese". */
+function detectScript(text) {
+  const counts = {};
+  let letters = 0;
+  for (const ch of String(text ?? "")) {
+    for (const [name, re] of Object.entries(SCRIPT_RE)) {
+      if (re.test(ch)) {
+        counts[name] = (counts[name] || 0) + 1;
+        letters += 1;
+        break;
+      }
+    }
+  }
+  if (counts.Kana) {
+    counts.Japanese = counts.Kana + (counts.Han || 0);
+    delete counts.Kana;
+    delete counts.Han;
+  }
+  const [script = null] = Object.entries(counts).sort((a, b) => b[1] - a[1])[0] || [];
+  return { script, letters };
+}
+
+/**
+ * Latin-script language by function words. { lang, words, hits: { fr: 7, ... } };
+ * lang is null when the text is too short or no list matches.
+ */
+function detectLanguage(text) {
+  const words = String(text ?? "").toLowerCase().match(/\p{L}+/gu) || [];
+  const hits = {};
+  for (const [l, set] of Object.entries(STOPWORD_SETS)) hits[l] = words.reduce((n, w) => n + (set.has(w) ? 1 : 0), 0);
+  const [best, n] = Object.entries(hits).sort((a, b) => b[1] - a[1])[0];
+  return { lang: words.length >= MIN_WORDS && n > 0 ? best : null, words: words.length, hits };
+}
+
+function baseLang(lang) {
+  return String(lang ?? "").trim().toLowerCase().split(/[-_]/)[0];
+}
+
+/**
+ * Is `text` written in `expected` (a locale, "de-CH" checks "de")?
+ * { ok, expected, detected, reason }. ok=true with `skipped` when the text is too short or the
+ * language has no word list (only its script is checked then).
+ */
+function checkLanguage(text, expected) {
+  const lang = baseLang(expected);
+  const { script, letters } = detectScript(text);
+  if (!script || letters < MIN_WORDS * 3) return { ok: true, expected: lang, skipped: "too_short" };
+
+  const scripts = SCRIPTS_OF[lang] || ["Latin"];
+  if (!scripts.includes(script)) return { ok: false, expected: lang, detected: null, script, reason: "script_mismatch" };
+  if (script !== "Latin") return { ok: true, expected: lang, script };
+
+  const d = detectLanguage(text);
+  if (!d.lang) return { ok: true, expected: lang, skipped: "too_short" };
+  if (!STOPWORD_SETS[lang]) return { ok: true, expected: lang, detected: d.lang, skipped: "unsupported" };
+  // Rejected only when another language clearly dominates the expected one's word list.
+  const margin = (d.hits[d.lang] - d.hits[lang]) / d.hits[d.lang];
+  if (d.lang !== lang && margin >= MIN_MARGIN) return { ok: false, expected: lang, detected: d.lang, reason: "language_mismatch", hits: d.hits };
+  return { ok: true, expected: lang, detected: lang };
+}
+
+module.exports = {
+  STOPWORDS,
+  SKIP_KEYS,
+  outputStrings,
+  outputText,
+  detectScript,
+  detectLanguage,
+  checkLanguage,
+};
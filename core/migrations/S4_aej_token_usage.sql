@@ -0,0 +1,12 @@
+-- Content360 Core API - S4 Migration
+-- Adds: real LLM usage on the AEJ ledger (tokens_used = total tokens, model_used = model)
+
+BEGIN;
+
+ALTER TABLE c360_aej_logs
+  ADD COLUMN IF NOT EXISTS prompt_tokens     INTEGER NULL,
+  ADD COLUMN IF NOT EXISTS completion_tokens INTEGER NULL,
+  ADD COLUMN IF NOT EXISTS latency_ms        INTEGER NULL,
+  ADD COLUMN IF NOT EXISTS provider          TEXT    NULL;
+
+COMMIT;
@@ -0,0 +1,42 @@
+-- Content360 Core API - S4 Migration
+-- Adds: several API keys per client, with scopes, expiry, last use and grace-period rotation.
+-- authV1 now resolves keys here; c360_clients.api_key/api_secret are kept for the backfill only.
+
+BEGIN;
+
+CREATE TABLE IF NOT EXISTS c360_api_keys (
+  id                     BIGSERIAL PRIMARY KEY,
+  client_id              TEXT NOT NULL,
+  api_key                TEXT NOT NULL UNIQUE,
+  api_secret             TEXT NOT NULL,
+  -- Previous secret, still accepted until prev_secret_expires_at (rotation grace period).
+  prev_secret            TEXT NULL,
+  prev_secret_expires_at TIMESTAMPTZ NULL,
+  scopes                 TEXT[] NOT NULL DEFAULT ARRAY['jobs:write','jobs:read','billing:read'],
+  label                  TEXT NULL,
+  status                 TEXT NOT NULL DEFAULT 'active', -- active | revoked
+  expires_at             TIMESTAMPTZ NULL,
+  last_used_at           TIMESTAMPTZ NULL,
+  rotated_at             TIMESTAMPTZ NULL,
+  revoked_at             TIMESTAMPTZ NULL,
+  created_at             TIMESTAMPTZ NOT NULL DEFAULT NOW(),
+  updated_at             TIMESTAMPTZ NOT NULL DEFAULT NOW()
+);
+
+CREATE INDEX IF NOT EXISTS idx_c360_api_keys_client ON c360_api_keys(client_id, created_at);
+
+-- Existing key pairs become the client's first key, with every scope.
+INSERT INTO c360_api_keys (client_id, api_key, api_secret, label, created_at, updated_at)
+SELECT id::text, api_key, api_secret, 'primary', COALESCE(created_at, NOW()), NOW()
+FROM c360_clients
+WHERE api_key IS NOT NULL AND api_secret IS NOT NULL
+ON CONFLICT (api_key) DO NOTHING;
+
+-- New clients get their keys in c360_api_keys only.
+ALTER TABLE c360_clients ALTER COLUMN api_key DROP NOT NULL;
+ALTER TABLE c360_clients ALTER COLUMN api_secret DROP NOT NULL;
+
+-- Webhook deliveries are signed with the key that registered the endpoint.
+ALTER TABLE c360_webhooks ADD COLUMN IF NOT EXISTS key_id BIGINT NULL;
+
+COMMIT;
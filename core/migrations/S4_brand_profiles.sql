@@ -0,0 +1,18 @@
+-- Content360 Core API - S4 Migration
+-- Adds: brand voice / style guide profile per client (see brand_profiles.js)
+--   c360_brand_profiles: tone, persona, banned / required terms, glossary, approved claims.
+--   Injected into every prompt; the worker records violations as `brand_check` on result items.
+--   `version` increases on every update (stored in brand_check.profile_version).
+
+BEGIN;
+
+CREATE TABLE IF NOT EXISTS c360_brand_profiles (
+  client_id   TEXT PRIMARY KEY,
+  profile     JSONB NOT NULL,
+  version     INT NOT NULL DEFAULT 1,
+  updated_by  TEXT NULL,                 -- c360_api_keys.id, or admin:<client id>
+  created_at  TIMESTAMPTZ NOT NULL DEFAULT NOW(),
+  updated_at  TIMESTAMPTZ NOT NULL DEFAULT NOW()
+);
+
+COMMIT;
@@ -0,0 +1,14 @@
+-- Content360 Core API - S4 Migration
+-- Adds: parent/child jobs (one child per item, partial success on the parent)
+
+BEGIN;
+
+ALTER TABLE c360_jobs
+  ADD COLUMN IF NOT EXISTS parent_id  TEXT    NULL,
+  ADD COLUMN IF NOT EXISTS item_index INTEGER NULL,
+  ADD COLUMN IF NOT EXISTS is_parent  BOOLEAN NOT NULL DEFAULT FALSE;
+
+CREATE INDEX IF NOT EXISTS idx_c360_jobs_parent_item
+  ON c360_jobs (parent_id, item_index);
+
+COMMIT;
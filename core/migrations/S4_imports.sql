@@ -0,0 +1,29 @@
+-- Content360 Core API - S4 Migration
+-- Adds: bulk CSV / NDJSON imports (see imports.js)
+--   c360_imports: one row per upload, with the row errors and the chunk -> job mapping
+--   chunks: [{ "index": 0, "status": "created" | "quota_exceeded" | "error", "job_id": "...", "error": "...",
+--              "rows": [2, 3, ...] }], saved after each job
+
+BEGIN;
+
+CREATE TABLE IF NOT EXISTS c360_imports (
+  id              BIGSERIAL PRIMARY KEY,
+  client_id       TEXT NOT NULL,
+  mode            TEXT NOT NULL,
+  format          TEXT NOT NULL,                -- csv | ndjson
+  status          TEXT NOT NULL,                -- creating | created | partial | error
+  rows_total      INT NOT NULL DEFAULT 0,
+  rows_valid      INT NOT NULL DEFAULT 0,
+  rows_invalid    INT NOT NULL DEFAULT 0,
+  row_errors      JSONB NOT NULL DEFAULT '[]'::jsonb, -- [{ row, errors, field_errors }], then [{ row }] past 1000
+  aej_estimated   NUMERIC NOT NULL DEFAULT 0,
+  chunks          JSONB NOT NULL DEFAULT '[]'::jsonb,
+  options         JSONB NULL,                   -- mapping, defaults, llm_provider
+  created_by      TEXT NULL,                    -- c360_api_keys.id
+  created_at      TIMESTAMPTZ NOT NULL DEFAULT NOW(),
+  updated_at      TIMESTAMPTZ NOT NULL DEFAULT NOW()
+);
+
+CREATE INDEX IF NOT EXISTS c360_imports_client_idx ON c360_imports (client_id, created_at DESC);
+
+COMMIT;
@@ -0,0 +1,43 @@
+-- Content360 Core API - S4 Migration
+-- Adds: scheduled / recurring jobs (see schedules.js)
+--   c360_job_schedules: cron + timezone, mode, items or item_source, active | paused
+--   c360_schedule_runs: one row per tick (job created, quota exceeded or error)
+
+BEGIN;
+
+CREATE TABLE IF NOT EXISTS c360_job_schedules (
+  id              BIGSERIAL PRIMARY KEY,
+  client_id       TEXT NOT NULL,
+  name            TEXT NOT NULL,
+  cron            TEXT NOT NULL,                  -- 5 fields, evaluated in `timezone`
+  timezone        TEXT NOT NULL DEFAULT 'UTC',
+  mode            TEXT NOT NULL,
+  items           JSONB NULL,                     -- fixed item list ...
+  item_source     JSONB NULL,                     -- ... or { "type": "job", "job_id": "..." }
+  llm_provider    TEXT NULL,
+  status          TEXT NOT NULL DEFAULT 'active', -- active | paused
+  paused_reason   TEXT NULL,                      -- manual | quota_exceeded
+  runs_count      INT NOT NULL DEFAULT 0,
+  last_run_at     TIMESTAMPTZ NULL,
+  last_job_id     TEXT NULL,
+  created_by      TEXT NULL,                      -- c360_api_keys.id
+  created_at      TIMESTAMPTZ NOT NULL DEFAULT NOW(),
+  updated_at      TIMESTAMPTZ NOT NULL DEFAULT NOW()
+);
+
+CREATE INDEX IF NOT EXISTS c360_job_schedules_client_idx ON c360_job_schedules (client_id, created_at DESC);
+
+CREATE TABLE IF NOT EXISTS c360_schedule_runs (
+  id              BIGSERIAL PRIMARY KEY,
+  schedule_id     BIGINT NOT NULL REFERENCES c360_job_schedules(id) ON DELETE CASCADE,
+  client_id       TEXT NOT NULL,
+  scheduled_for   TIMESTAMPTZ NOT NULL,
+  status          TEXT NOT NULL,                  -- created | quota_exceeded | error
+  job_id          TEXT NULL,                      -- parent job created
+  aej_estimated   NUMERIC NULL,
+  error_text      TEXT NULL,
+  created_at      TIMESTAMPTZ NOT NULL DEFAULT NOW(),
+  UNIQUE (schedule_id, scheduled_for)
+);
+
+COMMIT;
@@ -0,0 +1,10 @@
+-- Content360 Core API - S4 Migration
+-- Adds: per-client LLM provider/model selection (see providers/index.js)
+
+BEGIN;
+
+ALTER TABLE c360_site_settings
+  ADD COLUMN IF NOT EXISTS llm_provider TEXT NULL,
+  ADD COLUMN IF NOT EXISTS llm_model    TEXT NULL;
+
+COMMIT;
@@ -0,0 +1,31 @@
+-- Content360 Core API - S4 Migration
+-- Adds: versioned prompt templates with weighted A/B assignment (see prompt_templates.js)
+--   c360_prompt_templates: one row per version of a (client, mode, locale) slot,
+--     draft -> published -> archived. Published versions of a slot share the traffic by weight.
+--   The version used is stored in each result item (result_json), not in a c360_jobs column.
+
+BEGIN;
+
+CREATE TABLE IF NOT EXISTS c360_prompt_templates (
+  id            BIGSERIAL PRIMARY KEY,
+  client_id     TEXT NOT NULL DEFAULT '*',      -- '*' = every client
+  mode          TEXT NOT NULL,                  -- quick_boost | full_content | ecom_catalog
+  locale        TEXT NOT NULL DEFAULT '*',      -- 'de-CH', 'de' or '*' (any language)
+  version       INT NOT NULL,
+  status        TEXT NOT NULL DEFAULT 'draft',  -- draft | published | archived
+  weight        INT NOT NULL DEFAULT 100,       -- A/B share among the published versions of the slot
+  body          TEXT NOT NULL,                  -- text with {{variables}}
+  notes         TEXT NULL,
+  created_by    TEXT NULL,                      -- admin client id
+  published_by  TEXT NULL,
+  created_at    TIMESTAMPTZ NOT NULL DEFAULT NOW(),
+  updated_at    TIMESTAMPTZ NOT NULL DEFAULT NOW(),
+  published_at  TIMESTAMPTZ NULL,
+  archived_at   TIMESTAMPTZ NULL,
+  UNIQUE (client_id, mode, locale, version)
+);
+
+CREATE INDEX IF NOT EXISTS c360_prompt_templates_published_idx
+  ON c360_prompt_templates (mode, status) WHERE status = 'published';
+
+COMMIT;
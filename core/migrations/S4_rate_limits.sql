@@ -0,0 +1,10 @@
+-- Content360 Core API - S4 Migration
+-- Adds: per-client rate limit / running-job cap overrides (see rate_limits.js)
+-- NULL = plan defaults. Example: {"jobs_create": {"per_min": 60, "burst": 20}, "max_running_jobs": 4}
+
+BEGIN;
+
+ALTER TABLE c360_site_settings
+  ADD COLUMN IF NOT EXISTS rate_limits JSONB NULL;
+
+COMMIT;
@@ -0,0 +1,33 @@
+-- Content360 Core API - S4 Migration
+-- Adds: single-field regeneration of result items (see regenerate.js)
+--   c360_regenerations: one row per request, queued -> running -> done | error
+--   The regenerated value is stored in c360_result_revisions with source = 'regenerate'
+--   and logged in c360_decision_log as 'regenerated'.
+--
+-- Apply after S4_result_reviews.sql.
+
+BEGIN;
+
+CREATE TABLE IF NOT EXISTS c360_regenerations (
+  id              BIGSERIAL PRIMARY KEY,
+  client_id       TEXT NOT NULL,
+  job_id          TEXT NOT NULL,            -- job the client asked for (parent)
+  item_index      INT NOT NULL,
+  holder_job_id   TEXT NOT NULL,            -- job row holding the result (the child job)
+  result_index    INT NOT NULL DEFAULT 0,
+  path            TEXT NOT NULL,            -- e.g. seo.meta_title, faq[2].a
+  guidance        TEXT NULL,
+  status          TEXT NOT NULL DEFAULT 'queued', -- queued | running | done | error
+  base_revision   INT NULL,                 -- revision the new value was merged into
+  revision        INT NULL,                 -- revision created
+  aej_used        NUMERIC NOT NULL DEFAULT 0,
+  error_text      TEXT NULL,
+  created_by      TEXT NULL,                -- c360_api_keys.id
+  created_at      TIMESTAMPTZ NOT NULL DEFAULT NOW(),
+  updated_at      TIMESTAMPTZ NOT NULL DEFAULT NOW(),
+  finished_at     TIMESTAMPTZ NULL
+);
+
+CREATE INDEX IF NOT EXISTS c360_regenerations_job_idx ON c360_regenerations (job_id, created_at);
+
+COMMIT;
@@ -0,0 +1,11 @@
+-- Content360 Core API - S4 Migration
+-- Adds: v2 request signing (timestamp + nonce). The legacy body-only signature stays
+-- accepted per client while legacy_signing is TRUE (deprecated).
+
+BEGIN;
+
+ALTER TABLE c360_clients
+  ADD COLUMN IF NOT EXISTS legacy_signing         BOOLEAN     NOT NULL DEFAULT TRUE,
+  ADD COLUMN IF NOT EXISTS legacy_signing_last_at TIMESTAMPTZ NULL;
+
+COMMIT;
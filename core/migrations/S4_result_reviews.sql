@@ -0,0 +1,75 @@
+-- Content360 Core API - S4 Migration
+-- Adds: human review of generated results (see reviews.js)
+--   c360_result_revisions: every version of a result item (generated, client edits, ...), never updated
+--   c360_result_reviews:   review state per result item
+--   c360_decision_log.revision / result_index: review transitions (approved | rejected | edited),
+--     one row each
+--
+-- Apply BEFORE deploying the matching worker: job-level decisions now use
+-- ON CONFLICT (client_id, job_id, decision_type) WHERE revision IS NULL.
+
+BEGIN;
+
+CREATE TABLE IF NOT EXISTS c360_result_revisions (
+  id             BIGSERIAL PRIMARY KEY,
+  job_id         TEXT NOT NULL,           -- job row holding the result (the child job)
+  result_index   INT NOT NULL DEFAULT 0,  -- index in that job's result_json.results
+  client_id      TEXT NOT NULL,
+  revision       INT NOT NULL,            -- 1 = generated output
+  source         TEXT NOT NULL,           -- generated | edit | regenerate
+  output         JSONB NOT NULL,          -- the item's `exec`
+  note           TEXT NULL,
+  created_by     TEXT NULL,               -- c360_api_keys.id
+  created_at     TIMESTAMPTZ NOT NULL DEFAULT NOW(),
+  UNIQUE (job_id, result_index, revision)
+);
+
+CREATE TABLE IF NOT EXISTS c360_result_reviews (
+  job_id             TEXT NOT NULL,
+  result_index       INT NOT NULL DEFAULT 0,
+  client_id          TEXT NOT NULL,
+  status             TEXT NOT NULL DEFAULT 'ready_to_review', -- ready_to_review | approved | rejected
+  current_revision   INT NOT NULL DEFAULT 1,                  -- latest revision
+  approved_revision  INT NULL,
+  updated_at         TIMESTAMPTZ NOT NULL DEFAULT NOW(),
+  PRIMARY KEY (job_id, result_index)
+);
+
+CREATE INDEX IF NOT EXISTS c360_result_reviews_client_status_idx ON c360_result_reviews (client_id, status);
+
+ALTER TABLE c360_decision_log
+  ADD COLUMN IF NOT EXISTS revision     INT NULL,
+  ADD COLUMN IF NOT EXISTS result_index INT NULL;
+
+-- The (client_id, job_id, decision_type) unique key only applies to job-level decisions now.
+DO $$
+DECLARE
+  idx RECORD;
+BEGIN
+  FOR idx IN
+    SELECT i.indexrelid::regclass AS name, con.conname
+    FROM pg_index i
+    LEFT JOIN pg_constraint con ON con.conindid = i.indexrelid AND con.conrelid = i.indrelid
+    WHERE i.indrelid = 'c360_decision_log'::regclass
+      AND i.indisunique AND NOT i.indisprimary AND i.indpred IS NULL
+      AND (SELECT array_agg(a.attname::text ORDER BY a.attname)
+           FROM pg_attribute a
+           WHERE a.attrelid = i.indrelid AND a.attnum = ANY(i.indkey)) = ARRAY['client_id', 'decision_type', 'job_id']
+  LOOP
+    IF idx.conname IS NOT NULL THEN
+      EXECUTE format('ALTER TABLE c360_decision_log DROP CONSTRAINT %I', idx.conname);
+    ELSE
+      EXECUTE format('DROP INDEX %s', idx.name);
+    END IF;
+  END LOOP;
+END $$;
+
+CREATE UNIQUE INDEX IF NOT EXISTS c360_decision_log_job_decision_uniq
+  ON c360_decision_log (client_id, job_id, decision_type)
+  WHERE revision IS NULL;
+
+CREATE INDEX IF NOT EXISTS c360_decision_log_job_revision_idx
+  ON c360_decision_log (job_id, result_index, revision)
+  WHERE revision IS NOT NULL;
+
+COMMIT;
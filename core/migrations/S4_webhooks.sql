@@ -0,0 +1,50 @@
+-- Content360 Core API - S4 Migration
+-- Adds: outbound webhooks (client endpoints + delivery log)
+
+BEGIN;
+
+CREATE TABLE IF NOT EXISTS c360_webhooks (
+  id          BIGSERIAL PRIMARY KEY,
+  client_id   TEXT NOT NULL,
+  url         TEXT NOT NULL,
+  events      TEXT[] NOT NULL,
+  description TEXT NULL,
+  is_active   BOOLEAN NOT NULL DEFAULT TRUE,
+  created_at  TIMESTAMPTZ NOT NULL DEFAULT NOW(),
+  updated_at  TIMESTAMPTZ NOT NULL DEFAULT NOW()
+);
+
+CREATE INDEX IF NOT EXISTS idx_c360_webhooks_client ON c360_webhooks(client_id);
+
+-- One row per (endpoint, event). The payload is frozen at enqueue time so replays send
+-- the same body; dedupe_key stops a re-run from notifying twice for the same outcome.
+CREATE TABLE IF NOT EXISTS c360_webhook_deliveries (
+  id               BIGSERIAL PRIMARY KEY,
+  webhook_id       BIGINT NOT NULL REFERENCES c360_webhooks(id) ON DELETE CASCADE,
+  client_id        TEXT NOT NULL,
+  event_id         TEXT NOT NULL,
+  event_type       TEXT NOT NULL,
+  job_id           TEXT NULL,
+  dedupe_key       TEXT NOT NULL,
+  payload          JSONB NOT NULL,
+  status           TEXT NOT NULL DEFAULT 'pending', -- pending | retrying | delivered | failed
+  attempts         INTEGER NOT NULL DEFAULT 0,
+  replay_count     INTEGER NOT NULL DEFAULT 0,
+  last_status_code INTEGER NULL,
+  last_error       TEXT NULL,
+  last_response    TEXT NULL,
+  last_latency_ms  INTEGER NULL,
+  last_attempt_at  TIMESTAMPTZ NULL,
+  delivered_at     TIMESTAMPTZ NULL,
+  created_at       TIMESTAMPTZ NOT NULL DEFAULT NOW(),
+  updated_at       TIMESTAMPTZ NOT NULL DEFAULT NOW()
+);
+
+CREATE UNIQUE INDEX IF NOT EXISTS uq_c360_webhook_deliveries_dedupe
+  ON c360_webhook_deliveries (webhook_id, dedupe_key);
+CREATE INDEX IF NOT EXISTS idx_c360_webhook_deliveries_client_created
+  ON c360_webhook_deliveries (client_id, created_at DESC);
+CREATE INDEX IF NOT EXISTS idx_c360_webhook_deliveries_status
+  ON c360_webhook_deliveries (status, created_at DESC);
+
+COMMIT;
@@ -1,8 +1,15 @@
-async function callOpenAI({ prompt, schema }) {
+// /opt/content360/core/openai_client.js
+// OpenAI Responses API provider (default). See providers/index.js for the provider interface.
+const { llmError, fetchJSON, httpError, parseJSONOutput, normalizeUsage } = require("./providers/common");
+
+const PROVIDER = "openai_responses";
+const OPENAI_BASE_URL = (process.env.OPENAI_BASE_URL || "https://api.openai.com/v1").replace(/\/+$/, "");
+
+async function generateJSON({ prompt, schema, schemaName = "content360", model: modelOverride = null }) {
   const apiKey = process.env.OPENAI_API_KEY || "";
-  if (!apiKey) throw new Error("OPENAI_API_KEY_MISSING");
+  if (!apiKey) throw llmError("OPENAI_API_KEY_MISSING", { provider: PROVIDER });
 
-  const model = process.env.OPENAI_MODEL || "gpt-4o-mini";
+  const model = modelOverride || process.env.OPENAI_MODEL || "gpt-4o-mini";
 
   const payload = {
     model,
@@ -10,48 +17,41 @@ async function callOpenAI({ prompt, schema }) {
     text: {
       format: {
         type: "json_schema",
-        name: "content360",
+        name: schemaName,
         schema,
         strict: true,
       },
     },
   };
 
-  const resp = await fetch("https://api.openai.com/v1/responses", {
+  const { resp, json } = await fetchJSON(`${OPENAI_BASE_URL}/responses`, {
     method: "POST",
     headers: {
       "Content-Type": "application/json",
       Authorization: `Bearer ${apiKey}`,
     },
     body: JSON.stringify(payload),
-  });
+  }, { provider: PROVIDER });
 
-  const json = await resp.json().catch(() => null);
-
-  if (!resp.ok) {
-    const msg = json?.error?.message
-      ? String(json.error.message)
-      : `openai_http_${resp.status}`;
-    throw new Error(msg);
-  }
+  if (!resp.ok) throw httpError(resp, json, { provider: PROVIDER, prefix: "openai_http" });
 
   // Robust parse for Responses API
-  let parsed = null;
-
-  if (json?.output_text) {
-    try { parsed = JSON.parse(json.output_text); } catch {}
-  }
+  let parsed = parseJSONOutput(json?.output_text);
 
   if (!parsed) {
     const content = json?.output?.[0]?.content?.[0];
     if (content?.json) parsed = content.json;
-    else if (content?.text) {
-      try { parsed = JSON.parse(content.text); } catch {}
-    }
+    else if (content?.text) parsed = parseJSONOutput(content.text);
   }
 
-  if (!parsed) throw new Error("OPENAI_NO_JSON_OUTPUT");
-  return parsed;
+  if (!parsed) throw llmError("OPENAI_NO_JSON_OUTPUT", { provider: PROVIDER });
+  return { data: parsed, usage: normalizeUsage(json?.usage), model: json?.model || model, provider: PROVIDER };
+}
+
+// Backward compatible helper: returns the parsed JSON only.
+async function callOpenAI({ prompt, schema }) {
+  const r = await generateJSON({ prompt, schema });
+  return r.data;
 }
 
-module.exports = { callOpenAI };
+module.exports = { name: PROVIDER, source: "openai", generateJSON, callOpenAI };
@@ -0,0 +1,59 @@
+// /opt/content360/core/openai_health.js
+// OpenAI health probe shared by /v1/admin/health/deps and /v1/admin/ui/api/health/deps.
+// Checks the API key and that the configured model is reachable (GET /models/:model),
+// measures latency, and caches the result so health polling does not hammer the provider.
+const { fetchJSON } = require("./providers/common");
+
+const PROVIDER = "openai_responses";
+const OPENAI_BASE_URL = (process.env.OPENAI_BASE_URL || "https://api.openai.com/v1").replace(/\/+$/, "");
+const CACHE_TTL_MS = Number(process.env.OPENAI_HEALTH_TTL_MS || 60000);
+const PROBE_TIMEOUT_MS = Number(process.env.OPENAI_HEALTH_TIMEOUT_MS || 5000);
+
+let cached = null; // { result, at }
+let inflight = null;
+
+async function probe() {
+  const model = process.env.OPENAI_MODEL || "gpt-4o-mini";
+  const apiKey = process.env.OPENAI_API_KEY || "";
+  const base = { provider: PROVIDER, model, checked_at: new Date().toISOString() };
+  if (!apiKey) return { ...base, status: "unconfigured", error: "OPENAI_API_KEY_MISSING" };
+
+  const startedAt = Date.now();
+  try {
+    const { resp, json } = await fetchJSON(
+      `${OPENAI_BASE_URL}/models/${encodeURIComponent(model)}`,
+      { method: "GET", headers: { Authorization: `Bearer ${apiKey}` } },
+      { provider: PROVIDER, timeoutMs: PROBE_TIMEOUT_MS }
+    );
+    const latency_ms = Date.now() - startedAt;
+    if (resp.ok) return { ...base, status: "ok", latency_ms, model_available: true };
+
+    const error = json?.error?.message ? String(json.error.message) : `openai_http_${resp.status}`;
+    if (resp.status === 401 || resp.status === 403) return { ...base, status: "error", latency_ms, error: "invalid_api_key", detail: error };
+    if (resp.status === 404) return { ...base, status: "error", latency_ms, model_available: false, error: "model_not_found", detail: error };
+    return { ...base, status: "degraded", latency_ms, error };
+  } catch (e) {
+    return { ...base, status: "degraded", latency_ms: Date.now() - startedAt, error: String(e?.code || e?.message || e) };
+  }
+}
+
+/**
+ * Cached probe. `force: true` bypasses the cache. Concurrent callers share one probe.
+ * Returns { status: ok|degraded|error|unconfigured, model, latency_ms, error?, cached, checked_at }.
+ */
+async function checkOpenAI({ force = false } = {}) {
+  if (!force && cached && Date.now() - cached.at < CACHE_TTL_MS) return { ...cached.result, cached: true };
+  if (!inflight) {
+    inflight = probe()
+      .then((result) => {
+        cached = { result, at: Date.now() };
+        return result;
+      })
+      .finally(() => {
+        inflight = null;
+      });
+  }
+  return { ...(await inflight), cached: false };
+}
+
+module.exports = { checkOpenAI };
@@ -0,0 +1,393 @@
+// /opt/content360/core/prompt_packs.js
+// S4: per-language prompt packs used by prompts.js. A pack holds the prompt wording, the context
+// labels and the locale rules (length limits, punctuation, slug transliteration) of one language
+// or locale. Locales fall back along a chain ("de-CH" -> "de" -> "en"): the packs found are merged
+// on top of "en", so a regional pack only lists what differs from its language.
+
+const FALLBACK_LANG = "en";
+
+// Applied to slugs after the pack's own table (every locale: a Russian product title still
+// gets an ASCII slug). Simplified BGN/PCGN romanisation.
+const SCRIPT_TRANSLIT = {
+  // Cyrillic (ru, uk, bg, sr)
+  а: "a", б: "b", в: "v", г: "g", ґ: "g", д: "d", ђ: "dj", е: "e", ё: "e", є: "ye", ж: "zh", з: "z",
+  и: "i", і: "i", ї: "yi", й: "y", ј: "j", к: "k", л: "l", љ: "lj", м: "m", н: "n", њ: "nj", о: "o",
+  п: "p", р: "r", с: "s", т: "t", ћ: "c", у: "u", ф: "f", х: "kh", ц: "ts", ч: "ch", џ: "dz", ш: "sh",
+  щ: "shch", ъ: "", ы: "y", ь: "", э: "e", ю: "yu", я: "ya",
+  // Greek
+  α: "a", ά: "a", β: "v", γ: "g", δ: "d", ε: "e", έ: "e", ζ: "z", η: "i", ή: "i", θ: "th", ι: "i",
+  ί: "i", ϊ: "i", ΐ: "i", κ: "k", λ: "l", μ: "m", ν: "n", ξ: "x", ο: "o", ό: "o", π: "p", ρ: "r",
+  σ: "s", ς: "s", τ: "t", υ: "y", ύ: "y", ϋ: "y", ΰ: "y", φ: "f", χ: "ch", ψ: "ps", ω: "o", ώ: "o",
+};
+
+const PACKS = {
+  en: {
+    role: "You are Content360, an e-commerce/SEO assistant.",
+    role_ecom: "You are Content360, a WooCommerce e-commerce assistant.",
+    goal: {
+      quick_boost: `Goal: produce a "Quick Boost" (2 minutes) that optimises a page or a product WITHOUT rewriting all of its content.`,
+      full_content: "Goal: produce COMPLETE content ready to publish (5–8 min), structured, useful, no filler.",
+      ecom_catalog: "Goal: generate the product elements (short, long, benefits, specs, usage, cross-sell) + SEO.",
+      regenerate: (path, mode) => `Goal: regenerate ONLY the \`${path}\` field of an existing "${mode}" result. The rest of the result is kept as is.`,
+    },
+    labels: {
+      context: "Context:",
+      constraints: "Constraints:",
+      lang: "language",
+      title: "title/source",
+      product_name: "product name/source",
+      excerpt: "excerpt/source",
+      taxonomy: "categories/tags/source",
+      categories: "categories/source",
+      facts: "facts",
+      specs: "specs/source",
+      usage: "usage/source",
+      intent: "brief/intent",
+      existing_meta: "current meta (to improve)",
+      current_output: "Current result (to stay consistent):",
+      current_value: (path) => `Current value of \`${path}\`:`,
+      guidance: "Client instructions",
+      no_guidance: "none, suggest a better version.",
+      brand: "Brand guidelines (mandatory):",
+      instead_of: "not",
+    },
+    rules: {
+      language: (name) => `Write every text in ${name}, with native phrasing (not a translation).`,
+      punctuation: "Punctuation: no space before : ; ! ?, quotes “…”.",
+      json_only: "Answer STRICTLY with JSON matching the provided schema (no text outside the JSON).",
+      json_schema: "Answer STRICTLY with JSON matching the schema.",
+      no_promises: `No unverifiable promises (e.g. "24h delivery") unless provided. Prefer generic reassurance.`,
+      meta_title: ([min, max]) => `meta_title: ${min}–${max} characters.`,
+      meta_description: ([min, max]) => `Meta description: ${min}–${max} characters.`,
+      h2: "H2: 3 to 6 short, non-redundant headings.",
+      faq: "FAQ: 0 to 4 concrete questions max.",
+      focus_keyword: "Focus keyword: 2 to 4 words max.",
+      content_html: "content_html: simple HTML (p, h2, ul, li, strong). No inline styles.",
+      slug: "slug: kebab-case, ASCII only (a-z, 0-9), 3–8 words; transliterate non-Latin scripts.",
+      image_alts: "image_alts: 2 to 8 (do not invent photos).",
+      plagiarism: "checks.plagiarism_risk: low|medium|high (be cautious).",
+      short_description: (max) => `short_description: 1–2 sentences (max ${max} chars).`,
+      long_description: "long_description_html: simple HTML (p, h2, ul, li, strong).",
+      specs_empty: "specs: if specs/source is empty, specs must be [].",
+      value_json: `Answer STRICTLY with JSON of the form {"value": ...} matching the provided schema (no text outside the JSON).`,
+      same_voice: "Same language, same main keyword and same tone as the rest of the result.",
+      no_copy: "Do not copy the current value.",
+      brand_tone: (tone) => `Tone: ${tone}.`,
+      brand_persona: (persona) => `Voice / persona: ${persona}`,
+      brand_banned: (terms) => `Never use: ${terms}.`,
+      brand_required: (terms) => `Use these terms where relevant: ${terms}.`,
+      brand_glossary: (pairs) => `Preferred terms: ${pairs}.`,
+      brand_claims: (claims) => `Commercial claims: ONLY these ones, as worded: ${claims}. No other promise.`,
+      brand_checks_tone: (tone) => `checks.tone: "${tone}".`,
+    },
+    repair: {
+      intro: "Your previous answer does not follow the JSON schema or the constraints. Previous answer:",
+      violations: "Violations to fix (all of them):",
+      retry: "Return the COMPLETE corrected JSON. Keep the valid content, only fix the listed fields.",
+      language: (expected, detected) => `language: the text is written in ${detected}, it must be written in ${expected}.`,
+    },
+    limits: { meta_title: [50, 60], meta_description: [140, 160], short_description: 240 },
+    translit: { æ: "ae", œ: "oe", ø: "o", đ: "d", ł: "l", ß: "ss", þ: "th" },
+  },
+
+  fr: {
+    role: "Tu es Content360, assistant e-commerce/SEO.",
+    role_ecom: "Tu es Content360, assistant e-commerce WooCommerce.",
+    goal: {
+      quick_boost: "But: produire un “Quick Boost” (2 minutes) pour optimiser une page ou un produit SANS réécrire tout le contenu.",
+      full_content: "But: produire un contenu COMPLET prêt à publier (5–8 min), structuré, utile, sans blabla.",
+      ecom_catalog: "But: générer les éléments produit (courte, longue, bénéfices, specs, usage, cross-sell) + SEO.",
+      regenerate: (path, mode) => `But: régénérer UNIQUEMENT le champ \`${path}\` d'un résultat "${mode}" existant. Le reste du résultat est conservé tel quel.`,
+    },
+    labels: {
+      context: "Contexte:",
+      constraints: "Contraintes:",
+      lang: "langue",
+      title: "titre/source",
+      product_name: "nom produit/source",
+      excerpt: "extrait/source",
+      taxonomy: "catégories/tags/source",
+      categories: "catégories/source",
+      facts: "éléments factuels",
+      specs: "specs/source",
+      usage: "usage/source",
+      intent: "brief/intention",
+      existing_meta: "méta actuelles (à améliorer)",
+      current_output: "Résultat actuel (pour rester cohérent):",
+      current_value: (path) => `Valeur actuelle de \`${path}\`:`,
+      guidance: "Consignes du client",
+      no_guidance: "aucune, propose une meilleure version.",
+      brand: "Charte de marque (obligatoire):",
+      instead_of: "pas",
+    },
+    rules: {
+      language: (name) => `Rédige tous les textes en ${name}, avec des tournures natives (pas de traduction).`,
+      punctuation: "Typographie française: espace insécable avant : ; ! ?, guillemets « … ».",
+      json_only: "Réponse STRICTEMENT JSON conforme au schéma fourni (aucun texte hors JSON).",
+      json_schema: "Réponse STRICTEMENT JSON conforme au schéma.",
+      no_promises: `Pas de promesses non vérifiables (ex: "livraison 24h") si non fourni. Préfère une réassurance générique.`,
+      meta_title: ([min, max]) => `meta_title: ${min}–${max} caractères.`,
+      meta_description: ([min, max]) => `Meta description: ${min}–${max} caractères.`,
+      h2: "H2: 3 à 6 titres courts, non redondants.",
+      faq: "FAQ: 0 à 4 questions max, concrètes.",
+      focus_keyword: "Focus keyword: 2 à 4 mots max.",
+      content_html: "content_html: HTML simple (p, h2, ul, li, strong). Pas de styles inline.",
+      slug: "slug: kebab-case, sans accents (a-z, 0-9), 3–8 mots.",
+      image_alts: "image_alts: 2 à 8 (sans inventer des photos).",
+      plagiarism: "checks.plagiarism_risk: low|medium|high (prudence).",
+      short_description: (max) => `short_description: 1–2 phrases (max ${max} chars).`,
+      long_description: "long_description_html: HTML simple (p, h2, ul, li, strong).",
+      specs_empty: "specs: si specs/source est vide, specs doit être [].",
+      value_json: `Réponse STRICTEMENT JSON de la forme {"value": ...}, conforme au schéma fourni (aucun texte hors JSON).`,
+      same_voice: "Même langue, même mot-clé principal et même ton que le reste du résultat.",
+      no_copy: "Ne recopie pas la valeur actuelle.",
+      brand_tone: (tone) => `Ton: ${tone}.`,
+      brand_persona: (persona) => `Voix / persona: ${persona}`,
+      brand_banned: (terms) => `N'utilise jamais: ${terms}.`,
+      brand_required: (terms) => `Utilise ces termes quand c'est pertinent: ${terms}.`,
+      brand_glossary: (pairs) => `Termes à privilégier: ${pairs}.`,
+      brand_claims: (claims) => `Promesses commerciales: UNIQUEMENT celles-ci, telles quelles: ${claims}. Aucune autre promesse.`,
+      brand_checks_tone: (tone) => `checks.tone: "${tone}".`,
+    },
+    repair: {
+      intro: "Ta réponse précédente ne respecte pas le schéma JSON ou les contraintes. Réponse précédente:",
+      violations: "Violations à corriger (toutes):",
+      retry: "Renvoie le JSON COMPLET corrigé. Conserve le contenu valide, corrige uniquement les champs listés.",
+      language: (expected, detected) => `langue: le texte est rédigé en ${detected}, il doit être rédigé en ${expected}.`,
+    },
+    limits: { meta_title: [45, 65], meta_description: [140, 160], short_description: 240 },
+  },
+
+  de: {
+    role: "Du bist Content360, ein E-Commerce-/SEO-Assistent.",
+    role_ecom: "Du bist Content360, ein E-Commerce-Assistent für WooCommerce.",
+    goal: {
+      quick_boost: "Ziel: einen „Quick Boost“ (2 Minuten) erstellen, der eine Seite oder ein Produkt optimiert, OHNE den ganzen Inhalt neu zu schreiben.",
+      full_content: "Ziel: einen VOLLSTÄNDIGEN, veröffentlichungsfertigen Inhalt (5–8 Min.) erstellen: strukturiert, nützlich, ohne Fülltext.",
+      ecom_catalog: "Ziel: die Produktelemente erstellen (Kurz- und Langbeschreibung, Vorteile, Spezifikationen, Anwendung, Cross-Selling) + SEO.",
+      regenerate: (path, mode) => `Ziel: NUR das Feld \`${path}\` eines bestehenden "${mode}"-Ergebnisses neu erstellen. Der Rest des Ergebnisses bleibt unverändert.`,
+    },
+    labels: {
+      context: "Kontext:",
+      constraints: "Vorgaben:",
+      lang: "Sprache",
+      title: "Titel/Quelle",
+      product_name: "Produktname/Quelle",
+      excerpt: "Auszug/Quelle",
+      taxonomy: "Kategorien/Tags/Quelle",
+      categories: "Kategorien/Quelle",
+      facts: "Fakten",
+      specs: "Spezifikationen/Quelle",
+      usage: "Anwendung/Quelle",
+      intent: "Briefing/Absicht",
+      existing_meta: "aktuelle Meta-Angaben (zu verbessern)",
+      current_output: "Aktuelles Ergebnis (zur Konsistenz):",
+      current_value: (path) => `Aktueller Wert von \`${path}\`:`,
+      guidance: "Anweisungen des Kunden",
+      no_guidance: "keine, schlage eine bessere Version vor.",
+      brand: "Markenrichtlinien (verbindlich):",
+      instead_of: "nicht",
+    },
+    rules: {
+      language: (name) => `Schreibe alle Texte auf ${name}, mit muttersprachlichen Formulierungen (keine Übersetzung).`,
+      punctuation: "Zeichensetzung: kein Leerzeichen vor : ; ! ?, Anführungszeichen „…“, Substantive groß.",
+      json_only: "Antwort AUSSCHLIESSLICH als JSON gemäß dem vorgegebenen Schema (kein Text außerhalb des JSON).",
+      json_schema: "Antwort AUSSCHLIESSLICH als JSON gemäß dem Schema.",
+      no_promises: `Keine unüberprüfbaren Versprechen (z. B. "Lieferung in 24 Std."), wenn nicht angegeben. Lieber allgemeine Zusicherungen.`,
+      meta_title: ([min, max]) => `meta_title: ${min}–${max} Zeichen.`,
+      meta_description: ([min, max]) => `Meta-Description: ${min}–${max} Zeichen.`,
+      h2: "H2: 3 bis 6 kurze Überschriften ohne Wiederholungen.",
+      faq: "FAQ: höchstens 0 bis 4 konkrete Fragen.",
+      focus_keyword: "Fokus-Keyword: höchstens 2 bis 4 Wörter.",
+      content_html: "content_html: einfaches HTML (p, h2, ul, li, strong). Keine Inline-Styles.",
+      slug: "slug: kebab-case, nur ASCII (a-z, 0-9), 3–8 Wörter; Umlaute umschreiben (ä→ae, ö→oe, ü→ue, ß→ss).",
+      image_alts: "image_alts: 2 bis 8 (keine Fotos erfinden).",
+      plagiarism: "checks.plagiarism_risk: low|medium|high (vorsichtig).",
+      short_description: (max) => `short_description: 1–2 Sätze (max. ${max} Zeichen).`,
+      long_description: "long_description_html: einfaches HTML (p, h2, ul, li, strong).",
+      specs_empty: "specs: wenn Spezifikationen/Quelle leer ist, muss specs [] sein.",
+      value_json: `Antwort AUSSCHLIESSLICH als JSON der Form {"value": ...} gemäß dem vorgegebenen Schema (kein Text außerhalb des JSON).`,
+      same_voice: "Gleiche Sprache, gleiches Haupt-Keyword und gleicher Ton wie der Rest des Ergebnisses.",
+      no_copy: "Den aktuellen Wert nicht übernehmen.",
+      brand_tone: (tone) => `Ton: ${tone}.`,
+      brand_persona: (persona) => `Stimme / Persona: ${persona}`,
+      brand_banned: (terms) => `Niemals verwenden: ${terms}.`,
+      brand_required: (terms) => `Diese Begriffe verwenden, wo passend: ${terms}.`,
+      brand_glossary: (pairs) => `Bevorzugte Begriffe: ${pairs}.`,
+      brand_claims: (claims) => `Werbeaussagen: NUR diese, im genauen Wortlaut: ${claims}. Keine anderen Versprechen.`,
+      brand_checks_tone: (tone) => `checks.tone: "${tone}".`,
+    },
+    repair: {
+      intro: "Deine vorherige Antwort entspricht nicht dem JSON-Schema oder den Vorgaben. Vorherige Antwort:",
+      violations: "Zu behebende Verstöße (alle):",
+      retry: "Gib das VOLLSTÄNDIGE korrigierte JSON zurück. Behalte den gültigen Inhalt, korrigiere nur die aufgeführten Felder.",
+      language: (expected, detected) => `Sprache: der Text ist auf ${detected} geschrieben, er muss auf ${expected} geschrieben sein.`,
+    },
+    // German words are long: slightly shorter titles and descriptions to avoid SERP truncation.
+    limits: { meta_title: [45, 60], meta_description: [130, 155], short_description: 240 },
+    translit: { ä: "ae", ö: "oe", ü: "ue" },
+  },
+
+  "de-CH": {
+    rules: {
+      punctuation: "Schweizer Rechtschreibung: kein „ß“, immer „ss“; Anführungszeichen «…»; kein Leerzeichen vor : ; ! ?.",
+    },
+  },
+
+  es: {
+    role: "Eres Content360, asistente de e-commerce/SEO.",
+    role_ecom: "Eres Content360, asistente de e-commerce para WooCommerce.",
+    goal: {
+      quick_boost: "Objetivo: producir un “Quick Boost” (2 minutos) para optimizar una página o un producto SIN reescribir todo el contenido.",
+      full_content: "Objetivo: producir un contenido COMPLETO listo para publicar (5–8 min), estructurado, útil y sin relleno.",
+      ecom_catalog: "Objetivo: generar los elementos del producto (descripción corta y larga, beneficios, especificaciones, uso, venta cruzada) + SEO.",
+      regenerate: (path, mode) => `Objetivo: regenerar SOLO el campo \`${path}\` de un resultado "${mode}" existente. El resto del resultado se mantiene tal cual.`,
+    },
+    labels: {
+      context: "Contexto:",
+      constraints: "Restricciones:",
+      lang: "idioma",
+      title: "título/fuente",
+      product_name: "nombre del producto/fuente",
+      excerpt: "extracto/fuente",
+      taxonomy: "categorías/etiquetas/fuente",
+      categories: "categorías/fuente",
+      facts: "datos",
+      specs: "especificaciones/fuente",
+      usage: "uso/fuente",
+      intent: "brief/intención",
+      existing_meta: "metadatos actuales (a mejorar)",
+      current_output: "Resultado actual (para mantener la coherencia):",
+      current_value: (path) => `Valor actual de \`${path}\`:`,
+      guidance: "Indicaciones del cliente",
+      no_guidance: "ninguna, propone una versión mejor.",
+      brand: "Guía de marca (obligatoria):",
+      instead_of: "no",
+    },
+    rules: {
+      language: (name) => `Redacta todos los textos en ${name}, con expresiones nativas (no una traducción).`,
+      punctuation: "Puntuación: signos de apertura ¿ y ¡, sin espacio antes de : ; ! ?, comillas «…».",
+      json_only: "Respuesta ESTRICTAMENTE en JSON conforme al esquema proporcionado (ningún texto fuera del JSON).",
+      json_schema: "Respuesta ESTRICTAMENTE en JSON conforme al esquema.",
+      no_promises: `Sin promesas no verificables (ej.: "entrega en 24h") si no se indican. Prefiere una garantía genérica.`,
+      meta_title: ([min, max]) => `meta_title: ${min}–${max} caracteres.`,
+      meta_description: ([min, max]) => `Meta description: ${min}–${max} caracteres.`,
+      h2: "H2: de 3 a 6 títulos cortos, sin redundancias.",
+      faq: "FAQ: de 0 a 4 preguntas como máximo, concretas.",
+      focus_keyword: "Focus keyword: de 2 a 4 palabras como máximo.",
+      content_html: "content_html: HTML simple (p, h2, ul, li, strong). Sin estilos inline.",
+      slug: "slug: kebab-case, sin tildes ni ñ (a-z, 0-9), 3–8 palabras.",
+      image_alts: "image_alts: de 2 a 8 (sin inventar fotos).",
+      plagiarism: "checks.plagiarism_risk: low|medium|high (con prudencia).",
+      short_description: (max) => `short_description: 1–2 frases (máx. ${max} caracteres).`,
+      long_description: "long_description_html: HTML simple (p, h2, ul, li, strong).",
+      specs_empty: "specs: si especificaciones/fuente está vacío, specs debe ser [].",
+      value_json: `Respuesta ESTRICTAMENTE en JSON de la forma {"value": ...}, conforme al esquema proporcionado (ningún texto fuera del JSON).`,
+      same_voice: "Mismo idioma, misma palabra clave principal y mismo tono que el resto del resultado.",
+      no_copy: "No copies el valor actual.",
+      brand_tone: (tone) => `Tono: ${tone}.`,
+      brand_persona: (persona) => `Voz / persona: ${persona}`,
+      brand_banned: (terms) => `No uses nunca: ${terms}.`,
+      brand_required: (terms) => `Usa estos términos cuando sea pertinente: ${terms}.`,
+      brand_glossary: (pairs) => `Términos preferidos: ${pairs}.`,
+      brand_claims: (claims) => `Promesas comerciales: SOLO estas, tal cual: ${claims}. Ninguna otra promesa.`,
+      brand_checks_tone: (tone) => `checks.tone: "${tone}".`,
+    },
+    repair: {
+      intro: "Tu respuesta anterior no respeta el esquema JSON o las restricciones. Respuesta anterior:",
+      violations: "Infracciones a corregir (todas):",
+      retry: "Devuelve el JSON COMPLETO corregido. Conserva el contenido válido y corrige solo los campos indicados.",
+      language: (expected, detected) => `idioma: el texto está redactado en ${detected}, debe estar redactado en ${expected}.`,
+    },
+    limits: { meta_title: [45, 65], meta_description: [140, 160], short_description: 240 },
+  },
+};
+
+/** "de_ch" / "DE-ch" -> "de-CH"; empty -> "". Script subtags keep their case ("zh-Hant"). */
+function normalizeLocale(lang) {
+  const parts = String(lang ?? "").trim().replace(/_/g, "-").split("-").filter(Boolean);
+  if (!parts.length || !/^[a-z]{2,3}$/i.test(parts[0])) return "";
+  return parts
+    .map((p, i) => {
+      if (i === 0) return p.toLowerCase();
+      if (/^[a-z]{4}$/i.test(p)) return p[0].toUpperCase() + p.slice(1).toLowerCase();
+      return /^([a-z]{2}|\d{3})$/i.test(p) ? p.toUpperCase() : p.toLowerCase();
+    })
+    .join("-");
+}
+
+/** "de-CH" -> ["de-CH", "de", "en"]; "zh-Hant-TW" -> ["zh-Hant-TW", "zh-Hant", "zh", "en"]. */
+function localeChain(lang) {
+  const parts = normalizeLocale(lang).split("-").filter(Boolean);
+  const chain = [];
+  for (let n = parts.length; n > 0; n--) chain.push(parts.slice(0, n).join("-"));
+  if (!chain.includes(FALLBACK_LANG)) chain.push(FALLBACK_LANG);
+  return chain;
+}
+
+function isPlainObject(x) {
+  return x && typeof x === "object" && !Array.isArray(x);
+}
+
+function merge(base, over) {
+  const out = { ...base };
+  for (const [k, v] of Object.entries(over || {})) out[k] = isPlainObject(v) && isPlainObject(base[k]) ? merge(base[k], v) : v;
+  return out;
+}
+
+/** Name of `locale` in the language of `inLang` ("de-CH" in "de" -> "Schweizer Hochdeutsch"). */
+function languageName(locale, inLang = FALLBACK_LANG) {
+  try {
+    return new Intl.DisplayNames([inLang], { type: "language" }).of(locale) || locale;
+  } catch (_) {
+    return locale;
+  }
+}
+
+const cache = new Map();
+
+/**
+ * Pack for `lang`, merged along its fallback chain. `locale` is the requested locale (the one the
+ * text must be written in), `pack` the most specific pack found, `language_name` the locale's
+ * name in the pack's language (used by the language rule).
+ */
+function resolvePack(lang) {
+  const locale = normalizeLocale(lang) || FALLBACK_LANG;
+  if (cache.has(locale)) return cache.get(locale);
+  const chain = localeChain(locale);
+  const found = chain.filter((l) => PACKS[l]);
+  let pack = {};
+  for (const l of [...found].reverse()) pack = merge(pack, PACKS[l]);
+  const packLang = found[0];
+  const out = Object.freeze({ ...pack, locale, chain, pack: packLang, language_name: languageName(locale, packLang) });
+  cache.set(locale, out);
+  return out;
+}
+
+/**
+ * ASCII kebab-case slug with the locale's transliteration ("Größe" -> "groesse" in de,
+ * "Кофемашина" -> "kofemashina"). Scripts without a table (CJK, Arabic...) are dropped.
+ */
+function slugify(text, lang, { maxWords = 8 } = {}) {
+  const table = resolvePack(lang).translit || {};
+  return Array.from(String(text ?? "").toLowerCase())
+    .map((ch) => table[ch] ?? SCRIPT_TRANSLIT[ch] ?? ch)
+    .join("")
+    .normalize("NFD")
+    .replace(/[\u0300-\u036f]/g, "")
+    .replace(/[^a-z0-9]+/g, "-")
+    .split("-")
+    .filter(Boolean)
+    .slice(0, maxWords)
+    .join("-");
+}
+
+module.exports = {
+  FALLBACK_LANG,
+  PACKS,
+  normalizeLocale,
+  localeChain,
+  languageName,
+  resolvePack,
+  slugify,
+};
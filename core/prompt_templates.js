@@ -0,0 +1,387 @@
+// /opt/content360/core/prompt_templates.js
+// S4: versioned prompt templates (c360_prompt_templates) with weighted A/B assignment.
+//
+// A template replaces the built-in prompt (prompts.js) of one mode, for one locale ("de-CH",
+// "de", or "*" for any language) and one client ("*" = every client). Its body is plain text
+// with {{variables}} filled from buildContext and the item's language pack; {{builtin}} is the
+// built-in prompt, so a template can also extend it. The client's brand profile is
+// {{brand_rules}}; a body using neither gets it appended. Versions go draft -> published -> archived.
+// Several published versions of the same slot (client, mode, locale) share the traffic by
+// weight; the assignment is a hash of job + item, so a retried item keeps its version.
+// The version used is stored on each result item (prompt_version, prompt_template_id) and in
+// the meta of every generation event.
+
+const crypto = require("crypto");
+const { ALLOWED_MODES } = require("./job_payload");
+const { buildContext, brandBlock, promptQuickBoost, promptFullContent, promptEcomCatalog } = require("./prompts");
+const { normalizeLocale, localeChain, resolvePack } = require("./prompt_packs");
+
+const BUILTIN_VERSION = "builtin";
+const ANY = "*";
+const MAX_BODY_LEN = 20000;
+const MAX_NOTES_LEN = 1000;
+const MAX_WEIGHT = 1000;
+const DEFAULT_WEIGHT = 100;
+// Published versions are re-read by each worker at most this often.
+const TEMPLATES_CACHE_MS = Number(process.env.PROMPT_TEMPLATES_CACHE_MS || 30000);
+
+const BUILTIN = {
+  quick_boost: promptQuickBoost,
+  full_content: promptFullContent,
+  ecom_catalog: promptEcomCatalog,
+};
+
+const CONTEXT_VARIABLES = [
+  "entity_type", "entity_id", "lang", "source_title", "source_excerpt", "source_taxonomy",
+  "source_facts", "source_specs", "source_usage", "intent", "existing_meta",
+];
+const TEMPLATE_VARIABLES = [
+  ...CONTEXT_VARIABLES,
+  "mode", "locale", "language_name", "language_rule", "punctuation_rule", "slug_rule",
+  "meta_title_min", "meta_title_max", "meta_description_min", "meta_description_max", "short_description_max",
+  "builtin", "brand_rules",
+];
+const VARIABLE_RE = /\{\{\s*([A-Za-z0-9_.]+)\s*\}\}/g;
+
+const COLUMNS = `id, client_id, mode, locale, version, status, weight, body, notes, created_by, published_by,
+  created_at, updated_at, published_at, archived_at`;
+
+function templateError(status, code, details) {
+  return Object.assign(new Error(code), { code, status, details });
+}
+
+function isPlainObject(x) {
+  return !!x && typeof x === "object" && !Array.isArray(x);
+}
+
+/** Variable names used by a template body, in order of first use. */
+function templateVariables(body) {
+  return [...new Set(Array.from(String(body ?? "").matchAll(VARIABLE_RE), (m) => m[1]))];
+}
+
+/** Values of every template variable for one item (reqJson = item + mode; brand = profile or null). */
+function templateVars(reqJson, mode, { brand = null } = {}) {
+  const c = buildContext(reqJson);
+  const p = resolvePack(c.lang);
+  return {
+    ...Object.fromEntries(CONTEXT_VARIABLES.map((k) => [k, c[k]])),
+    mode,
+    locale: p.locale,
+    language_name: p.language_name,
+    language_rule: p.rules.language(p.language_name),
+    punctuation_rule: p.rules.punctuation,
+    slug_rule: p.rules.slug,
+    meta_title_min: p.limits.meta_title[0],
+    meta_title_max: p.limits.meta_title[1],
+    meta_description_min: p.limits.meta_description[0],
+    meta_description_max: p.limits.meta_description[1],
+    short_description_max: p.limits.short_description,
+    builtin: BUILTIN[mode] ? BUILTIN[mode](reqJson, { brand }) : "",
+    brand_rules: brandBlock(c.lang, brand, { checksTone: mode === "full_content" }).join("\n").trim(),
+  };
+}
+
+function renderTemplate(body, vars) {
+  return String(body).replace(VARIABLE_RE, (m, name) => (Object.hasOwn(vars, name) ? String(vars[name] ?? "") : m));
+}
+
+function versionLabel(row) {
+  const label = `${row.mode}/${row.locale}/v${row.version}`;
+  return row.client_id && row.client_id !== ANY ? `${label}@${row.client_id}` : label;
+}
+
+/**
+ * Prompt of one item: the template's rendering, or the built-in prompt without a template.
+ * Returns { prompt, prompt_version, prompt_template_id }.
+ */
+function renderPrompt(mode, reqJson, template = null, { brand = null } = {}) {
+  if (!BUILTIN[mode]) throw new Error(`Unsupported mode: ${mode}`);
+  if (!template) return { prompt: BUILTIN[mode](reqJson, { brand }), prompt_version: BUILTIN_VERSION, prompt_template_id: null };
+  const vars = templateVars(reqJson, mode, { brand });
+  const used = templateVariables(template.body);
+  let prompt = renderTemplate(template.body, vars);
+  if (vars.brand_rules && !used.includes("builtin") && !used.includes("brand_rules")) prompt = `${prompt}\n\n${vars.brand_rules}`;
+  return {
+    prompt,
+    prompt_version: versionLabel(template),
+    prompt_template_id: String(template.id),
+  };
+}
+
+/** Admin preview: the rendered prompt and the variables it uses (empty ones listed apart). */
+function previewPrompt(mode, item, template = null, { brand = null } = {}) {
+  const reqJson = { ...item, mode };
+  const out = renderPrompt(mode, reqJson, template, { brand });
+  const vars = templateVars(reqJson, mode, { brand });
+  const used = template ? templateVariables(template.body) : [];
+  return {
+    ...out,
+    variables: used,
+    empty_variables: used.filter((k) => String(vars[k] ?? "").trim() === ""),
+    chars: out.prompt.length,
+  };
+}
+
+/**
+ * Template input (POST, or PATCH with `partial`: body, notes and weight only).
+ * Returns { ok: true, value } or { ok: false, errors }.
+ */
+function validateTemplateInput(body, { partial = false } = {}) {
+  if (!isPlainObject(body)) return { ok: false, errors: ["body must be an object"] };
+  const allowed = partial ? ["body", "notes", "weight"] : ["mode", "locale", "client_id", "body", "notes", "weight"];
+  const errors = Object.keys(body).filter((k) => !allowed.includes(k)).map((k) => (partial ? `field cannot be changed: ${k}` : `unexpected field: ${k}`));
+  const value = {};
+  const has = (k) => body[k] !== undefined;
+
+  if (!partial) {
+    value.mode = String(body.mode ?? "").trim();
+    if (!ALLOWED_MODES.has(value.mode)) errors.push(`invalid mode: ${value.mode || "(empty)"}`);
+    const locale = String(body.locale ?? ANY).trim();
+    value.locale = locale === ANY ? ANY : normalizeLocale(locale);
+    if (!value.locale) errors.push(`invalid locale: ${locale}`);
+    value.client_id = body.client_id === undefined || body.client_id === null ? ANY : String(body.client_id).trim();
+    if (!value.client_id) errors.push("client_id must be a client id or *");
+  }
+  if (has("body") || !partial) {
+    const text = typeof body.body === "string" ? body.body : "";
+    if (!text.trim() || text.length > MAX_BODY_LEN) errors.push(`body required (max ${MAX_BODY_LEN} chars)`);
+    for (const name of templateVariables(text)) {
+      if (!TEMPLATE_VARIABLES.includes(name)) errors.push(`unknown variable: {{${name}}}`);
+    }
+    value.body = text;
+  }
+  if (has("notes")) {
+    const notes = body.notes === null ? null : String(body.notes);
+    if (notes && notes.length > MAX_NOTES_LEN) errors.push(`notes max ${MAX_NOTES_LEN} chars`);
+    value.notes = notes;
+  }
+  if (has("weight") || !partial) {
+    const w = body.weight === undefined ? DEFAULT_WEIGHT : body.weight;
+    if (!Number.isInteger(w) || w < 1 || w > MAX_WEIGHT) errors.push(`weight must be an integer 1..${MAX_WEIGHT}`);
+    value.weight = w;
+  }
+
+  if (errors.length) return { ok: false, errors };
+  return { ok: true, value };
+}
+
+function publicTemplate(row) {
+  return { ...row, id: String(row.id), label: versionLabel(row) };
+}
+
+async function createTemplate(db, { value, actor = null }) {
+  try {
+    const r = await db.query(
+      `INSERT INTO c360_prompt_templates (client_id, mode, locale, version, status, weight, body, notes, created_by, created_at, updated_at)
+       SELECT $1, $2, $3, COALESCE(MAX(version), 0) + 1, 'draft', $4, $5, $6, $7, NOW(), NOW()
+       FROM c360_prompt_templates WHERE client_id=$1 AND mode=$2 AND locale=$3
+       RETURNING ${COLUMNS}`,
+      [value.client_id, value.mode, value.locale, value.weight, value.body, value.notes ?? null, actor]
+    );
+    return r.rows[0];
+  } catch (e) {
+    // Two drafts of the same slot at once: the second one can simply be retried.
+    if (e?.code === "23505") throw templateError(409, "version_conflict");
+    throw e;
+  }
+}
+
+async function getTemplate(db, id) {
+  if (!/^\d{1,18}$/.test(String(id))) return null;
+  const r = await db.query(`SELECT ${COLUMNS} FROM c360_prompt_templates WHERE id=$1`, [String(id)]);
+  return r.rows[0] || null;
+}
+
+async function listTemplates(db, { mode = null, locale = null, clientId = null, status = null, limit = 100 } = {}) {
+  const where = [];
+  const args = [];
+  const add = (sql, v) => {
+    args.push(v);
+    where.push(sql.replace("?", `$${args.length}`));
+  };
+  if (mode) add("mode=?", mode);
+  if (locale) add("locale=?", locale === ANY ? ANY : normalizeLocale(locale));
+  if (clientId) add("client_id=?", clientId);
+  if (status) add("status=?", status);
+  args.push(limit);
+  const r = await db.query(
+    `SELECT ${COLUMNS} FROM c360_prompt_templates
+     ${where.length ? `WHERE ${where.join(" AND ")}` : ""}
+     ORDER BY mode, locale, client_id, version DESC
+     LIMIT $${args.length}`,
+    args
+  );
+  return r.rows;
+}
+
+// PATCH: the body of a published or archived version is frozen (create a new draft instead).
+async function updateTemplate(db, { current, value }) {
+  if (value.body !== undefined && current.status !== "draft") throw templateError(409, "template_not_draft", { status: current.status });
+  const keys = Object.keys(value);
+  const r = await db.query(
+    `UPDATE c360_prompt_templates SET ${[...keys.map((k, i) => `${k}=$${i + 2}`), "updated_at=NOW()"].join(", ")}
+     WHERE id=$1
+     RETURNING ${COLUMNS}`,
+    [String(current.id), ...keys.map((k) => value[k])]
+  );
+  return r.rows[0];
+}
+
+/**
+ * Publish a draft (or bring back an archived version). Without `keepOthers` the other published
+ * versions of the slot are archived (100% of the traffic); with it, the version joins the A/B
+ * split with its weight. Returns { template, archived: [ids] }.
+ */
+async function publishTemplate(db, { current, weight = null, keepOthers = false, actor = null }) {
+  const client = await db.connect();
+  try {
+    await client.query("BEGIN");
+    let archived = [];
+    if (!keepOthers) {
+      const a = await client.query(
+        `UPDATE c360_prompt_templates SET status='archived', archived_at=NOW(), updated_at=NOW()
+         WHERE client_id=$1 AND mode=$2 AND locale=$3 AND status='published' AND id<>$4
+         RETURNING id`,
+        [current.client_id, current.mode, current.locale, String(current.id)]
+      );
+      archived = a.rows.map((row) => String(row.id));
+    }
+    const r = await client.query(
+      `UPDATE c360_prompt_templates
+       SET status='published', weight=COALESCE($2, weight), published_at=NOW(), published_by=$3, archived_at=NULL, updated_at=NOW()
+       WHERE id=$1
+       RETURNING ${COLUMNS}`,
+      [String(current.id), weight, actor]
+    );
+    await client.query("COMMIT");
+    return { template: r.rows[0], archived };
+  } catch (e) {
+    try { await client.query("ROLLBACK"); } catch (_) {}
+    throw e;
+  } finally {
+    client.release();
+  }
+}
+
+async function archiveTemplate(db, { current }) {
+  const r = await db.query(
+    `UPDATE c360_prompt_templates SET status='archived', archived_at=NOW(), updated_at=NOW()
+     WHERE id=$1
+     RETURNING ${COLUMNS}`,
+    [String(current.id)]
+  );
+  return r.rows[0];
+}
+
+/**
+ * Review outcomes per prompt version over the last `days` days (one row per version, the
+ * built-in prompts included), counted per result item: items, approved, rejected, edited
+ * (more than one revision), deterministic fallbacks. Parents are skipped: their results are
+ * their children's.
+ */
+async function templateStats(db, { mode = null, days = 30 } = {}) {
+  const r = await db.query(
+    `SELECT it.item->>'prompt_version' AS prompt_version, it.item->>'prompt_template_id' AS prompt_template_id,
+            COUNT(*)::int AS items,
+            COUNT(*) FILTER (WHERE rv.status='approved')::int AS approved,
+            COUNT(*) FILTER (WHERE rv.status='rejected')::int AS rejected,
+            COUNT(*) FILTER (WHERE rv.current_revision > 1)::int AS edited,
+            COUNT(*) FILTER (WHERE it.item->>'source'='deterministic')::int AS fallbacks
+     FROM c360_jobs j
+     CROSS JOIN LATERAL jsonb_array_elements(
+       CASE WHEN jsonb_typeof(j.result_json->'results')='array' THEN j.result_json->'results' ELSE '[]'::jsonb END
+     ) WITH ORDINALITY AS it(item, n)
+     LEFT JOIN c360_result_reviews rv ON rv.job_id=j.id::text AND rv.result_index=it.n-1
+     WHERE NOT j.is_parent
+       AND it.item->>'prompt_version' IS NOT NULL
+       AND j.created_at >= NOW() - make_interval(days => $1::int)
+       AND ($2::text IS NULL OR j.request_json->>'mode'=$2)
+     GROUP BY 1, 2
+     ORDER BY 1`,
+    [days, mode]
+  );
+  return r.rows.map((row) => {
+    const reviewed = row.approved + row.rejected;
+    return {
+      ...row,
+      prompt_template_id: row.prompt_template_id ? String(row.prompt_template_id) : null,
+      approval_rate: reviewed ? Math.round((row.approved / reviewed) * 1000) / 1000 : null,
+    };
+  });
+}
+
+// Weighted pick, stable for a given seed.
+function pickWeighted(versions, seed) {
+  const sorted = [...versions].sort((a, b) => Number(a.id) - Number(b.id));
+  const total = sorted.reduce((n, v) => n + Number(v.weight || 0), 0);
+  if (total <= 0) return sorted[0] || null;
+  let x = crypto.createHash("sha256").update(String(seed)).digest().readUInt32BE(0) % total;
+  for (const v of sorted) {
+    x -= Number(v.weight || 0);
+    if (x < 0) return v;
+  }
+  return sorted[sorted.length - 1];
+}
+
+/**
+ * Worker side: cached published versions. pick({ clientId, mode, lang, seed }) returns the
+ * template to use or null (built-in prompt). Slots are tried for the client first, then for
+ * every client; in each, the locale chain down to its language, then the "*" locale
+ * (de-CH, de, *).
+ */
+function createTemplateStore(db, { ttlMs = TEMPLATES_CACHE_MS } = {}) {
+  let cached = null;
+  let expires = 0;
+
+  async function published() {
+    if (cached && expires > Date.now()) return cached;
+    try {
+      const r = await db.query(`SELECT id, client_id, mode, locale, version, weight, body FROM c360_prompt_templates WHERE status='published'`);
+      cached = r.rows;
+    } catch (e) {
+      // Table missing (migration not applied yet) or DB hiccup: built-in prompts.
+      if (!cached) console.warn("[prompt_templates] published versions unavailable:", e?.message || e);
+      cached = cached || [];
+    }
+    expires = Date.now() + ttlMs;
+    return cached;
+  }
+
+  async function pick({ clientId, mode, lang, seed }) {
+    const rows = (await published()).filter((row) => row.mode === mode);
+    if (!rows.length) return null;
+    const locale = normalizeLocale(lang);
+    const base = locale.split("-")[0];
+    const locales = [...localeChain(locale).filter((l) => l.split("-")[0] === base), ANY];
+    for (const scope of [String(clientId), ANY]) {
+      for (const l of locales) {
+        const slot = rows.filter((row) => row.client_id === scope && row.locale === l);
+        if (slot.length) return pickWeighted(slot, seed);
+      }
+    }
+    return null;
+  }
+
+  return { pick, clear: () => { cached = null; } };
+}
+
+module.exports = {
+  BUILTIN_VERSION,
+  TEMPLATE_VARIABLES,
+  templateVariables,
+  templateVars,
+  renderTemplate,
+  renderPrompt,
+  previewPrompt,
+  validateTemplateInput,
+  publicTemplate,
+  createTemplate,
+  getTemplate,
+  listTemplates,
+  updateTemplate,
+  publishTemplate,
+  archiveTemplate,
+  templateStats,
+  pickWeighted,
+  createTemplateStore,
+};
@@ -1,10 +1,38 @@
 // /opt/content360/core/prompts.js
+// Wording, labels and locale rules come from the language pack of the item (prompt_packs.js).
+
+const { resolvePack, languageName } = require("./prompt_packs");
 
 function safeStr(x) {
   if (x === null || x === undefined) return "";
   return String(x);
 }
 
+// Structured source fields (see job_payload.js) are flattened to one prompt line each.
+function listStr(x, sep) {
+  if (Array.isArray(x)) return x.map(safeStr).map((s) => s.trim()).filter(Boolean).join(sep);
+  return safeStr(x);
+}
+
+function specsStr(x) {
+  let pairs = null;
+  if (Array.isArray(x)) pairs = x.map((p) => (Array.isArray(p) ? p : [p?.k, p?.v]));
+  else if (x && typeof x === "object") pairs = Object.entries(x);
+  if (!pairs) return safeStr(x);
+  return pairs
+    .filter(([k]) => safeStr(k).trim())
+    .map(([k, v]) => `${safeStr(k).trim()}: ${safeStr(v).trim()}`)
+    .join("; ");
+}
+
+function metaStr(x) {
+  if (!x || typeof x !== "object") return "";
+  return ["meta_title", "meta_description", "focus_keyword", "slug", "h1"]
+    .filter((k) => safeStr(x[k]).trim())
+    .map((k) => `${k}="${safeStr(x[k]).trim()}"`)
+    .join(", ");
+}
+
 function buildContext(reqJson) {
   // Ces champs doivent venir du plugin (ou du WP site) : adapte si besoin
   const entity_type = safeStr(reqJson.entity_type || reqJson.entity || "page");
@@ -13,95 +41,203 @@ function buildContext(reqJson) {
 
   const source_title = safeStr(reqJson.source_title || reqJson.title || "");
   const source_excerpt = safeStr(reqJson.source_excerpt || reqJson.excerpt || "");
-  const source_taxonomy = safeStr(reqJson.source_taxonomy || "");
-  const source_facts = safeStr(reqJson.source_facts || "");
-  const source_specs = safeStr(reqJson.source_specs || "");
+  const source_taxonomy = listStr(reqJson.source_taxonomy || "", ", ");
+  const source_facts = listStr(reqJson.source_facts || "", " | ");
+  const source_specs = specsStr(reqJson.source_specs || "");
   const source_usage = safeStr(reqJson.source_usage || "");
   const intent = safeStr(reqJson.intent || "");
+  const existing_meta = metaStr(reqJson.existing_meta);
 
   return {
     entity_type, entity_id, lang,
     source_title, source_excerpt, source_taxonomy,
     source_facts, source_specs, source_usage,
-    intent
+    intent, existing_meta
   };
 }
 
-function promptQuickBoost(reqJson) {
+// Lines shared by every generation prompt: language, punctuation (see prompt_packs.js).
+function localeRules(p) {
+  return [`- ${p.rules.language(p.language_name)}`, `- ${p.rules.punctuation}`];
+}
+
+// S4: brand profile of the client (brand_profiles.js), appended to every prompt.
+// `checksTone` asks full_content to copy the profile's tone into checks.tone.
+function brandBlock(lang, brand, { checksTone = false } = {}) {
+  if (!brand) return [];
+  const { labels: L, rules: R } = resolvePack(lang);
+  const list = (xs) => xs.map((x) => `"${x}"`).join(", ");
+  const lines = [];
+  if (brand.tone) lines.push(R.brand_tone(brand.tone));
+  if (brand.persona) lines.push(R.brand_persona(brand.persona));
+  if (brand.banned_terms?.length) lines.push(R.brand_banned(list(brand.banned_terms)));
+  if (brand.required_terms?.length) lines.push(R.brand_required(list(brand.required_terms)));
+  if (brand.glossary?.length) {
+    lines.push(R.brand_glossary(brand.glossary.map((g) => `"${g.use}" (${L.instead_of} ${list(g.avoid)})`).join("; ")));
+  }
+  if (brand.approved_claims?.length) lines.push(R.brand_claims(list(brand.approved_claims)));
+  if (checksTone && brand.tone) lines.push(R.brand_checks_tone(brand.tone));
+  if (!lines.length) return [];
+  return [``, L.brand, ...lines.map((l) => `- ${l}`)];
+}
+
+function promptQuickBoost(reqJson, { brand = null } = {}) {
   const c = buildContext(reqJson);
+  const p = resolvePack(c.lang);
+  const { labels: L, rules: R } = p;
   return [
-    `Tu es Content360, assistant e-commerce/SEO.`,
-    `But: produire un “Quick Boost” (2 minutes) pour optimiser une page ou un produit SANS réécrire tout le contenu.`,
+    p.role,
+    p.goal.quick_boost,
     ``,
-    `Contexte:`,
+    L.context,
     `- entity_type: ${c.entity_type}`,
     `- entity_id: ${c.entity_id}`,
-    `- langue: ${c.lang}`,
-    `- titre/source: ${c.source_title}`,
-    `- extrait/source: ${c.source_excerpt}`,
-    `- catégories/tags/source: ${c.source_taxonomy}`,
+    `- ${L.lang}: ${c.lang}`,
+    `- ${L.title}: ${c.source_title}`,
+    `- ${L.excerpt}: ${c.source_excerpt}`,
+    `- ${L.taxonomy}: ${c.source_taxonomy}`,
+    `- ${L.facts}: ${c.source_facts}`,
+    `- ${L.existing_meta}: ${c.existing_meta}`,
     ``,
-    `Contraintes:`,
-    `- Réponse STRICTEMENT JSON conforme au schéma fourni (aucun texte hors JSON).`,
-    `- Pas de promesses non vérifiables (ex: "livraison 24h") si non fourni. Préfère une réassurance générique.`,
-    `- Meta description: 140–160 caractères.`,
-    `- H2: 3 à 6 titres courts, non redondants.`,
-    `- FAQ: 0 à 4 questions max, concrètes.`,
-    `- Focus keyword: 2 à 4 mots max.`
+    L.constraints,
+    `- ${R.json_only}`,
+    ...localeRules(p),
+    `- ${R.no_promises}`,
+    `- ${R.meta_description(p.limits.meta_description)}`,
+    `- ${R.h2}`,
+    `- ${R.faq}`,
+    `- ${R.focus_keyword}`,
+    ...brandBlock(c.lang, brand)
   ].join("\n");
 }
 
-function promptFullContent(reqJson) {
+function promptFullContent(reqJson, { brand = null } = {}) {
   const c = buildContext(reqJson);
+  const p = resolvePack(c.lang);
+  const { labels: L, rules: R } = p;
   return [
-    `Tu es Content360, assistant e-commerce/SEO.`,
-    `But: produire un contenu COMPLET prêt à publier (5–8 min), structuré, utile, sans blabla.`,
+    p.role,
+    p.goal.full_content,
     ``,
-    `Contexte:`,
+    L.context,
     `- entity_type: ${c.entity_type}`,
     `- entity_id: ${c.entity_id}`,
-    `- langue: ${c.lang}`,
-    `- titre/source: ${c.source_title}`,
-    `- brief/intention: ${c.intent}`,
-    `- extrait/source: ${c.source_excerpt}`,
-    `- éléments factuels: ${c.source_facts}`,
+    `- ${L.lang}: ${c.lang}`,
+    `- ${L.title}: ${c.source_title}`,
+    `- ${L.intent}: ${c.intent}`,
+    `- ${L.excerpt}: ${c.source_excerpt}`,
+    `- ${L.facts}: ${c.source_facts}`,
+    `- ${L.taxonomy}: ${c.source_taxonomy}`,
+    `- ${L.existing_meta}: ${c.existing_meta}`,
     ``,
-    `Contraintes:`,
-    `- Réponse STRICTEMENT JSON conforme au schéma.`,
-    `- content_html: HTML simple (p, h2, ul, li, strong). Pas de styles inline.`,
-    `- meta_title: 45–65 caractères.`,
-    `- meta_description: 140–160 caractères.`,
-    `- slug: kebab-case, sans accents, 3–8 mots.`,
-    `- image_alts: 2 à 8 (sans inventer des photos).`,
-    `- checks.plagiarism_risk: low|medium|high (prudence).`
+    L.constraints,
+    `- ${R.json_schema}`,
+    ...localeRules(p),
+    `- ${R.content_html}`,
+    `- ${R.meta_title(p.limits.meta_title)}`,
+    `- ${R.meta_description(p.limits.meta_description)}`,
+    `- ${R.slug}`,
+    `- ${R.image_alts}`,
+    `- ${R.plagiarism}`,
+    ...brandBlock(c.lang, brand, { checksTone: true })
   ].join("\n");
 }
 
-function promptEcomCatalog(reqJson) {
+function promptEcomCatalog(reqJson, { brand = null } = {}) {
   const c = buildContext(reqJson);
+  const p = resolvePack(c.lang);
+  const { labels: L, rules: R } = p;
   return [
-    `Tu es Content360, assistant e-commerce WooCommerce.`,
-    `But: générer les éléments produit (courte, longue, bénéfices, specs, usage, cross-sell) + SEO.`,
+    p.role_ecom,
+    p.goal.ecom_catalog,
     ``,
-    `Contexte:`,
+    L.context,
     `- entity_type: product`,
     `- entity_id: ${c.entity_id}`,
-    `- langue: ${c.lang}`,
-    `- nom produit/source: ${c.source_title}`,
-    `- specs/source: ${c.source_specs}`,
-    `- usage/source: ${c.source_usage}`,
+    `- ${L.lang}: ${c.lang}`,
+    `- ${L.product_name}: ${c.source_title}`,
+    `- ${L.excerpt}: ${c.source_excerpt}`,
+    `- ${L.specs}: ${c.source_specs}`,
+    `- ${L.usage}: ${c.source_usage}`,
+    `- ${L.facts}: ${c.source_facts}`,
+    `- ${L.categories}: ${c.source_taxonomy}`,
+    ``,
+    L.constraints,
+    `- ${R.json_schema}`,
+    ...localeRules(p),
+    `- ${R.short_description(p.limits.short_description)}`,
+    `- ${R.long_description}`,
+    `- ${R.specs_empty}`,
+    `- ${R.meta_title(p.limits.meta_title)}`,
+    `- ${R.meta_description(p.limits.meta_description)}`,
+    ...brandBlock(c.lang, brand)
+  ].join("\n");
+}
+
+// Re-prompt after a schema (or language) violation: same task, previous output, exact violations.
+// `lang` picks the pack; the original prompt already carries the locale rules.
+function promptRepair(originalPrompt, previousOutput, violations, lang = "fr") {
+  const { repair } = resolvePack(lang);
+  return [
+    originalPrompt,
+    ``,
+    repair.intro,
+    JSON.stringify(previousOutput),
+    ``,
+    repair.violations,
+    ...violations.map((v) => `- ${v}`),
+    ``,
+    repair.retry
+  ].join("\n");
+}
+
+// Violation line for promptRepair when the answer is not in the requested language.
+function languageViolation(lang, detected) {
+  const p = resolvePack(lang);
+  return p.repair.language(p.language_name, detected ? languageName(detected, p.pack) : "?");
+}
+
+// S4: targeted regeneration of one field of an existing result (see regenerate.js).
+// The answer is {"value": ...}, checked against the field's sub-schema only.
+function promptRegenerateField({ reqJson, mode, path, output, currentValue, guidance, brand = null }) {
+  const c = buildContext(reqJson);
+  const p = resolvePack(c.lang);
+  const { labels: L, rules: R } = p;
+  return [
+    p.role,
+    p.goal.regenerate(path, mode),
+    ``,
+    L.context,
+    `- entity_type: ${c.entity_type}`,
+    `- ${L.lang}: ${c.lang}`,
+    `- ${L.title}: ${c.source_title}`,
+    `- ${L.excerpt}: ${c.source_excerpt}`,
+    `- ${L.facts}: ${c.source_facts}`,
+    ``,
+    L.current_output,
+    JSON.stringify(output),
+    ``,
+    L.current_value(path),
+    JSON.stringify(currentValue),
+    ``,
+    `${L.guidance}: ${safeStr(guidance).trim() || L.no_guidance}`,
     ``,
-    `Contraintes:`,
-    `- Réponse STRICTEMENT JSON conforme au schéma.`,
-    `- short_description: 1–2 phrases (max 240 chars).`,
-    `- long_description_html: HTML simple (p, h2, ul, li, strong).`,
-    `- specs: si specs/source est vide, specs doit être [].`,
-    `- meta_title: 45–65 chars, meta_description: 140–160 chars.`
+    L.constraints,
+    `- ${R.value_json}`,
+    `- ${R.same_voice}`,
+    ...localeRules(p),
+    `- ${R.no_copy}`,
+    ...brandBlock(c.lang, brand, { checksTone: path === "checks.tone" })
   ].join("\n");
 }
 
 module.exports = {
   promptQuickBoost,
   promptFullContent,
-  promptEcomCatalog
+  promptEcomCatalog,
+  promptRepair,
+  languageViolation,
+  brandBlock,
+  promptRegenerateField,
+  buildContext
 };
@@ -0,0 +1,95 @@
+// /opt/content360/core/providers/circuit_breaker.js
+// Fleet-wide circuit breaker per LLM provider, with its state in Redis so every worker
+// trips (and recovers) together.
+//
+// closed    -> calls go through; consecutive counted failures are tracked
+// open      -> calls are rejected (items use the deterministic fallback) for CB_OPEN_MS
+// half_open -> after CB_OPEN_MS a single probe call is let through;
+//              success closes the circuit, failure re-opens it
+//
+// Redis keys (prefix c360:cb:<provider>:): failures, open (TTL), tripped, probe (NX lock).
+// Redis errors never block calls: the breaker fails open.
+
+const DEFAULTS = {
+  threshold: Number(process.env.CB_FAILURE_THRESHOLD || 5),
+  openMs: Number(process.env.CB_OPEN_MS || 30000),
+  failureWindowMs: Number(process.env.CB_FAILURE_WINDOW_MS || 120000),
+  probeLockMs: Number(process.env.CB_PROBE_LOCK_MS || 90000),
+};
+
+// Errors that say nothing about the provider's health (bad request for this one prompt)
+// are not counted; timeouts, 5xx, 429 and auth failures are.
+function countsForCircuit(err) {
+  if (!err) return false;
+  if (err.retryable) return true;
+  const s = Number(err.status || 0);
+  return s === 401 || s === 403;
+}
+
+function createCircuitBreaker({ redis, onStateChange = async () => {}, ...opts } = {}) {
+  const cfg = { ...DEFAULTS, ...opts };
+  const key = (name, k) => `c360:cb:${name}:${k}`;
+
+  async function safe(fn, fallback) {
+    try {
+      return await fn();
+    } catch (e) {
+      console.warn("[circuit] redis error, failing open:", e?.message || e);
+      return fallback;
+    }
+  }
+
+  async function state(name) {
+    return safe(async () => {
+      if (await redis.get(key(name, "open"))) return "open";
+      if (await redis.get(key(name, "tripped"))) return "half_open";
+      return "closed";
+    }, "closed");
+  }
+
+  // Returns { allowed, state, probe }.
+  async function allow(name) {
+    return safe(async () => {
+      const st = await state(name);
+      if (st === "closed") return { allowed: true, state: st, probe: false };
+      if (st === "open") return { allowed: false, state: st, probe: false };
+      const got = await redis.set(key(name, "probe"), "1", "PX", cfg.probeLockMs, "NX");
+      return { allowed: got === "OK", state: st, probe: got === "OK" };
+    }, { allowed: true, state: "closed", probe: false });
+  }
+
+  async function trip(name, reason) {
+    await redis.set(key(name, "open"), "1", "PX", cfg.openMs);
+    await redis.set(key(name, "tripped"), "1");
+    await redis.del(key(name, "failures"), key(name, "probe"));
+    await onStateChange({ provider: name, state: "open", reason });
+  }
+
+  async function onSuccess(name) {
+    return safe(async () => {
+      await redis.del(key(name, "failures"));
+      if (await redis.get(key(name, "tripped"))) {
+        await redis.del(key(name, "tripped"), key(name, "probe"), key(name, "open"));
+        await onStateChange({ provider: name, state: "closed", reason: "probe_ok" });
+      }
+    }, undefined);
+  }
+
+  async function onFailure(name, err) {
+    if (!countsForCircuit(err)) return;
+    return safe(async () => {
+      if (await redis.get(key(name, "tripped"))) {
+        // Failed half-open probe (or a straggler from before the trip): stay open.
+        await trip(name, `probe_failed: ${err?.code || err?.message || err}`);
+        return;
+      }
+      const n = await redis.incr(key(name, "failures"));
+      await redis.pexpire(key(name, "failures"), cfg.failureWindowMs);
+      if (n >= cfg.threshold) await trip(name, `${n} consecutive failures, last: ${err?.code || err?.message || err}`);
+    }, undefined);
+  }
+
+  return { state, allow, onSuccess, onFailure, config: cfg };
+}
+
+module.exports = { createCircuitBreaker, countsForCircuit };
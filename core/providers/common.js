@@ -0,0 +1,92 @@
+// /opt/content360/core/providers/common.js
+// Helpers shared by the LLM providers (see providers/index.js).
+
+const LLM_TIMEOUT_MS = Number(process.env.LLM_TIMEOUT_MS || 60000);
+
+// Transient by nature: worth retrying the same call later.
+const RETRYABLE_STATUS = new Set([408, 409, 425, 429]);
+
+function isRetryableStatus(status) {
+  const s = Number(status || 0);
+  return RETRYABLE_STATUS.has(s) || s >= 500;
+}
+
+// Provider errors carry a stable `code`, the HTTP `status` when there is one, the provider name,
+// whether retrying can help (`retryable`) and the server-requested delay (`retry_after_ms`).
+function llmError(message, { code = null, status = null, provider = null, retryable = null, retry_after_ms = null } = {}) {
+  return Object.assign(new Error(message), {
+    code: code || message,
+    status,
+    provider,
+    retryable: retryable === null ? isRetryableStatus(status) : !!retryable,
+    retry_after_ms,
+  });
+}
+
+// Retry-After is either delta-seconds or an HTTP date.
+function parseRetryAfter(value, now = Date.now()) {
+  if (value === null || value === undefined || value === "") return null;
+  const s = String(value).trim();
+  if (/^\d+(\.\d+)?$/.test(s)) return Math.round(Number(s) * 1000);
+  const at = Date.parse(s);
+  if (Number.isNaN(at)) return null;
+  return Math.max(0, at - now);
+}
+
+// POST JSON with a hard per-call timeout (AbortController covers the body read too).
+// Returns { resp, json }; network failures and timeouts become retryable llmErrors.
+async function fetchJSON(url, options, { provider, timeoutMs = LLM_TIMEOUT_MS } = {}) {
+  const ctrl = new AbortController();
+  const timer = setTimeout(() => ctrl.abort(), timeoutMs);
+  try {
+    const resp = await fetch(url, { ...options, signal: ctrl.signal });
+    const json = await resp.json().catch((e) => {
+      if (ctrl.signal.aborted) throw e;
+      return null;
+    });
+    return { resp, json };
+  } catch (e) {
+    if (ctrl.signal.aborted) throw llmError("llm_timeout", { code: "llm_timeout", provider, retryable: true });
+    throw llmError(`llm_network_error: ${e?.message || e}`, { code: "llm_network_error", provider, retryable: true });
+  } finally {
+    clearTimeout(timer);
+  }
+}
+
+// Error for a non-2xx response, with retry hints from the status and Retry-After.
+function httpError(resp, json, { provider, prefix }) {
+  const msg = json?.error?.message ? String(json.error.message) : `${prefix}_${resp.status}`;
+  return llmError(msg, {
+    code: `${prefix}_${resp.status}`,
+    status: resp.status,
+    provider,
+    retry_after_ms: parseRetryAfter(resp.headers?.get?.("retry-after")),
+  });
+}
+
+// Accept an already-parsed object, or a JSON string.
+function parseJSONOutput(x) {
+  if (x && typeof x === "object") return x;
+  if (typeof x !== "string" || !x.trim()) return null;
+  try { return JSON.parse(x); } catch { return null; }
+}
+
+// Responses API reports input/output tokens, chat completions prompt/completion tokens.
+function normalizeUsage(u) {
+  if (!u) return { prompt_tokens: null, completion_tokens: null, total_tokens: null };
+  const prompt_tokens = u.input_tokens ?? u.prompt_tokens ?? null;
+  const completion_tokens = u.output_tokens ?? u.completion_tokens ?? null;
+  const total_tokens = u.total_tokens ?? (prompt_tokens !== null && completion_tokens !== null ? prompt_tokens + completion_tokens : null);
+  return { prompt_tokens, completion_tokens, total_tokens };
+}
+
+module.exports = {
+  LLM_TIMEOUT_MS,
+  isRetryableStatus,
+  llmError,
+  parseRetryAfter,
+  fetchJSON,
+  httpError,
+  parseJSONOutput,
+  normalizeUsage,
+};
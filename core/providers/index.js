@@ -0,0 +1,95 @@
+// /opt/content360/core/providers/index.js
+// LLM provider layer.
+//
+// Provider interface:
+//   name: string                      registry key (stored on results/events)
+//   source: string                    value of results[].source when this provider produced the item
+//   generateJSON({ prompt, schema, schemaName?, model? })
+//     -> { data, usage: { prompt_tokens, completion_tokens, total_tokens }, model, provider }
+//     throws Error with { code, status, provider } (see providers/common.js)
+//
+// Selection (first match): job request_json.llm_provider -> c360_site_settings.llm_provider
+// -> LLM_PROVIDER env -> "openai_responses".
+const openaiResponses = require("../openai_client");
+const openaiChat = require("./openai_chat");
+const mock = require("./mock");
+const { llmError } = require("./common");
+
+const LLM_CALL_RETRIES = Math.max(0, Number(process.env.LLM_CALL_RETRIES ?? 2));
+const LLM_RETRY_BASE_MS = Number(process.env.LLM_RETRY_BASE_MS || 1000);
+// Longer server-requested waits are not slept in-process: the item falls back instead.
+const LLM_RETRY_MAX_WAIT_MS = Number(process.env.LLM_RETRY_MAX_WAIT_MS || 20000);
+
+const PROVIDERS = {
+  [openaiResponses.name]: openaiResponses,
+  [openaiChat.name]: openaiChat,
+  [mock.name]: mock,
+};
+
+const DEFAULT_PROVIDER = openaiResponses.name;
+
+function isKnownProvider(name) {
+  return Object.prototype.hasOwnProperty.call(PROVIDERS, String(name || ""));
+}
+
+// The mock provider never reaches a real model: only allow it where explicitly enabled (CI, dev).
+function isProviderAllowed(name) {
+  if (!isKnownProvider(name)) return false;
+  if (name === mock.name) return String(process.env.LLM_ALLOW_MOCK || "").trim() === "1";
+  return true;
+}
+
+function getProvider(name) {
+  const n = String(name || DEFAULT_PROVIDER);
+  if (!isKnownProvider(n)) throw llmError("unknown_llm_provider", { provider: n });
+  if (!isProviderAllowed(n)) throw llmError("llm_provider_not_allowed", { provider: n });
+  return PROVIDERS[n];
+}
+
+// `model` is the client's model override (c360_site_settings.llm_model); null = provider default.
+function resolveProvider({ requested = null, clientDefault = null, model = null } = {}) {
+  const name = requested || clientDefault || process.env.LLM_PROVIDER || DEFAULT_PROVIDER;
+  return { provider: getProvider(name), model: model || null };
+}
+
+const sleep = (ms) => new Promise((r) => setTimeout(r, ms));
+
+/**
+ * generateJSON behind the circuit breaker, with in-call retries for retryable errors
+ * (timeouts, network, 429 honoring Retry-After, 5xx). Fatal errors (4xx, missing config)
+ * are thrown immediately. `onRetry({ attempt, wait_ms, error })` is informational.
+ */
+async function generateWithResilience({ provider, args, breaker = null, onRetry = async () => {} }) {
+  if (breaker) {
+    const gate = await breaker.allow(provider.name);
+    if (!gate.allowed) {
+      throw llmError("circuit_open", { code: "circuit_open", provider: provider.name, retryable: false });
+    }
+  }
+
+  for (let attempt = 0; ; attempt++) {
+    try {
+      const out = await provider.generateJSON(args);
+      if (breaker) await breaker.onSuccess(provider.name);
+      return out;
+    } catch (e) {
+      if (breaker) await breaker.onFailure(provider.name, e);
+      if (!e?.retryable || attempt >= LLM_CALL_RETRIES) throw e;
+      const wait_ms = e.retry_after_ms ?? LLM_RETRY_BASE_MS * 2 ** attempt;
+      if (wait_ms > LLM_RETRY_MAX_WAIT_MS) throw e;
+      // The circuit may have tripped on this very failure.
+      if (breaker && (await breaker.state(provider.name)) !== "closed") throw e;
+      await onRetry({ attempt: attempt + 1, wait_ms, error: e });
+      await sleep(wait_ms);
+    }
+  }
+}
+
+module.exports = {
+  DEFAULT_PROVIDER,
+  isKnownProvider,
+  isProviderAllowed,
+  getProvider,
+  resolveProvider,
+  generateWithResilience,
+};
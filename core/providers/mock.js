@@ -0,0 +1,78 @@
+// /opt/content360/core/providers/mock.js
+// Deterministic mock provider driven by fixtures: no network, same answer for the same mode.
+// Fixture lookup: <LLM_MOCK_FIXTURES_DIR>/<mode>.json (default: fixtures/llm/), or default.json
+// for a schema without mode (field regenerations: { value }). Without a fixture, the answer is
+// a minimal value derived from the schema.
+// A fixture may also simulate a failure: { "error": { "status": 503, "message": "..." } }.
+const fs = require("fs");
+const path = require("path");
+const { llmError } = require("./common");
+
+const PROVIDER = "mock";
+const DEFAULT_DIR = path.join(__dirname, "..", "fixtures", "llm");
+
+function fixtureFor(schema) {
+  const mode = schema?.properties?.mode?.const;
+  const dir = process.env.LLM_MOCK_FIXTURES_DIR || DEFAULT_DIR;
+  const file = path.join(dir, `${mode || "default"}.json`);
+  if (fs.existsSync(file)) return JSON.parse(fs.readFileSync(file, "utf8"));
+  if (mode) throw llmError("LLM_MOCK_FIXTURE_MISSING", { provider: PROVIDER });
+  return sampleFor(schema);
+}
+
+// "mock" words up to minLength (cut at maxLength), joined so that `pattern` matches if it can
+// (slugs). They are in no language, so the language check lets them through.
+function sampleString({ minLength = 0, maxLength = Infinity, pattern }) {
+  const re = pattern ? new RegExp(pattern, "u") : null;
+  let first = null;
+  for (const sep of [" ", "-", ""]) {
+    let s = "mock";
+    while (s.length < minLength) s += sep + "mock";
+    s = s.slice(0, maxLength).replace(/[ -]$/, "k");
+    if (!re || re.test(s)) return s;
+    first ??= s;
+  }
+  return first;
+}
+
+// Smallest value valid against the keywords of schemas.js (see schema_validator.js).
+function sampleFor(schema) {
+  if (!schema || typeof schema !== "object") return null;
+  if (schema.const !== undefined) return schema.const;
+  if (Array.isArray(schema.enum) && schema.enum.length) return schema.enum[0];
+  const type = Array.isArray(schema.type) ? schema.type[0] : schema.type;
+  if (type === "object") {
+    const out = {};
+    for (const k of schema.required || []) out[k] = sampleFor(schema.properties?.[k]);
+    return out;
+  }
+  if (type === "array") return Array.from({ length: schema.minItems || 0 }, () => sampleFor(schema.items));
+  if (type === "integer" || type === "number") return schema.minimum ?? 0;
+  if (type === "boolean") return false;
+  if (type === "null") return null;
+  return sampleString(schema);
+}
+
+// Rough but stable token estimate (~4 chars per token).
+function estimateTokens(s) {
+  return Math.ceil(String(s || "").length / 4);
+}
+
+async function generateJSON({ prompt, schema, model: modelOverride = null }) {
+  const fixture = fixtureFor(schema);
+  if (fixture?.error) {
+    const status = Number(fixture.error.status || 500);
+    throw llmError(String(fixture.error.message || `mock_http_${status}`), { code: `mock_http_${status}`, status, provider: PROVIDER });
+  }
+
+  const prompt_tokens = estimateTokens(prompt);
+  const completion_tokens = estimateTokens(JSON.stringify(fixture));
+  return {
+    data: fixture,
+    usage: { prompt_tokens, completion_tokens, total_tokens: prompt_tokens + completion_tokens },
+    model: modelOverride || process.env.LLM_MOCK_MODEL || "mock-1",
+    provider: PROVIDER,
+  };
+}
+
+module.exports = { name: PROVIDER, source: PROVIDER, generateJSON };
@@ -0,0 +1,45 @@
+// /opt/content360/core/providers/openai_chat.js
+// OpenAI-compatible chat completions provider, for self-hosted models (vLLM, Ollama, ...).
+// Env:
+// - LLM_CHAT_BASE_URL (e.g. http://vllm:8000/v1, http://ollama:11434/v1)
+// - LLM_CHAT_API_KEY (optional; most self-hosted servers ignore it)
+// - LLM_CHAT_MODEL
+const { llmError, fetchJSON, httpError, parseJSONOutput, normalizeUsage } = require("./common");
+
+const PROVIDER = "openai_chat";
+
+async function generateJSON({ prompt, schema, schemaName = "content360", model: modelOverride = null }) {
+  const baseUrl = String(process.env.LLM_CHAT_BASE_URL || "").trim().replace(/\/+$/, "");
+  if (!baseUrl) throw llmError("LLM_CHAT_BASE_URL_MISSING", { provider: PROVIDER });
+
+  const model = modelOverride || process.env.LLM_CHAT_MODEL || "";
+  if (!model) throw llmError("LLM_CHAT_MODEL_MISSING", { provider: PROVIDER });
+
+  const headers = { "Content-Type": "application/json" };
+  if (process.env.LLM_CHAT_API_KEY) headers.Authorization = `Bearer ${process.env.LLM_CHAT_API_KEY}`;
+
+  const { resp, json } = await fetchJSON(`${baseUrl}/chat/completions`, {
+    method: "POST",
+    headers,
+    body: JSON.stringify({
+      model,
+      messages: [{ role: "user", content: prompt }],
+      response_format: {
+        type: "json_schema",
+        json_schema: { name: schemaName, schema, strict: true },
+      },
+      temperature: 0.4,
+    }),
+  }, { provider: PROVIDER });
+
+  if (!resp.ok) throw httpError(resp, json, { provider: PROVIDER, prefix: "llm_chat_http" });
+
+  // Some servers wrap the JSON in a ```json fence despite response_format.
+  const content = json?.choices?.[0]?.message?.content;
+  const parsed = parseJSONOutput(typeof content === "string" ? content.replace(/^\s*```(?:json)?\s*|\s*```\s*$/g, "") : content);
+  if (!parsed) throw llmError("LLM_CHAT_NO_JSON_OUTPUT", { provider: PROVIDER });
+
+  return { data: parsed, usage: normalizeUsage(json?.usage), model: json?.model || model, provider: PROVIDER };
+}
+
+module.exports = { name: PROVIDER, source: PROVIDER, generateJSON };
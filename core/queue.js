@@ -6,21 +6,21 @@ const IORedis = require("ioredis");
 // We keep the API alive and let BullMQ retry until Redis is ready.
 let _redisSingleton = null;
 
-function redisConnection() {
-  if (process.env.REDIS_URL) {
-    return new IORedis(process.env.REDIS_URL, {
-      maxRetriesPerRequest: null
-    });
-  }
-
-  return new IORedis({
-    host: process.env.REDIS_HOST || "localhost",
-    port: Number(process.env.REDIS_PORT || 6379),
-    password: process.env.REDIS_PASSWORD || undefined,
-    maxRetriesPerRequest: null
-  });
-}
+// Plain commands on the shared client fail after this delay instead of waiting for Redis.
+const REDIS_COMMAND_TIMEOUT_MS = Number(process.env.REDIS_COMMAND_TIMEOUT_MS || 2000);
 
+function createRedis(extra = {}) {
+  const host = process.env.REDIS_HOST || "localhost";
+  const port = Number(process.env.REDIS_PORT || 6379);
+  const opts = { maxRetriesPerRequest: null, ...extra };
+  const r = process.env.REDIS_URL
+    ? new IORedis(process.env.REDIS_URL, opts)
+    : new IORedis({
+        host,
+        port,
+        password: process.env.REDIS_PASSWORD || undefined,
+        ...opts
+      });
 
   // Prevent process crash on connection errors.
   r.on("error", (e) => {
@@ -32,11 +32,30 @@ function redisConnection() {
   r.on("ready", () => {
     console.log("[redis] ready");
   });
-
-  _redisSingleton = r;
   return r;
 }
 
+// Fresh connection: BullMQ queues/workers, or callers that quit() it themselves.
+// BullMQ requires maxRetriesPerRequest: null (commands wait for Redis to come back).
+function redisConnection() {
+  return createRedis();
+}
+
+// Process-wide connection for plain commands (circuit breaker, rate limits, nonces, pub/sub
+// publish, heartbeats...). Never quit() it. While Redis is down its commands reject quickly
+// (no offline queue, one retry, command timeout) so the callers' fail-open / 503 branches run
+// instead of hanging the request or the job.
+function sharedRedis() {
+  if (!_redisSingleton) {
+    _redisSingleton = createRedis({
+      maxRetriesPerRequest: 1,
+      enableOfflineQueue: false,
+      commandTimeout: REDIS_COMMAND_TIMEOUT_MS,
+    });
+  }
+  return _redisSingleton;
+}
+
 function sanitizeQueueName(name) {
   if (!name) return "c360_jobs_v1";
   return name.replace(/[:/\\]/g, "_");
@@ -48,7 +67,19 @@ function getQueue() {
   return new Queue(queueName, { connection: redisConnection() });
 }
 
+// Outbound webhook deliveries run on their own queue so slow receivers never delay jobs.
+function webhookQueueName() {
+  return sanitizeQueueName(process.env.WEBHOOK_QUEUE || "c360_webhooks_v1");
+}
+
+function getWebhookQueue() {
+  return new Queue(webhookQueueName(), { connection: redisConnection() });
+}
+
 module.exports = {
   getQueue,
-  redisConnection
+  getWebhookQueue,
+  webhookQueueName,
+  redisConnection,
+  sharedRedis
 };
@@ -0,0 +1,209 @@
+// /opt/content360/core/rate_limits.js
+// S4: per-client rate limits (API) and running-job caps (worker), both in Redis.
+//
+// Rate limits: one token bucket per client and route class (c360:rl:<client>:<class>).
+// A bucket holds up to `burst` tokens and refills at `per_min` tokens per minute; each call
+// takes one. Empty bucket -> 429 with Retry-After.
+//
+// Running caps: c360:running:<client> is a sorted set of job ids scored by lease expiry.
+// The worker takes a slot before running a job and gives it back when done; a crashed worker's
+// slot frees itself when its lease runs out.
+//
+// Limits come from the client's plan (PLAN_LIMITS, by c360_site_settings.plan_code) and can be
+// overridden per client with c360_site_settings.rate_limits (JSONB, same shape).
+// Redis errors never block traffic: limits fail open, like the circuit breaker. Every Redis call
+// is also bounded by REDIS_LIMITS_TIMEOUT_MS, so a client that waits for Redis cannot hang a
+// request or a job either.
+
+const ROUTE_CLASSES = ["jobs_create", "jobs_read", "default"];
+
+const PLAN_LIMITS = {
+  starter: {
+    jobs_create: { per_min: 30, burst: 10 },
+    jobs_read: { per_min: 300, burst: 60 },
+    default: { per_min: 120, burst: 30 },
+    max_running_jobs: 2,
+  },
+  pro: {
+    jobs_create: { per_min: 120, burst: 30 },
+    jobs_read: { per_min: 1200, burst: 200 },
+    default: { per_min: 300, burst: 60 },
+    max_running_jobs: 5,
+  },
+  business: {
+    jobs_create: { per_min: 600, burst: 100 },
+    jobs_read: { per_min: 3000, burst: 500 },
+    default: { per_min: 600, burst: 120 },
+    max_running_jobs: 15,
+  },
+};
+const DEFAULT_PLAN = "starter";
+
+const LIMITS_CACHE_MS = Number(process.env.RATE_LIMITS_CACHE_MS || 60000);
+const RUNNING_LEASE_MS = Number(process.env.RUNNING_LEASE_MS || 15 * 60 * 1000);
+const REDIS_TIMEOUT_MS = Number(process.env.REDIS_LIMITS_TIMEOUT_MS || 1000);
+
+// Rejects with "redis_timeout" when `promise` has not settled after `ms`.
+function bounded(promise, ms) {
+  let timer;
+  const timeout = new Promise((_, reject) => {
+    timer = setTimeout(() => reject(new Error("redis_timeout")), ms);
+  });
+  return Promise.race([promise, timeout]).finally(() => clearTimeout(timer));
+}
+
+function positive(v) {
+  const n = Number(v);
+  return Number.isFinite(n) && n > 0 ? n : null;
+}
+
+// Plan defaults merged with the per-client overrides. Unknown plans get the starter limits.
+function resolveLimits(plan, overrides = null) {
+  const base = PLAN_LIMITS[plan] || PLAN_LIMITS[DEFAULT_PLAN];
+  const o = overrides && typeof overrides === "object" && !Array.isArray(overrides) ? overrides : {};
+  const out = { plan: PLAN_LIMITS[plan] ? plan : DEFAULT_PLAN };
+  for (const cls of ROUTE_CLASSES) {
+    out[cls] = {
+      per_min: positive(o[cls]?.per_min) || base[cls].per_min,
+      burst: Math.floor(positive(o[cls]?.burst) || base[cls].burst),
+    };
+  }
+  out.max_running_jobs = Math.floor(positive(o.max_running_jobs) || base.max_running_jobs);
+  return out;
+}
+
+// Cached per process: limits are read on every API call.
+function createLimitsStore(db, { ttlMs = LIMITS_CACHE_MS } = {}) {
+  const cache = new Map();
+  return async function getLimits(clientId) {
+    const id = String(clientId);
+    const hit = cache.get(id);
+    if (hit && hit.expires > Date.now()) return hit.limits;
+    let row = {};
+    try {
+      const r = await db.query(`SELECT plan_code, rate_limits FROM c360_site_settings WHERE client_id=$1`, [id]);
+      row = r.rows[0] || {};
+    } catch (_) {
+      // rate_limits column missing (migration not applied yet): plan defaults only.
+      const r = await db.query(`SELECT plan_code FROM c360_site_settings WHERE client_id=$1`, [id]);
+      row = r.rows[0] || {};
+    }
+    const limits = resolveLimits(row.plan_code || DEFAULT_PLAN, row.rate_limits);
+    cache.set(id, { limits, expires: Date.now() + ttlMs });
+    return limits;
+  };
+}
+
+// KEYS[1] bucket; ARGV: refill per ms, burst, now (ms), cost. Returns { allowed, tokens left }.
+const TOKEN_BUCKET_LUA = `
+local rate = tonumber(ARGV[1])
+local burst = tonumber(ARGV[2])
+local now = tonumber(ARGV[3])
+local cost = tonumber(ARGV[4])
+local s = redis.call('HMGET', KEYS[1], 'tokens', 'ts')
+local tokens = tonumber(s[1]) or burst
+local ts = tonumber(s[2]) or now
+tokens = math.min(burst, tokens + math.max(0, now - ts) * rate)
+local allowed = 0
+if tokens >= cost then
+  tokens = tokens - cost
+  allowed = 1
+end
+redis.call('HSET', KEYS[1], 'tokens', tostring(tokens), 'ts', tostring(now))
+redis.call('PEXPIRE', KEYS[1], math.ceil(burst / rate) + 1000)
+return { allowed, tostring(tokens) }
+`;
+
+/**
+ * Take `cost` tokens from the bucket of (clientId, routeClass).
+ * Returns { allowed, limit, remaining, retry_after_s, reset_s }:
+ * retry_after_s is the wait for the next token (0 when allowed), reset_s the wait for a full bucket.
+ */
+async function takeToken(redis, { clientId, routeClass, per_min, burst, cost = 1, now = Date.now() }) {
+  const rate = per_min / 60000;
+  const [allowed, left] = await redis.eval(TOKEN_BUCKET_LUA, 1, `c360:rl:${clientId}:${routeClass}`, rate, burst, now, cost);
+  const tokens = Number(left);
+  return {
+    allowed: Number(allowed) === 1,
+    limit: burst,
+    remaining: Math.max(0, Math.floor(tokens)),
+    retry_after_s: Number(allowed) === 1 ? 0 : Math.max(1, Math.ceil((cost - tokens) / rate / 1000)),
+    reset_s: Math.ceil((burst - tokens) / rate / 1000),
+  };
+}
+
+function setRateLimitHeaders(res, r) {
+  res.setHeader("X-RateLimit-Limit", String(r.limit));
+  res.setHeader("X-RateLimit-Remaining", String(r.remaining));
+  res.setHeader("X-RateLimit-Reset", String(r.reset_s));
+  if (!r.allowed) res.setHeader("Retry-After", String(r.retry_after_s));
+}
+
+// Express middleware factory; runs after authV1 (needs req.client).
+function createRateLimiter({ redis, getLimits, timeoutMs = REDIS_TIMEOUT_MS }) {
+  return function rateLimit(routeClass) {
+    return async (req, res, next) => {
+      if (!req.client) return next();
+      let r;
+      try {
+        const limits = await getLimits(req.client.id);
+        r = await bounded(takeToken(redis, { clientId: req.client.id, routeClass, ...limits[routeClass] }), timeoutMs);
+      } catch (e) {
+        console.warn("[ratelimit] error, failing open:", e?.message || e);
+        return next();
+      }
+      setRateLimitHeaders(res, r);
+      if (!r.allowed) {
+        return res.status(429).json({ ok: false, error: "rate_limited", route_class: routeClass, retry_after_s: r.retry_after_s });
+      }
+      return next();
+    };
+  };
+}
+
+// KEYS[1] running set; ARGV: job id, cap, now, lease ms. 1 = slot held (new or refreshed).
+const ACQUIRE_SLOT_LUA = `
+redis.call('ZREMRANGEBYSCORE', KEYS[1], '-inf', ARGV[3])
+if redis.call('ZSCORE', KEYS[1], ARGV[1]) or redis.call('ZCARD', KEYS[1]) < tonumber(ARGV[2]) then
+  redis.call('ZADD', KEYS[1], tonumber(ARGV[3]) + tonumber(ARGV[4]), ARGV[1])
+  redis.call('PEXPIRE', KEYS[1], ARGV[4])
+  return 1
+end
+return 0
+`;
+
+function createRunningSlots(redis, { leaseMs = RUNNING_LEASE_MS, timeoutMs = REDIS_TIMEOUT_MS } = {}) {
+  const key = (clientId) => `c360:running:${clientId}`;
+  return {
+    // Also refreshes the lease of a job that already holds a slot.
+    async acquire(clientId, jobId, cap, now = Date.now()) {
+      try {
+        return Number(await bounded(redis.eval(ACQUIRE_SLOT_LUA, 1, key(clientId), String(jobId), cap, now, leaseMs), timeoutMs)) === 1;
+      } catch (e) {
+        console.warn("[ratelimit] running slot error, failing open:", e?.message || e);
+        return true;
+      }
+    },
+    async release(clientId, jobId) {
+      try {
+        await bounded(redis.zrem(key(clientId), String(jobId)), timeoutMs);
+      } catch (e) {
+        console.warn("[ratelimit] running slot release error:", e?.message || e);
+      }
+    },
+    async count(clientId, now = Date.now()) {
+      return bounded(redis.zcount(key(clientId), now, "+inf"), timeoutMs);
+    },
+  };
+}
+
+module.exports = {
+  ROUTE_CLASSES,
+  PLAN_LIMITS,
+  resolveLimits,
+  createLimitsStore,
+  takeToken,
+  setRateLimitHeaders,
+  createRateLimiter,
+  createRunningSlots,
+};
@@ -0,0 +1,247 @@
+// /opt/content360/core/regenerate.js
+// S4: regenerate one field of a result item ("seo.meta_title", "faq[2]", "faq[2].a", "h2[0]").
+//
+// API: POST /v1/jobs/:id/items/:index/regenerate stores a c360_regenerations row and enqueues a
+// "regenerate" BullMQ job (interactive lane). Worker: small prompt asking for {"value": ...}
+// checked against the field's sub-schema (from schemas.js), merged into the item's latest
+// revision and stored as a new revision (reviews.js). LLM calls are billed on their own
+// "regenerate:<id>" stage in c360_aej_logs.
+
+const { SCHEMA_BY_MODE, resolveResultItem, recordRevision, reviewError } = require("./reviews");
+const { promptRegenerateField, buildContext } = require("./prompts");
+const { getBrandProfile } = require("./brand_profiles");
+const { jobPriority } = require("./scheduling");
+
+const MAX_PATH_LEN = 200;
+const MAX_GUIDANCE_LEN = 1000;
+// Minimum AEJ left in the monthly quota to accept a regeneration.
+const REGEN_MIN_AEJ = Number(process.env.REGEN_MIN_AEJ || 2);
+
+// "faq[2].a" -> ["faq", 2, "a"]. null when malformed.
+function parseResultPath(path) {
+  const s = String(path || "").trim();
+  if (!s || s.length > MAX_PATH_LEN) return null;
+  const segments = [];
+  const re = /([A-Za-z_][A-Za-z0-9_]*)|\[(\d{1,4})\]|(\.)/gy;
+  let expectName = true;
+  let m;
+  while (re.lastIndex < s.length) {
+    m = re.exec(s);
+    if (!m) return null;
+    if (m[1] !== undefined) {
+      if (!expectName) return null;
+      segments.push(m[1]);
+      expectName = false;
+    } else if (m[2] !== undefined) {
+      if (expectName) return null;
+      segments.push(Number(m[2]));
+    } else {
+      if (expectName) return null;
+      expectName = true;
+    }
+  }
+  return expectName ? null : segments;
+}
+
+function formatPath(segments) {
+  return segments.map((seg, i) => (typeof seg === "number" ? `[${seg}]` : i ? `.${seg}` : seg)).join("");
+}
+
+// Sub-schema at `segments`, or null when the path does not exist in the schema.
+function subSchemaForPath(schema, segments) {
+  let cur = schema;
+  for (const seg of segments) {
+    if (typeof seg === "number") {
+      if (cur?.type !== "array" || !cur.items) return null;
+      if (cur.maxItems !== undefined && seg >= cur.maxItems) return null;
+      cur = cur.items;
+    } else {
+      if (cur?.type !== "object" || !cur.properties?.[seg]) return null;
+      cur = cur.properties[seg];
+    }
+  }
+  return cur;
+}
+
+function getAtPath(obj, segments) {
+  return segments.reduce((cur, seg) => (cur === null || cur === undefined ? undefined : cur[seg]), obj);
+}
+
+// Copy of `obj` with `value` at `segments`. The parent must exist, and an array index must be
+// an existing entry: a regeneration replaces a field, it never appends or leaves holes.
+function setAtPath(obj, segments, value) {
+  const out = structuredClone(obj);
+  const parent = getAtPath(out, segments.slice(0, -1));
+  const key = segments[segments.length - 1];
+  if (parent === null || typeof parent !== "object") throw reviewError(409, "path_not_found");
+  if (Array.isArray(parent) && (typeof key !== "number" || key >= parent.length)) throw reviewError(409, "path_not_found");
+  parent[key] = value;
+  return out;
+}
+
+// Schema of the LLM answer: {"value": <field>}.
+function valueSchema(sub) {
+  return { type: "object", additionalProperties: false, properties: { value: sub }, required: ["value"] };
+}
+
+function validateRegenerateInput(body, mode) {
+  const errors = [];
+  const b = body && typeof body === "object" && !Array.isArray(body) ? body : {};
+  for (const k of Object.keys(b)) {
+    if (!["path", "guidance"].includes(k)) errors.push(`unexpected field: ${k}`);
+  }
+  const segments = parseResultPath(b.path);
+  if (!segments) errors.push("invalid path (e.g. seo.meta_title, faq[2], faq[2].a)");
+  else if (segments[0] === "mode") errors.push("path mode cannot be regenerated");
+  else if (!SCHEMA_BY_MODE[mode] || !subSchemaForPath(SCHEMA_BY_MODE[mode], segments)) errors.push(`path not in the ${mode} schema`);
+
+  let guidance = null;
+  if (b.guidance !== undefined && b.guidance !== null) {
+    guidance = String(b.guidance).trim();
+    if (guidance.length > MAX_GUIDANCE_LEN) errors.push(`guidance too_long (max ${MAX_GUIDANCE_LEN})`);
+    guidance = guidance || null;
+  }
+  if (errors.length) return { ok: false, errors };
+  return { ok: true, path: formatPath(segments), segments, guidance };
+}
+
+// Output of the item's current revision; the generated output while it has none.
+async function currentOutput(db, item) {
+  const cur = await db.query(
+    `SELECT v.output FROM c360_result_reviews r
+     JOIN c360_result_revisions v ON v.job_id=r.job_id AND v.result_index=r.result_index AND v.revision=r.current_revision
+     WHERE r.job_id=$1 AND r.result_index=$2`,
+    [String(item.holder.id), item.result_index]
+  );
+  return cur.rows[0]?.output ?? item.result.exec;
+}
+
+const REGEN_COLUMNS = `id, job_id, item_index, path, guidance, status, base_revision, revision, aej_used,
+  error_text, created_at, updated_at, finished_at`;
+
+/**
+ * API side: validate, store and enqueue. `item` comes from resolveResultItem.
+ * Returns the c360_regenerations row (public columns).
+ */
+async function createRegeneration(db, queue, { item, clientId, body, actor = null }) {
+  const v = validateRegenerateInput(body, item.mode);
+  if (!v.ok) throw reviewError(400, "invalid_regenerate_request", { details: v.errors });
+  // The field itself must exist in the current revision (faq[2] of a 2-entry FAQ does not).
+  const output = await currentOutput(db, item);
+  if (getAtPath(output, v.segments) === undefined) throw reviewError(409, "path_not_found");
+
+  const r = await db.query(
+    `INSERT INTO c360_regenerations
+       (client_id, job_id, item_index, holder_job_id, result_index, path, guidance, status, created_by, created_at, updated_at)
+     VALUES ($1,$2,$3,$4,$5,$6,$7,'queued',$8,NOW(),NOW())
+     RETURNING ${REGEN_COLUMNS}`,
+    [String(clientId), String(item.job.id), item.item_index, String(item.holder.id), item.result_index, v.path, v.guidance, actor]
+  );
+  const row = r.rows[0];
+  await queue.add(
+    "regenerate",
+    { regeneration_id: String(row.id) },
+    { jobId: `regen_${row.id}`, priority: jobPriority("interactive"), attempts: 1, removeOnComplete: 1000, removeOnFail: 2000 }
+  );
+  return row;
+}
+
+async function fetchRegeneration(db, { id, jobId, clientId }) {
+  if (!/^\d{1,18}$/.test(String(id))) return null;
+  const r = await db.query(
+    `SELECT ${REGEN_COLUMNS} FROM c360_regenerations WHERE id=$1 AND job_id=$2 AND client_id=$3`,
+    [String(id), String(jobId), String(clientId)]
+  );
+  return r.rows[0] || null;
+}
+
+async function setRegeneration(db, id, patch) {
+  const keys = Object.keys(patch);
+  const sets = keys.map((k, i) => `${k}=$${i + 2}`);
+  await db.query(`UPDATE c360_regenerations SET ${sets.join(", ")}, updated_at=NOW() WHERE id=$1`, [String(id), ...keys.map((k) => patch[k])]);
+}
+
+/**
+ * Worker side. `generate({ jobId, client_id, llm_provider, prompt, schema, stage, meta, lang })` is the worker's
+ * validated LLM call (returns { data, usage: { aej } }). Never throws for a failed regeneration:
+ * the row ends in status error. Returns { regeneration_id, job_id, client_id, path, done, ... }.
+ */
+async function runRegeneration({ db, regenerationId, generate }) {
+  const r = await db.query(`SELECT * FROM c360_regenerations WHERE id=$1`, [String(regenerationId)]);
+  const regen = r.rows[0];
+  if (!regen) return { skipped: "regeneration_not_found" };
+  if (regen.status !== "queued") return { skipped: `status_${regen.status}` };
+  await setRegeneration(db, regen.id, { status: "running" });
+
+  const ref = { regeneration_id: String(regen.id), job_id: String(regen.job_id), client_id: String(regen.client_id), path: regen.path };
+  let aej = 0;
+  try {
+    const item = await resolveResultItem(db, { jobId: regen.job_id, clientId: regen.client_id, index: regen.item_index });
+    const segments = parseResultPath(regen.path);
+    const sub = subSchemaForPath(SCHEMA_BY_MODE[item.mode], segments);
+    if (!sub) throw reviewError(409, "path_not_in_schema");
+
+    // The revision may have changed since the request was queued: checked again, before the call.
+    const latest = await currentOutput(db, item);
+    if (getAtPath(latest, segments) === undefined) throw reviewError(409, "path_not_found");
+    const reqJson = { ...(item.holder.request_json?.items?.[item.result_index] || item.holder.request_json?.items?.[0] || {}), mode: item.mode };
+    const brand = await getBrandProfile(db, regen.client_id).catch(() => null);
+
+    const gen = await generate({
+      jobId: String(item.holder.id),
+      client_id: String(regen.client_id),
+      llm_provider: item.holder.request_json?.llm_provider,
+      prompt: promptRegenerateField({
+        reqJson,
+        mode: item.mode,
+        path: regen.path,
+        output: latest,
+        currentValue: getAtPath(latest, segments),
+        guidance: regen.guidance,
+        brand: brand?.profile,
+      }),
+      schema: valueSchema(sub),
+      stage: `regenerate:${regen.id}`,
+      meta: { item_index: regen.item_index, regeneration_id: String(regen.id), path: regen.path },
+      lang: buildContext(reqJson).lang,
+      // HTML fields are sanitised by the worker before the value is checked against `sub`.
+      html_value: String(segments[segments.length - 1]).endsWith("_html"),
+    });
+    aej = Number(gen.usage?.aej || 0);
+
+    const saved = await recordRevision(db, item, {
+      build: (output) => setAtPath(output, segments, gen.data.value),
+      source: "regenerate",
+      decision_type: "regenerated",
+      note: regen.guidance || `Champ régénéré: ${regen.path}`,
+      actor: regen.created_by,
+    });
+    await setRegeneration(db, regen.id, {
+      status: "done",
+      base_revision: saved.base_revision,
+      revision: saved.revision,
+      aej_used: aej,
+      finished_at: new Date(),
+    });
+    return { ...ref, done: true, revision: saved.revision, aej_used: aej };
+  } catch (e) {
+    aej += Number(e?.usage?.aej || 0);
+    const error = e?.code || e?.message || String(e);
+    await setRegeneration(db, regen.id, { status: "error", error_text: String(error).slice(0, 500), aej_used: aej, finished_at: new Date() });
+    return { ...ref, done: false, error, aej_used: aej };
+  }
+}
+
+module.exports = {
+  REGEN_MIN_AEJ,
+  parseResultPath,
+  formatPath,
+  subSchemaForPath,
+  getAtPath,
+  setAtPath,
+  valueSchema,
+  validateRegenerateInput,
+  createRegeneration,
+  fetchRegeneration,
+  runRegeneration,
+};
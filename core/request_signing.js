@@ -0,0 +1,146 @@
+// /opt/content360/core/request_signing.js
+// Request signatures checked by authV1.
+//
+// v2 (replay-protected), selected when x-c360-timestamp is sent:
+//   x-c360-timestamp: unix seconds, within SIGN_TOLERANCE_S of the server clock
+//   x-c360-nonce:     16-128 chars [A-Za-z0-9_-], single use per client (Redis)
+//   x-c360-sign:      hex HMAC-SHA256(api_secret, canonical request)
+//
+//   canonical request = "C360-HMAC-V2\n" + METHOD + "\n" + path + "\n" + canonical query + "\n"
+//                       + timestamp + "\n" + nonce + "\n" + hex SHA-256(raw body bytes)
+//
+// legacy (deprecated): hex HMAC-SHA256(api_secret, raw body). Only accepted for clients
+// with c360_clients.legacy_signing = TRUE.
+
+const crypto = require("crypto");
+
+const SCHEME_V2 = "C360-HMAC-V2";
+const SIGN_TOLERANCE_S = Number(process.env.SIGN_TOLERANCE_S || 300);
+const NONCE_RE = /^[A-Za-z0-9_-]{16,128}$/;
+const NONCE_PREFIX = "c360:nonce:";
+// A nonce store that does not answer in time counts as unavailable (503), never as a hang.
+const NONCE_TIMEOUT_MS = Number(process.env.NONCE_TIMEOUT_MS || 1000);
+
+function hmacHex(secret, data) {
+  return crypto.createHmac("sha256", String(secret)).update(data).digest("hex");
+}
+
+// Constant-time comparison of two hex strings (false on any length/format mismatch).
+function safeEqualHex(expected, got) {
+  const a = Buffer.from(String(expected || ""), "hex");
+  const b = Buffer.from(String(got || "").trim().toLowerCase(), "hex");
+  return a.length > 0 && a.length === b.length && crypto.timingSafeEqual(a, b);
+}
+
+// RFC 3986 encoding, pairs sorted by key then value. "a=1&b" and "b=&a=1" are the same query.
+function canonicalQuery(search) {
+  const params = new URLSearchParams(String(search || "").replace(/^\?/, ""));
+  const enc = (s) => encodeURIComponent(s).replace(/[!'()*]/g, (c) => "%" + c.charCodeAt(0).toString(16).toUpperCase());
+  return [...params]
+    .map(([k, v]) => [enc(k), enc(v)])
+    .sort((x, y) => (x[0] === y[0] ? (x[1] < y[1] ? -1 : x[1] > y[1] ? 1 : 0) : x[0] < y[0] ? -1 : 1))
+    .map(([k, v]) => `${k}=${v}`)
+    .join("&");
+}
+
+function canonicalRequest({ method, path, query = "", timestamp, nonce, body = Buffer.alloc(0) }) {
+  const bodyHash = crypto.createHash("sha256").update(body).digest("hex");
+  return [SCHEME_V2, String(method).toUpperCase(), path, canonicalQuery(query), String(timestamp), String(nonce), bodyHash].join("\n");
+}
+
+// Client side helper (SDKs, tests): returns the headers to send with the request.
+function signV2({ secret, method, url, body = "", timestamp = Math.floor(Date.now() / 1000), nonce = crypto.randomBytes(16).toString("hex") }) {
+  const u = new URL(url, "http://local");
+  const sign = hmacHex(secret, canonicalRequest({ method, path: u.pathname, query: u.search, timestamp, nonce, body: Buffer.from(body) }));
+  return { "x-c360-timestamp": String(timestamp), "x-c360-nonce": nonce, "x-c360-sign": sign };
+}
+
+function splitUrl(originalUrl) {
+  const s = String(originalUrl || "/");
+  const i = s.indexOf("?");
+  return i < 0 ? { path: s, query: "" } : { path: s.slice(0, i), query: s.slice(i + 1) };
+}
+
+// Index of the secret that produced `sign`, or -1. Every secret is checked (no early exit).
+function matchSecret(secrets, data, sign) {
+  let found = -1;
+  secrets.forEach((secret, i) => {
+    if (safeEqualHex(hmacHex(secret, data), sign) && found < 0) found = i;
+  });
+  return found;
+}
+
+async function claimNonce(redis, clientId, nonce, ttlS, timeoutMs = NONCE_TIMEOUT_MS) {
+  let timer;
+  const timeout = new Promise((_, reject) => {
+    timer = setTimeout(() => reject(new Error("nonce_store_timeout")), timeoutMs);
+  });
+  try {
+    const got = await Promise.race([redis.set(`${NONCE_PREFIX}${clientId}:${nonce}`, "1", "EX", ttlS, "NX"), timeout]);
+    return got === "OK";
+  } finally {
+    clearTimeout(timer);
+  }
+}
+
+/**
+ * Verify the signature of an Express request for `client`
+ * ({ id, api_secret, legacy_signing, secrets? }). `secrets` lists every secret that may sign
+ * (current first, then a rotated one still in its grace period).
+ * Returns { ok: true, scheme: "v2" | "legacy", secret_index } or { ok: false, status, error }.
+ */
+async function verifyRequestSignature(req, client, { redis, now = Date.now(), toleranceS = SIGN_TOLERANCE_S, nonceTimeoutMs = NONCE_TIMEOUT_MS } = {}) {
+  const sign = String(req.headers["x-c360-sign"] || "");
+  const tsHeader = req.headers["x-c360-timestamp"];
+  const rawBody = req.rawBody && Buffer.isBuffer(req.rawBody) ? req.rawBody : null;
+  const secrets = client.secrets?.length ? client.secrets : [client.api_secret];
+
+  if (tsHeader === undefined) {
+    if (!client.legacy_signing) return { ok: false, status: 401, error: "signature_v2_required" };
+    // Signature over the EXACT request body bytes.
+    // Fallback to JSON.stringify for backward compatibility if rawBody is unavailable.
+    const body = rawBody || Buffer.from(JSON.stringify(req.body || {}), "utf8");
+    const idx = matchSecret(secrets, body, sign);
+    if (idx < 0) return { ok: false, status: 401, error: "bad_signature" };
+    return { ok: true, scheme: "legacy", secret_index: idx };
+  }
+
+  const ts = String(tsHeader).trim();
+  if (!/^\d{1,12}$/.test(ts)) return { ok: false, status: 401, error: "invalid_timestamp" };
+  if (Math.abs(Math.floor(now / 1000) - Number(ts)) > toleranceS) return { ok: false, status: 401, error: "timestamp_out_of_window" };
+
+  const nonce = String(req.headers["x-c360-nonce"] || "");
+  if (!NONCE_RE.test(nonce)) return { ok: false, status: 401, error: "invalid_nonce" };
+
+  const { path, query } = splitUrl(req.originalUrl || req.url);
+  const canonical = canonicalRequest({
+    method: req.method,
+    path,
+    query,
+    timestamp: ts,
+    nonce,
+    body: rawBody || Buffer.alloc(0),
+  });
+  const idx = matchSecret(secrets, canonical, sign);
+  if (idx < 0) return { ok: false, status: 401, error: "bad_signature" };
+
+  // Checked after the signature so unauthenticated callers cannot burn nonces.
+  // A nonce only has to be remembered while its timestamp is still inside the window.
+  try {
+    if (!(await claimNonce(redis, client.id, nonce, toleranceS * 2, nonceTimeoutMs))) return { ok: false, status: 401, error: "nonce_reused" };
+  } catch (e) {
+    console.error("[auth] nonce store error:", e?.message || e);
+    return { ok: false, status: 503, error: "nonce_store_unavailable" };
+  }
+  return { ok: true, scheme: "v2", secret_index: idx };
+}
+
+module.exports = {
+  SCHEME_V2,
+  SIGN_TOLERANCE_S,
+  safeEqualHex,
+  canonicalQuery,
+  canonicalRequest,
+  signV2,
+  verifyRequestSignature,
+};
@@ -0,0 +1,329 @@
+// /opt/content360/core/reviews.js
+// S4: human review of generated results (approve, reject, edit).
+//
+// A result item is one entry of a job's result_json.results (for parent jobs: the result of the
+// child holding that item). result_json is never modified: every version of an item is a row
+// of c360_result_revisions (1 = generated output, then edits), and c360_result_reviews holds
+// its review state:
+//
+//   ready_to_review --approve--> approved --reject--> rejected --approve--> approved ...
+//   any state --edit--> ready_to_review (new revision; or approved directly with approve=true)
+//
+// Every transition is logged in c360_decision_log (decision_type approved | rejected | edited |
+// regenerated, with the result item and revision it applies to).
+
+const { QUICK_BOOST_SCHEMA, FULL_CONTENT_SCHEMA, ECOM_CATALOG_SCHEMA } = require("./schemas");
+const { validateSchema } = require("./schema_validator");
+const { logDecision } = require("./decision_log");
+
+const REVIEW_STATUSES = ["ready_to_review", "approved", "rejected"];
+const MAX_NOTE_LEN = 1000;
+
+const SCHEMA_BY_MODE = {
+  quick_boost: QUICK_BOOST_SCHEMA.schema,
+  full_content: FULL_CONTENT_SCHEMA.schema,
+  ecom_catalog: ECOM_CATALOG_SCHEMA.schema,
+};
+
+// Default decision_reason, in the language of the worker's decisions.
+const DEFAULT_REASONS = {
+  approved: "Version approuvée par le client.",
+  rejected: "Version rejetée par le client.",
+  edited: "Version modifiée soumise par le client.",
+  regenerated: "Champ régénéré à la demande du client.",
+};
+
+function reviewError(status, code, details = {}) {
+  return Object.assign(new Error(code), { code, status, details });
+}
+
+function cleanNote(v) {
+  if (v === undefined || v === null) return null;
+  return String(v).trim().slice(0, MAX_NOTE_LEN) || null;
+}
+
+/**
+ * Locate item `index` of job `jobId` (as seen by the client: parent job + item_index, or the
+ * result index of a single job). Returns { job, holder, result_index, item_index, result, mode }.
+ */
+async function resolveResultItem(db, { jobId, clientId, index }) {
+  const i = Number(index);
+  if (!Number.isInteger(i) || i < 0) throw reviewError(400, "invalid_item_index");
+
+  const r = await db.query(
+    `SELECT id, client_id, mode, status, is_parent, request_json, result_json
+     FROM c360_jobs WHERE id=$1 AND client_id=$2`,
+    [String(jobId), String(clientId)]
+  );
+  const job = r.rows[0];
+  if (!job) throw reviewError(404, "job_not_found");
+
+  let holder = job;
+  let result_index = i;
+  if (job.is_parent) {
+    const c = await db.query(
+      `SELECT id, client_id, mode, status, is_parent, request_json, result_json
+       FROM c360_jobs WHERE parent_id=$1 AND item_index=$2 AND client_id=$3`,
+      [String(job.id), i, String(clientId)]
+    );
+    if (!c.rows.length) throw reviewError(404, "item_not_found");
+    holder = c.rows[0];
+    result_index = 0;
+  }
+
+  if (holder.status !== "done") throw reviewError(409, "result_not_ready", { status: holder.status });
+  const result = holder.result_json?.results?.[result_index];
+  if (!result) throw reviewError(404, "item_not_found");
+  const mode = holder.request_json?.mode || holder.mode || job.mode;
+  return { job, holder, result_index, item_index: i, result, mode };
+}
+
+// Review row (locked) of an item, created with revision 1 = the generated output on first use.
+async function lockReview(conn, item) {
+  const key = [String(item.holder.id), item.result_index];
+  await conn.query(
+    `INSERT INTO c360_result_revisions (job_id, result_index, client_id, revision, source, output, created_at)
+     VALUES ($1,$2,$3,1,'generated',$4,NOW())
+     ON CONFLICT (job_id, result_index, revision) DO NOTHING`,
+    [...key, String(item.holder.client_id), item.result.exec ?? null]
+  );
+  await conn.query(
+    `INSERT INTO c360_result_reviews (job_id, result_index, client_id, status, current_revision, updated_at)
+     VALUES ($1,$2,$3,'ready_to_review',1,NOW())
+     ON CONFLICT (job_id, result_index) DO NOTHING`,
+    [...key, String(item.holder.client_id)]
+  );
+  const r = await conn.query(
+    `SELECT status, current_revision, approved_revision FROM c360_result_reviews
+     WHERE job_id=$1 AND result_index=$2 FOR UPDATE`,
+    key
+  );
+  return r.rows[0];
+}
+
+/**
+ * Store `output` as the next revision of a locked item. Validated against the mode's schema
+ * unless `validate` is false. Returns the revision number.
+ */
+async function addRevision(conn, item, { output, source, note = null, actor = null, validate = true }) {
+  if (validate) {
+    const schema = SCHEMA_BY_MODE[item.mode];
+    if (!schema) throw reviewError(409, "unsupported_mode", { mode: item.mode });
+    const v = validateSchema(schema, output);
+    if (!v.ok) throw reviewError(400, "schema_invalid", { details: v.errors });
+  }
+  const r = await conn.query(
+    `INSERT INTO c360_result_revisions (job_id, result_index, client_id, revision, source, output, note, created_by, created_at)
+     SELECT $1, $2, $3, COALESCE(MAX(revision), 0) + 1, $4, $5, $6, $7, NOW()
+     FROM c360_result_revisions WHERE job_id=$1 AND result_index=$2
+     RETURNING revision`,
+    [String(item.holder.id), item.result_index, String(item.holder.client_id), source, output, note, actor]
+  );
+  return r.rows[0].revision;
+}
+
+/**
+ * New revision built from the item's latest one, in one transaction (the item row is locked, so
+ * concurrent edits are applied in turn). `build(latestOutput)` returns the new output.
+ * The item goes back to ready_to_review. Returns { revision, base_revision, output, review }.
+ */
+async function recordRevision(pool, item, { build, source, decision_type, note = null, actor = null }) {
+  const conn = await pool.connect();
+  try {
+    await conn.query("BEGIN");
+    let state = await lockReview(conn, item);
+    const cur = await conn.query(
+      `SELECT output FROM c360_result_revisions WHERE job_id=$1 AND result_index=$2 AND revision=$3`,
+      [String(item.holder.id), item.result_index, state.current_revision]
+    );
+    const output = build(cur.rows[0]?.output ?? item.result.exec);
+    const revision = await addRevision(conn, item, { output, source, note, actor });
+    const base_revision = state.current_revision;
+    state = nextReviewState(state, "edit", { revision });
+    await logTransition(conn, item, decision_type, revision, note);
+    await saveReview(conn, item, state);
+    await conn.query("COMMIT");
+    return { revision, base_revision, output, review: state };
+  } catch (e) {
+    try { await conn.query("ROLLBACK"); } catch {}
+    throw e;
+  } finally {
+    conn.release();
+  }
+}
+
+// Pure transition check. Returns the new state or throws 409 invalid_transition.
+function nextReviewState(state, action, { revision } = {}) {
+  const invalid = () => reviewError(409, "invalid_transition", { from: state.status, action });
+  switch (action) {
+    case "approve": {
+      const rev = revision ?? state.current_revision;
+      if (state.status === "approved" && state.approved_revision === rev) throw invalid();
+      return { status: "approved", current_revision: state.current_revision, approved_revision: rev };
+    }
+    case "reject":
+      if (state.status === "rejected") throw invalid();
+      return { status: "rejected", current_revision: state.current_revision, approved_revision: null };
+    case "edit":
+      return { status: "ready_to_review", current_revision: revision, approved_revision: state.approved_revision };
+    default:
+      throw reviewError(400, "invalid_action");
+  }
+}
+
+async function saveReview(conn, item, state) {
+  await conn.query(
+    `UPDATE c360_result_reviews
+       SET status=$3, current_revision=$4, approved_revision=$5, updated_at=NOW()
+     WHERE job_id=$1 AND result_index=$2`,
+    [String(item.holder.id), item.result_index, state.status, state.current_revision, state.approved_revision]
+  );
+}
+
+async function logTransition(conn, item, decision_type, revision, reason) {
+  await logDecision(conn, {
+    client_id: String(item.holder.client_id),
+    job_id: String(item.holder.id),
+    reqJson: item.holder.request_json,
+    decision_type,
+    decision_reason: reason || DEFAULT_REASONS[decision_type],
+    revision,
+    result_index: item.result_index,
+  });
+}
+
+/**
+ * Apply a review action to an item, in one transaction.
+ *   approve { revision?, note? }   reject { reason? }   edit { output, note?, approve? }
+ * Returns { job_id, item_index, review: { status, current_revision, approved_revision } }.
+ */
+async function applyReviewAction(pool, { jobId, clientId, index, action, body = {}, actor = null }) {
+  const item = await resolveResultItem(pool, { jobId, clientId, index });
+  const conn = await pool.connect();
+  try {
+    await conn.query("BEGIN");
+    let state = await lockReview(conn, item);
+
+    if (action === "approve") {
+      const revision = body.revision === undefined || body.revision === null ? state.current_revision : Number(body.revision);
+      if (!Number.isInteger(revision) || revision < 1 || revision > state.current_revision) {
+        throw reviewError(400, "invalid_revision", { current_revision: state.current_revision });
+      }
+      state = nextReviewState(state, "approve", { revision });
+      await logTransition(conn, item, "approved", revision, cleanNote(body.note));
+    } else if (action === "reject") {
+      const revision = state.current_revision;
+      state = nextReviewState(state, "reject");
+      await logTransition(conn, item, "rejected", revision, cleanNote(body.reason));
+    } else if (action === "edit") {
+      if (!body.output || typeof body.output !== "object" || Array.isArray(body.output)) {
+        throw reviewError(400, "output_required");
+      }
+      const note = cleanNote(body.note);
+      const revision = await addRevision(conn, item, { output: body.output, source: "edit", note, actor });
+      state = nextReviewState(state, "edit", { revision });
+      await logTransition(conn, item, "edited", revision, note);
+      if (body.approve === true) {
+        state = nextReviewState(state, "approve", { revision });
+        await logTransition(conn, item, "approved", revision, null);
+      }
+    } else {
+      throw reviewError(400, "invalid_action");
+    }
+
+    await saveReview(conn, item, state);
+    await conn.query("COMMIT");
+    return { job_id: String(item.job.id), item_index: item.item_index, review: state };
+  } catch (e) {
+    try { await conn.query("ROLLBACK"); } catch {}
+    throw e;
+  } finally {
+    conn.release();
+  }
+}
+
+/**
+ * Review data of result items, keyed "<holder job id>:<result index>".
+ * `items` = [{ job_id, result_index, exec }] (exec = generated output, revision 1 when nothing
+ * is stored yet). Returns a Map of { status, current_revision, approved_revision, approved,
+ * history, transitions }.
+ */
+async function fetchReviews(db, items, { withHistory = true } = {}) {
+  const out = new Map();
+  if (!items.length) return out;
+  const jobIds = [...new Set(items.map((it) => String(it.job_id)))];
+
+  const [reviews, revisions, transitions] = await Promise.all([
+    db.query(
+      `SELECT job_id, result_index, status, current_revision, approved_revision, updated_at
+       FROM c360_result_reviews WHERE job_id = ANY($1::text[])`,
+      [jobIds]
+    ),
+    db.query(
+      `SELECT job_id, result_index, revision, source, output, note, created_by, created_at
+       FROM c360_result_revisions WHERE job_id = ANY($1::text[])
+       ORDER BY revision ASC`,
+      [jobIds]
+    ),
+    withHistory
+      ? db.query(
+          `SELECT job_id, result_index, revision, decision_type, decision_reason, created_at
+           FROM c360_decision_log
+           WHERE job_id = ANY($1::text[]) AND revision IS NOT NULL
+           ORDER BY created_at ASC`,
+          [jobIds]
+        )
+      : { rows: [] },
+  ]);
+
+  const key = (job_id, result_index) => `${job_id}:${Number(result_index)}`;
+  const revs = new Map();
+  for (const r of revisions.rows) {
+    const k = key(r.job_id, r.result_index);
+    if (!revs.has(k)) revs.set(k, []);
+    revs.get(k).push({
+      revision: r.revision,
+      source: r.source,
+      output: r.output,
+      note: r.note,
+      created_by: r.created_by,
+      created_at: r.created_at,
+    });
+  }
+  const reviewRows = new Map(reviews.rows.map((r) => [key(r.job_id, r.result_index), r]));
+  const trans = new Map();
+  for (const t of transitions.rows) {
+    const k = key(t.job_id, t.result_index);
+    if (!trans.has(k)) trans.set(k, []);
+    trans.get(k).push({ decision_type: t.decision_type, revision: t.revision, reason: t.decision_reason, created_at: t.created_at });
+  }
+
+  for (const it of items) {
+    const k = key(it.job_id, it.result_index);
+    const row = reviewRows.get(k);
+    const history = revs.get(k) || [{ revision: 1, source: "generated", output: it.exec ?? null, note: null, created_by: null, created_at: null }];
+    const approved = row?.approved_revision ? history.find((h) => h.revision === row.approved_revision) || null : null;
+    out.set(k, {
+      status: row?.status || "ready_to_review",
+      current_revision: row?.current_revision || 1,
+      approved_revision: row?.approved_revision ?? null,
+      approved: approved ? { revision: approved.revision, source: approved.source, output: approved.output } : null,
+      ...(withHistory ? { history, transitions: trans.get(k) || [] } : {}),
+      updated_at: row?.updated_at || null,
+    });
+  }
+  return out;
+}
+
+module.exports = {
+  REVIEW_STATUSES,
+  SCHEMA_BY_MODE,
+  reviewError,
+  resolveResultItem,
+  lockReview,
+  addRevision,
+  recordRevision,
+  nextReviewState,
+  applyReviewAction,
+  fetchReviews,
+};
@@ -0,0 +1,347 @@
+// /opt/content360/core/schedules.js
+// S4: scheduled / recurring jobs (c360_job_schedules).
+//
+// A schedule is a cron expression (+ timezone) with a mode and either a fixed item list or an
+// item source (the items of an earlier job of the client). Each active schedule is a BullMQ job
+// scheduler "schedule_<id>" on the jobs queue; its "schedule" ticks are run by the worker, which
+// creates a normal job through createJob (same validation and quota check as /v1/jobs/create).
+// A tick over quota pauses the schedule (paused_reason = quota_exceeded) until the client resumes
+// it. Every tick is recorded in c360_schedule_runs.
+
+const cronParser = require("cron-parser");
+const { validateCreatePayload } = require("./job_payload");
+const { isProviderAllowed } = require("./providers");
+const { JOB_OPTIONS } = require("./scheduling");
+const { createJob } = require("./job_create");
+
+const MAX_SCHEDULES_PER_CLIENT = 20;
+// Shortest interval allowed between two runs of a schedule.
+const MIN_INTERVAL_MIN = Number(process.env.SCHEDULE_MIN_INTERVAL_MIN || 60);
+const MAX_PREVIEW = 20;
+const MAX_NAME_LEN = 120;
+
+const PUBLIC_COLUMNS = `id, name, cron, timezone, mode, items, item_source, llm_provider, status, paused_reason,
+  runs_count, last_run_at, last_job_id, created_at, updated_at`;
+
+function isPlainObject(x) {
+  return !!x && typeof x === "object" && !Array.isArray(x);
+}
+
+function schedulerId(scheduleId) {
+  return `schedule_${scheduleId}`;
+}
+
+function isValidTimezone(tz) {
+  try {
+    new Intl.DateTimeFormat("en-US", { timeZone: tz });
+    return true;
+  } catch (_) {
+    return false;
+  }
+}
+
+// Next `count` run dates (Date[]) after `from`. Throws on an invalid expression.
+function nextRuns(cron, timezone, count = 5, from = new Date()) {
+  const it = cronParser.parseExpression(cron, { tz: timezone, currentDate: from });
+  const out = [];
+  for (let i = 0; i < count; i++) out.push(it.next().toDate());
+  return out;
+}
+
+// Error string for a cron expression, or null. Five fields only (no seconds).
+function cronError(cron, timezone) {
+  if (cron.split(/\s+/).length !== 5) return "cron must have 5 fields (minute hour day month weekday)";
+  let runs;
+  try {
+    runs = nextRuns(cron, timezone, 10);
+  } catch (e) {
+    return `invalid cron: ${e?.message || e}`;
+  }
+  for (let i = 1; i < runs.length; i++) {
+    if (runs[i] - runs[i - 1] < MIN_INTERVAL_MIN * 60 * 1000) return `cron runs more often than every ${MIN_INTERVAL_MIN} min`;
+  }
+  return null;
+}
+
+/**
+ * Schedule input (POST, or PATCH with `partial`). `items` is checked with validateCreatePayload;
+ * an `item_source` is checked against the database by resolveItems.
+ * Returns { ok: true, value } with only the given fields (partial) or { ok: false, errors }.
+ */
+function validateScheduleInput(body, { partial = false, current = null } = {}) {
+  const errors = [];
+  if (!isPlainObject(body)) return { ok: false, errors: ["body must be an object"] };
+  const allowed = ["name", "cron", "timezone", "mode", "items", "item_source", "llm_provider", "status"];
+  for (const k of Object.keys(body)) {
+    if (!allowed.includes(k)) errors.push(`unexpected field: ${k}`);
+  }
+  const value = {};
+  const has = (k) => body[k] !== undefined;
+
+  if (has("name") || !partial) {
+    const name = String(body.name ?? "").trim();
+    if (!name || name.length > MAX_NAME_LEN) errors.push(`name required (max ${MAX_NAME_LEN} chars)`);
+    value.name = name;
+  }
+  if (has("timezone") || !partial) {
+    const tz = body.timezone === undefined || body.timezone === null ? "UTC" : String(body.timezone).trim();
+    if (!isValidTimezone(tz)) errors.push(`invalid timezone: ${tz}`);
+    value.timezone = tz;
+  }
+  if (has("cron") || has("timezone") || !partial) {
+    const cron = String(body.cron ?? current?.cron ?? "").trim().replace(/\s+/g, " ");
+    const tz = value.timezone ?? current?.timezone ?? "UTC";
+    const e = isValidTimezone(tz) ? cronError(cron, tz) : null;
+    if (e) errors.push(e);
+    if (has("cron") || !partial) value.cron = cron;
+  }
+  if (has("status")) {
+    if (!["active", "paused"].includes(body.status)) errors.push("status must be active or paused");
+    value.status = body.status;
+  }
+
+  // Job definition: checked as a whole (mode, items | item_source, llm_provider).
+  if (has("mode") || has("items") || has("item_source") || has("llm_provider") || !partial) {
+    const merged = {
+      mode: has("mode") ? body.mode : current?.mode,
+      llm_provider: has("llm_provider") ? body.llm_provider : current?.llm_provider ?? null,
+      items: has("items") ? body.items : has("item_source") ? null : current?.items ?? null,
+      item_source: has("item_source") ? body.item_source : has("items") ? null : current?.item_source ?? null,
+    };
+    if (merged.items && merged.item_source) errors.push("items and item_source are exclusive");
+    else if (!merged.items && !merged.item_source) errors.push("items or item_source required");
+
+    const payload = { mode: merged.mode, items: merged.items || [{}] };
+    if (merged.llm_provider !== null && merged.llm_provider !== undefined) payload.llm_provider = merged.llm_provider;
+    const v = validateCreatePayload(payload, { isProviderAllowed });
+    // Source items are only known at run time: keep the mode / provider errors.
+    if (!v.ok) errors.push(...(merged.items ? v.errors : v.errors.filter((e) => !e.startsWith("items[0]"))));
+
+    if (merged.item_source) {
+      const s = merged.item_source;
+      if (!isPlainObject(s) || s.type !== "job" || !String(s.job_id ?? "").trim() || Object.keys(s).some((k) => !["type", "job_id"].includes(k))) {
+        errors.push('item_source must be { "type": "job", "job_id": "..." }');
+      }
+    }
+    Object.assign(value, {
+      mode: String(merged.mode || "").trim(),
+      llm_provider: merged.llm_provider ? String(merged.llm_provider).trim() : null,
+      items: merged.items,
+      item_source: merged.item_source ? { type: "job", job_id: String(merged.item_source.job_id).trim() } : null,
+    });
+  }
+
+  if (errors.length) return { ok: false, errors };
+  return { ok: true, value };
+}
+
+// Items of a schedule: its own list, or the request items of the source job. null when gone.
+async function resolveItems(db, schedule) {
+  if (schedule.items) return schedule.items;
+  const r = await db.query(
+    `SELECT request_json FROM c360_jobs WHERE id=$1 AND client_id=$2 AND parent_id IS NULL`,
+    [String(schedule.item_source.job_id), String(schedule.client_id)]
+  );
+  const items = r.rows[0]?.request_json?.items;
+  return Array.isArray(items) && items.length ? items : null;
+}
+
+function publicSchedule(row, { preview = 5 } = {}) {
+  const { client_id, created_by, ...rest } = row;
+  const next_runs = row.status === "active" && preview > 0
+    ? nextRuns(row.cron, row.timezone, Math.min(MAX_PREVIEW, preview)).map((d) => d.toISOString())
+    : [];
+  return { ...rest, id: String(row.id), last_job_id: row.last_job_id ? String(row.last_job_id) : null, next_runs };
+}
+
+async function registerScheduler(queue, row) {
+  await queue.upsertJobScheduler(
+    schedulerId(row.id),
+    { pattern: row.cron, tz: row.timezone },
+    { name: "schedule", data: { schedule_id: String(row.id) }, opts: { ...JOB_OPTIONS } }
+  );
+}
+
+async function unregisterScheduler(queue, scheduleId) {
+  await queue.removeJobScheduler(schedulerId(scheduleId));
+}
+
+// Keep the BullMQ schedulers in line with the table (active = registered).
+async function syncSchedulers(db, queue) {
+  const r = await db.query(`SELECT id, cron, timezone, status FROM c360_job_schedules`);
+  for (const row of r.rows) {
+    if (row.status === "active") await registerScheduler(queue, row);
+    else await unregisterScheduler(queue, row.id);
+  }
+  return r.rows.filter((row) => row.status === "active").length;
+}
+
+async function createSchedule(db, queue, { clientId, value, actor = null }) {
+  if (value.item_source && !(await resolveItems(db, { ...value, client_id: clientId }))) {
+    throw Object.assign(new Error("item_source_not_found"), { code: "item_source_not_found", status: 400 });
+  }
+  const n = await db.query(`SELECT COUNT(*)::int AS n FROM c360_job_schedules WHERE client_id=$1`, [String(clientId)]);
+  if (n.rows[0].n >= MAX_SCHEDULES_PER_CLIENT) throw Object.assign(new Error("schedules_limit_reached"), { code: "schedules_limit_reached", status: 409 });
+
+  const status = value.status || "active";
+  const r = await db.query(
+    `INSERT INTO c360_job_schedules
+       (client_id, name, cron, timezone, mode, items, item_source, llm_provider, status, paused_reason, created_by, created_at, updated_at)
+     VALUES ($1,$2,$3,$4,$5,$6::jsonb,$7::jsonb,$8,$9,$10,$11,NOW(),NOW())
+     RETURNING ${PUBLIC_COLUMNS}`,
+    [
+      String(clientId), value.name, value.cron, value.timezone, value.mode,
+      value.items ? JSON.stringify(value.items) : null,
+      value.item_source ? JSON.stringify(value.item_source) : null,
+      value.llm_provider, status, status === "paused" ? "manual" : null, actor,
+    ]
+  );
+  const row = r.rows[0];
+  if (status === "active") {
+    try {
+      await registerScheduler(queue, row);
+    } catch (e) {
+      await db.query(`DELETE FROM c360_job_schedules WHERE id=$1`, [row.id]);
+      throw e;
+    }
+  }
+  return row;
+}
+
+async function getSchedule(db, { id, clientId }) {
+  if (!/^\d{1,18}$/.test(String(id))) return null;
+  const r = await db.query(`SELECT ${PUBLIC_COLUMNS}, client_id FROM c360_job_schedules WHERE id=$1 AND client_id=$2`, [String(id), String(clientId)]);
+  return r.rows[0] || null;
+}
+
+async function listSchedules(db, clientId) {
+  const r = await db.query(`SELECT ${PUBLIC_COLUMNS} FROM c360_job_schedules WHERE client_id=$1 ORDER BY created_at DESC`, [String(clientId)]);
+  return r.rows;
+}
+
+// PATCH: `status` pauses (manual) or resumes; cron/timezone changes replace the scheduler.
+async function updateSchedule(db, queue, { current, value }) {
+  if (value.item_source && !(await resolveItems(db, { ...value, client_id: current.client_id }))) {
+    throw Object.assign(new Error("item_source_not_found"), { code: "item_source_not_found", status: 400 });
+  }
+  const patch = { ...value };
+  if (patch.items !== undefined) patch.items = patch.items ? JSON.stringify(patch.items) : null;
+  if (patch.item_source !== undefined) patch.item_source = patch.item_source ? JSON.stringify(patch.item_source) : null;
+  if (patch.status) patch.paused_reason = patch.status === "paused" ? "manual" : null;
+
+  const keys = Object.keys(patch);
+  const sets = keys.map((k, i) => (["items", "item_source"].includes(k) ? `${k}=$${i + 3}::jsonb` : `${k}=$${i + 3}`));
+  const r = await db.query(
+    `UPDATE c360_job_schedules SET ${[...sets, "updated_at=NOW()"].join(", ")}
+     WHERE id=$1 AND client_id=$2
+     RETURNING ${PUBLIC_COLUMNS}`,
+    [String(current.id), String(current.client_id), ...keys.map((k) => patch[k])]
+  );
+  const row = r.rows[0];
+  if (row.status === "active") await registerScheduler(queue, row);
+  else await unregisterScheduler(queue, row.id);
+  return row;
+}
+
+async function deleteSchedule(db, queue, { id, clientId }) {
+  const r = await db.query(`DELETE FROM c360_job_schedules WHERE id=$1 AND client_id=$2 RETURNING id`, [String(id), String(clientId)]);
+  if (!r.rows.length) return false;
+  await unregisterScheduler(queue, id);
+  return true;
+}
+
+async function listRuns(db, { scheduleId, limit = 50 }) {
+  const r = await db.query(
+    `SELECT id, scheduled_for, status, job_id, aej_estimated, error_text, created_at
+     FROM c360_schedule_runs
+     WHERE schedule_id=$1
+     ORDER BY scheduled_for DESC
+     LIMIT $2`,
+    [String(scheduleId), limit]
+  );
+  return r.rows.map((row) => ({ ...row, id: String(row.id), job_id: row.job_id ? String(row.job_id) : null }));
+}
+
+async function recordRun(db, schedule, scheduledFor, { status, job_id = null, aej_estimated = null, error_text = null }) {
+  await db.query(
+    `INSERT INTO c360_schedule_runs (schedule_id, client_id, scheduled_for, status, job_id, aej_estimated, error_text, created_at)
+     VALUES ($1,$2,$3,$4,$5,$6,$7,NOW())
+     ON CONFLICT (schedule_id, scheduled_for)
+     DO UPDATE SET status=EXCLUDED.status, job_id=EXCLUDED.job_id, aej_estimated=EXCLUDED.aej_estimated, error_text=EXCLUDED.error_text`,
+    [String(schedule.id), String(schedule.client_id), scheduledFor, status, job_id ? String(job_id) : null, aej_estimated, error_text]
+  );
+}
+
+/**
+ * Worker side: one tick of schedule `scheduleId` planned at `scheduledFor` (ms).
+ * deps: createJob deps ({ queue, redis, logJobEvent }). Re-delivered ticks return the same job
+ * (idempotency key "schedule:<id>:<ms>"). Returns { status, job_id? , error? }.
+ */
+async function runScheduleTick(db, deps, { scheduleId, scheduledFor }) {
+  const r = await db.query(`SELECT * FROM c360_job_schedules WHERE id=$1`, [String(scheduleId)]);
+  const schedule = r.rows[0];
+  if (!schedule || schedule.status !== "active") {
+    // Deleted or paused meanwhile: the scheduler should not exist any more.
+    await unregisterScheduler(deps.queue, scheduleId);
+    return { status: "skipped", reason: schedule ? `schedule_${schedule.status}` : "schedule_not_found" };
+  }
+  const at = new Date(Number(scheduledFor) || Date.now());
+
+  const items = await resolveItems(db, schedule);
+  if (!items) {
+    await recordRun(db, schedule, at, { status: "error", error_text: "item_source_not_found" });
+    return { status: "error", error: "item_source_not_found" };
+  }
+  const requestJson = { mode: schedule.mode, items, ...(schedule.llm_provider ? { llm_provider: schedule.llm_provider } : {}) };
+  const v = validateCreatePayload(requestJson, { isProviderAllowed });
+  if (!v.ok) {
+    await recordRun(db, schedule, at, { status: "error", error_text: `schema_invalid: ${v.errors.slice(0, 5).join("; ")}` });
+    return { status: "error", error: "schema_invalid" };
+  }
+
+  const out = await createJob(db, deps, {
+    clientId: schedule.client_id,
+    requestJson,
+    v,
+    idemKey: `schedule:${schedule.id}:${at.getTime()}`,
+    eventMeta: { schedule_id: String(schedule.id) },
+  });
+
+  if (!out.ok) {
+    await recordRun(db, schedule, at, { status: "quota_exceeded", aej_estimated: out.aej_needed, error_text: `aej_remaining ${out.aej_remaining}` });
+    await db.query(
+      `UPDATE c360_job_schedules SET status='paused', paused_reason='quota_exceeded', updated_at=NOW() WHERE id=$1`,
+      [String(schedule.id)]
+    );
+    await unregisterScheduler(deps.queue, schedule.id);
+    return { status: "quota_exceeded", paused: true };
+  }
+
+  await recordRun(db, schedule, at, { status: "created", job_id: out.job_id, aej_estimated: out.aej_estimated ?? null });
+  if (!out.idempotent) {
+    await db.query(
+      `UPDATE c360_job_schedules SET runs_count=runs_count+1, last_run_at=$2, last_job_id=$3, updated_at=NOW() WHERE id=$1`,
+      [String(schedule.id), at, String(out.job_id)]
+    );
+  }
+  return { status: "created", job_id: String(out.job_id) };
+}
+
+module.exports = {
+  MAX_SCHEDULES_PER_CLIENT,
+  MAX_PREVIEW,
+  schedulerId,
+  isValidTimezone,
+  nextRuns,
+  cronError,
+  validateScheduleInput,
+  publicSchedule,
+  syncSchedulers,
+  createSchedule,
+  getSchedule,
+  listSchedules,
+  updateSchedule,
+  deleteSchedule,
+  listRuns,
+  runScheduleTick,
+};
@@ -0,0 +1,185 @@
+// /opt/content360/core/scheduling.js
+// S4: priority lanes and fair (round-robin) scheduling on the single BullMQ job queue.
+//
+// Lanes are bands of BullMQ priorities (lower runs first): every waiting "interactive" job
+// (a request with one item) runs before any "bulk" job (children of a multi-item request).
+//
+// Inside a lane, clients take turns: each job gets a rank from a per-client counter
+// (c360:lane:<lane>:client:<id>) that starts at the lane's current round
+// (c360:lane:<lane>:round, the rank of the last job started). A client's n-th waiting job
+// therefore waits behind the first n-1 jobs of every other client, whatever their arrival order.
+// The plan weight sets how far a client's counter moves per job: a weight-4 client
+// gets four turns for each turn of a weight-1 client.
+//
+// Redis errors never block enqueueing: the job gets its lane's base priority (plain FIFO).
+
+const LANES = {
+  interactive: { base: 1 },
+  bulk: { base: 1_000_001 },
+};
+const LANE_WIDTH = 1_000_000; // BullMQ priorities go up to 2^21
+const PLAN_WEIGHTS = { starter: 1, pro: 2, business: 4 };
+const RANK_UNIT = 4; // counter step of a weight-1 client
+const CLIENT_RANK_TTL_S = 24 * 3600;
+const RECENT_WAITS = 200;
+
+const JOB_OPTIONS = {
+  attempts: 3,
+  backoff: { type: "exponential", delay: 2000 },
+  removeOnComplete: 1000,
+  removeOnFail: 2000,
+};
+
+function laneForItems(itemsCount) {
+  return Number(itemsCount) <= 1 ? "interactive" : "bulk";
+}
+
+function laneKey(lane, k) {
+  return `c360:lane:${lane}:${k}`;
+}
+
+function rankStep(plan) {
+  return Math.max(1, Math.round(RANK_UNIT / (PLAN_WEIGHTS[plan] || PLAN_WEIGHTS.starter)));
+}
+
+// Lane base + distance ahead of the current round (capped inside the lane band).
+function jobPriority(lane, offset = 0) {
+  const l = LANES[lane] || LANES.bulk;
+  return l.base + Math.min(LANE_WIDTH - 1, Math.max(0, Math.floor(offset)));
+}
+
+// KEYS: round, client counter; ARGV: step, ttl. Returns { rank, round }.
+const ASSIGN_RANK_LUA = `
+local round = tonumber(redis.call('GET', KEYS[1]) or '0')
+local last = tonumber(redis.call('GET', KEYS[2]) or '-1')
+local rank = round
+if last >= 0 and last + tonumber(ARGV[1]) > round then rank = last + tonumber(ARGV[1]) end
+redis.call('SET', KEYS[2], rank, 'EX', tonumber(ARGV[2]))
+return { rank, round }
+`;
+
+async function assignRank(redis, { lane, clientId, plan }) {
+  const [rank, round] = await redis.eval(
+    ASSIGN_RANK_LUA,
+    2,
+    laneKey(lane, "round"),
+    laneKey(lane, `client:${clientId}`),
+    rankStep(plan),
+    CLIENT_RANK_TTL_S
+  );
+  return { rank: Number(rank), offset: Number(rank) - Number(round) };
+}
+
+/**
+ * Add a job (c360_jobs row) to the BullMQ queue in its lane.
+ * Returns { lane, priority, rank } (rank null when Redis was unavailable).
+ */
+async function enqueueJob(queue, redis, { jobId, parentId = null, clientId, lane, plan }) {
+  let fair = { rank: null, offset: 0 };
+  try {
+    fair = await assignRank(redis, { lane, clientId, plan });
+  } catch (e) {
+    console.warn("[scheduling] rank error, plain lane priority:", e?.message || e);
+  }
+  const priority = jobPriority(lane, fair.offset);
+  await queue.add(
+    "run",
+    { job_id: String(jobId), ...(parentId ? { parent_id: String(parentId) } : {}), lane, fair_rank: fair.rank },
+    { jobId: String(jobId), priority, ...JOB_OPTIONS }
+  );
+  return { lane, priority, rank: fair.rank };
+}
+
+// KEYS: round, recent waits; ARGV: rank ("" when unknown), wait ms, list size.
+const MARK_START_LUA = `
+if ARGV[1] ~= '' and tonumber(ARGV[1]) > tonumber(redis.call('GET', KEYS[1]) or '0') then
+  redis.call('SET', KEYS[1], ARGV[1])
+end
+redis.call('LPUSH', KEYS[2], ARGV[2])
+redis.call('LTRIM', KEYS[2], 0, tonumber(ARGV[3]) - 1)
+return 1
+`;
+
+// Worker, when a job starts: advance the lane round and record the job's wait.
+async function markLaneStart(redis, { lane, rank, waitMs }) {
+  const l = LANES[lane] ? lane : "bulk";
+  try {
+    await redis.eval(
+      MARK_START_LUA,
+      2,
+      laneKey(l, "round"),
+      laneKey(l, "waits"),
+      rank === null || rank === undefined ? "" : String(rank),
+      String(Math.max(0, Math.round(waitMs))),
+      RECENT_WAITS
+    );
+  } catch (e) {
+    console.warn("[scheduling] lane start error:", e?.message || e);
+  }
+}
+
+function percentile(sorted, p) {
+  if (!sorted.length) return null;
+  return sorted[Math.min(sorted.length - 1, Math.floor((p / 100) * sorted.length))];
+}
+
+// Lane of a queued "run" job: data.lane, else (enqueued before lanes) its priority band.
+// Other jobs on the queue (regenerate, schedule ticks) are in no lane: null.
+function laneOfJob(job) {
+  if (job.name && job.name !== "run") return null;
+  if (LANES[job.data?.lane]) return job.data.lane;
+  const priority = Number(job.priority ?? job.opts?.priority ?? 0);
+  return priority >= LANES.interactive.base && priority < LANES.bulk.base ? "interactive" : "bulk";
+}
+
+/**
+ * Per lane: jobs waiting / delayed (running cap) / active, age of the oldest waiting job and
+ * the wait (enqueue -> start) of the last RECENT_WAITS started jobs. Jobs outside the lanes
+ * (regenerations, schedule ticks) are counted per job name in `other`.
+ * At most `scanLimit` jobs per state are inspected (`truncated` tells when more exist).
+ */
+async function laneStats(queue, redis, { scanLimit = 1000, now = Date.now() } = {}) {
+  const counters = () => ({ waiting: 0, delayed: 0, active: 0, oldest_wait_s: null });
+  const lanes = {};
+  for (const lane of Object.keys(LANES)) lanes[lane] = { ...counters(), recent_wait_ms: null };
+  const other = {};
+  let truncated = false;
+
+  for (const [state, types] of [["waiting", ["waiting", "prioritized"]], ["delayed", ["delayed"]], ["active", ["active"]]]) {
+    for (const type of types) {
+      const jobs = await queue.getJobs([type], 0, scanLimit - 1, true);
+      if (jobs.length >= scanLimit) truncated = true;
+      for (const j of jobs) {
+        if (!j) continue;
+        const lane = laneOfJob(j);
+        const s = lane ? lanes[lane] : (other[j.name] ||= counters());
+        s[state]++;
+        if (state !== "active" && j.timestamp) {
+          const age = Math.max(0, Math.round((now - j.timestamp) / 1000));
+          if (s.oldest_wait_s === null || age > s.oldest_wait_s) s.oldest_wait_s = age;
+        }
+      }
+    }
+  }
+
+  for (const lane of Object.keys(LANES)) {
+    const waits = (await redis.lrange(laneKey(lane, "waits"), 0, -1)).map(Number).sort((a, b) => a - b);
+    lanes[lane].recent_wait_ms = waits.length
+      ? { count: waits.length, p50: percentile(waits, 50), p95: percentile(waits, 95), max: waits[waits.length - 1] }
+      : null;
+  }
+  return { lanes, other, truncated };
+}
+
+module.exports = {
+  LANES,
+  PLAN_WEIGHTS,
+  JOB_OPTIONS,
+  laneForItems,
+  jobPriority,
+  assignRank,
+  enqueueJob,
+  markLaneStart,
+  laneOfJob,
+  laneStats,
+};
@@ -0,0 +1,103 @@
+// /opt/content360/core/schema_validator.js
+// Minimal local JSON Schema validator for the mode schemas in schemas.js.
+// Supports the keywords those schemas use: type, const, enum, properties, required,
+// additionalProperties (false), items, minItems/maxItems, minLength/maxLength, pattern.
+
+function typeOf(v) {
+  if (v === null) return "null";
+  if (Array.isArray(v)) return "array";
+  if (Number.isInteger(v)) return "integer";
+  return typeof v;
+}
+
+function matchesType(expected, v) {
+  const t = typeOf(v);
+  if (expected === "number") return t === "number" || t === "integer";
+  return t === expected;
+}
+
+function joinPath(base, key) {
+  if (typeof key === "number") return `${base}[${key}]`;
+  return base ? `${base}.${key}` : key;
+}
+
+// String length in code points, as JSON Schema defines it (not UTF-16 units).
+function strLen(s) {
+  return [...s].length;
+}
+
+function walk(schema, value, path, errors) {
+  const at = path || "(root)";
+  const push = (keyword, message) => errors.push({ path: at, keyword, message: `${at}: ${message}` });
+
+  if (!schema || typeof schema !== "object") return;
+
+  if (schema.type !== undefined) {
+    const types = Array.isArray(schema.type) ? schema.type : [schema.type];
+    if (!types.some((t) => matchesType(t, value))) {
+      push("type", `must be ${types.join("|")} (got ${typeOf(value)})`);
+      return;
+    }
+  }
+
+  if (schema.const !== undefined && value !== schema.const) {
+    push("const", `must be ${JSON.stringify(schema.const)}`);
+  }
+
+  if (Array.isArray(schema.enum) && !schema.enum.includes(value)) {
+    push("enum", `must be one of ${schema.enum.map((x) => JSON.stringify(x)).join(", ")} (got ${JSON.stringify(value)})`);
+  }
+
+  if (typeof value === "string") {
+    const len = strLen(value);
+    if (schema.minLength !== undefined && len < schema.minLength) {
+      push("minLength", `must be at least ${schema.minLength} characters (got ${len})`);
+    }
+    if (schema.maxLength !== undefined && len > schema.maxLength) {
+      push("maxLength", `must be at most ${schema.maxLength} characters (got ${len})`);
+    }
+    if (schema.pattern !== undefined && !new RegExp(schema.pattern, "u").test(value)) {
+      push("pattern", `must match ${schema.pattern}`);
+    }
+  }
+
+  if (Array.isArray(value)) {
+    if (schema.minItems !== undefined && value.length < schema.minItems) {
+      push("minItems", `must have at least ${schema.minItems} items (got ${value.length})`);
+    }
+    if (schema.maxItems !== undefined && value.length > schema.maxItems) {
+      push("maxItems", `must have at most ${schema.maxItems} items (got ${value.length})`);
+    }
+    if (schema.items) {
+      value.forEach((it, i) => walk(schema.items, it, joinPath(path, i), errors));
+    }
+  }
+
+  if (typeOf(value) === "object") {
+    const props = schema.properties || {};
+    for (const k of schema.required || []) {
+      if (!Object.prototype.hasOwnProperty.call(value, k)) {
+        errors.push({ path: joinPath(path, k), keyword: "required", message: `${joinPath(path, k)}: is required` });
+      }
+    }
+    for (const k of Object.keys(value)) {
+      if (props[k]) walk(props[k], value[k], joinPath(path, k), errors);
+      else if (schema.additionalProperties === false) {
+        errors.push({ path: joinPath(path, k), keyword: "additionalProperties", message: `${joinPath(path, k)}: is not allowed` });
+      }
+    }
+  }
+}
+
+/**
+ * Validate `value` against a JSON Schema.
+ * Returns { ok: true } or { ok: false, errors: [{ path, keyword, message }] }.
+ */
+function validateSchema(schema, value) {
+  const errors = [];
+  walk(schema, value, "", errors);
+  if (errors.length) return { ok: false, errors };
+  return { ok: true };
+}
+
+module.exports = { validateSchema };
@@ -0,0 +1,132 @@
+// /opt/content360/core/secret_box.js
+// S4: envelope encryption of API secrets at rest (c360_api_keys.api_secret / prev_secret).
+//
+// Each value gets its own random data key (DEK). The secret is sealed with the DEK
+// (AES-256-GCM, AAD = row context, e.g. "api_key:ck_..."), and the DEK is sealed with a
+// versioned master key from the environment:
+//
+//   c360enc:1:<master key version>:<base64url iv|tag|wrapped DEK>:<base64url iv|tag|ciphertext>
+//
+// Env:
+//   C360_MASTER_KEYS          "1:<base64 32 bytes>,2:<base64 32 bytes>"  (old versions stay for reads)
+//   C360_MASTER_KEY_VERSION   version used for new values (default: highest)
+//   C360_REQUIRE_ENCRYPTED_SECRETS=1  refuse plain-text values (set once secrets_cli.js reencrypt ran)
+//
+// Without C360_MASTER_KEYS, values are stored and read in plain text (migration path).
+
+const crypto = require("crypto");
+
+const PREFIX = "c360enc";
+const FORMAT = "1";
+const IV_LEN = 12;
+const TAG_LEN = 16;
+
+function secretError(code, message = code) {
+  return Object.assign(new Error(message), { code });
+}
+
+function parseMasterKeys(env) {
+  const keys = new Map();
+  for (const part of String(env.C360_MASTER_KEYS || "").split(",").map((s) => s.trim()).filter(Boolean)) {
+    const i = part.indexOf(":");
+    const version = i > 0 ? part.slice(0, i).trim() : "";
+    if (!/^\d{1,6}$/.test(version)) throw secretError("master_key_config", "C360_MASTER_KEYS: expected <version>:<base64 key>");
+    const key = Buffer.from(part.slice(i + 1).trim(), "base64");
+    if (key.length !== 32) throw secretError("master_key_config", `C360_MASTER_KEYS: key ${version} must be 32 bytes`);
+    keys.set(version, key);
+  }
+  let current = env.C360_MASTER_KEY_VERSION ? String(env.C360_MASTER_KEY_VERSION).trim() : null;
+  if (!current && keys.size) current = [...keys.keys()].sort((a, b) => Number(b) - Number(a))[0];
+  if (current && !keys.has(current)) throw secretError("master_key_config", `C360_MASTER_KEY_VERSION ${current} has no key`);
+  return { keys, current };
+}
+
+function seal(key, plain, aad) {
+  const iv = crypto.randomBytes(IV_LEN);
+  const cipher = crypto.createCipheriv("aes-256-gcm", key, iv);
+  cipher.setAAD(Buffer.from(aad));
+  const ct = Buffer.concat([cipher.update(plain), cipher.final()]);
+  return Buffer.concat([iv, cipher.getAuthTag(), ct]).toString("base64url");
+}
+
+function open(key, sealed, aad) {
+  const buf = Buffer.from(sealed, "base64url");
+  if (buf.length < IV_LEN + TAG_LEN) throw secretError("secret_corrupt");
+  const decipher = crypto.createDecipheriv("aes-256-gcm", key, buf.subarray(0, IV_LEN));
+  decipher.setAAD(Buffer.from(aad));
+  decipher.setAuthTag(buf.subarray(IV_LEN, IV_LEN + TAG_LEN));
+  try {
+    return Buffer.concat([decipher.update(buf.subarray(IV_LEN + TAG_LEN)), decipher.final()]);
+  } catch {
+    throw secretError("secret_corrupt", "secret_corrupt (wrong master key or context)");
+  }
+}
+
+function isEncrypted(stored) {
+  return typeof stored === "string" && stored.startsWith(`${PREFIX}:`);
+}
+
+// Master key version of a stored value, null for plain text.
+function secretKeyVersion(stored) {
+  return isEncrypted(stored) ? stored.split(":")[2] || null : null;
+}
+
+function createSecretBox(env = process.env) {
+  const { keys, current } = parseMasterKeys(env);
+  const requireEncrypted = env.C360_REQUIRE_ENCRYPTED_SECRETS === "1";
+
+  function encryptSecret(plain, { context = "" } = {}) {
+    if (plain === null || plain === undefined) return plain;
+    if (!current) {
+      if (requireEncrypted) throw secretError("master_key_missing", "C360_MASTER_KEYS is required to store secrets");
+      return String(plain);
+    }
+    const dek = crypto.randomBytes(32);
+    const wrapped = seal(keys.get(current), dek, `${PREFIX}:dek:${current}`);
+    const payload = seal(dek, Buffer.from(String(plain), "utf8"), String(context));
+    return [PREFIX, FORMAT, current, wrapped, payload].join(":");
+  }
+
+  function decryptSecret(stored, { context = "" } = {}) {
+    if (stored === null || stored === undefined) return stored;
+    if (!isEncrypted(stored)) {
+      if (requireEncrypted) throw secretError("secret_not_encrypted");
+      return stored;
+    }
+    const [, format, version, wrapped, payload] = stored.split(":");
+    if (format !== FORMAT || !wrapped || !payload) throw secretError("secret_corrupt");
+    const key = keys.get(version);
+    if (!key) throw secretError("master_key_unknown", `master key version ${version} is not configured`);
+    const dek = open(key, wrapped, `${PREFIX}:dek:${version}`);
+    return open(dek, payload, String(context)).toString("utf8");
+  }
+
+  // Plain text, or sealed with an older master key.
+  function needsReencrypt(stored) {
+    if (stored === null || stored === undefined || !current) return false;
+    return secretKeyVersion(stored) !== current;
+  }
+
+  return {
+    configured: !!current,
+    currentVersion: current,
+    encryptSecret,
+    decryptSecret,
+    needsReencrypt,
+  };
+}
+
+let _box = null;
+function defaultBox() {
+  if (!_box) _box = createSecretBox(process.env);
+  return _box;
+}
+
+module.exports = {
+  createSecretBox,
+  isEncrypted,
+  secretKeyVersion,
+  encryptSecret: (plain, opts) => defaultBox().encryptSecret(plain, opts),
+  decryptSecret: (stored, opts) => defaultBox().decryptSecret(stored, opts),
+  secretBox: defaultBox,
+};
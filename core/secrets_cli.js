@@ -0,0 +1,100 @@
+// /opt/content360/core/secrets_cli.js
+// S4: maintenance of encrypted API secrets (see secret_box.js).
+//
+//   node secrets_cli.js status               counts per storage state
+//   node secrets_cli.js reencrypt [--dry-run]
+//
+// reencrypt seals every plain-text api_secret / prev_secret of c360_api_keys, and re-seals the
+// ones of an older master key version with C360_MASTER_KEY_VERSION. It then clears the legacy
+// plain-text copy in c360_clients.api_secret for clients whose keys were migrated.
+// Safe to run repeatedly and while the API is serving (rows are updated compare-and-set).
+
+const { Pool } = require("pg");
+const { createSecretBox, secretKeyVersion } = require("./secret_box");
+const { secretContext } = require("./api_keys");
+
+const BATCH = 200;
+
+async function secretsStatus(db) {
+  const r = await db.query(`SELECT api_secret, prev_secret FROM c360_api_keys`);
+  const counts = {};
+  for (const row of r.rows) {
+    for (const v of [row.api_secret, row.prev_secret]) {
+      if (v === null || v === undefined) continue;
+      const k = secretKeyVersion(v) ? `v${secretKeyVersion(v)}` : "plaintext";
+      counts[k] = (counts[k] || 0) + 1;
+    }
+  }
+  const c = await db.query(`SELECT COUNT(*)::int AS n FROM c360_clients WHERE api_secret IS NOT NULL`);
+  return { secrets: counts, legacy_client_secrets: c.rows[0].n };
+}
+
+async function reencryptSecrets(db, box, { dryRun = false } = {}) {
+  if (!box.configured) throw Object.assign(new Error("C360_MASTER_KEYS is not set"), { code: "master_key_missing" });
+  const out = { scanned: 0, updated: 0, conflicts: 0, legacy_cleared: 0, version: box.currentVersion };
+  let lastId = 0;
+  for (;;) {
+    const r = await db.query(
+      `SELECT id, api_key, api_secret, prev_secret FROM c360_api_keys WHERE id > $1 ORDER BY id ASC LIMIT ${BATCH}`,
+      [lastId]
+    );
+    if (!r.rows.length) break;
+    for (const row of r.rows) {
+      lastId = row.id;
+      out.scanned++;
+      if (!box.needsReencrypt(row.api_secret) && !box.needsReencrypt(row.prev_secret)) continue;
+      const context = secretContext(row.api_key);
+      const reseal = (v) => (box.needsReencrypt(v) ? box.encryptSecret(box.decryptSecret(v, { context }), { context }) : v);
+      const next = { api_secret: reseal(row.api_secret), prev_secret: reseal(row.prev_secret) };
+      if (dryRun) {
+        out.updated++;
+        continue;
+      }
+      // A rotation in between wins; the next run picks the row up again.
+      const u = await db.query(
+        `UPDATE c360_api_keys SET api_secret=$2, prev_secret=$3
+         WHERE id=$1 AND api_secret=$4 AND prev_secret IS NOT DISTINCT FROM $5`,
+        [row.id, next.api_secret, next.prev_secret, row.api_secret, row.prev_secret]
+      );
+      if (u.rowCount) out.updated++;
+      else out.conflicts++;
+    }
+  }
+
+  const legacySql = `FROM c360_clients c
+     WHERE c.api_secret IS NOT NULL
+       AND EXISTS (SELECT 1 FROM c360_api_keys k WHERE k.client_id=c.id::text AND k.api_key=c.api_key)`;
+  const l = dryRun
+    ? await db.query(`SELECT COUNT(*)::int AS n ${legacySql}`)
+    : await db.query(`UPDATE c360_clients SET api_secret=NULL WHERE id IN (SELECT c.id ${legacySql})`);
+  out.legacy_cleared = dryRun ? l.rows[0].n : l.rowCount;
+  return out;
+}
+
+async function main(argv) {
+  const [cmd, ...flags] = argv;
+  if (!["status", "reencrypt"].includes(cmd)) {
+    console.error("usage: node secrets_cli.js status | reencrypt [--dry-run]");
+    return 2;
+  }
+  const db = new Pool({ connectionString: process.env.DATABASE_URL });
+  try {
+    const out =
+      cmd === "status"
+        ? await secretsStatus(db)
+        : await reencryptSecrets(db, createSecretBox(process.env), { dryRun: flags.includes("--dry-run") });
+    console.log(JSON.stringify({ ok: true, command: cmd, ...out }, null, 2));
+    return 0;
+  } catch (e) {
+    console.error("[secrets] error:", e?.message || e);
+    return 1;
+  } finally {
+    await db.end();
+  }
+}
+
+if (require.main === module) {
+  main(process.argv.slice(2)).then((code) => process.exit(code));
+}
+
+module.exports = { secretsStatus, reencryptSecrets };
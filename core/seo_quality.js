@@ -0,0 +1,328 @@
+// /opt/content360/core/seo_quality.js
+// S4: deterministic SEO quality score of a generated output (no model, no external service).
+//
+// scoreQuality() checks where the focus keyword appears (title, meta description, first
+// paragraph, H2s) and its density in the body, duplicate / near-duplicate H2s, the heading order
+// of the HTML body, FAQ answers that only repeat their question, and a readability index
+// computed with the formula of the item's language. The worker stores the result as `quality`
+// on every result item and writes the computed level into checks.readability; with
+// QUALITY_MIN_SCORE set, a lower score re-prompts the model with the issues (worker.js).
+
+const { normalizeText } = require("./brand_profiles");
+const { STOPWORDS } = require("./lang_detect");
+
+// Focus keyword density (occurrences per 100 body words), outside of it the check fails.
+const DENSITY_MIN = Number(process.env.QUALITY_DENSITY_MIN || 0.5);
+const DENSITY_MAX = Number(process.env.QUALITY_DENSITY_MAX || 3);
+// Under these word counts density and readability are not meaningful (check skipped).
+const DENSITY_MIN_WORDS = 100;
+const READABILITY_MIN_WORDS = 30;
+// Two H2s sharing this share of their content words are near-duplicates.
+const H2_SIMILARITY = 0.8;
+// An FAQ answer must bring at least this many content words that are not in its question.
+const FAQ_MIN_NEW_WORDS = 3;
+
+// Points of each check (total 100). Checks that do not apply are left out of the score.
+const WEIGHTS = {
+  keyword_in_title: 15,
+  keyword_in_meta_description: 10,
+  keyword_in_first_paragraph: 10,
+  keyword_in_h2: 10,
+  keyword_density: 15,
+  unique_h2: 10,
+  heading_order: 10,
+  faq_answers: 10,
+  readability: 10,
+};
+
+// Reading ease per language: (words per sentence, syllables per word) -> ~0 (hard) .. 100 (easy).
+const READABILITY = {
+  en: { formula: "flesch", index: (wps, spw) => 206.835 - 1.015 * wps - 84.6 * spw },
+  fr: { formula: "kandel_moles", index: (wps, spw) => 207 - 1.015 * wps - 73.6 * spw },
+  de: { formula: "amstad", index: (wps, spw) => 180 - wps - 58.5 * spw },
+  es: { formula: "fernandez_huerta", index: (wps, spw) => 206.84 - 1.02 * wps - 60 * spw },
+  it: { formula: "flesch_vacca", index: (wps, spw) => 217 - 1.3 * wps - 60 * spw },
+  pt: { formula: "flesch_martins", index: (wps, spw) => 248.835 - 1.015 * wps - 84.6 * spw },
+  nl: { formula: "douma", index: (wps, spw) => 206.835 - 0.93 * wps - 77 * spw },
+};
+const LEVELS = [[60, "easy"], [40, "medium"], [-Infinity, "hard"]];
+
+const VOWEL_GROUP_RE = /[aeiouyàáâäãåæèéêëìíîïòóôöõøœùúûüýÿ]+/g;
+const HEADING_RE = /<h([1-6])\b[^>]*>([\s\S]*?)<\/h\1\s*>/gi;
+const BLOCK_TAG_RE = /<\/?(?:p|h[1-6]|li|ul|ol|div|br|tr|td|th|table|blockquote|section)\b[^>]*>/gi;
+const ENTITIES = { amp: "&", lt: "<", gt: ">", quot: '"', apos: "'", nbsp: " ", "#39": "'", "#160": " " };
+
+function baseLang(lang) {
+  return String(lang ?? "").trim().toLowerCase().split(/[-_]/)[0];
+}
+
+function list(v) {
+  return Array.isArray(v) ? v : [];
+}
+
+function stripTags(html) {
+  return String(html ?? "")
+    .replace(/<[^>]*>/g, " ")
+    .replace(/&(#?\w+);/g, (m, name) => ENTITIES[name.toLowerCase()] ?? " ")
+    .replace(/\s+/g, " ")
+    .trim();
+}
+
+// Text of an HTML body, one line per block (paragraph, heading, list item).
+function htmlLines(html) {
+  return String(html ?? "").replace(BLOCK_TAG_RE, "\n").split("\n").map(stripTags).filter(Boolean);
+}
+
+function headings(html) {
+  return [...String(html ?? "").matchAll(HEADING_RE)].map((m) => ({ level: Number(m[1]), text: stripTags(m[2]) }));
+}
+
+// First <p> of the body, or the text before its first heading.
+function firstParagraph(html) {
+  const s = String(html ?? "");
+  const p = /<p\b[^>]*>([\s\S]*?)<\/p\s*>/i.exec(s);
+  return p ? stripTags(p[1]) : stripTags(s.split(/<h[1-6]\b/i)[0]);
+}
+
+// Accent-free, lower-case words; a final "s" is dropped so plurals match the keyword.
+function words(s) {
+  return (normalizeText(s).match(/[\p{L}\p{N}]+/gu) || []).map((w) => (w.length > 3 && w.endsWith("s") ? w.slice(0, -1) : w));
+}
+
+const stopSets = new Map();
+function contentWords(s, lang) {
+  const l = baseLang(lang);
+  if (!stopSets.has(l)) stopSets.set(l, new Set(words(STOPWORDS[l] || "")));
+  const stop = stopSets.get(l);
+  return words(s).filter((w) => !stop.has(w));
+}
+
+function countPhrase(hay, needle) {
+  if (!needle.length) return 0;
+  let n = 0;
+  for (let i = 0; i + needle.length <= hay.length; i++) {
+    if (needle.every((w, k) => hay[i + k] === w)) n += 1;
+  }
+  return n;
+}
+
+function similarity(a, b) {
+  const A = new Set(a);
+  const B = new Set(b);
+  if (!A.size || !B.size) return 0;
+  let common = 0;
+  for (const w of A) if (B.has(w)) common += 1;
+  return common / (A.size + B.size - common);
+}
+
+// Fields of each mode's output the checks look at.
+function sections(exec, mode) {
+  const seo = exec.seo || {};
+  if (mode === "ecom_catalog") {
+    const p = exec.product || {};
+    const html = typeof p.long_description_html === "string" ? p.long_description_html : null;
+    return {
+      keyword: seo.focus_keyword,
+      title: p.title,
+      meta_description: seo.meta_description,
+      html,
+      first: (html && firstParagraph(html)) || p.short_description,
+      h2: headings(html).filter((h) => h.level === 2).map((h) => h.text),
+      expectsH2: false,
+      body: [p.short_description, ...htmlLines(html), ...list(p.benefits), ...list(p.usage)],
+      faq: list(p.faq),
+    };
+  }
+  if (mode === "full_content") {
+    const html = typeof exec.content_html === "string" ? exec.content_html : null;
+    const h2 = headings(html).filter((h) => h.level === 2).map((h) => h.text);
+    return {
+      keyword: seo.focus_keyword,
+      title: exec.title,
+      meta_description: exec.meta_description,
+      html,
+      first: firstParagraph(html),
+      h2: h2.length ? h2 : list(exec.outline).map((o) => o?.h2),
+      expectsH2: true,
+      body: htmlLines(html),
+      faq: list(exec.faq),
+    };
+  }
+  return {
+    keyword: seo.focus_keyword,
+    title: exec.title,
+    meta_description: exec.meta_description,
+    html: null,
+    first: exec.intro,
+    h2: list(exec.h2),
+    expectsH2: true,
+    body: [exec.intro, ...list(exec.h2)],
+    faq: list(exec.faq),
+  };
+}
+
+function syllables(word, lang) {
+  let n = (word.match(VOWEL_GROUP_RE) || []).length;
+  // Silent final "e": "make", "grande", "portes".
+  if (n > 1 && ((lang === "en" && /[^l]e$/.test(word)) || (lang === "fr" && /[^aeiouy]es?$/.test(word)))) n -= 1;
+  return Math.max(1, n);
+}
+
+/**
+ * Reading ease of `lines` (one block each) with the formula of `lang`.
+ * { index, level: easy|medium|hard, formula, words, sentences } or { index: null, level: null, skipped }.
+ */
+function readability(lines, lang) {
+  const l = baseLang(lang);
+  const f = READABILITY[l];
+  if (!f) return { index: null, level: null, skipped: "unsupported" };
+  const sentences = lines
+    .flatMap((line) => String(line ?? "").split(/[.!?…;:]+(?=\s|$)/))
+    .map((s) => s.toLowerCase().match(/[\p{L}\p{N}]+(?:['’-][\p{L}\p{N}]+)*/gu) || [])
+    .filter((ws) => ws.length);
+  const all = sentences.flat();
+  if (all.length < READABILITY_MIN_WORDS) return { index: null, level: null, skipped: "too_short" };
+  const spw = all.reduce((n, w) => n + syllables(w, l), 0) / all.length;
+  const index = Math.round(Math.min(100, Math.max(0, f.index(all.length / sentences.length, spw))) * 10) / 10;
+  return { index, level: LEVELS.find(([min]) => index >= min)[1], formula: f.formula, words: all.length, sentences: sentences.length };
+}
+
+/**
+ * Quality of a generated output (any mode, LLM or fallback).
+ * { score: 0..100 | null, keyword, readability, checks: { id: { ok, ...detail } }, issues: [...] }.
+ * A check that does not apply has ok=null and `skipped`; issues are English sentences usable as
+ * repair violations.
+ */
+function scoreQuality(exec, { mode = exec?.mode, lang = "en" } = {}) {
+  const s = sections(exec && typeof exec === "object" ? exec : {}, mode);
+  const checks = {};
+  const issues = [];
+  const set = (id, ok, detail = {}, issue = null) => {
+    checks[id] = { ok, ...detail };
+    if (ok === false && issue) issues.push(issue);
+  };
+
+  const keyword = typeof s.keyword === "string" && s.keyword.trim() ? s.keyword.trim() : null;
+  const kw = words(keyword);
+  const faq = s.faq.filter((f) => f && typeof f === "object");
+  const bodyLines = [...s.body, ...faq.flatMap((f) => [f.q, f.a])].filter((x) => typeof x === "string" && x.trim());
+  const h2 = s.h2.filter((x) => typeof x === "string");
+
+  if (!kw.length) {
+    for (const id of ["keyword_in_title", "keyword_in_meta_description", "keyword_in_first_paragraph", "keyword_in_h2", "keyword_density"]) {
+      set(id, null, { skipped: "no_focus_keyword" });
+    }
+  } else {
+    const has = (text) => countPhrase(words(text), kw) > 0;
+    set("keyword_in_title", has(s.title), {}, `focus keyword "${keyword}" is missing from the title`);
+    set("keyword_in_meta_description", has(s.meta_description), {}, `focus keyword "${keyword}" is missing from the meta description`);
+    set("keyword_in_first_paragraph", has(s.first), {}, `focus keyword "${keyword}" is missing from the first paragraph`);
+    if (h2.length) {
+      const hits = h2.filter(has).length;
+      set("keyword_in_h2", hits > 0, { h2_with_keyword: hits, h2_total: h2.length }, `focus keyword "${keyword}" is missing from every H2`);
+    } else if (s.expectsH2) {
+      set("keyword_in_h2", false, { h2_with_keyword: 0, h2_total: 0 }, `the content has no H2 (focus keyword "${keyword}" expected in one)`);
+    } else {
+      set("keyword_in_h2", null, { skipped: "no_h2" });
+    }
+
+    const body = bodyLines.flatMap(words);
+    if (body.length < DENSITY_MIN_WORDS) {
+      set("keyword_density", null, { skipped: "too_short", words: body.length });
+    } else {
+      const occurrences = countPhrase(body, kw);
+      const density = Math.round((occurrences / body.length) * 10000) / 100;
+      set(
+        "keyword_density",
+        density >= DENSITY_MIN && density <= DENSITY_MAX,
+        { density, occurrences, words: body.length, min: DENSITY_MIN, max: DENSITY_MAX },
+        `focus keyword density is ${density}% (${occurrences} time(s) in ${body.length} words), expected ${DENSITY_MIN}-${DENSITY_MAX}%`
+      );
+    }
+  }
+
+  if (h2.length < 2) {
+    set("unique_h2", null, { skipped: "fewer_than_2_h2" });
+  } else {
+    const cw = h2.map((h) => {
+      const c = contentWords(h, lang);
+      return c.length ? c : words(h);
+    });
+    const pairs = [];
+    for (let i = 0; i < h2.length; i++) {
+      for (let j = i + 1; j < h2.length; j++) if (similarity(cw[i], cw[j]) >= H2_SIMILARITY) pairs.push([i, j]);
+    }
+    set("unique_h2", pairs.length === 0, { duplicates: pairs });
+    for (const [i, j] of pairs) issues.push(`H2 ${i + 1} and H2 ${j + 1} are duplicates or near-duplicates ("${h2[i]}" / "${h2[j]}")`);
+  }
+
+  if (!s.html) {
+    set("heading_order", null, { skipped: "no_html" });
+  } else {
+    const hs = headings(s.html);
+    const problems = [];
+    // The title is the page's H1: the body starts at H2 and goes down one level at a time.
+    let prev = 1;
+    hs.forEach((h, i) => {
+      if (h.level === 1) problems.push({ index: i, level: 1, problem: "h1_in_body" });
+      else if (h.level > prev + 1) problems.push({ index: i, level: h.level, after: prev, problem: "skipped_level" });
+      prev = h.level;
+    });
+    if (!hs.length) set("heading_order", null, { skipped: "no_headings" });
+    else set("heading_order", problems.length === 0, { problems });
+    for (const p of problems) {
+      issues.push(p.problem === "h1_in_body"
+        ? `the HTML body must not contain <h1> (heading ${p.index + 1}, "${hs[p.index].text}"): the title is the H1`
+        : `heading order: <h${p.level}> "${hs[p.index].text}" follows <h${p.after}> (skipped level)`);
+    }
+  }
+
+  if (!faq.length) {
+    set("faq_answers", null, { skipped: "no_faq" });
+  } else {
+    const repeats = [];
+    faq.forEach((f, i) => {
+      const q = new Set(contentWords(f.q, lang));
+      if (contentWords(f.a, lang).filter((w) => !q.has(w)).length < FAQ_MIN_NEW_WORDS) repeats.push(i);
+    });
+    set("faq_answers", repeats.length === 0, { repeats_question: repeats });
+    for (const i of repeats) issues.push(`FAQ answer ${i + 1} only repeats its question ("${faq[i].q}"): give an actual answer`);
+  }
+
+  const r = readability(bodyLines, lang);
+  if (!r.level) set("readability", null, { skipped: r.skipped });
+  else {
+    set(
+      "readability",
+      r.level !== "hard",
+      { index: r.index, level: r.level },
+      `readability is hard (${r.formula} index ${r.index}/100): use shorter sentences and simpler words`
+    );
+  }
+
+  let max = 0;
+  let got = 0;
+  for (const [id, c] of Object.entries(checks)) {
+    if (c.ok === null) continue;
+    max += WEIGHTS[id];
+    if (c.ok) got += WEIGHTS[id];
+  }
+  return { score: max ? Math.round((100 * got) / max) : null, keyword, readability: r, checks, issues };
+}
+
+// checks.readability (full_content) gets the computed level instead of the model's own rating,
+// which is kept as quality.readability.reported.
+function applyReadability(exec, quality) {
+  if (!exec?.checks || typeof exec.checks !== "object" || !quality?.readability?.level) return exec;
+  quality.readability.reported = exec.checks.readability ?? null;
+  exec.checks.readability = quality.readability.level;
+  return exec;
+}
+
+module.exports = {
+  WEIGHTS,
+  READABILITY,
+  readability,
+  scoreQuality,
+  applyReadability,
+};
@@ -0,0 +1,28 @@
+const test = require("node:test");
+const assert = require("node:assert/strict");
+
+const { tokensToAEJ, rateFor } = require("../aej_pricing");
+
+const RATES = {
+  default: { prompt_per_1k: 1, completion_per_1k: 4, min: 1 },
+  "gpt-4o": { prompt_per_1k: 3, completion_per_1k: 12 },
+  "gpt-4o-mini": { prompt_per_1k: 0.5, completion_per_1k: 2 },
+};
+
+test("uses the exact model rate, then the longest prefix, then default", () => {
+  assert.equal(rateFor("gpt-4o-mini", RATES).prompt_per_1k, 0.5);
+  assert.equal(rateFor("gpt-4o-mini-2024-07-18", RATES).prompt_per_1k, 0.5);
+  assert.equal(rateFor("gpt-4o-2024-08-06", RATES).prompt_per_1k, 3);
+  assert.equal(rateFor("llama3", RATES).prompt_per_1k, 1);
+  assert.equal(rateFor("gpt-4o", RATES).min, 1);
+});
+
+test("converts tokens to whole AEJ, rounded up, with a minimum", () => {
+  assert.equal(tokensToAEJ({ model: "llama3", prompt_tokens: 1000, completion_tokens: 500 }, RATES), 3);
+  assert.equal(tokensToAEJ({ model: "gpt-4o", prompt_tokens: 1000, completion_tokens: 1000 }, RATES), 15);
+  assert.equal(tokensToAEJ({ model: "gpt-4o-mini", prompt_tokens: 10, completion_tokens: 10 }, RATES), 1);
+});
+
+test("falls back to the flat charge without usage", () => {
+  assert.equal(tokensToAEJ({ model: "x", prompt_tokens: null, completion_tokens: 10 }, RATES), 5);
+});
@@ -0,0 +1,45 @@
+// API keys: usability (revoked/expired), rotation grace and input validation.
+const test = require("node:test");
+const assert = require("node:assert/strict");
+
+const { SCOPES, secretContext, keyUnusableReason, activeSecrets, validateKeyInput, rotateApiKey } = require("../api_keys");
+const { decryptSecret } = require("../secret_box");
+
+const NOW = Date.parse("2026-03-01T12:00:00Z");
+const key = { id: 1, status: "active", api_secret: "cs_new", prev_secret: "cs_old", prev_secret_expires_at: null, expires_at: null };
+
+test("revoked and expired keys are refused", () => {
+  assert.equal(keyUnusableReason(key, NOW), null);
+  assert.equal(keyUnusableReason({ ...key, status: "revoked" }, NOW), "key_revoked");
+  assert.equal(keyUnusableReason({ ...key, expires_at: "2026-03-01T11:59:59Z" }, NOW), "key_expired");
+  assert.equal(keyUnusableReason({ ...key, expires_at: "2026-03-02T00:00:00Z" }, NOW), null);
+});
+
+test("the previous secret only verifies during the grace period", () => {
+  assert.deepEqual(activeSecrets(key, NOW), ["cs_new"]);
+  assert.deepEqual(activeSecrets({ ...key, prev_secret_expires_at: "2026-03-02T00:00:00Z" }, NOW), ["cs_new", "cs_old"]);
+  assert.deepEqual(activeSecrets({ ...key, prev_secret_expires_at: "2026-03-01T00:00:00Z" }, NOW), ["cs_new"]);
+});
+
+test("key input: scopes default to all, must be known, expiry in the future", () => {
+  assert.deepEqual(validateKeyInput({}, { now: NOW }).scopes, SCOPES);
+  assert.deepEqual(validateKeyInput({ scopes: ["jobs:read", "jobs:read"] }, { now: NOW }).scopes, ["jobs:read"]);
+  assert.deepEqual(validateKeyInput({ scopes: ["admin"] }, { now: NOW }).errors, ["invalid scope: admin"]);
+  assert.deepEqual(validateKeyInput({ scopes: [] }, { now: NOW }).errors, ["scopes must be a non-empty list"]);
+  assert.deepEqual(validateKeyInput({ expires_at: "2026-01-01" }, { now: NOW }).errors, ["expires_at must be in the future"]);
+  assert.equal(validateKeyInput({ expires_at: "2027-01-01T00:00:00Z" }, { now: NOW }).expires_at, "2027-01-01T00:00:00.000Z");
+  // Updates may leave the scopes untouched.
+  assert.equal(validateKeyInput({ label: "wp" }, { partial: true, now: NOW }).scopes, undefined);
+});
+
+test("rotation keeps the old secret for the (capped) grace period", async () => {
+  const calls = [];
+  const db = { query: async (sql, args) => (calls.push(args), { rows: [{ id: 1, api_key: "ck_1" }] }) };
+  const r = await rotateApiKey(db, 1, { graceMs: 365 * 24 * 3600 * 1000 });
+  assert.match(r.api_secret, /^cs_[0-9a-f]{40}$/);
+  assert.equal(calls[1][1], 30 * 24 * 3600 * 1000);
+  assert.equal(decryptSecret(calls[1][2], { context: secretContext("ck_1") }), r.api_secret);
+
+  const missing = { query: async () => ({ rows: [] }) };
+  await assert.rejects(rotateApiKey(missing, 9), { code: "key_not_found" });
+});
@@ -0,0 +1,103 @@
+// Brand profiles: input validation, prompt injection and the post-generation checker.
+const test = require("node:test");
+const assert = require("node:assert/strict");
+
+const { validateBrandProfile, findClaims, checkBrand, createBrandStore } = require("../brand_profiles");
+const { promptQuickBoost, promptFullContent } = require("../prompts");
+const { renderPrompt } = require("../prompt_templates");
+
+const PROFILE = {
+  tone: "expert et chaleureux",
+  persona: "Une boutique de montagne tenue par des guides.",
+  banned_terms: ["pas cher", "révolutionnaire"],
+  required_terms: ["Made in France"],
+  glossary: [{ use: "trottinette électrique", avoid: ["trottinette", "scooter"] }],
+  approved_claims: ["Livraison offerte dès 50 €", "Garantie 2 ans"],
+};
+
+test("profile input: lists are trimmed and deduplicated, conflicts refused", () => {
+  const v = validateBrandProfile({ ...PROFILE, banned_terms: [" pas  cher ", "Pas cher", "révolutionnaire"] });
+  assert.equal(v.ok, true);
+  assert.deepEqual(v.value.banned_terms, ["pas cher", "révolutionnaire"]);
+
+  const bad = validateBrandProfile({
+    tone: "x".repeat(41),
+    banned_terms: ["made in france"],
+    required_terms: ["Made in France"],
+    glossary: [{ use: "a" }, "b"],
+    approved_claims: "all",
+    other: 1,
+  });
+  assert.equal(bad.ok, false);
+  for (const re of [/unexpected field: other/, /tone must be/, /both banned and required/, /glossary\[0\]\.avoid required/, /glossary\[1\]/, /approved_claims must be a list/]) {
+    assert.ok(bad.errors.some((e) => re.test(e)), String(re));
+  }
+});
+
+test("the profile is injected into prompts and templates in the item's language", () => {
+  const fr = promptFullContent({ lang: "fr", source_title: "Trottinette" }, { brand: PROFILE });
+  assert.match(fr, /Charte de marque \(obligatoire\):/);
+  assert.match(fr, /N'utilise jamais: "pas cher", "révolutionnaire"\./);
+  assert.match(fr, /"trottinette électrique" \(pas "trottinette", "scooter"\)/);
+  assert.match(fr, /UNIQUEMENT celles-ci, telles quelles: "Livraison offerte dès 50 €", "Garantie 2 ans"/);
+  assert.match(fr, /checks\.tone: "expert et chaleureux"/);
+
+  const de = promptQuickBoost({ lang: "de", source_title: "Roller" }, { brand: { banned_terms: ["billig"] } });
+  assert.match(de, /Markenrichtlinien \(verbindlich\):\n- Niemals verwenden: "billig"\.$/);
+  assert.doesNotMatch(promptQuickBoost({ lang: "de" }), /Markenrichtlinien/);
+
+  // A template without {{brand_rules}} / {{builtin}} still gets the profile.
+  const tpl = { id: 1, client_id: "cl1", mode: "quick_boost", locale: "*", version: 1, body: "Titre: {{source_title}}" };
+  const out = renderPrompt("quick_boost", { lang: "fr", source_title: "T", mode: "quick_boost" }, tpl, { brand: PROFILE });
+  assert.match(out.prompt, /^Titre: T\n\nCharte de marque/);
+  const own = renderPrompt("quick_boost", { lang: "fr", mode: "quick_boost" }, { ...tpl, body: "A\n{{brand_rules}}\nB" }, { brand: PROFILE });
+  assert.equal(own.prompt.match(/Charte de marque/g).length, 1);
+});
+
+test("claims: delivery, guarantee, superlatives, discounts", () => {
+  assert.deepEqual(
+    findClaims("Livré en 48h, livraison offerte ! Garantie 5 ans. Le n°1 du secteur, -20 % cette semaine.").map((c) => c.kind),
+    ["delivery", "delivery", "guarantee", "superlative", "discount"]
+  );
+  assert.deepEqual(findClaims("Free shipping and a 3-year warranty... 100% organic cotton.").map((c) => c.text), ["free shipping", "100% organic"]);
+  assert.deepEqual(findClaims("Une veste chaude pour l'hiver."), []);
+});
+
+test("checker flags banned terms, glossary terms, unapproved claims, missing terms and tone", () => {
+  const exec = {
+    mode: "full_content",
+    title: "Trottinette électrique pliable",
+    meta_description: "Une trottinette électrique pas cher, livraison offerte et garantie 2 ans.",
+    content_html: "<p>Notre scooter est révolutionnaire. Livraison en 24h partout en France.</p>",
+    faq: [{ q: "Garantie ?", a: "Garantie 5 ans sur le moteur." }],
+    seo: { slug: "pas-cher-scooter" },
+    checks: { tone: "neutre", plagiarism_risk: "low" },
+  };
+  const r = checkBrand(exec, PROFILE, { version: 3 });
+  assert.equal(r.ok, false);
+  assert.equal(r.profile_version, 3);
+  const got = r.violations.map((v) => [v.type, v.term || v.text || v.expected, v.path || null]);
+  assert.deepEqual(got, [
+    ["banned_term", "pas cher", "meta_description"],
+    ["banned_term", "révolutionnaire", "content_html"],
+    ["glossary_term", "scooter", "content_html"],
+    ["unapproved_claim", "livraison en 24h", "content_html"],
+    ["unapproved_claim", "garantie 5 ans", "faq[0].a"],
+    ["missing_required_term", "Made in France", null],
+    ["tone", "expert et chaleureux", null],
+  ]);
+
+  const clean = checkBrand({ title: "Trottinette électrique Made in France", checks: { tone: "Expert et chaleureux" } }, PROFILE);
+  assert.deepEqual(clean, { ok: true, profile_version: null, violations: [] });
+  assert.equal(checkBrand(exec, null), null);
+});
+
+test("store caches profiles and treats a missing table as no profile", async () => {
+  let reads = 0;
+  const getBrand = createBrandStore({ query: async () => (reads++, { rows: [{ profile: PROFILE, version: 2 }] }) }, { ttlMs: 60000 });
+  assert.equal((await getBrand("cl1")).version, 2);
+  await getBrand("cl1");
+  assert.equal(reads, 1);
+  const missing = createBrandStore({ query: async () => { throw new Error('relation "c360_brand_profiles" does not exist'); } });
+  assert.equal(await missing("cl1"), null);
+});
@@ -0,0 +1,118 @@
+// Parent/child jobs: child counts, parent status roll-up, result aggregation, parent row update.
+const test = require("node:test");
+const assert = require("node:assert/strict");
+
+const { countChildren, aggregateChildResults, rollupStatus, rollupParent } = require("../child_jobs");
+
+const child = (item_index, status, extra = {}) => ({ id: `c${item_index}`, item_index, status, progress: 0, ...extra });
+const done = (item_index, results) => child(item_index, "done", { result_json: { results }, aej_final: 1 });
+
+test("countChildren counts every status, unknown ones included", () => {
+  assert.deepEqual(countChildren([]), { total: 0, queued: 0, running: 0, done: 0, error: 0, canceled: 0 });
+  assert.deepEqual(
+    countChildren([child(0, "done"), child(1, "error"), child(2, "done"), child(3, "running"), child(4, "queued"), child(5, "canceled")]),
+    { total: 6, queued: 1, running: 1, done: 2, error: 1, canceled: 1 }
+  );
+  assert.equal(countChildren([child(0, "paused")]).paused, 1);
+});
+
+test("rollupStatus: pending children keep the parent queued or running", () => {
+  const status = (...s) => rollupStatus(countChildren(s.map((x, i) => child(i, x))));
+  assert.equal(status("queued", "queued"), "queued");
+  assert.equal(status("queued", "running"), "running");
+  assert.equal(status("done", "queued"), "running");
+  assert.equal(status("error", "error", "queued"), "running");
+});
+
+test("rollupStatus: all done, mixed, all error, all canceled", () => {
+  const status = (...s) => rollupStatus(countChildren(s.map((x, i) => child(i, x))));
+  assert.equal(status("done", "done", "done"), "done");
+  assert.equal(status("done", "error"), "partial");
+  assert.equal(status("canceled", "done"), "partial");
+  assert.equal(status("error", "error"), "error");
+  assert.equal(status("error", "canceled"), "error");
+  assert.equal(status("canceled", "canceled"), "canceled");
+});
+
+test("aggregateChildResults keeps child order, then result order, and tags each result", () => {
+  const children = [
+    done(0, [{ title: "a0" }, { title: "a1" }]),
+    child(1, "error", { error_text: "llm_timeout" }),
+    done(2, [{ title: "c0" }]),
+    child(3, "canceled"),
+    child(4, "running"),
+  ];
+  const agg = aggregateChildResults(children);
+  assert.equal(agg.ok, false);
+  assert.deepEqual(agg.results, [
+    { title: "a0", item_index: 0, child_id: "c0" },
+    { title: "a1", item_index: 0, child_id: "c0" },
+    { title: "c0", item_index: 2, child_id: "c2" },
+  ]);
+  // Pending children are neither results nor failures.
+  assert.deepEqual(agg.failed, [
+    { item_index: 1, child_id: "c1", status: "error", error: "llm_timeout" },
+    { item_index: 3, child_id: "c3", status: "canceled", error: null },
+  ]);
+});
+
+test("aggregateChildResults: all done, all error, no results", () => {
+  const allDone = aggregateChildResults([done(0, [{ title: "x" }]), done(1, [{ title: "y" }])]);
+  assert.deepEqual(allDone, {
+    ok: true,
+    results: [{ title: "x", item_index: 0, child_id: "c0" }, { title: "y", item_index: 1, child_id: "c1" }],
+    failed: [],
+  });
+
+  const allError = aggregateChildResults([child(0, "error", { error_text: "a" }), child(1, "error", { error_text: "b" })]);
+  assert.deepEqual(allError.results, []);
+  assert.equal(allError.ok, false);
+  assert.deepEqual(allError.failed.map((f) => [f.item_index, f.error]), [[0, "a"], [1, "b"]]);
+
+  // A done child without result_json contributes nothing.
+  assert.deepEqual(aggregateChildResults([child(0, "done")]), { ok: true, results: [], failed: [] });
+});
+
+// One connection: the parent row (locked) and its children.
+function fakePool(parent, children) {
+  const calls = [];
+  const query = async (sql, args) => {
+    calls.push({ sql: sql.trim(), args });
+    if (/FROM c360_jobs WHERE id=\$1 AND is_parent FOR UPDATE/.test(sql)) return { rows: parent ? [parent] : [] };
+    if (/FROM c360_jobs\s+WHERE parent_id=\$1/.test(sql)) return { rows: children };
+    return { rows: [] };
+  };
+  return { calls, connect: async () => ({ query, release() {} }) };
+}
+
+test("rollupParent writes the aggregate once every child is final", async () => {
+  const pool = fakePool({ id: "p1", status: "running" }, [done(0, [{ title: "x" }]), child(1, "error", { error_text: "boom", aej_final: 0.5 })]);
+  const r = await rollupParent(pool, "p1");
+  assert.deepEqual(r, {
+    status: "partial",
+    counts: { total: 2, queued: 0, running: 0, done: 1, error: 1, canceled: 0 },
+    previous_status: "running",
+    final: true,
+  });
+  const update = pool.calls.find((c) => c.sql.startsWith("UPDATE"));
+  const [status, result, aej, errorText, id] = update.args;
+  assert.equal(status, "partial");
+  assert.deepEqual(result.results, [{ title: "x", item_index: 0, child_id: "c0" }]);
+  assert.equal(aej, 1.5);
+  assert.equal(errorText, "1/2 items failed");
+  assert.equal(id, "p1");
+  assert.equal(pool.calls.at(-1).sql, "COMMIT");
+});
+
+test("rollupParent only moves progress while children are pending", async () => {
+  const pool = fakePool({ id: "p1", status: "queued" }, [done(0, []), child(1, "running", { progress: 50 })]);
+  const r = await rollupParent(pool, "p1");
+  assert.equal(r.status, "running");
+  assert.equal(r.final, false);
+  const update = pool.calls.find((c) => c.sql.startsWith("UPDATE"));
+  assert.deepEqual(update.args, ["running", 75, "p1"]);
+
+  const missing = fakePool(null, []);
+  assert.equal(await rollupParent(missing, "p9"), null);
+  assert.equal(missing.calls.at(-1).sql, "ROLLBACK");
+});
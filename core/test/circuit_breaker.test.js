@@ -0,0 +1,124 @@
+// Circuit breaker transitions and retry classification, against an in-memory Redis stand-in.
+const test = require("node:test");
+const assert = require("node:assert/strict");
+
+const { createCircuitBreaker } = require("../providers/circuit_breaker");
+const { generateWithResilience } = require("../providers");
+const { llmError, parseRetryAfter } = require("../providers/common");
+
+function fakeRedis() {
+  const data = new Map();
+  const alive = (k) => {
+    const e = data.get(k);
+    if (e && e.exp && e.exp <= Date.now()) data.delete(k);
+    return data.get(k);
+  };
+  return {
+    async get(k) { return alive(k)?.v ?? null; },
+    async set(k, v, ...args) {
+      const nx = args.includes("NX");
+      const pxIdx = args.indexOf("PX");
+      if (nx && alive(k)) return null;
+      data.set(k, { v: String(v), exp: pxIdx >= 0 ? Date.now() + Number(args[pxIdx + 1]) : null });
+      return "OK";
+    },
+    async incr(k) {
+      const n = Number(alive(k)?.v || 0) + 1;
+      data.set(k, { v: String(n), exp: alive(k)?.exp ?? null });
+      return n;
+    },
+    async pexpire(k, ms) { if (alive(k)) alive(k).exp = Date.now() + ms; return 1; },
+    async del(...ks) { ks.forEach((k) => data.delete(k)); return ks.length; },
+  };
+}
+
+const http = (status, extra = {}) => llmError(`http_${status}`, { status, provider: "p", ...extra });
+const sleep = (ms) => new Promise((r) => setTimeout(r, ms));
+
+test("classifies errors as retryable or fatal", () => {
+  assert.equal(http(429).retryable, true);
+  assert.equal(http(503).retryable, true);
+  assert.equal(http(401).retryable, false);
+  assert.equal(http(400).retryable, false);
+  assert.equal(llmError("OPENAI_API_KEY_MISSING").retryable, false);
+});
+
+test("parses Retry-After seconds and HTTP dates", () => {
+  assert.equal(parseRetryAfter("3"), 3000);
+  assert.equal(parseRetryAfter(new Date(10_000).toUTCString(), 4_000), 6000);
+  assert.equal(parseRetryAfter("soon"), null);
+  assert.equal(parseRetryAfter(null), null);
+});
+
+test("trips after N counted failures, then recovers through a half-open probe", async () => {
+  const changes = [];
+  const cb = createCircuitBreaker({ redis: fakeRedis(), threshold: 3, openMs: 40, onStateChange: async (c) => changes.push(c.state) });
+
+  await cb.onFailure("p", http(400)); // not counted
+  await cb.onFailure("p", http(500));
+  await cb.onFailure("p", http(401));
+  assert.equal(await cb.state("p"), "closed");
+  await cb.onFailure("p", llmError("llm_timeout", { retryable: true }));
+  assert.equal(await cb.state("p"), "open");
+  assert.equal((await cb.allow("p")).allowed, false);
+
+  await sleep(60);
+  assert.equal(await cb.state("p"), "half_open");
+  const probe = await cb.allow("p");
+  assert.deepEqual([probe.allowed, probe.probe], [true, true]);
+  assert.equal((await cb.allow("p")).allowed, false, "only one probe at a time");
+
+  await cb.onFailure("p", http(502));
+  assert.equal(await cb.state("p"), "open");
+
+  await sleep(60);
+  assert.equal((await cb.allow("p")).probe, true);
+  await cb.onSuccess("p");
+  assert.equal(await cb.state("p"), "closed");
+  assert.deepEqual(changes, ["open", "open", "closed"]);
+});
+
+test("a success resets the consecutive failure count", async () => {
+  const cb = createCircuitBreaker({ redis: fakeRedis(), threshold: 2 });
+  await cb.onFailure("p", http(500));
+  await cb.onSuccess("p");
+  await cb.onFailure("p", http(500));
+  assert.equal(await cb.state("p"), "closed");
+});
+
+test("the breaker fails open when Redis is down", async () => {
+  const down = new Proxy({}, { get: () => async () => { throw new Error("ECONNREFUSED"); } });
+  const cb = createCircuitBreaker({ redis: down });
+  assert.equal((await cb.allow("p")).allowed, true);
+});
+
+test("generateWithResilience retries retryable errors and honors Retry-After", async () => {
+  let calls = 0;
+  const retries = [];
+  const provider = {
+    name: "p",
+    async generateJSON() {
+      calls++;
+      if (calls === 1) throw http(429, { retry_after_ms: 5 });
+      return { data: { ok: true } };
+    },
+  };
+  const out = await generateWithResilience({ provider, args: {}, onRetry: async (r) => retries.push(r.wait_ms) });
+  assert.deepEqual(out.data, { ok: true });
+  assert.equal(calls, 2);
+  assert.deepEqual(retries, [5]);
+});
+
+test("generateWithResilience does not retry fatal errors", async () => {
+  let calls = 0;
+  const provider = { name: "p", async generateJSON() { calls++; throw http(401); } };
+  await assert.rejects(generateWithResilience({ provider, args: {} }), { status: 401 });
+  assert.equal(calls, 1);
+});
+
+test("generateWithResilience short-circuits while the circuit is open", async () => {
+  const cb = createCircuitBreaker({ redis: fakeRedis(), threshold: 1, openMs: 1000 });
+  await cb.onFailure("p", http(500));
+  const provider = { name: "p", async generateJSON() { throw new Error("must not be called"); } };
+  await assert.rejects(generateWithResilience({ provider, args: {}, breaker: cb }), { code: "circuit_open" });
+});
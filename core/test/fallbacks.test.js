@@ -0,0 +1,118 @@
+// Every deterministic fallback must validate against its mode schema (schemas.js).
+const test = require("node:test");
+const assert = require("node:assert/strict");
+
+const { buildDeterministicFallback, parseSpecs } = require("../fallbacks");
+const { validateSchema } = require("../schema_validator");
+const { QUICK_BOOST_SCHEMA, FULL_CONTENT_SCHEMA, ECOM_CATALOG_SCHEMA } = require("../schemas");
+
+const SCHEMAS = {
+  quick_boost: QUICK_BOOST_SCHEMA.schema,
+  full_content: FULL_CONTENT_SCHEMA.schema,
+  ecom_catalog: ECOM_CATALOG_SCHEMA.schema,
+};
+
+const ITEMS = {
+  typical_fr: {
+    entity_type: "product",
+    entity_id: "101",
+    lang: "fr",
+    source_title: "Chaise de bureau ergonomique en maille respirante",
+    source_excerpt: "Une chaise pensée pour les longues journées de travail, avec soutien lombaire réglable et accoudoirs 3D.",
+    source_specs: "Poids: 14 kg; Hauteur d'assise: 45–55 cm; Matière: maille polyester",
+    source_usage: "Réglez la hauteur avant utilisation. Vérifiez le serrage des vis après une semaine.",
+  },
+  empty: {},
+  short: { lang: "en", source_title: "Mug", source_excerpt: "Nice." },
+  long: {
+    lang: "de",
+    source_title: "Kaffeemaschine ".repeat(30),
+    source_excerpt: "Sehr lange Beschreibung mit vielen Details. ".repeat(80),
+    source_specs: Array.from({ length: 30 }, (_, i) => `Merkmal ${i}: ${"x".repeat(200)}`).join("\n"),
+  },
+  html_excerpt: {
+    lang: "es",
+    source_title: "Lámpara <b>LED</b> de escritorio",
+    source_excerpt: "<p>Luz <script>alert(1)</script> regulable & \"cálida\"</p>",
+  },
+  non_latin: { lang: "ja", source_title: "ステンレス製の水筒 500ml", source_excerpt: "軽量で保温性に優れた水筒です。" },
+  structured_specs: {
+    lang: "fr-CH",
+    source_title: "Sac à dos de randonnée 30 L",
+    source_excerpt: "Sac léger pour la journée.",
+    source_specs: [{ k: "Volume", v: "30 L" }, ["Poids", "900 g"], { key: "X", value: "single-char key is dropped" }],
+  },
+};
+
+for (const [mode, schema] of Object.entries(SCHEMAS)) {
+  for (const [name, item] of Object.entries(ITEMS)) {
+    test(`${mode} fallback validates (${name})`, () => {
+      const out = buildDeterministicFallback(mode, item);
+      const v = validateSchema(schema, out);
+      assert.deepEqual(v.errors || [], []);
+      assert.equal(out.mode, mode);
+    });
+  }
+}
+
+test("fallback is deterministic", () => {
+  const a = buildDeterministicFallback("full_content", ITEMS.typical_fr);
+  const b = buildDeterministicFallback("full_content", ITEMS.typical_fr);
+  assert.deepEqual(a, b);
+});
+
+test("fallback uses the item content", () => {
+  const out = buildDeterministicFallback("ecom_catalog", ITEMS.typical_fr);
+  assert.match(out.product.title, /^Chaise de bureau ergonomique/);
+  assert.deepEqual(out.product.specs[0], { k: "Poids", v: "14 kg" });
+  assert.equal(out.product.specs.length, 3);
+  assert.match(out.product.long_description_html, /soutien lombaire/);
+  assert.equal(out.seo.focus_keyword, "chaise bureau ergonomique maille");
+});
+
+test("full_content slug is built from the title", () => {
+  const out = buildDeterministicFallback("full_content", ITEMS.typical_fr);
+  assert.equal(out.seo.slug, "chaise-de-bureau-ergonomique-en-maille-respirante");
+});
+
+test("the slug is transliterated with the item's locale", () => {
+  const slug = (lang, source_title) => buildDeterministicFallback("full_content", { lang, source_title }).seo.slug;
+  assert.equal(slug("fr", "Été à Zürich — Œuvre"), "ete-a-zurich-oeuvre");
+  assert.equal(slug("ru", "Кофемашина Делюкс"), "kofemashina-delyuks");
+  assert.equal(slug("el", "Ελαιόλαδο Κρήτης"), "elaiolado-kritis");
+  assert.equal(slug("de", "Große Straße"), "grosse-strasse");
+  assert.equal(slug("da", "Smørrebrød"), "smorrebrod");
+  // Nothing to transliterate: the slug falls back to the subject and the entity id.
+  assert.equal(buildDeterministicFallback("full_content", { lang: "ja", entity_id: "42", source_title: "水筒" }).seo.slug, "content-42");
+});
+
+test("generated HTML escapes source markup", () => {
+  const out = buildDeterministicFallback("full_content", ITEMS.html_excerpt);
+  assert.doesNotMatch(out.content_html, /<script/i);
+  assert.match(out.content_html, /&amp;/);
+});
+
+test("meta descriptions are truncated within bounds", () => {
+  const out = buildDeterministicFallback("quick_boost", ITEMS.long);
+  assert.ok([...out.meta_description].length <= 170);
+  assert.ok(out.meta_description.endsWith("…"));
+});
+
+test("short titles are padded once per phrase, with a sentence break", () => {
+  const item = { lang: "fr", source_title: "Sac" };
+  const full = buildDeterministicFallback("full_content", item);
+  const ecom = buildDeterministicFallback("ecom_catalog", item);
+  assert.equal(full.title, "Sac : guide et conseils");
+  assert.match(full.seo.meta_title, /^Sac : guide et conseils\. Découvrez les points clés/);
+  assert.match(full.meta_description, /^Sac\. Découvrez les points clés/);
+  for (const text of [full.title, full.seo.meta_title, full.meta_description, ecom.product.short_description, ecom.seo.meta_title]) {
+    const segments = text.split(/[.:…]\s*/).map((x) => x.trim()).filter(Boolean);
+    assert.equal(new Set(segments).size, segments.length, text);
+  }
+});
+
+test("parseSpecs caps at 12 entries and accepts key=value lines", () => {
+  assert.equal(parseSpecs(ITEMS.long.source_specs).length, 12);
+  assert.deepEqual(parseSpecs("Couleur = rouge\nTaille=M"), [{ k: "Couleur", v: "rouge" }, { k: "Taille", v: "M" }]);
+  assert.deepEqual(parseSpecs(""), []);
+});
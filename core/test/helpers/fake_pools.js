@@ -0,0 +1,107 @@
+// In-memory pools shared by the tests: the SQL of reviews.js (result revisions, reviews,
+// decision log) and of job_create.js (idempotency, quota, holds, job rows). Queries are
+// matched by regex; each store's `query` returns undefined for a query it does not know.
+const { buildDeterministicFallback } = require("../../fallbacks");
+
+const ITEM = { entity_type: "page", entity_id: "42", lang: "fr", source_title: "Chaussures de randonnée imperméables", source_excerpt: "Des chaussures solides pour la montagne, confortables et légères." };
+const GENERATED = buildDeterministicFallback("quick_boost", ITEM);
+
+// Parent job "p1" of client "cl1" with its done child "c1" (item 0, GENERATED).
+function reviewJobs() {
+  return [
+    { id: "p1", client_id: "cl1", mode: "quick_boost", status: "done", is_parent: true, request_json: { mode: "quick_boost", items: [ITEM] } },
+    {
+      id: "c1", parent_id: "p1", item_index: 0, client_id: "cl1", mode: "quick_boost", status: "done", is_parent: false,
+      request_json: { mode: "quick_boost", items: [ITEM] },
+      result_json: { ok: true, results: [{ entity_id: "42", exec: GENERATED, status: "ready_to_review" }] },
+    },
+  ];
+}
+
+function reviewStore({ jobs = reviewJobs() } = {}) {
+  const revisions = [];
+  const reviews = new Map();
+  const decisions = [];
+  const query = (sql, a) => {
+    if (/FROM c360_jobs WHERE parent_id/.test(sql)) return { rows: jobs.filter((j) => j.parent_id === a[0] && j.item_index === a[1]) };
+    if (/FROM c360_jobs WHERE id/.test(sql)) return { rows: jobs.filter((j) => j.id === a[0] && j.client_id === a[1]) };
+    if (/INSERT INTO c360_result_revisions[\s\S]*'generated'/.test(sql)) {
+      if (!revisions.some((r) => r.job_id === a[0] && r.result_index === a[1] && r.revision === 1)) {
+        revisions.push({ job_id: a[0], result_index: a[1], revision: 1, source: "generated", output: a[3] });
+      }
+      return { rows: [] };
+    }
+    if (/INSERT INTO c360_result_revisions/.test(sql)) {
+      const revision = Math.max(0, ...revisions.filter((r) => r.job_id === a[0] && r.result_index === a[1]).map((r) => r.revision)) + 1;
+      revisions.push({ job_id: a[0], result_index: a[1], revision, source: a[3], output: a[4], note: a[5], created_by: a[6] });
+      return { rows: [{ revision }] };
+    }
+    if (/SELECT output FROM c360_result_revisions/.test(sql)) {
+      return { rows: revisions.filter((r) => r.job_id === a[0] && r.result_index === a[1] && r.revision === a[2]) };
+    }
+    if (/SELECT v.output FROM c360_result_reviews/.test(sql)) {
+      const r = reviews.get(`${a[0]}:${a[1]}`);
+      return { rows: r ? revisions.filter((v) => v.job_id === a[0] && v.result_index === a[1] && v.revision === r.current_revision) : [] };
+    }
+    if (/INSERT INTO c360_result_reviews/.test(sql)) {
+      const k = `${a[0]}:${a[1]}`;
+      if (!reviews.has(k)) reviews.set(k, { job_id: a[0], result_index: a[1], status: "ready_to_review", current_revision: 1, approved_revision: null });
+      return { rows: [] };
+    }
+    if (/FROM c360_result_reviews\s+WHERE job_id=\$1 AND result_index=\$2 FOR UPDATE/.test(sql)) return { rows: [{ ...reviews.get(`${a[0]}:${a[1]}`) }] };
+    if (/UPDATE c360_result_reviews/.test(sql)) {
+      Object.assign(reviews.get(`${a[0]}:${a[1]}`), { status: a[2], current_revision: a[3], approved_revision: a[4] });
+      return { rows: [] };
+    }
+    if (/INSERT INTO c360_decision_log/.test(sql)) {
+      decisions.push({ job_id: a[1], decision_type: a[5], decision_reason: a[6], revision: a[7], result_index: a[8] });
+      return { rows: [] };
+    }
+    if (/FROM c360_result_reviews WHERE job_id = ANY/.test(sql)) return { rows: [...reviews.values()].filter((r) => a[0].includes(r.job_id)) };
+    if (/FROM c360_result_revisions WHERE job_id = ANY/.test(sql)) return { rows: revisions.filter((r) => a[0].includes(r.job_id)) };
+    if (/FROM c360_decision_log/.test(sql)) return { rows: decisions.filter((d) => a[0].includes(d.job_id)) };
+    return undefined;
+  };
+  return { jobs, revisions, reviews, decisions, query };
+}
+
+// createJob: monthly quota `quota` with `consumed` AEJ used; new job ids count from `firstId`.
+function createJobStore({ jobs = [], quota = 500, consumed = 0, firstId = 1 } = {}) {
+  const idem = new Map();
+  const holds = [];
+  let nextId = firstId;
+  const query = (sql, a) => {
+    if (/SELECT job_id FROM c360_idempotency/.test(sql)) return { rows: idem.has(a[1]) ? [{ job_id: idem.get(a[1]) }] : [] };
+    if (/INSERT INTO c360_idempotency/.test(sql)) return idem.set(a[1], a[2]), { rows: [] };
+    if (/FROM c360_site_settings/.test(sql)) return { rows: [{ plan_code: "pro", monthly_quota_aej: quota }] };
+    if (/FROM c360_aej_logs/.test(sql)) return { rows: [{ aej_consumed: consumed }] };
+    if (/FROM c360_aej_holds/.test(sql)) return { rows: [{ aej_held: holds.reduce((n, h) => n + h, 0) }] };
+    if (/INSERT INTO c360_aej_holds/.test(sql)) return holds.push(a[2]), { rows: [] };
+    if (/INSERT INTO c360_jobs/.test(sql)) {
+      const id = String(nextId++);
+      const child = /parent_id/.test(sql);
+      jobs.push({ id, client_id: a[0], request_json: a[2], parent_id: child ? a[4] : null, item_index: child ? a[5] : null, status: "queued", progress: 0 });
+      return { rows: [{ id }] };
+    }
+    return undefined;
+  };
+  return { jobs, idem, holds, query };
+}
+
+/**
+ * Pool over `handlers` (tried in order, first defined result wins); transaction statements
+ * succeed, anything else throws. The pool is `state` with query / connect added.
+ */
+function poolOf(handlers, state = {}) {
+  const query = async (sql, a = []) => {
+    if (/^(BEGIN|COMMIT|ROLLBACK)/.test(sql)) return { rows: [] };
+    for (const handle of handlers) {
+      const r = handle(sql, a);
+      if (r !== undefined) return r;
+    }
+    throw new Error(`unexpected query: ${sql}`);
+  };
+  return Object.assign(state, { query, connect: async () => ({ query, release() {} }) });
+}
+
+module.exports = { GENERATED, reviewStore, createJobStore, poolOf };
@@ -0,0 +1,96 @@
+// HTML sanitiser: malicious / malformed corpus (fixtures/html), output invariants, result fields.
+const test = require("node:test");
+const assert = require("node:assert/strict");
+
+const { ALLOWED, sanitizeHtml, sanitizeOutput, sanitizeGenerated, removalCount } = require("../html_sanitize");
+const { FULL_CONTENT_SCHEMA } = require("../schemas");
+const { validateSchema } = require("../schema_validator");
+const CORPUS = {
+  malicious: require("../fixtures/html/malicious.json"),
+  malformed: require("../fixtures/html/malformed.json"),
+};
+
+const TAG_RE = /<(\/?)([^>]*)>/g;
+
+// Only bare allowed tags, properly nested, and no raw "<" / ">" left in text.
+function assertClean(html, name) {
+  const stack = [];
+  for (const [, closing, tag] of html.matchAll(TAG_RE)) {
+    assert.ok(ALLOWED.has(tag), `${name}: <${closing}${tag}>`);
+    if (tag === "br") continue;
+    if (closing) assert.equal(stack.pop(), tag, `${name}: </${tag}>`);
+    else stack.push(tag);
+  }
+  assert.deepEqual(stack, [], `${name}: unclosed`);
+  assert.doesNotMatch(html.replace(TAG_RE, ""), /[<>]/, name);
+  assert.doesNotMatch(html, /&(?![a-zA-Z][a-zA-Z0-9]*;|#\d+;|#x[0-9a-fA-F]+;)/, name);
+}
+
+for (const [kind, samples] of Object.entries(CORPUS)) {
+  test(`${kind} corpus: expected output, every removal reported, idempotent`, () => {
+    for (const s of samples) {
+      const r = sanitizeHtml(s.input);
+      assert.equal(r.html, s.html, s.name);
+      assert.deepEqual(Object.fromEntries(r.removed.map((x) => [[x.kind, x.tag, x.attr].filter(Boolean).join(":"), x.count])), s.removed, s.name);
+      assertClean(r.html, s.name);
+      assert.doesNotMatch(r.html, /on\w+=|javascript:|style=/i, s.name);
+      assert.deepEqual(sanitizeHtml(r.html), { html: r.html, removed: [] }, `${s.name} (second pass)`);
+    }
+  });
+}
+
+test("removal count leaves out closed and renamed tags", () => {
+  const { removed } = sanitizeHtml('<p><b class="x">Gras</p><script>x</script>');
+  assert.deepEqual(removed.map((r) => r.kind), ["renamed", "attribute", "auto_close", "dropped"]);
+  assert.equal(removalCount(removed), 2);
+  assert.equal(removalCount(undefined), 0);
+});
+
+test("every *_html field of an output is sanitised in place", () => {
+  const exec = {
+    mode: "ecom_catalog",
+    product: {
+      title: "<b>Titre</b> brut",
+      long_description_html: '<p style="color:red">Texte</p><img src=x onerror=alert(1)>',
+      faq: [{ q: "Q", a: "<script>non html</script>" }],
+    },
+  };
+  const changed = sanitizeOutput(exec);
+  assert.deepEqual(changed, [
+    { path: "product.long_description_html", removed: [{ kind: "attribute", tag: "p", attr: "style", count: 1 }, { kind: "dropped", tag: "img", count: 1 }] },
+  ]);
+  assert.equal(exec.product.long_description_html, "<p>Texte</p>");
+  // Plain-text fields are not HTML and are left alone.
+  assert.equal(exec.product.title, "<b>Titre</b> brut");
+  assert.deepEqual(sanitizeOutput(exec), []);
+
+  const full = { content_html: "<p>Un</p>\n\n<p>Deux" };
+  assert.deepEqual(sanitizeOutput(full), [{ path: "content_html", removed: [] }]);
+  assert.equal(full.content_html, "<p>Un</p>\n<p>Deux</p>");
+});
+
+test("a generated answer is sanitised before validation, so mostly-removed HTML fails minLength", () => {
+  const fixture = require("../fixtures/llm/full_content.json");
+  const out = JSON.parse(JSON.stringify(fixture));
+  assert.equal(validateSchema(FULL_CONTENT_SCHEMA.schema, out).ok, true);
+
+  out.content_html = `<p>Court.</p><script>${"x".repeat(800)}</script>`;
+  assert.equal(validateSchema(FULL_CONTENT_SCHEMA.schema, out).ok, true);
+  const fields = sanitizeGenerated(out);
+  assert.deepEqual(fields, [{ path: "content_html", removed: [{ kind: "dropped", tag: "script", count: 1 }] }]);
+  assert.equal(out.content_html, "<p>Court.</p>");
+  const v = validateSchema(FULL_CONTENT_SCHEMA.schema, out);
+  assert.equal(v.ok, false);
+  assert.match(JSON.stringify(v.errors), /content_html/);
+
+  // A regenerated HTML field comes back as { value }; only normalised markup is not reported.
+  const regen = { value: '<p onclick="x()">Texte</p>' };
+  assert.deepEqual(sanitizeGenerated(regen, { htmlValue: true }), [
+    { path: "value", removed: [{ kind: "attribute", tag: "p", attr: "onclick", count: 1 }] },
+  ]);
+  assert.equal(regen.value, "<p>Texte</p>");
+  const plain = { value: "<b>Titre</b>" };
+  assert.deepEqual(sanitizeGenerated(plain), []);
+  assert.equal(plain.value, "<b>Titre</b>");
+  assert.deepEqual(sanitizeGenerated({ value: "<p>Un" }, { htmlValue: true }), []);
+});
@@ -0,0 +1,191 @@
+// Bulk imports: CSV / NDJSON parsing, column mapping, row errors, chunked jobs, combined results.
+process.env.IMPORT_CHUNK_SIZE = "2";
+
+const test = require("node:test");
+const assert = require("node:assert/strict");
+
+const { parseCsv, resolveMapping, rowToItem, prepareImport, createImport, importProgress, writeImportResults } = require("../imports");
+const { createJobStore, poolOf } = require("./helpers/fake_pools");
+
+const CSV = [
+  "ID;Name;Description;Color;Tags;Old title",
+  '1;Chaussure Trail;"Chaussure légère; semelle ""Vibram""";Rouge;trail | montagne;Trail',
+  "2;Sac à dos 30L;Sac étanche pour la randonnée;;;",
+  "3;;Sans titre;;;",
+  "",
+  "4;Gourde inox;Gourde isotherme 750 ml;Bleu;;",
+].join("\r\n");
+
+const MAPPING = JSON.stringify({
+  ID: "entity_id",
+  Name: "source_title",
+  Description: "source_excerpt",
+  Color: "source_specs.Couleur",
+  Tags: "source_taxonomy",
+  "Old title": "existing_meta.meta_title",
+});
+
+const DEFAULTS = { entity_type: "product", lang: "fr" };
+
+test("CSV: quotes, escaped quotes, newlines in quotes, delimiter detection, BOM", () => {
+  const { columns, rows } = parseCsv('\uFEFFa,b\n"x, y","line1\nline2"\n"say ""hi""",2\n');
+  assert.deepEqual(columns, ["a", "b"]);
+  assert.deepEqual(rows.map((r) => [r.row, r.values]), [[2, { a: "x, y", b: "line1\nline2" }], [3, { a: 'say "hi"', b: "2" }]]);
+  assert.deepEqual(parseCsv("a;b\n1;2").rows[0].values, { a: "1", b: "2" });
+  assert.deepEqual(parseCsv("a\tb\n1\t2").rows[0].values, { a: "1", b: "2" });
+  assert.throws(() => parseCsv('a,b\n"open,1'), { code: "import_parse_error" });
+});
+
+test("mapping: item fields, specs, existing meta, list cells and defaults", () => {
+  assert.throws(() => resolveMapping('{"A":"nope"}', ["A"]), { code: "invalid_mapping" });
+  assert.throws(() => resolveMapping("{not json", ["A"]), { code: "invalid_mapping" });
+  assert.deepEqual(resolveMapping("", ["entity_id", "source_title", "Price"]), { entity_id: "entity_id", source_title: "source_title" });
+
+  const item = rowToItem({ ID: "1", Name: " Chaussure ", Color: "Rouge", Tags: "trail | montagne", "Old title": "Trail" }, JSON.parse(MAPPING), DEFAULTS);
+  assert.deepEqual(item, {
+    entity_id: "1",
+    source_title: "Chaussure",
+    source_specs: [{ k: "Couleur", v: "Rouge" }],
+    source_taxonomy: ["trail", "montagne"],
+    existing_meta: { meta_title: "Trail" },
+    entity_type: "product",
+    lang: "fr",
+  });
+});
+
+test("every row is validated with the create rules; errors carry the file row", () => {
+  const p = prepareImport(CSV, { format: "csv", mode: "ecom_catalog", mapping: MAPPING, defaults: DEFAULTS });
+  assert.equal(p.rows_total, 4);
+  assert.deepEqual(p.valid.map((r) => r.row), [2, 3, 6]);
+  assert.equal(p.row_errors.length, 1);
+  assert.equal(p.row_errors[0].row, 4);
+  assert.deepEqual(p.row_errors[0].errors, ["row 4 source_title_required"]);
+
+  assert.throws(() => prepareImport(CSV, { format: "csv", mode: "ecom_catalog", mapping: '{"Missing":"entity_id"}' }), { code: "invalid_mapping" });
+  assert.throws(() => prepareImport(CSV, { format: "xml", mode: "ecom_catalog" }), { code: "invalid_format" });
+
+  const nd = prepareImport(
+    ['{"entity_type":"page","entity_id":"a","source_title":"Titre de page","source_excerpt":"Extrait"}', "{oops", "[1]", ""].join("\n"),
+    { format: "ndjson", mode: "quick_boost", defaults: { lang: "fr" } }
+  );
+  assert.deepEqual(nd.valid.map((r) => r.row), [1]);
+  assert.deepEqual(nd.row_errors.map((e) => e.errors[0]), ["row 2 invalid JSON", "row 3 must be a JSON object"]);
+});
+
+// job_create.js + imports.js.
+function fakePool({ quota = 500 } = {}) {
+  const store = createJobStore({ quota });
+  const { jobs } = store;
+  const saved = []; // chunk statuses at each per-chunk save
+  let imp = null;
+  const query = (sql, a) => {
+    if (/INSERT INTO c360_imports/.test(sql)) {
+      imp = { id: 7, mode: a[1], format: a[2], status: "creating", rows_total: a[3], rows_valid: a[4], rows_invalid: a[5], row_errors: JSON.parse(a[6]), aej_estimated: a[7], chunks: [] };
+      return { rows: [{ id: 7 }] };
+    }
+    if (/UPDATE c360_imports SET chunks=/.test(sql)) {
+      imp.chunks = JSON.parse(a[1]);
+      saved.push(imp.chunks.map((c) => c.status));
+      return { rows: [] };
+    }
+    if (/UPDATE c360_imports/.test(sql)) {
+      Object.assign(imp, { status: a[1], chunks: JSON.parse(a[2]) });
+      return { rows: [{ ...imp }] };
+    }
+    if (/GROUP BY status/.test(sql)) {
+      const counts = {};
+      for (const j of jobs.filter((x) => a[0].includes(x.parent_id))) {
+        counts[j.status] = counts[j.status] || { status: j.status, n: 0, p: 0 };
+        counts[j.status].n += 1;
+        counts[j.status].p += ["done", "error", "canceled"].includes(j.status) ? 100 : j.progress;
+      }
+      return { rows: Object.values(counts) };
+    }
+    if (/FROM c360_jobs\s+WHERE parent_id=\$1/.test(sql)) return { rows: jobs.filter((j) => j.parent_id === a[0]) };
+    if (/FROM c360_(result_reviews|result_revisions|decision_log)/.test(sql)) return { rows: [] };
+    return undefined;
+  };
+  return poolOf([store.query, query], { jobs, holds: store.holds, saved, get imp() { return imp; } });
+}
+
+const deps = (add = async () => {}) => ({ queue: { add }, redis: { eval: async () => [1, 0] }, logJobEvent: async () => {} });
+
+test("valid rows become chunked jobs; progress and combined results follow the file order", async () => {
+  const pool = fakePool();
+  const prepared = prepareImport(CSV, { format: "csv", mode: "ecom_catalog", mapping: MAPPING, defaults: DEFAULTS });
+  const imp = await createImport(pool, deps(), { clientId: "cl1", prepared, format: "csv", mode: "ecom_catalog" });
+
+  assert.equal(imp.status, "created");
+  assert.deepEqual(imp.chunks.map((c) => [c.status, c.rows]), [["created", [2, 3]], ["created", [6]]]);
+  const parents = pool.jobs.filter((j) => !j.parent_id);
+  assert.deepEqual(parents.map((p) => p.request_json.items.length), [2, 1]);
+  assert.deepEqual(pool.holds, [12, 12, 12]);
+
+  // One child done, one failed, one still queued.
+  const children = pool.jobs.filter((j) => j.parent_id);
+  Object.assign(children[0], { status: "done", result_json: { results: [{ entity_id: "1", exec: { mode: "ecom_catalog", title: "T" } }] } });
+  Object.assign(children[1], { status: "error", error_text: "boom" });
+  const progress = await importProgress(pool, pool.imp);
+  assert.deepEqual(progress, { status: "running", progress: 66, jobs: 2, items: { total: 3, queued: 1, running: 0, done: 1, error: 1, canceled: 0 } });
+
+  const lines = [];
+  await writeImportResults(pool, pool.imp, (l) => lines.push(JSON.parse(l)));
+  assert.deepEqual(lines.map((l) => [l.row, l.status]), [[2, "done"], [3, "error"], [4, "invalid"], [6, "queued"]]);
+  assert.deepEqual(lines[0].output, { mode: "ecom_catalog", title: "T" });
+  assert.equal(lines[0].review_status, "ready_to_review");
+  assert.equal(lines[1].error, "boom");
+});
+
+test("a chunk refused by the quota check stops the import (partial)", async () => {
+  const pool = fakePool({ quota: 30 });
+  const prepared = prepareImport(CSV, { format: "csv", mode: "ecom_catalog", mapping: MAPPING, defaults: DEFAULTS });
+  const imp = await createImport(pool, deps(), { clientId: "cl1", prepared, format: "csv", mode: "ecom_catalog" });
+  assert.equal(imp.status, "partial");
+  assert.deepEqual(imp.chunks.map((c) => c.status), ["created", "quota_exceeded"]);
+  assert.equal(pool.jobs.filter((j) => !j.parent_id).length, 1);
+});
+
+test("a failing chunk is recorded: earlier jobs stay tracked and the import is partial", async () => {
+  const pool = fakePool();
+  const prepared = prepareImport(CSV, { format: "csv", mode: "ecom_catalog", mapping: MAPPING, defaults: DEFAULTS });
+  // The second job is committed, then enqueueing its child fails.
+  let adds = 0;
+  const add = async () => {
+    if (++adds === 3) throw new Error("redis down");
+  };
+  const imp = await createImport(pool, deps(add), { clientId: "cl1", prepared, format: "csv", mode: "ecom_catalog" });
+
+  assert.equal(imp.status, "partial");
+  assert.deepEqual(pool.saved, [["created"], ["created", "error"]]);
+  const [first, second] = imp.chunks;
+  assert.equal(first.job_id, "1");
+  assert.deepEqual([second.status, second.job_id, second.error, second.rows], ["error", "4", "redis down", [6]]);
+
+  const lines = [];
+  await writeImportResults(pool, pool.imp, (l) => lines.push(JSON.parse(l)));
+  assert.deepEqual(lines.find((l) => l.row === 6), { row: 6, status: "error", error: "redis down" });
+});
+
+test("an import whose first chunk fails is error; rows past the stored errors still get a line", async () => {
+  const pool = fakePool();
+  const bad = Array.from({ length: 1002 }, (_, i) => `x${i};;;;;`);
+  const csv = [CSV.split("\r\n")[0], ...bad, "9;Sac cabas cuir;Sac en cuir;;;"].join("\r\n");
+  const prepared = prepareImport(csv, { format: "csv", mode: "ecom_catalog", mapping: MAPPING, defaults: DEFAULTS });
+  assert.equal(prepared.row_errors.length, 1002);
+  const failing = deps(async () => {
+    throw new Error("redis down");
+  });
+  const imp = await createImport(pool, failing, { clientId: "cl1", prepared, format: "csv", mode: "ecom_catalog" });
+
+  assert.equal(imp.status, "error");
+  assert.equal(imp.chunks[0].job_id, "1");
+  assert.equal(pool.imp.row_errors.length, 1002);
+  assert.deepEqual(pool.imp.row_errors.at(-1), { row: 1003 });
+
+  const lines = [];
+  await writeImportResults(pool, pool.imp, (l) => lines.push(JSON.parse(l)));
+  assert.equal(lines.length, 1003);
+  assert.ok(lines[999].errors.length);
+  assert.deepEqual(lines[1001], { row: 1003, status: "invalid", errors: null });
+  assert.deepEqual(lines[1002], { row: 1004, status: "error", error: "redis down" });
+});
@@ -0,0 +1,93 @@
+// /v1/jobs/create payload contract: structured source fields, limits and versioned error codes.
+const test = require("node:test");
+const assert = require("node:assert/strict");
+
+const { validateCreatePayload, LIMITS } = require("../job_payload");
+const { buildContext } = require("../prompts");
+const { buildDeterministicFallback } = require("../fallbacks");
+const { validateSchema } = require("../schema_validator");
+const { ECOM_CATALOG_SCHEMA, FULL_CONTENT_SCHEMA } = require("../schemas");
+
+const base = { entity_type: "product", entity_id: "42", lang: "fr", source_title: "Lampe de bureau LED" };
+const codes = (v) => v.field_errors.map((e) => `${e.field}:${e.code}`);
+
+test("legacy quick_boost payloads are still accepted", () => {
+  const v = validateCreatePayload({ mode: "quick_boost", items: [{ ...base, source_excerpt: "Une lampe." }] });
+  assert.equal(v.ok, true);
+  assert.equal(v.llm_provider, null);
+});
+
+test("structured specs, taxonomy, facts and existing meta are accepted", () => {
+  const item = {
+    ...base,
+    source_specs: [{ k: "Puissance", v: "8 W" }, ["Couleur", "Noir"]],
+    source_taxonomy: ["Luminaires", "Bureau"],
+    source_facts: ["Garantie 2 ans", "Variateur tactile"],
+    source_usage: "Poser sur le bureau.",
+    intent: "Mettre en avant la sobriété énergétique",
+    existing_meta: { meta_title: "Lampe LED", slug: "lampe-led" },
+  };
+  assert.equal(validateCreatePayload({ mode: "ecom_catalog", items: [item] }).ok, true);
+  assert.equal(validateCreatePayload({ mode: "ecom_catalog", items: [{ ...item, source_specs: { Puissance: "8 W" } }] }).ok, true);
+});
+
+test("mode-specific required fields", () => {
+  const ecom = validateCreatePayload({ mode: "ecom_catalog", items: [{ ...base }] });
+  assert.equal(ecom.ok, false);
+  assert.deepEqual(codes(ecom), ["items[0].source_excerpt:v1.required"]);
+
+  const full = validateCreatePayload({ mode: "full_content", items: [{ ...base, entity_type: "page", intent: "Guide d'achat" }] });
+  assert.equal(full.ok, true);
+
+  const page = validateCreatePayload({ mode: "ecom_catalog", items: [{ ...base, entity_type: "page", source_specs: "Poids: 1 kg" }] });
+  assert.deepEqual(codes(page), ["items[0].entity_type:v1.invalid_value"]);
+});
+
+test("per-field limits and types report versioned codes", () => {
+  const v = validateCreatePayload({
+    mode: "quick_boost",
+    items: [{
+      ...base,
+      source_excerpt: "x".repeat(LIMITS.source_excerpt + 1),
+      source_taxonomy: ["ok", 3],
+      source_specs: [{ k: "", v: "1" }],
+      existing_meta: { robots: "noindex" },
+      extra: true,
+    }],
+  });
+  assert.equal(v.ok, false);
+  assert.equal(v.errors_version, "v1");
+  assert.deepEqual(codes(v).sort(), [
+    "items[0].existing_meta.robots:v1.unexpected_field",
+    "items[0].extra:v1.unexpected_field",
+    "items[0].source_excerpt:v1.too_long",
+    "items[0].source_specs[0].k:v1.required",
+    "items[0].source_taxonomy[1]:v1.invalid_type",
+  ]);
+  assert.equal(v.errors.length, v.field_errors.length);
+});
+
+test("top-level errors keep their legacy strings", () => {
+  const v = validateCreatePayload({ mode: "nope", items: [], llm_provider: "x" });
+  assert.deepEqual(v.errors, ["invalid llm_provider: x", "invalid mode: nope", "items_required"]);
+  assert.deepEqual(v.field_errors.map((e) => e.code), ["v1.invalid_value", "v1.invalid_value", "v1.required"]);
+});
+
+test("buildContext flattens structured values", () => {
+  const c = buildContext({
+    source_specs: [{ k: "Puissance", v: "8 W" }, ["Couleur", "Noir"]],
+    source_taxonomy: ["Luminaires", "Bureau"],
+    source_facts: ["Garantie 2 ans", "Variateur"],
+    existing_meta: { meta_title: "Lampe LED", robots: "x" },
+  });
+  assert.equal(c.source_specs, "Puissance: 8 W; Couleur: Noir");
+  assert.equal(c.source_taxonomy, "Luminaires, Bureau");
+  assert.equal(c.source_facts, "Garantie 2 ans | Variateur");
+  assert.equal(c.existing_meta, 'meta_title="Lampe LED"');
+});
+
+test("fallbacks stay schema-valid with structured inputs", () => {
+  const item = { ...base, source_specs: { Puissance: "8 W" }, source_taxonomy: ["Luminaires"], source_facts: ["Garantie 2 ans"] };
+  assert.equal(validateSchema(ECOM_CATALOG_SCHEMA, buildDeterministicFallback("ecom_catalog", item)).ok, true);
+  assert.equal(validateSchema(FULL_CONTENT_SCHEMA, buildDeterministicFallback("full_content", item)).ok, true);
+});
@@ -0,0 +1,96 @@
+// Redis pub/sub fan-out behind GET /v1/jobs/:id/stream.
+const test = require("node:test");
+const assert = require("node:assert/strict");
+const { EventEmitter } = require("node:events");
+
+const { jobChannel, publishJobEvent, publishJobStatus, createJobStreamHub, sseFrame, parseLastEventId } = require("../job_stream");
+
+// Minimal in-process pub/sub with the ioredis surface the hub and publishers use.
+function fakePubSub() {
+  const subscriber = new EventEmitter();
+  subscriber.channels = new Set();
+  subscriber.subscribe = async (...chs) => chs.forEach((c) => subscriber.channels.add(c));
+  subscriber.unsubscribe = async (...chs) => chs.forEach((c) => subscriber.channels.delete(c));
+  const publisher = {
+    publish: async (ch, msg) => {
+      if (subscriber.channels.has(ch)) subscriber.emit("message", ch, msg);
+      return 1;
+    },
+  };
+  return { subscriber, publisher };
+}
+
+test("events and status changes reach every subscriber of the job", async () => {
+  const { subscriber, publisher } = fakePubSub();
+  const hub = createJobStreamHub(subscriber);
+  const a = [];
+  const b = [];
+  const offA = await hub.subscribe(["p1", "c1"], (m) => a.push(m));
+  const offB = await hub.subscribe(["c1"], (m) => b.push(m));
+
+  await publishJobEvent(publisher, { id: 7, job_id: "c1", event_type: "progress", message: "Item 1/1 done", meta: { progress: 90 }, created_at: "t" });
+  await publishJobStatus(publisher, "p1", { status: "running" });
+
+  assert.deepEqual(a.map((m) => [m.type, m.job_id]), [["event", "c1"], ["status", "p1"]]);
+  assert.equal(a[0].id, "7");
+  assert.deepEqual(b.map((m) => m.type), ["event"]);
+
+  await offA();
+  assert.deepEqual([...subscriber.channels], [jobChannel("c1")]);
+  await offB();
+  assert.equal(hub.channelCount(), 0);
+  assert.equal(subscriber.channels.size, 0);
+});
+
+test("a failed SUBSCRIBE leaves nothing behind, so the next stream subscribes again", async () => {
+  const { subscriber, publisher } = fakePubSub();
+  const subscribe = subscriber.subscribe;
+  let failures = 0;
+  subscriber.subscribe = async (...chs) => {
+    if (failures > 0) {
+      failures--;
+      throw new Error("Connection is closed.");
+    }
+    return subscribe(...chs);
+  };
+  const hub = createJobStreamHub(subscriber);
+
+  // First stream of c1: SUBSCRIBE fails, the route closes the stream.
+  failures = 1;
+  await assert.rejects(hub.subscribe(["c1"], () => {}), /Connection is closed/);
+  assert.equal(hub.channelCount(), 0);
+
+  // The next one subscribes again and gets live messages.
+  const live = [];
+  const off = await hub.subscribe(["c1"], (m) => live.push(m));
+  assert.deepEqual([...subscriber.channels], [jobChannel("c1")]);
+
+  // A failing stream of c1 + p1 drops p1 and its own listener; c1's first listener stays.
+  const lost = [];
+  failures = 1;
+  await assert.rejects(hub.subscribe(["c1", "p1"], (m) => lost.push(m)), /Connection is closed/);
+  assert.equal(hub.channelCount(), 1);
+  await publishJobStatus(publisher, "c1", { status: "running" });
+  assert.deepEqual([live.length, lost.length], [1, 0]);
+
+  await off();
+  assert.equal(hub.channelCount(), 0);
+});
+
+test("publishing never throws", async () => {
+  await publishJobStatus({ publish: async () => { throw new Error("down"); } }, "j1", { status: "done" });
+  await publishJobStatus(null, "j1", {});
+});
+
+test("sseFrame splits multi-line data", () => {
+  assert.equal(sseFrame({ id: "3", event: "job_event", data: { a: 1 } }), 'id: 3\nevent: job_event\ndata: {"a":1}\n\n');
+  assert.equal(sseFrame({ data: "x\ny" }), "data: x\ndata: y\n\n");
+});
+
+test("Last-Event-ID must be a positive integer", () => {
+  assert.equal(parseLastEventId("42"), 42);
+  assert.equal(parseLastEventId(" 42 "), 42);
+  assert.equal(parseLastEventId("abc"), 0);
+  assert.equal(parseLastEventId("-1"), 0);
+  assert.equal(parseLastEventId(undefined), 0);
+});
@@ -0,0 +1,55 @@
+// Local language check of generated output (worker, before an answer is accepted).
+const test = require("node:test");
+const assert = require("node:assert/strict");
+
+const { outputText, outputStrings, detectScript, detectLanguage, checkLanguage } = require("../lang_detect");
+
+const FR = "Cette chaise de bureau offre un soutien lombaire réglable pour les longues journées. Elle est livrée avec des accoudoirs 3D et une assise en mousse, pour un confort durable sur votre poste de travail.";
+const DE = "Dieser Bürostuhl bietet eine verstellbare Lordosenstütze für lange Arbeitstage. Er wird mit 3D-Armlehnen und einem Sitz aus Schaumstoff geliefert, für dauerhaften Komfort an Ihrem Arbeitsplatz.";
+const ES = "Esta silla de oficina ofrece un soporte lumbar regulable para las jornadas largas. Se entrega con reposabrazos 3D y un asiento de espuma, para una comodidad duradera en su puesto de trabajo.";
+const EN = "This office chair offers an adjustable lumbar support for long working days. It comes with 3D armrests and a foam seat, for lasting comfort at your workstation.";
+const RU = "Это офисное кресло с регулируемой поясничной опорой для долгих рабочих дней и удобными подлокотниками.";
+
+test("function words identify Latin-script languages", () => {
+  assert.equal(detectLanguage(FR).lang, "fr");
+  assert.equal(detectLanguage(DE).lang, "de");
+  assert.equal(detectLanguage(ES).lang, "es");
+  assert.equal(detectLanguage(EN).lang, "en");
+  assert.equal(detectLanguage("Chaise Ergo Pro X").lang, null);
+  assert.equal(detectScript(RU).script, "Cyrillic");
+  assert.equal(detectScript("軽量で保温性に優れた水筒です。").script, "Japanese");
+});
+
+test("checkLanguage accepts the requested locale and rejects another language", () => {
+  assert.equal(checkLanguage(DE, "de-CH").ok, true);
+  assert.equal(checkLanguage(ES, "es").ok, true);
+
+  assert.deepEqual(
+    (({ ok, detected, reason }) => ({ ok, detected, reason }))(checkLanguage(FR, "de")),
+    { ok: false, detected: "fr", reason: "language_mismatch" }
+  );
+  assert.equal(checkLanguage(EN, "es").detected, "en");
+  assert.equal(checkLanguage(RU, "en").reason, "script_mismatch");
+  assert.equal(checkLanguage(EN, "ru").reason, "script_mismatch");
+  assert.equal(checkLanguage(RU, "ru-RU").ok, true);
+
+  // Too short to judge, or a language without a word list: accepted.
+  assert.equal(checkLanguage("Chaise de bureau", "de").skipped, "too_short");
+  assert.equal(checkLanguage(EN.replace(/\b(the|and|for|it|at|your|with|an)\b/g, "na"), "pl").ok, true);
+});
+
+test("outputText / outputStrings keep prose fields only, without HTML", () => {
+  const out = {
+    mode: "full_content",
+    title: "Titre",
+    content_html: "<h2>Intro</h2><p>Texte &amp; suite</p>",
+    faq: [{ q: "Question ?", a: "Réponse." }],
+    seo: { slug: "titre-page", internal_links: [{ anchor: "Lien", url: "https://x.test" }] },
+    checks: { plagiarism_risk: "low" },
+  };
+  assert.equal(outputText(out), "Titre Intro Texte suite Question ? Réponse. Lien");
+  assert.deepEqual(
+    outputStrings(out).map((s) => s.path),
+    ["title", "content_html", "faq[0].q", "faq[0].a", "seo.internal_links[0].anchor"]
+  );
+});
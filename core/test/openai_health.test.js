@@ -0,0 +1,45 @@
+// OpenAI health probe against a local stand-in of the models endpoint.
+const test = require("node:test");
+const assert = require("node:assert/strict");
+const http = require("node:http");
+
+test("probe checks key + model, measures latency and caches", async (t) => {
+  let hits = 0;
+  let status = 200;
+  const server = http.createServer((req, res) => {
+    hits++;
+    res.writeHead(status, { "Content-Type": "application/json" });
+    res.end(JSON.stringify(status === 200 ? { id: "gpt-test" } : { error: { message: `failure ${status}` } }));
+  });
+  await new Promise((r) => server.listen(0, "127.0.0.1", r));
+  t.after(() => server.close());
+
+  process.env.OPENAI_BASE_URL = `http://127.0.0.1:${server.address().port}/v1`;
+  process.env.OPENAI_API_KEY = "sk-test";
+  process.env.OPENAI_MODEL = "gpt-test";
+  const { checkOpenAI } = require("../openai_health");
+
+  const first = await checkOpenAI();
+  assert.equal(first.status, "ok");
+  assert.equal(first.model, "gpt-test");
+  assert.equal(first.cached, false);
+  assert.equal(typeof first.latency_ms, "number");
+
+  const second = await checkOpenAI();
+  assert.equal(second.cached, true);
+  assert.equal(hits, 1);
+
+  status = 404;
+  const missing = await checkOpenAI({ force: true });
+  assert.equal(missing.status, "error");
+  assert.equal(missing.error, "model_not_found");
+
+  status = 401;
+  assert.equal((await checkOpenAI({ force: true })).error, "invalid_api_key");
+
+  status = 503;
+  assert.equal((await checkOpenAI({ force: true })).status, "degraded");
+
+  delete process.env.OPENAI_API_KEY;
+  assert.equal((await checkOpenAI({ force: true })).status, "unconfigured");
+});
@@ -0,0 +1,57 @@
+// Prompt packs: locale fallback chain, per-language prompts, locale limits and slug transliteration.
+const test = require("node:test");
+const assert = require("node:assert/strict");
+
+const { normalizeLocale, localeChain, resolvePack, slugify } = require("../prompt_packs");
+const { promptQuickBoost, promptFullContent, promptEcomCatalog, promptRepair, languageViolation } = require("../prompts");
+
+const ITEM = { entity_type: "product", entity_id: "7", source_title: "Kaffeemaschine", source_excerpt: "Kompakt." };
+
+test("locale tags are normalised and fall back to the language, then English", () => {
+  assert.equal(normalizeLocale(" de_ch "), "de-CH");
+  assert.equal(normalizeLocale("zh-hant-tw"), "zh-Hant-TW");
+  assert.equal(normalizeLocale("??"), "");
+  assert.deepEqual(localeChain("de-CH"), ["de-CH", "de", "en"]);
+  assert.deepEqual(localeChain("en-GB"), ["en-GB", "en"]);
+
+  const ch = resolvePack("de-CH");
+  assert.deepEqual([ch.locale, ch.pack], ["de-CH", "de-CH"]);
+  assert.match(ch.rules.punctuation, /ss/); // regional override
+  assert.equal(ch.labels.context, "Kontext:"); // from "de"
+  assert.equal(ch.rules.language("x"), resolvePack("de").rules.language("x"));
+
+  const pl = resolvePack("pl");
+  assert.deepEqual([pl.pack, pl.language_name], ["en", "Polish"]);
+  assert.equal(resolvePack("").locale, "en");
+});
+
+test("prompts are written in the item's language and ask for its locale", () => {
+  const de = promptQuickBoost({ ...ITEM, lang: "de-CH" });
+  assert.match(de, /^Du bist Content360/);
+  assert.match(de, /Schweizer Hochdeutsch/);
+  assert.match(de, /Meta-Description: 130–155 Zeichen/);
+  assert.doesNotMatch(de, /Tu es|Contraintes/);
+
+  const es = promptEcomCatalog({ ...ITEM, lang: "es-MX" });
+  assert.match(es, /^Eres Content360/);
+  assert.match(es, /signos de apertura ¿ y ¡/);
+  assert.match(es, /máx\. 240 caracteres/);
+
+  // Items without lang keep the French default; unknown languages get the English pack.
+  assert.match(promptFullContent(ITEM), /^Tu es Content360[\s\S]*- langue: fr/);
+  assert.match(promptFullContent({ ...ITEM, lang: "pl" }), /Write every text in Polish/);
+
+  const repair = promptRepair("P", { a: 1 }, [languageViolation("de", "fr")], "de");
+  assert.match(repair, /Zu behebende Verstöße/);
+  assert.match(repair, /auf Französisch geschrieben, er muss auf Deutsch/);
+});
+
+test("slugs are ASCII with locale transliteration, non-Latin scripts romanised", () => {
+  assert.equal(slugify("Größe & Äpfel aus Zürich", "de"), "groesse-aepfel-aus-zuerich");
+  assert.equal(slugify("Größe Zürich", "fr"), "grosse-zurich");
+  assert.equal(slugify("Œuvre d'été", "fr"), "oeuvre-d-ete");
+  assert.equal(slugify("Кофемашина для дома", "ru"), "kofemashina-dlya-doma");
+  assert.equal(slugify("Ελαιόλαδο Κρήτης", "el"), "elaiolado-kritis");
+  assert.equal(slugify("水筒 500ml", "ja"), "500ml");
+  assert.equal(slugify("a b c d e f g h i j", "en"), "a-b-c-d-e-f-g-h");
+});
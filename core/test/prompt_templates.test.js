@@ -0,0 +1,94 @@
+// Prompt templates: validation, rendering, preview, weighted A/B pick, slot resolution, publish.
+const test = require("node:test");
+const assert = require("node:assert/strict");
+
+const {
+  validateTemplateInput,
+  renderPrompt,
+  previewPrompt,
+  pickWeighted,
+  createTemplateStore,
+  publishTemplate,
+} = require("../prompt_templates");
+
+const ITEM = { entity_type: "page", entity_id: "42", lang: "de-CH", source_title: "Wanderschuhe", source_excerpt: "Robuste Schuhe." };
+
+test("template input: mode, locale, known variables, weight", () => {
+  const ok = validateTemplateInput({ mode: "quick_boost", locale: "de_ch", body: "Titel: {{ source_title }} ({{language_name}})" });
+  assert.deepEqual(ok.value, { mode: "quick_boost", locale: "de-CH", client_id: "*", body: "Titel: {{ source_title }} ({{language_name}})", weight: 100 });
+
+  const bad = validateTemplateInput({ mode: "nope", locale: "??", body: "{{source_title}} {{secret_key}}", weight: 0, extra: 1 });
+  assert.equal(bad.ok, false);
+  for (const re of [/unexpected field: extra/, /invalid mode/, /invalid locale/, /unknown variable: \{\{secret_key\}\}/, /weight/]) {
+    assert.ok(bad.errors.some((e) => re.test(e)), String(re));
+  }
+  assert.deepEqual(validateTemplateInput({ weight: 30 }, { partial: true }), { ok: true, value: { weight: 30 } });
+  assert.match(validateTemplateInput({ mode: "full_content" }, { partial: true }).errors[0], /cannot be changed: mode/);
+});
+
+test("rendering fills context and locale variables; no template = built-in prompt", () => {
+  const tpl = { id: 5, client_id: "*", mode: "quick_boost", locale: "de", version: 3, body: "{{language_rule}}\nMeta: {{meta_description_min}}-{{meta_description_max}}\n{{source_title}}|{{intent}}" };
+  const out = renderPrompt("quick_boost", { ...ITEM, mode: "quick_boost" }, tpl);
+  assert.equal(out.prompt, "Schreibe alle Texte auf Schweizer Hochdeutsch, mit muttersprachlichen Formulierungen (keine Übersetzung).\nMeta: 130-155\nWanderschuhe|");
+  assert.deepEqual([out.prompt_version, out.prompt_template_id], ["quick_boost/de/v3", "5"]);
+
+  const builtin = renderPrompt("quick_boost", { ...ITEM, mode: "quick_boost" });
+  assert.equal(builtin.prompt_version, "builtin");
+  assert.match(builtin.prompt, /^Du bist Content360/);
+
+  const wrapped = previewPrompt("quick_boost", ITEM, { ...tpl, client_id: "cl1", body: "{{builtin}}\n- Extra: {{intent}}" });
+  assert.ok(wrapped.prompt.startsWith(builtin.prompt));
+  assert.deepEqual([wrapped.variables, wrapped.empty_variables, wrapped.prompt_version], [["builtin", "intent"], ["intent"], "quick_boost/de/v3@cl1"]);
+});
+
+test("weighted pick is stable per seed and follows the weights", () => {
+  const versions = [{ id: "2", weight: 75 }, { id: "1", weight: 25 }];
+  assert.equal(pickWeighted(versions, "job:0"), pickWeighted(versions, "job:0"));
+  const counts = { 1: 0, 2: 0 };
+  for (let i = 0; i < 4000; i++) counts[pickWeighted(versions, `j${i}:0`).id] += 1;
+  assert.ok(counts[2] > 2800 && counts[2] < 3200, JSON.stringify(counts));
+  assert.equal(pickWeighted([], "x"), null);
+});
+
+test("store: client slot first, then locale chain, then '*'; DB errors mean built-in", async () => {
+  const rows = [
+    { id: 1, client_id: "*", mode: "quick_boost", locale: "*", version: 1, weight: 100, body: "any" },
+    { id: 2, client_id: "*", mode: "quick_boost", locale: "de", version: 1, weight: 100, body: "de" },
+    { id: 3, client_id: "cl1", mode: "quick_boost", locale: "*", version: 1, weight: 100, body: "cl1" },
+    { id: 4, client_id: "*", mode: "full_content", locale: "en", version: 1, weight: 100, body: "en" },
+  ];
+  let reads = 0;
+  const store = createTemplateStore({ query: async () => (reads++, { rows }) }, { ttlMs: 60000 });
+  const pick = (clientId, mode, lang) => store.pick({ clientId, mode, lang, seed: "s" }).then((t) => t && t.id);
+
+  assert.equal(await pick("cl1", "quick_boost", "de-CH"), 3);
+  assert.equal(await pick("cl2", "quick_boost", "de-CH"), 2);
+  assert.equal(await pick("cl2", "quick_boost", "fr"), 1);
+  assert.equal(await pick("cl2", "full_content", "de"), null); // "en" is not a fallback for templates
+  assert.equal(await pick("cl2", "ecom_catalog", "en"), null);
+  assert.equal(reads, 1);
+
+  const broken = createTemplateStore({ query: async () => { throw new Error("relation does not exist"); } });
+  assert.equal(await broken.pick({ clientId: "cl1", mode: "quick_boost", lang: "fr", seed: "s" }), null);
+});
+
+test("publish archives the slot's other versions unless kept for A/B", async () => {
+  const calls = [];
+  const query = async (sql, args) => {
+    calls.push(sql.trim().split(/\s+/).slice(0, 2).join(" "));
+    if (/status='archived'/.test(sql)) return { rows: [{ id: 7 }] };
+    if (/status='published'/.test(sql)) return { rows: [{ id: args[0], weight: args[1] ?? 100, status: "published" }] };
+    return { rows: [] };
+  };
+  const db = { connect: async () => ({ query, release() {} }) };
+  const current = { id: 9, client_id: "*", mode: "quick_boost", locale: "fr" };
+
+  const out = await publishTemplate(db, { current, weight: 20 });
+  assert.deepEqual(out.archived, ["7"]);
+  assert.equal(out.template.weight, 20);
+
+  calls.length = 0;
+  const ab = await publishTemplate(db, { current, keepOthers: true });
+  assert.deepEqual(ab.archived, []);
+  assert.deepEqual(calls, ["BEGIN", "UPDATE c360_prompt_templates", "COMMIT"]);
+});
@@ -0,0 +1,40 @@
+// Mock provider + fixtures: the offline path used to run create -> worker -> result in CI.
+const test = require("node:test");
+const assert = require("node:assert/strict");
+
+const { getProvider, resolveProvider, isProviderAllowed } = require("../providers");
+const { validateSchema } = require("../schema_validator");
+const { QUICK_BOOST_SCHEMA, FULL_CONTENT_SCHEMA, ECOM_CATALOG_SCHEMA } = require("../schemas");
+
+test("mock provider is only allowed with LLM_ALLOW_MOCK=1", () => {
+  const prev = process.env.LLM_ALLOW_MOCK;
+  delete process.env.LLM_ALLOW_MOCK;
+  assert.equal(isProviderAllowed("mock"), false);
+  assert.throws(() => getProvider("mock"), { code: "llm_provider_not_allowed" });
+  process.env.LLM_ALLOW_MOCK = "1";
+  assert.equal(isProviderAllowed("mock"), true);
+  if (prev === undefined) delete process.env.LLM_ALLOW_MOCK;
+  else process.env.LLM_ALLOW_MOCK = prev;
+});
+
+test("unknown providers are rejected", () => {
+  assert.equal(isProviderAllowed("nope"), false);
+  assert.throws(() => getProvider("nope"), { code: "unknown_llm_provider" });
+});
+
+test("resolveProvider prefers the job, then the client, then the default", () => {
+  assert.equal(resolveProvider({ requested: "openai_chat", clientDefault: "openai_responses" }).provider.name, "openai_chat");
+  assert.equal(resolveProvider({ clientDefault: "openai_chat", model: "llama3" }).model, "llama3");
+  assert.equal(resolveProvider({}).provider.name, process.env.LLM_PROVIDER || "openai_responses");
+});
+
+for (const S of [QUICK_BOOST_SCHEMA, FULL_CONTENT_SCHEMA, ECOM_CATALOG_SCHEMA]) {
+  test(`mock fixture for ${S.schema.properties.mode.const} is schema-valid with usage`, async () => {
+    process.env.LLM_ALLOW_MOCK = "1";
+    const r = await getProvider("mock").generateJSON({ prompt: "x".repeat(400), schema: S.schema });
+    assert.deepEqual(validateSchema(S.schema, r.data).errors || [], []);
+    assert.equal(r.provider, "mock");
+    assert.equal(r.usage.prompt_tokens, 100);
+    assert.equal(r.usage.total_tokens, r.usage.prompt_tokens + r.usage.completion_tokens);
+  });
+}
@@ -0,0 +1,142 @@
+// Rate limits: plan limits + overrides, token bucket headers/429, running-job slots.
+const test = require("node:test");
+const assert = require("node:assert/strict");
+
+const { PLAN_LIMITS, resolveLimits, createLimitsStore, takeToken, createRateLimiter, createRunningSlots } = require("../rate_limits");
+
+// In-memory stand-in for the two Lua scripts (same arithmetic).
+function fakeRedis() {
+  const hashes = new Map();
+  const zsets = new Map();
+  return {
+    hashes,
+    zsets,
+    eval: async (script, _n, key, ...argv) => {
+      if (script.includes("HMGET")) {
+        const [rate, burst, now, cost] = argv.map(Number);
+        const s = hashes.get(key) || { tokens: burst, ts: now };
+        let tokens = Math.min(burst, s.tokens + Math.max(0, now - s.ts) * rate);
+        let allowed = 0;
+        if (tokens >= cost) {
+          tokens -= cost;
+          allowed = 1;
+        }
+        hashes.set(key, { tokens, ts: now });
+        return [allowed, String(tokens)];
+      }
+      const [member, cap, now, lease] = [argv[0], Number(argv[1]), Number(argv[2]), Number(argv[3])];
+      const z = zsets.get(key) || new Map();
+      for (const [m, exp] of z) if (exp <= now) z.delete(m);
+      zsets.set(key, z);
+      if (z.has(member) || z.size < cap) {
+        z.set(member, now + lease);
+        return 1;
+      }
+      return 0;
+    },
+    zrem: async (key, member) => zsets.get(key)?.delete(member),
+  };
+}
+
+function fakeRes() {
+  return {
+    headers: {},
+    statusCode: 200,
+    body: null,
+    setHeader(k, v) { this.headers[k] = v; },
+    status(c) { this.statusCode = c; return this; },
+    json(b) { this.body = b; return this; },
+  };
+}
+
+test("plan limits with per-client overrides", () => {
+  const pro = resolveLimits("pro", { jobs_create: { per_min: 10 }, max_running_jobs: 1 });
+  assert.deepEqual(pro.jobs_create, { per_min: 10, burst: PLAN_LIMITS.pro.jobs_create.burst });
+  assert.equal(pro.max_running_jobs, 1);
+  assert.deepEqual(pro.jobs_read, PLAN_LIMITS.pro.jobs_read);
+
+  const unknown = resolveLimits("gold", { jobs_read: { burst: -3 }, max_running_jobs: "x" });
+  assert.equal(unknown.plan, "starter");
+  assert.deepEqual(unknown.jobs_read, PLAN_LIMITS.starter.jobs_read);
+  assert.equal(unknown.max_running_jobs, PLAN_LIMITS.starter.max_running_jobs);
+});
+
+test("limits are read from c360_site_settings and cached", async () => {
+  let calls = 0;
+  const db = { query: async () => (calls++, { rows: [{ plan_code: "business", rate_limits: { max_running_jobs: 3 } }] }) };
+  const getLimits = createLimitsStore(db, { ttlMs: 60000 });
+  assert.equal((await getLimits("c1")).max_running_jobs, 3);
+  assert.equal((await getLimits("c1")).plan, "business");
+  assert.equal(calls, 1);
+});
+
+test("the bucket allows a burst, then refills at the per-minute rate", async () => {
+  const redis = fakeRedis();
+  const opts = { clientId: "c1", routeClass: "jobs_create", per_min: 60, burst: 3, now: 0 };
+  for (let i = 0; i < 3; i++) assert.equal((await takeToken(redis, opts)).allowed, true);
+  const denied = await takeToken(redis, opts);
+  assert.deepEqual(denied, { allowed: false, limit: 3, remaining: 0, retry_after_s: 1, reset_s: 3 });
+  assert.equal((await takeToken(redis, { ...opts, now: 1000 })).allowed, true);
+  // Buckets are per client and per route class.
+  assert.equal((await takeToken(redis, { ...opts, routeClass: "jobs_read" })).allowed, true);
+  assert.equal((await takeToken(redis, { ...opts, clientId: "c2" })).allowed, true);
+});
+
+test("middleware: X-RateLimit-* headers, 429 with Retry-After, fails open", async () => {
+  const redis = fakeRedis();
+  const getLimits = async () => resolveLimits("starter", { jobs_create: { per_min: 6, burst: 1 } });
+  const rateLimit = createRateLimiter({ redis, getLimits })("jobs_create");
+  const req = { client: { id: "c1" } };
+
+  let nexts = 0;
+  const ok = fakeRes();
+  await rateLimit(req, ok, () => nexts++);
+  assert.equal(nexts, 1);
+  assert.deepEqual(ok.headers, { "X-RateLimit-Limit": "1", "X-RateLimit-Remaining": "0", "X-RateLimit-Reset": "10" });
+
+  const limited = fakeRes();
+  await rateLimit(req, limited, () => nexts++);
+  assert.equal(nexts, 1);
+  assert.equal(limited.statusCode, 429);
+  assert.equal(limited.headers["Retry-After"], "10");
+  assert.deepEqual(limited.body, { ok: false, error: "rate_limited", route_class: "jobs_create", retry_after_s: 10 });
+
+  const down = createRateLimiter({ redis: { eval: async () => { throw new Error("down"); } }, getLimits })("jobs_create");
+  await down(req, fakeRes(), () => nexts++);
+  assert.equal(nexts, 2);
+});
+
+test("running slots: capped per client, refreshable, released, leases expire", async () => {
+  const redis = fakeRedis();
+  const slots = createRunningSlots(redis, { leaseMs: 1000 });
+  assert.equal(await slots.acquire("c1", "j1", 2, 0), true);
+  assert.equal(await slots.acquire("c1", "j2", 2, 0), true);
+  assert.equal(await slots.acquire("c1", "j3", 2, 0), false);
+  assert.equal(await slots.acquire("c2", "j4", 2, 0), true);
+  assert.equal(await slots.acquire("c1", "j1", 2, 500), true);
+
+  await slots.release("c1", "j2");
+  assert.equal(await slots.acquire("c1", "j3", 2, 600), true);
+  // j1 was refreshed at 500 (until 1500), j3 holds until 1600: j5 waits until j1's lease ends.
+  assert.equal(await slots.acquire("c1", "j5", 2, 1400), false);
+  assert.equal(await slots.acquire("c1", "j5", 2, 1500), true);
+});
+
+test("a Redis that rejects or never answers lets requests and jobs through", async () => {
+  const getLimits = async () => resolveLimits("starter");
+  const req = { client: { id: "c1" } };
+  const hung = { eval: () => new Promise(() => {}), zrem: () => new Promise(() => {}) };
+  const rejecting = { eval: async () => { throw new Error("Stream isn't writeable"); }, zrem: async () => { throw new Error("down"); } };
+
+  for (const redis of [hung, rejecting]) {
+    let nexts = 0;
+    const res = fakeRes();
+    await createRateLimiter({ redis, getLimits, timeoutMs: 20 })("default")(req, res, () => nexts++);
+    assert.equal(nexts, 1);
+    assert.equal(res.statusCode, 200);
+
+    const slots = createRunningSlots(redis, { timeoutMs: 20 });
+    assert.equal(await slots.acquire("c1", "j1", 1), true);
+    await slots.release("c1", "j1");
+  }
+});
@@ -0,0 +1,191 @@
+// Single-field regeneration: path parsing, sub-schemas, merge into a new revision, failures.
+const test = require("node:test");
+const assert = require("node:assert/strict");
+
+const {
+  parseResultPath,
+  subSchemaForPath,
+  setAtPath,
+  validateRegenerateInput,
+  createRegeneration,
+  runRegeneration,
+} = require("../regenerate");
+const { SCHEMA_BY_MODE, resolveResultItem, recordRevision } = require("../reviews");
+const { validateSchema } = require("../schema_validator");
+const mock = require("../providers/mock");
+const { GENERATED, reviewStore, poolOf } = require("./helpers/fake_pools");
+
+const NEW_TITLE = "Chaussures de randonnée imperméables pour la montagne";
+
+// reviews.js + regenerate.js (parent "p1", child "c1" = item 0).
+function fakePool() {
+  const store = reviewStore();
+  const regenerations = [];
+  const queued = [];
+  const query = (sql, a) => {
+    if (/INSERT INTO c360_regenerations/.test(sql)) {
+      const row = {
+        id: regenerations.length + 1, client_id: a[0], job_id: a[1], item_index: a[2], holder_job_id: a[3], result_index: a[4],
+        path: a[5], guidance: a[6], status: "queued", created_by: a[7], base_revision: null, revision: null, aej_used: 0, error_text: null,
+      };
+      regenerations.push(row);
+      return { rows: [{ ...row }] };
+    }
+    if (/SELECT \* FROM c360_regenerations/.test(sql)) return { rows: regenerations.filter((r) => String(r.id) === a[0]).map((r) => ({ ...r })) };
+    if (/UPDATE c360_regenerations SET/.test(sql)) {
+      const row = regenerations.find((r) => String(r.id) === a[0]);
+      const keys = [...sql.matchAll(/(\w+)=\$(\d+)/g)].filter((m) => m[1] !== "id");
+      for (const [, k, n] of keys) row[k] = a[Number(n) - 1];
+      return { rows: [] };
+    }
+    return undefined;
+  };
+  return poolOf([store.query, query], Object.assign(store, { regenerations, queued }));
+}
+
+const fakeQueue = (pool) => ({ add: async (name, data, opts) => pool.queued.push({ name, data, opts }) });
+
+async function queue(pool, body) {
+  const item = await resolveResultItem(pool, { jobId: "p1", clientId: "cl1", index: 0 });
+  return createRegeneration(pool, fakeQueue(pool), { item, clientId: "cl1", body, actor: "k1" });
+}
+
+test("paths: parsing and sub-schemas", () => {
+  assert.deepEqual(parseResultPath("seo.focus_keyword"), ["seo", "focus_keyword"]);
+  assert.deepEqual(parseResultPath("faq[2].a"), ["faq", 2, "a"]);
+  assert.deepEqual(parseResultPath("h2[0]"), ["h2", 0]);
+  for (const bad of ["", ".title", "title.", "faq[]", "faq[-1]", "[0]", "seo..tags", "faq[1]a", "a b"]) {
+    assert.equal(parseResultPath(bad), null, bad);
+  }
+
+  const schema = SCHEMA_BY_MODE.quick_boost;
+  assert.equal(subSchemaForPath(schema, ["faq", 1, "q"]).maxLength, 120);
+  assert.equal(subSchemaForPath(schema, ["faq", 9]), null); // maxItems 4
+  assert.equal(subSchemaForPath(schema, ["seo", "unknown"]), null);
+
+  assert.deepEqual(validateRegenerateInput({ path: " faq[1].q ", guidance: "  plus court " }, "quick_boost"), {
+    ok: true, path: "faq[1].q", segments: ["faq", 1, "q"], guidance: "plus court",
+  });
+  assert.equal(validateRegenerateInput({ path: "mode" }, "quick_boost").ok, false);
+  assert.equal(validateRegenerateInput({ path: "title", extra: 1 }, "quick_boost").ok, false);
+  assert.equal(validateRegenerateInput({ path: "title", guidance: "x".repeat(1001) }, "quick_boost").ok, false);
+
+  const out = setAtPath(GENERATED, ["title"], NEW_TITLE);
+  assert.equal(out.title, NEW_TITLE);
+  assert.notEqual(GENERATED.title, NEW_TITLE);
+  // Array entries are replaced, never appended or left as holes.
+  assert.equal(setAtPath(GENERATED, ["faq", 1, "a"], "Réponse").faq[1].a, "Réponse");
+  assert.throws(() => setAtPath(GENERATED, ["faq", 2], { q: "Q", a: "A" }), { code: "path_not_found" });
+  assert.throws(() => setAtPath(GENERATED, ["faq", 3], { q: "Q", a: "A" }), { code: "path_not_found" });
+});
+
+test("regenerated field is merged into the latest revision as a new revision", async () => {
+  const pool = fakePool();
+  const row = await queue(pool, { path: "title", guidance: "mentionner la montagne" });
+  assert.equal(row.status, "queued");
+  assert.equal(pool.queued[0].name, "regenerate");
+  assert.equal(pool.queued[0].opts.jobId, "regen_1");
+
+  const calls = [];
+  const generate = async (args) => {
+    calls.push(args);
+    return { data: { value: NEW_TITLE }, usage: { aej: 1.5 } };
+  };
+  const out = await runRegeneration({ db: pool, regenerationId: "1", generate });
+  assert.equal(out.done, true);
+  assert.equal(out.revision, 2);
+  assert.equal(out.job_id, "p1");
+
+  assert.equal(calls[0].stage, "regenerate:1");
+  assert.equal(calls[0].jobId, "c1");
+  assert.deepEqual(calls[0].schema.required, ["value"]);
+  // "title" is plain text: the worker only sanitises *_html values before the schema check.
+  assert.equal(calls[0].html_value, false);
+  assert.match(calls[0].prompt, /mentionner la montagne/);
+
+  // Every other field is kept; the generated output stays untouched as revision 1.
+  const rev = pool.revisions.find((r) => r.revision === 2);
+  assert.equal(rev.source, "regenerate");
+  assert.deepEqual(rev.output, { ...GENERATED, title: NEW_TITLE });
+  assert.equal(pool.revisions[0].output, GENERATED);
+  assert.deepEqual(pool.reviews.get("c1:0"), { job_id: "c1", result_index: 0, status: "ready_to_review", current_revision: 2, approved_revision: null });
+  assert.deepEqual(pool.decisions.map((d) => [d.decision_type, d.revision]), [["regenerated", 2]]);
+  assert.deepEqual(
+    [pool.regenerations[0].status, pool.regenerations[0].base_revision, pool.regenerations[0].revision, pool.regenerations[0].aej_used],
+    ["done", 1, 2, 1.5]
+  );
+
+  // Already processed: a duplicate delivery does nothing.
+  assert.deepEqual(await runRegeneration({ db: pool, regenerationId: "1", generate }), { skipped: "status_done" });
+});
+
+test("invalid requests and failed generations leave the result unchanged", async () => {
+  const pool = fakePool();
+  await assert.rejects(queue(pool, { path: "seo.nope" }), { code: "invalid_regenerate_request", status: 400 });
+  // GENERATED has 2 FAQ entries: one past the end, out of range, or inside either.
+  for (const path of ["faq[2]", "faq[2].a", "faq[3]", "faq[3].a"]) {
+    await assert.rejects(queue(pool, { path }), { code: "path_not_found", status: 409 }, path);
+  }
+  assert.equal(pool.queued.length, 0);
+
+  await queue(pool, { path: "seo.focus_keyword" });
+  const failing = async () => {
+    throw Object.assign(new Error("schema_invalid_after_repair"), { usage: { aej: 0.4 } });
+  };
+  const out = await runRegeneration({ db: pool, regenerationId: "1", generate: failing });
+  assert.equal(out.done, false);
+  assert.equal(out.error, "schema_invalid_after_repair");
+  assert.deepEqual([pool.regenerations[0].status, pool.regenerations[0].aej_used], ["error", 0.4]);
+  assert.equal(pool.revisions.length, 0);
+  assert.equal(pool.decisions.length, 0);
+});
+
+test("the path is checked against the current revision, not the generated output", async () => {
+  const pool = fakePool();
+  assert.equal(GENERATED.faq.length, 2);
+  await assert.rejects(queue(pool, { path: "faq[2].a" }), { code: "path_not_found" });
+
+  // An edit adds a 3rd FAQ entry: it can now be regenerated.
+  const item = await resolveResultItem(pool, { jobId: "p1", clientId: "cl1", index: 0 });
+  const extra = { q: "Sont-elles lavables en machine ?", a: "Non, un nettoyage à la brosse et à l'eau claire suffit." };
+  await recordRevision(pool, item, { build: (o) => ({ ...o, faq: [...o.faq, extra] }), source: "edit", decision_type: "edited" });
+  const row = await queue(pool, { path: "faq[2].a" });
+  assert.equal(row.path, "faq[2].a");
+
+  // Another edit drops it again: refused before anything is queued.
+  await recordRevision(pool, item, { build: (o) => ({ ...o, faq: o.faq.slice(0, 2) }), source: "edit", decision_type: "edited" });
+  await assert.rejects(queue(pool, { path: "faq[2].a" }), { code: "path_not_found", status: 409 });
+  assert.equal(pool.queued.length, 1);
+
+  // The one queued before that edit is checked again when it runs: no LLM call, no revision.
+  let calls = 0;
+  const out = await runRegeneration({ db: pool, regenerationId: String(row.id), generate: async () => (calls++, {}) });
+  assert.deepEqual([out.done, out.error, calls], [false, "path_not_found", 0]);
+  assert.equal(pool.revisions.length, 3);
+});
+
+test("regenerations run through the mock provider: a schema-valid value without a fixture", async () => {
+  const pool = fakePool();
+  // What the worker's generate does with the mock: call it, then check the answer against `sub`.
+  const generate = async ({ prompt, schema }) => {
+    const r = await mock.generateJSON({ prompt, schema });
+    assert.deepEqual(validateSchema(schema, r.data), { ok: true });
+    return { data: r.data, usage: { aej: 1 } };
+  };
+
+  let revision = 1;
+  for (const [i, path] of ["title", "faq[1]", "seo.tags"].entries()) {
+    await queue(pool, { path });
+    const out = await runRegeneration({ db: pool, regenerationId: String(i + 1), generate });
+    assert.equal(out.done, true, path);
+    assert.equal(out.revision, ++revision, path);
+  }
+
+  const output = pool.revisions.at(-1).output;
+  assert.match(output.title, /^mock( mock)*/);
+  assert.ok(output.title.length >= SCHEMA_BY_MODE.quick_boost.properties.title.minLength);
+  assert.deepEqual(Object.keys(output.faq[1]), ["q", "a"]);
+  assert.deepEqual(output.faq[0], GENERATED.faq[0]);
+  assert.deepEqual(output.seo.tags, []); // no minItems: the smallest valid array
+  assert.deepEqual(validateSchema(SCHEMA_BY_MODE.quick_boost, output), { ok: true });
+});
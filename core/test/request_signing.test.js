@@ -0,0 +1,133 @@
+// authV1 signatures: v2 (method, path, query, timestamp, nonce) and the deprecated body-only scheme.
+const test = require("node:test");
+const assert = require("node:assert/strict");
+const crypto = require("node:crypto");
+
+const { canonicalQuery, signV2, verifyRequestSignature, safeEqualHex } = require("../request_signing");
+
+const client = { id: "c1", api_secret: "cs_secret", legacy_signing: false };
+const NOW = 1_760_000_000_000;
+
+function fakeRedis() {
+  const keys = new Map();
+  return {
+    keys,
+    set: async (k, v, ...opts) => {
+      if (opts.includes("NX") && keys.has(k)) return null;
+      keys.set(k, v);
+      return "OK";
+    },
+  };
+}
+
+function req({ method = "GET", url, body = "", headers }) {
+  return {
+    method,
+    originalUrl: url,
+    rawBody: body ? Buffer.from(body) : undefined,
+    headers: { "x-c360-key": "ck_1", ...headers },
+  };
+}
+
+function signed({ method = "GET", url, body = "", timestamp = NOW / 1000, nonce } = {}) {
+  const headers = signV2({ secret: client.api_secret, method, url, body, timestamp, nonce });
+  return req({ method, url, body, headers });
+}
+
+test("a v2 signature is accepted once, then the nonce is rejected", async () => {
+  const redis = fakeRedis();
+  const r = signed({ method: "POST", url: "/v1/jobs/create", body: '{"mode":"quick_boost"}' });
+  assert.deepEqual(await verifyRequestSignature(r, client, { redis, now: NOW }), { ok: true, scheme: "v2", secret_index: 0 });
+  assert.deepEqual(await verifyRequestSignature(r, client, { redis, now: NOW }), { ok: false, status: 401, error: "nonce_reused" });
+  assert.equal(redis.keys.size, 1);
+});
+
+test("method, path, query and body are covered", async () => {
+  const redis = fakeRedis();
+  const base = signed({ url: "/v1/admin/jobs?status=error&limit=5" });
+
+  const tampered = [
+    { ...base, method: "DELETE" },
+    { ...base, originalUrl: "/v1/admin/jobs?status=done&limit=5" },
+    { ...base, originalUrl: "/v1/admin/clients?status=error&limit=5" },
+    { ...base, rawBody: Buffer.from("{}") },
+  ];
+  for (const r of tampered) {
+    assert.equal((await verifyRequestSignature(r, client, { redis, now: NOW })).error, "bad_signature");
+  }
+  // Query parameter order does not matter.
+  const reordered = { ...base, originalUrl: "/v1/admin/jobs?limit=5&status=error" };
+  assert.equal((await verifyRequestSignature(reordered, client, { redis, now: NOW })).ok, true);
+});
+
+test("timestamps outside the tolerance window are rejected", async () => {
+  const redis = fakeRedis();
+  const old = signed({ url: "/v1/billing/me", timestamp: NOW / 1000 - 301 });
+  assert.equal((await verifyRequestSignature(old, client, { redis, now: NOW })).error, "timestamp_out_of_window");
+  const future = signed({ url: "/v1/billing/me", timestamp: NOW / 1000 + 301 });
+  assert.equal((await verifyRequestSignature(future, client, { redis, now: NOW })).error, "timestamp_out_of_window");
+  const bad = signed({ url: "/v1/billing/me", nonce: "short" });
+  assert.equal((await verifyRequestSignature(bad, client, { redis, now: NOW })).error, "invalid_nonce");
+  assert.equal(redis.keys.size, 0);
+});
+
+test("legacy body-only signatures need the per-client flag", async () => {
+  const redis = fakeRedis();
+  const body = '{"mode":"quick_boost"}';
+  const sign = crypto.createHmac("sha256", client.api_secret).update(body).digest("hex");
+  const r = req({ method: "POST", url: "/v1/jobs/create", body, headers: { "x-c360-sign": sign } });
+
+  assert.deepEqual(await verifyRequestSignature(r, client, { redis, now: NOW }), { ok: false, status: 401, error: "signature_v2_required" });
+  const legacy = { ...client, legacy_signing: true };
+  assert.deepEqual(await verifyRequestSignature(r, legacy, { redis, now: NOW }), { ok: true, scheme: "legacy", secret_index: 0 });
+  r.headers["x-c360-sign"] = sign.replace(/.$/, (c) => (c === "0" ? "1" : "0"));
+  assert.equal((await verifyRequestSignature(r, legacy, { redis, now: NOW })).error, "bad_signature");
+});
+
+test("a rotated secret still verifies during its grace period", async () => {
+  const redis = fakeRedis();
+  const r = signed({ url: "/v1/jobs/1/status" });
+  const rotated = { ...client, secrets: ["cs_new", client.api_secret] };
+  assert.deepEqual(await verifyRequestSignature(r, rotated, { redis, now: NOW }), { ok: true, scheme: "v2", secret_index: 1 });
+  const expired = { ...client, secrets: ["cs_new"] };
+  assert.equal((await verifyRequestSignature(signed({ url: "/v1/jobs/1/status" }), expired, { redis, now: NOW })).error, "bad_signature");
+});
+
+test("nonce store failures fail closed", async () => {
+  const redis = { set: async () => { throw new Error("down"); } };
+  const r = signed({ url: "/v1/billing/me" });
+  assert.deepEqual(await verifyRequestSignature(r, client, { redis, now: NOW }), { ok: false, status: 503, error: "nonce_store_unavailable" });
+
+  const hung = { set: () => new Promise(() => {}) };
+  const r2 = signed({ url: "/v1/billing/me" });
+  assert.deepEqual(await verifyRequestSignature(r2, client, { redis: hung, now: NOW, nonceTimeoutMs: 20 }), { ok: false, status: 503, error: "nonce_store_unavailable" });
+});
+
+test("with Redis unreachable, the shared client rejects at once and the request gets a 503", async () => {
+  const saved = { REDIS_URL: process.env.REDIS_URL, REDIS_HOST: process.env.REDIS_HOST, REDIS_PORT: process.env.REDIS_PORT };
+  delete process.env.REDIS_URL;
+  Object.assign(process.env, { REDIS_HOST: "127.0.0.1", REDIS_PORT: "1" });
+  const warn = console.warn;
+  const error = console.error;
+  console.warn = console.error = () => {};
+  const { sharedRedis } = require("../queue");
+  const redis = sharedRedis();
+  try {
+    const started = Date.now();
+    const r = signed({ url: "/v1/billing/me" });
+    assert.deepEqual(await verifyRequestSignature(r, client, { redis, now: NOW, nonceTimeoutMs: 5000 }), { ok: false, status: 503, error: "nonce_store_unavailable" });
+    assert.ok(Date.now() - started < 1000);
+  } finally {
+    redis.disconnect();
+    console.warn = warn;
+    console.error = error;
+    for (const [k, v] of Object.entries(saved)) if (v === undefined) delete process.env[k]; else process.env[k] = v;
+  }
+});
+
+test("helpers", () => {
+  assert.equal(canonicalQuery("?b=2&a=1&a=0&c=x y"), "a=0&a=1&b=2&c=x%20y");
+  assert.equal(safeEqualHex("abcd", "ABCD"), true);
+  assert.equal(safeEqualHex("abcd", "abc"), false);
+  assert.equal(safeEqualHex("abcd", "not-hex"), false);
+});
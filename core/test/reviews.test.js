@@ -0,0 +1,80 @@
+// Review workflow: transitions, revisions (never overwrites), decision log rows, result view.
+const test = require("node:test");
+const assert = require("node:assert/strict");
+
+const { nextReviewState, applyReviewAction, fetchReviews } = require("../reviews");
+const { GENERATED, reviewStore, poolOf } = require("./helpers/fake_pools");
+
+// Parent job "p1" with child "c1" = item 0.
+function fakePool() {
+  const store = reviewStore();
+  return poolOf([store.query], store);
+}
+
+const call = (pool, action, body = {}, index = 0) => applyReviewAction(pool, { jobId: "p1", clientId: "cl1", index, action, body, actor: "k1" });
+
+test("transitions", () => {
+  const fresh = { status: "ready_to_review", current_revision: 1, approved_revision: null };
+  const approved = nextReviewState(fresh, "approve");
+  assert.deepEqual(approved, { status: "approved", current_revision: 1, approved_revision: 1 });
+  assert.throws(() => nextReviewState(approved, "approve"), { code: "invalid_transition" });
+  const rejected = nextReviewState(approved, "reject");
+  assert.deepEqual(rejected, { status: "rejected", current_revision: 1, approved_revision: null });
+  assert.throws(() => nextReviewState(rejected, "reject"), { code: "invalid_transition" });
+  assert.deepEqual(nextReviewState(approved, "edit", { revision: 2 }), { status: "ready_to_review", current_revision: 2, approved_revision: 1 });
+});
+
+test("approve, edit, approve: revisions are added, decisions logged per transition", async () => {
+  const pool = fakePool();
+  assert.deepEqual((await call(pool, "approve", { note: "ok" })).review, { status: "approved", current_revision: 1, approved_revision: 1 });
+
+  const edited = structuredClone(GENERATED);
+  edited.title = "Chaussures de randonnée imperméables et légères";
+  const out = await call(pool, "edit", { output: edited, note: "titre" });
+  assert.deepEqual(out.review, { status: "ready_to_review", current_revision: 2, approved_revision: 1 });
+  await call(pool, "approve");
+
+  // The generated output is kept as revision 1; the job's result_json is untouched.
+  assert.deepEqual(pool.revisions.map((r) => [r.revision, r.source]), [[1, "generated"], [2, "edit"]]);
+  assert.equal(pool.revisions[0].output, GENERATED);
+  assert.equal(pool.jobs[1].result_json.results[0].exec, GENERATED);
+  assert.deepEqual(
+    pool.decisions.map((d) => [d.job_id, d.decision_type, d.revision, d.result_index]),
+    [["c1", "approved", 1, 0], ["c1", "edited", 2, 0], ["c1", "approved", 2, 0]]
+  );
+  assert.equal(pool.decisions[0].decision_reason, "ok");
+});
+
+test("invalid requests are refused without changes", async () => {
+  const pool = fakePool();
+  await assert.rejects(call(pool, "edit", { output: { title: "x" } }), { code: "schema_invalid", status: 400 });
+  await assert.rejects(call(pool, "edit", {}), { code: "output_required" });
+  await assert.rejects(call(pool, "approve", { revision: 3 }), { code: "invalid_revision" });
+  await assert.rejects(call(pool, "approve", {}, 5), { code: "item_not_found", status: 404 });
+  await assert.rejects(applyReviewAction(pool, { jobId: "p1", clientId: "other", index: 0, action: "approve" }), { code: "job_not_found" });
+  pool.jobs[1].status = "running";
+  await assert.rejects(call(pool, "approve"), { code: "result_not_ready", status: 409 });
+  assert.equal(pool.revisions.length, 1);
+  assert.equal(pool.decisions.length, 0);
+});
+
+test("result view: approved revision and history; unreviewed items show revision 1", async () => {
+  const pool = fakePool();
+  const edited = { ...structuredClone(GENERATED), title: "Chaussures de randonnée imperméables et légères" };
+  await call(pool, "edit", { output: edited, approve: true });
+
+  const reviews = await fetchReviews(pool, [
+    { job_id: "c1", result_index: 0, exec: GENERATED },
+    { job_id: "c2", result_index: 0, exec: { title: "other" } },
+  ]);
+  const r = reviews.get("c1:0");
+  assert.equal(r.status, "approved");
+  assert.deepEqual(r.approved, { revision: 2, source: "edit", output: edited });
+  assert.equal(r.history.length, 2);
+  assert.deepEqual(r.transitions.map((t) => t.decision_type), ["edited", "approved"]);
+
+  const none = reviews.get("c2:0");
+  assert.equal(none.status, "ready_to_review");
+  assert.equal(none.approved, null);
+  assert.deepEqual(none.history.map((h) => [h.revision, h.source]), [[1, "generated"]]);
+});
@@ -0,0 +1,138 @@
+// Scheduled jobs: input validation, next-run preview, ticks (job created, quota pause, re-delivery).
+const test = require("node:test");
+const assert = require("node:assert/strict");
+
+const { nextRuns, cronError, validateScheduleInput, publicSchedule, runScheduleTick } = require("../schedules");
+const { createJobStore, poolOf } = require("./helpers/fake_pools");
+
+const ITEM = { entity_type: "page", entity_id: "42", lang: "fr", source_title: "Chaussures de randonnée", source_excerpt: "Des chaussures solides pour la montagne." };
+
+// schedules.js + job_create.js; job "77" is an item source.
+function fakePool({ quota = 500, consumed = 0 } = {}) {
+  const schedules = [
+    { id: 1, client_id: "cl1", name: "Mensuel", cron: "0 6 1 * *", timezone: "Europe/Paris", mode: "quick_boost", items: [ITEM, ITEM], item_source: null, llm_provider: null, status: "active", runs_count: 0 },
+    { id: 2, client_id: "cl1", name: "Source", cron: "0 6 * * 1", timezone: "UTC", mode: "quick_boost", items: null, item_source: { type: "job", job_id: "77" }, llm_provider: null, status: "active", runs_count: 0 },
+  ];
+  const store = createJobStore({ jobs: [{ id: "77", client_id: "cl1", parent_id: null, request_json: { mode: "quick_boost", items: [ITEM] } }], quota, consumed, firstId: 100 });
+  const { jobs } = store;
+  const runs = new Map();
+  const query = (sql, a) => {
+    if (/SELECT \* FROM c360_job_schedules/.test(sql)) return { rows: schedules.filter((s) => String(s.id) === a[0]).map((s) => ({ ...s })) };
+    if (/SELECT request_json FROM c360_jobs/.test(sql)) return { rows: jobs.filter((j) => j.id === a[0] && j.client_id === a[1]) };
+    if (/INSERT INTO c360_schedule_runs/.test(sql)) {
+      runs.set(`${a[0]}:${a[2].getTime()}`, { schedule_id: a[0], status: a[3], job_id: a[4], aej_estimated: a[5], error_text: a[6] });
+      return { rows: [] };
+    }
+    if (/UPDATE c360_job_schedules SET status='paused'/.test(sql)) {
+      Object.assign(schedules.find((s) => String(s.id) === a[0]), { status: "paused", paused_reason: "quota_exceeded" });
+      return { rows: [] };
+    }
+    if (/UPDATE c360_job_schedules SET runs_count/.test(sql)) {
+      const s = schedules.find((x) => String(x.id) === a[0]);
+      Object.assign(s, { runs_count: s.runs_count + 1, last_run_at: a[1], last_job_id: a[2] });
+      return { rows: [] };
+    }
+    return undefined;
+  };
+  return poolOf([query, store.query], { schedules, jobs, runs, holds: store.holds });
+}
+
+function fakeDeps() {
+  const added = [];
+  const removed = [];
+  const events = [];
+  return {
+    added,
+    removed,
+    events,
+    queue: { add: async (name, data, opts) => added.push({ name, data, opts }), removeJobScheduler: async (id) => removed.push(id) },
+    redis: { eval: async () => [1, 0] },
+    logJobEvent: async (e) => events.push(e),
+  };
+}
+
+const AT = Date.UTC(2026, 10, 1, 5, 0, 0);
+
+test("cron validation and next runs in the schedule's timezone", () => {
+  const runs = nextRuns("0 6 1 * *", "Europe/Paris", 2, new Date("2026-10-19T00:00:00Z")).map((d) => d.toISOString());
+  assert.deepEqual(runs, ["2026-11-01T05:00:00.000Z", "2026-12-01T05:00:00.000Z"]);
+
+  assert.equal(cronError("0 6 1 * *", "UTC"), null);
+  assert.match(cronError("*/5 * * * *", "UTC"), /more often/);
+  assert.match(cronError("0 0 6 1 * *", "UTC"), /5 fields/);
+  assert.match(cronError("61 * * * *", "UTC"), /invalid cron/);
+
+  const row = { id: 3, client_id: "cl1", created_by: "k1", cron: "0 6 * * 1", timezone: "UTC", status: "paused", last_job_id: null };
+  assert.deepEqual(publicSchedule(row).next_runs, []);
+  assert.equal(publicSchedule({ ...row, status: "active" }, { preview: 3 }).next_runs.length, 3);
+  assert.equal(publicSchedule(row).client_id, undefined);
+});
+
+test("schedule input: items or item_source, same item rules as /v1/jobs/create", () => {
+  const ok = validateScheduleInput({ name: "Mensuel", cron: "0  6 1 * *", timezone: "Europe/Paris", mode: "quick_boost", items: [ITEM] });
+  assert.equal(ok.ok, true);
+  assert.equal(ok.value.cron, "0 6 1 * *");
+
+  const src = validateScheduleInput({ name: "S", cron: "0 6 * * 1", mode: "full_content", item_source: { type: "job", job_id: 77 } });
+  assert.deepEqual([src.ok, src.value.timezone, src.value.item_source], [true, "UTC", { type: "job", job_id: "77" }]);
+
+  const bad = validateScheduleInput({ name: "", cron: "* * * * *", timezone: "Mars/Base", mode: "nope", items: [{ entity_type: "page" }], extra: 1 });
+  assert.equal(bad.ok, false);
+  for (const re of [/unexpected field: extra/, /name required/, /invalid timezone/, /invalid mode/, /items\[0\]/]) {
+    assert.ok(bad.errors.some((e) => re.test(e)), String(re));
+  }
+  assert.equal(validateScheduleInput({ name: "x", cron: "0 6 * * 1", mode: "quick_boost", items: [ITEM], item_source: { type: "job", job_id: "1" } }).ok, false);
+
+  // PATCH: only given fields; the cron is re-checked against a new timezone.
+  const current = { cron: "0 6 * * 1", timezone: "UTC", mode: "quick_boost", items: [ITEM], item_source: null, llm_provider: null };
+  assert.deepEqual(validateScheduleInput({ status: "paused" }, { partial: true, current }), { ok: true, value: { status: "paused" } });
+  assert.deepEqual(validateScheduleInput({ timezone: "Europe/Zurich" }, { partial: true, current }).value, { timezone: "Europe/Zurich" });
+  const toSource = validateScheduleInput({ item_source: { type: "job", job_id: "9" } }, { partial: true, current });
+  assert.deepEqual([toSource.value.items, toSource.value.item_source.job_id], [null, "9"]);
+});
+
+test("tick creates a normal job once; re-delivery returns the same job", async () => {
+  const pool = fakePool();
+  const deps = fakeDeps();
+  const out = await runScheduleTick(pool, deps, { scheduleId: "1", scheduledFor: AT });
+  assert.equal(out.status, "created");
+
+  // Parent + one child per item, each child holds its estimate and is enqueued.
+  assert.deepEqual(deps.added.map((j) => j.name), ["run", "run"]);
+  assert.deepEqual(pool.holds, [8, 8]);
+  assert.equal(deps.events.find((e) => e.event_type === "created").meta.schedule_id, "1");
+  assert.deepEqual(pool.runs.get(`1:${AT}`), { schedule_id: "1", status: "created", job_id: out.job_id, aej_estimated: 16, error_text: null });
+  assert.equal(pool.schedules[0].runs_count, 1);
+
+  const again = await runScheduleTick(pool, deps, { scheduleId: "1", scheduledFor: AT });
+  assert.deepEqual(again, { status: "created", job_id: out.job_id });
+  assert.equal(deps.added.length, 2);
+  assert.equal(pool.schedules[0].runs_count, 1);
+
+  const fromSource = await runScheduleTick(pool, deps, { scheduleId: "2", scheduledFor: AT });
+  assert.equal(fromSource.status, "created");
+  assert.deepEqual(pool.jobs.at(-1).request_json.items, [ITEM]);
+});
+
+test("tick over quota pauses the schedule and removes its scheduler", async () => {
+  const pool = fakePool({ quota: 100, consumed: 90 });
+  const deps = fakeDeps();
+  const out = await runScheduleTick(pool, deps, { scheduleId: "1", scheduledFor: AT });
+  assert.deepEqual(out, { status: "quota_exceeded", paused: true });
+  assert.equal(deps.added.length, 0);
+  assert.equal(pool.runs.get(`1:${AT}`).status, "quota_exceeded");
+  assert.deepEqual([pool.schedules[0].status, pool.schedules[0].paused_reason], ["paused", "quota_exceeded"]);
+  assert.deepEqual(deps.removed, ["schedule_1"]);
+
+  // Later ticks of a paused (or deleted) schedule do nothing.
+  assert.equal((await runScheduleTick(pool, deps, { scheduleId: "1", scheduledFor: AT + 1 })).status, "skipped");
+  assert.equal((await runScheduleTick(pool, deps, { scheduleId: "9", scheduledFor: AT })).reason, "schedule_not_found");
+});
+
+test("tick with a missing source job is recorded as an error", async () => {
+  const pool = fakePool();
+  pool.jobs.length = 0;
+  const out = await runScheduleTick(pool, fakeDeps(), { scheduleId: "2", scheduledFor: AT });
+  assert.deepEqual(out, { status: "error", error: "item_source_not_found" });
+  assert.equal(pool.runs.get(`2:${AT}`).error_text, "item_source_not_found");
+});
@@ -0,0 +1,143 @@
+// Priority lanes: interactive before bulk, round-robin across clients, plan weights, lane stats.
+const test = require("node:test");
+const assert = require("node:assert/strict");
+
+const { LANES, laneForItems, jobPriority, enqueueJob, markLaneStart, laneOfJob, laneStats } = require("../scheduling");
+
+// In-memory stand-in for the Lua scripts (same arithmetic).
+function fakeRedis() {
+  const kv = new Map();
+  const lists = new Map();
+  return {
+    kv,
+    eval: async (script, _n, k1, k2, ...argv) => {
+      if (script.includes("LPUSH")) {
+        const [rank, wait, size] = argv;
+        if (rank !== "" && Number(rank) > Number(kv.get(k1) || 0)) kv.set(k1, Number(rank));
+        lists.set(k2, [Number(wait), ...(lists.get(k2) || [])].slice(0, size));
+        return 1;
+      }
+      const step = Number(argv[0]);
+      const round = Number(kv.get(k1) || 0);
+      const last = kv.has(k2) ? Number(kv.get(k2)) : -1;
+      const rank = last >= 0 && last + step > round ? last + step : round;
+      kv.set(k2, rank);
+      return [rank, round];
+    },
+    lrange: async (k) => (lists.get(k) || []).map(String),
+  };
+}
+
+// BullMQ order: lowest priority first, FIFO among equal priorities.
+function fakeQueue() {
+  const jobs = [];
+  return {
+    jobs,
+    add: async (name, data, opts) => jobs.push({ name, data, opts, seq: jobs.length }),
+    order: () => [...jobs].sort((a, b) => a.opts.priority - b.opts.priority || a.seq - b.seq).map((j) => j.data.job_id),
+  };
+}
+
+test("single-item requests are interactive, batches bulk; lanes are priority bands", () => {
+  assert.equal(laneForItems(1), "interactive");
+  assert.equal(laneForItems(2), "bulk");
+  assert.ok(jobPriority("interactive", 10_000_000) < jobPriority("bulk", 0));
+  assert.equal(jobPriority("bulk", 0), LANES.bulk.base);
+  assert.ok(jobPriority("bulk", 10_000_000) <= 2 ** 21);
+});
+
+test("clients take turns inside a lane, whatever the arrival order", async () => {
+  const redis = fakeRedis();
+  const queue = fakeQueue();
+  for (const id of ["a1", "a2", "a3"]) await enqueueJob(queue, redis, { jobId: id, clientId: "A", lane: "bulk", plan: "starter" });
+  for (const id of ["b1", "b2"]) await enqueueJob(queue, redis, { jobId: id, clientId: "B", lane: "bulk", plan: "starter" });
+  await enqueueJob(queue, redis, { jobId: "c1", clientId: "C", lane: "bulk", plan: "starter" });
+  await enqueueJob(queue, redis, { jobId: "i1", clientId: "D", lane: "interactive", plan: "starter" });
+
+  assert.deepEqual(queue.order(), ["i1", "a1", "b1", "c1", "a2", "b2", "a3"]);
+  assert.deepEqual(queue.jobs[0].opts.attempts, 3);
+  assert.equal(queue.jobs[0].data.lane, "bulk");
+});
+
+test("higher plan weights get more turns", async () => {
+  const redis = fakeRedis();
+  const queue = fakeQueue();
+  for (const id of ["s1", "s2"]) await enqueueJob(queue, redis, { jobId: id, clientId: "S", lane: "bulk", plan: "starter" });
+  for (const id of ["p1", "p2", "p3", "p4", "p5"]) await enqueueJob(queue, redis, { jobId: id, clientId: "P", lane: "bulk", plan: "business" });
+  assert.deepEqual(queue.order(), ["s1", "p1", "p2", "p3", "p4", "s2", "p5"]);
+});
+
+test("a client back after the round moved on is not penalised", async () => {
+  const redis = fakeRedis();
+  const queue = fakeQueue();
+  await enqueueJob(queue, redis, { jobId: "a1", clientId: "A", lane: "bulk", plan: "starter" });
+  for (const id of ["b1", "b2", "b3"]) await enqueueJob(queue, redis, { jobId: id, clientId: "B", lane: "bulk", plan: "starter" });
+  // a1, b1, b2 started: the round is now at b2's rank.
+  await markLaneStart(redis, { lane: "bulk", rank: 4, waitMs: 10 });
+  const r = await enqueueJob(queue, redis, { jobId: "a2", clientId: "A", lane: "bulk", plan: "starter" });
+  assert.equal(r.rank, 4);
+  assert.ok(r.priority <= queue.jobs.find((j) => j.data.job_id === "b3").opts.priority);
+});
+
+test("without Redis, jobs still enqueue with the plain lane priority", async () => {
+  const queue = fakeQueue();
+  const r = await enqueueJob(queue, { eval: async () => { throw new Error("down"); } }, { jobId: "x", clientId: "A", lane: "interactive", plan: "pro" });
+  assert.deepEqual(r, { lane: "interactive", priority: LANES.interactive.base, rank: null });
+  assert.equal(queue.jobs.length, 1);
+});
+
+test("lane stats: depth per state and wait times", async () => {
+  const redis = fakeRedis();
+  const now = 1_000_000;
+  const byType = {
+    waiting: [],
+    prioritized: [
+      { data: { lane: "interactive" }, timestamp: now - 3000 },
+      { data: { lane: "bulk" }, timestamp: now - 60000 },
+      { data: {}, timestamp: now - 1000 },
+    ],
+    delayed: [{ data: { lane: "bulk" }, timestamp: now - 120000 }],
+    active: [{ data: { lane: "interactive" }, timestamp: now - 500 }],
+  };
+  const queue = { getJobs: async ([type]) => byType[type] };
+  for (const w of [100, 300, 200]) await markLaneStart(redis, { lane: "interactive", rank: null, waitMs: w });
+
+  const out = await laneStats(queue, redis, { now });
+  assert.deepEqual(out.lanes.interactive, {
+    waiting: 1,
+    delayed: 0,
+    active: 1,
+    oldest_wait_s: 3,
+    recent_wait_ms: { count: 3, p50: 200, p95: 300, max: 300 },
+  });
+  assert.deepEqual(out.lanes.bulk, { waiting: 2, delayed: 1, active: 0, oldest_wait_s: 120, recent_wait_ms: null });
+  assert.deepEqual(out.other, {});
+  assert.equal(out.truncated, false);
+});
+
+test("regenerations and schedule ticks are reported outside the lanes; laneless runs by priority", async () => {
+  const now = 1_000_000;
+  const byType = {
+    waiting: [{ name: "schedule", data: { schedule_id: "4" }, timestamp: now - 30000 }],
+    prioritized: [
+      { name: "regenerate", data: { regeneration_id: "1" }, priority: jobPriority("interactive"), timestamp: now - 2000 },
+      { name: "regenerate", data: { regeneration_id: "2" }, priority: jobPriority("interactive"), timestamp: now - 5000 },
+      { name: "run", data: { job_id: "7" }, priority: jobPriority("interactive", 3), timestamp: now - 1000 },
+      { name: "run", data: { job_id: "8" }, opts: { priority: jobPriority("bulk", 3) }, timestamp: now - 9000 },
+    ],
+    delayed: [],
+    active: [{ name: "regenerate", data: { regeneration_id: "3" }, priority: jobPriority("interactive"), timestamp: now - 100 }],
+  };
+  const queue = { getJobs: async ([type]) => byType[type] };
+  const out = await laneStats(queue, fakeRedis(), { now });
+  assert.deepEqual(out.lanes.interactive, { waiting: 1, delayed: 0, active: 0, oldest_wait_s: 1, recent_wait_ms: null });
+  assert.deepEqual(out.lanes.bulk, { waiting: 1, delayed: 0, active: 0, oldest_wait_s: 9, recent_wait_ms: null });
+  assert.deepEqual(out.other, {
+    regenerate: { waiting: 2, delayed: 0, active: 1, oldest_wait_s: 5 },
+    schedule: { waiting: 1, delayed: 0, active: 0, oldest_wait_s: 30 },
+  });
+
+  assert.equal(laneOfJob({ name: "run", data: { lane: "bulk" }, priority: 1 }), "bulk");
+  assert.equal(laneOfJob({ name: "run", data: {} }), "bulk");
+  assert.equal(laneOfJob({ name: "regenerate", data: { lane: "interactive" } }), null);
+});
@@ -0,0 +1,133 @@
+// Local JSON Schema validator: each supported keyword, error paths, and the mode schemas.
+const test = require("node:test");
+const assert = require("node:assert/strict");
+
+const { validateSchema } = require("../schema_validator");
+const { QUICK_BOOST_SCHEMA, FULL_CONTENT_SCHEMA, ECOM_CATALOG_SCHEMA } = require("../schemas");
+
+// [path, keyword] of every error, in report order.
+const errorsOf = (schema, value) => {
+  const v = validateSchema(schema, value);
+  return v.ok ? [] : v.errors.map((e) => [e.path, e.keyword]);
+};
+
+test("type: single and union types, integer vs number, null and arrays", () => {
+  assert.deepEqual(validateSchema({ type: "string" }, "x"), { ok: true });
+  assert.deepEqual(errorsOf({ type: "string" }, 1), [["(root)", "type"]]);
+  assert.deepEqual(errorsOf({ type: "integer" }, 1.5), [["(root)", "type"]]);
+  assert.deepEqual(errorsOf({ type: "number" }, 2), []);
+  assert.deepEqual(errorsOf({ type: "object" }, []), [["(root)", "type"]]);
+  assert.deepEqual(errorsOf({ type: "object" }, null), [["(root)", "type"]]);
+  assert.deepEqual(errorsOf({ type: ["string", "null"] }, null), []);
+  assert.deepEqual(errorsOf({ type: "array" }, {}), [["(root)", "type"]]);
+
+  const v = validateSchema({ type: "object", properties: { n: { type: "integer" } } }, { n: "3" });
+  assert.deepEqual(v.errors, [{ path: "n", keyword: "type", message: "n: must be integer (got string)" }]);
+});
+
+test("a type error stops the checks of that value", () => {
+  assert.deepEqual(errorsOf({ type: "string", minLength: 3, enum: ["abc"] }, 12), [["(root)", "type"]]);
+});
+
+test("required and additionalProperties", () => {
+  const schema = {
+    type: "object",
+    additionalProperties: false,
+    properties: { a: { type: "string" }, b: { type: "string" } },
+    required: ["a", "b"],
+  };
+  assert.deepEqual(errorsOf(schema, { a: "x", b: "y" }), []);
+  assert.deepEqual(errorsOf(schema, { a: "x", extra: 1 }), [["b", "required"], ["extra", "additionalProperties"]]);
+  // A null value is present: the type check reports it, not required.
+  assert.deepEqual(errorsOf(schema, { a: "x", b: null }), [["b", "type"]]);
+  // Without additionalProperties: false, unknown keys are allowed and not checked.
+  assert.deepEqual(errorsOf({ type: "object", properties: {} }, { anything: [1] }), []);
+  // Inherited properties are not own properties.
+  assert.deepEqual(errorsOf({ type: "object", required: ["toString"] }, {}), [["toString", "required"]]);
+});
+
+test("minLength / maxLength count code points, not UTF-16 units", () => {
+  const schema = { type: "string", minLength: 2, maxLength: 4 };
+  assert.deepEqual(errorsOf(schema, "a"), [["(root)", "minLength"]]);
+  assert.deepEqual(errorsOf(schema, "abcde"), [["(root)", "maxLength"]]);
+  assert.deepEqual(errorsOf(schema, "éèàç"), []);
+  // Four emoji are 8 UTF-16 units but 4 characters.
+  assert.deepEqual(errorsOf(schema, "😀😀😀😀"), []);
+  assert.deepEqual(errorsOf(schema, "😀"), [["(root)", "minLength"]]);
+  assert.match(validateSchema(schema, "abcdef").errors[0].message, /at most 4 characters \(got 6\)/);
+});
+
+test("enum and const", () => {
+  assert.deepEqual(errorsOf({ enum: ["a", "b", 3] }, "b"), []);
+  assert.deepEqual(errorsOf({ enum: ["a", "b", 3] }, 3), []);
+  assert.deepEqual(errorsOf({ enum: ["a", "b", 3] }, "3"), [["(root)", "enum"]]);
+  assert.match(validateSchema({ enum: ["a", "b"] }, "c").errors[0].message, /must be one of "a", "b" \(got "c"\)/);
+
+  assert.deepEqual(errorsOf({ type: "string", const: "quick_boost" }, "quick_boost"), []);
+  assert.deepEqual(errorsOf({ type: "string", const: "quick_boost" }, "full_content"), [["(root)", "const"]]);
+  assert.deepEqual(errorsOf({ const: false }, false), []);
+});
+
+test("pattern is a unicode regex", () => {
+  const slug = { type: "string", pattern: "^[a-z0-9]+(?:-[a-z0-9]+)*$" };
+  assert.deepEqual(errorsOf(slug, "guide-du-ski-2024"), []);
+  assert.deepEqual(errorsOf(slug, "Guide du ski"), [["(root)", "pattern"]]);
+  assert.deepEqual(errorsOf({ type: "string", pattern: "^\\p{L}+$" }, "été"), []);
+});
+
+test("nested arrays: item counts and errors at indexed paths", () => {
+  const schema = {
+    type: "object",
+    properties: {
+      outline: {
+        type: "array",
+        minItems: 1,
+        maxItems: 2,
+        items: {
+          type: "object",
+          additionalProperties: false,
+          required: ["h2", "bullets"],
+          properties: {
+            h2: { type: "string", minLength: 3 },
+            bullets: { type: "array", minItems: 2, items: { type: "string", minLength: 2 } },
+          },
+        },
+      },
+    },
+  };
+  assert.deepEqual(errorsOf(schema, { outline: [{ h2: "Intro", bullets: ["aa", "bb"] }] }), []);
+  assert.deepEqual(errorsOf(schema, { outline: [] }), [["outline", "minItems"]]);
+  assert.deepEqual(
+    errorsOf(schema, {
+      outline: [
+        { h2: "Intro", bullets: ["aa", "b"] },
+        { h2: "X", bullets: ["aa"], notes: "" },
+        { bullets: "aa" },
+      ],
+    }),
+    [
+      ["outline", "maxItems"],
+      ["outline[0].bullets[1]", "minLength"],
+      ["outline[1].h2", "minLength"],
+      ["outline[1].bullets", "minItems"],
+      ["outline[1].notes", "additionalProperties"],
+      ["outline[2].h2", "required"],
+      ["outline[2].bullets", "type"],
+    ]
+  );
+  // Arrays of arrays.
+  const matrix = { type: "array", items: { type: "array", maxItems: 2, items: { type: "integer" } } };
+  assert.deepEqual(errorsOf(matrix, [[1, 2], [3, "4", 5]]), [["[1]", "maxItems"], ["[1][1]", "type"]]);
+});
+
+test("the LLM fixtures are valid against their mode schema", () => {
+  for (const [mode, schema] of [
+    ["quick_boost", QUICK_BOOST_SCHEMA],
+    ["full_content", FULL_CONTENT_SCHEMA],
+    ["ecom_catalog", ECOM_CATALOG_SCHEMA],
+  ]) {
+    const fixture = require(`../fixtures/llm/${mode}.json`);
+    assert.deepEqual(validateSchema(schema.schema, fixture), { ok: true }, mode);
+    assert.deepEqual(errorsOf(schema.schema, { ...fixture, mode: "other" }), [["mode", "const"]], mode);
+  }
+});
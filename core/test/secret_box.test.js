@@ -0,0 +1,94 @@
+// API secrets at rest: envelope encryption, master key versions and re-encryption.
+const test = require("node:test");
+const assert = require("node:assert/strict");
+const crypto = require("node:crypto");
+
+const { createSecretBox, isEncrypted, secretKeyVersion } = require("../secret_box");
+const { reencryptSecrets } = require("../secrets_cli");
+
+const K1 = crypto.randomBytes(32).toString("base64");
+const K2 = crypto.randomBytes(32).toString("base64");
+const ctx = { context: "api_key:ck_1" };
+
+test("secrets round-trip and are bound to their context", () => {
+  const box = createSecretBox({ C360_MASTER_KEYS: `1:${K1}` });
+  const a = box.encryptSecret("cs_secret", ctx);
+  const b = box.encryptSecret("cs_secret", ctx);
+  assert.ok(isEncrypted(a));
+  assert.notEqual(a, b);
+  assert.ok(!a.includes("cs_secret"));
+  assert.equal(box.decryptSecret(a, ctx), "cs_secret");
+  assert.throws(() => box.decryptSecret(a, { context: "api_key:ck_2" }), { code: "secret_corrupt" });
+  const tampered = a.slice(0, -4) + (a.endsWith("AAAA") ? "BBBB" : "AAAA");
+  assert.throws(() => box.decryptSecret(tampered, ctx), { code: "secret_corrupt" });
+});
+
+test("old master key versions stay readable; new values use the current one", () => {
+  const v1 = createSecretBox({ C360_MASTER_KEYS: `1:${K1}` });
+  const both = createSecretBox({ C360_MASTER_KEYS: `1:${K1},2:${K2}` });
+  const old = v1.encryptSecret("cs_secret", ctx);
+  assert.equal(both.currentVersion, "2");
+  assert.equal(both.decryptSecret(old, ctx), "cs_secret");
+  assert.equal(secretKeyVersion(both.encryptSecret("x", ctx)), "2");
+  assert.equal(both.needsReencrypt(old), true);
+  assert.equal(both.needsReencrypt("cs_plain"), true);
+  assert.equal(both.needsReencrypt(null), false);
+
+  const pinned = createSecretBox({ C360_MASTER_KEYS: `1:${K1},2:${K2}`, C360_MASTER_KEY_VERSION: "1" });
+  assert.equal(pinned.needsReencrypt(old), false);
+  assert.throws(() => createSecretBox({ C360_MASTER_KEYS: `2:${K2}` }).decryptSecret(old, ctx), { code: "master_key_unknown" });
+});
+
+test("plain text passes through until encryption is required", () => {
+  const none = createSecretBox({});
+  assert.equal(none.configured, false);
+  assert.equal(none.encryptSecret("cs_secret", ctx), "cs_secret");
+  assert.equal(none.decryptSecret("cs_secret", ctx), "cs_secret");
+
+  const strict = createSecretBox({ C360_MASTER_KEYS: `1:${K1}`, C360_REQUIRE_ENCRYPTED_SECRETS: "1" });
+  assert.throws(() => strict.decryptSecret("cs_secret", ctx), { code: "secret_not_encrypted" });
+  assert.throws(() => createSecretBox({ C360_REQUIRE_ENCRYPTED_SECRETS: "1" }).encryptSecret("x"), { code: "master_key_missing" });
+});
+
+test("malformed master key configuration is refused", () => {
+  assert.throws(() => createSecretBox({ C360_MASTER_KEYS: "1:short" }), { code: "master_key_config" });
+  assert.throws(() => createSecretBox({ C360_MASTER_KEYS: K1 }), { code: "master_key_config" });
+  assert.throws(() => createSecretBox({ C360_MASTER_KEYS: `1:${K1}`, C360_MASTER_KEY_VERSION: "3" }), { code: "master_key_config" });
+});
+
+test("reencrypt migrates plain-text and old-version rows, then clears legacy copies", async () => {
+  const v1 = createSecretBox({ C360_MASTER_KEYS: `1:${K1}` });
+  const box = createSecretBox({ C360_MASTER_KEYS: `1:${K1},2:${K2}` });
+  const rows = [
+    { id: 1, api_key: "ck_1", api_secret: "cs_plain", prev_secret: null },
+    { id: 2, api_key: "ck_2", api_secret: v1.encryptSecret("cs_two", { context: "api_key:ck_2" }), prev_secret: "cs_prev" },
+    { id: 3, api_key: "ck_3", api_secret: box.encryptSecret("cs_three", { context: "api_key:ck_3" }), prev_secret: null },
+  ];
+  const db = {
+    query: async (sql, args) => {
+      if (/^SELECT id, api_key/.test(sql)) return { rows: rows.filter((r) => r.id > args[0]) };
+      if (/^UPDATE c360_api_keys/.test(sql)) {
+        const row = rows.find((r) => r.id === args[0]);
+        if (row.api_secret !== args[3]) return { rowCount: 0 };
+        Object.assign(row, { api_secret: args[1], prev_secret: args[2] });
+        return { rowCount: 1 };
+      }
+      if (/^UPDATE c360_clients/.test(sql)) return { rowCount: 2 };
+      if (/^SELECT COUNT/.test(sql)) return { rows: [{ n: 2 }] };
+      throw new Error(`unexpected query: ${sql}`);
+    },
+  };
+
+  const dry = await reencryptSecrets(db, box, { dryRun: true });
+  assert.deepEqual(dry, { scanned: 3, updated: 2, conflicts: 0, legacy_cleared: 2, version: "2" });
+  assert.equal(rows[0].api_secret, "cs_plain");
+
+  const out = await reencryptSecrets(db, box);
+  assert.deepEqual(out, { scanned: 3, updated: 2, conflicts: 0, legacy_cleared: 2, version: "2" });
+  for (const r of rows) assert.equal(secretKeyVersion(r.api_secret), "2");
+  assert.equal(box.decryptSecret(rows[0].api_secret, { context: "api_key:ck_1" }), "cs_plain");
+  assert.equal(box.decryptSecret(rows[1].prev_secret, { context: "api_key:ck_2" }), "cs_prev");
+
+  assert.equal((await reencryptSecrets(db, box)).updated, 0);
+  await assert.rejects(reencryptSecrets(db, createSecretBox({})), { code: "master_key_missing" });
+});
@@ -0,0 +1,98 @@
+// SEO quality score: keyword placement and density, H2s, heading order, FAQ, readability.
+const test = require("node:test");
+const assert = require("node:assert/strict");
+
+const { scoreQuality, applyReadability, readability } = require("../seo_quality");
+const { buildDeterministicFallback } = require("../fallbacks");
+
+const PARA = "Elle se plie en trois secondes et tient dans un coffre de voiture. La batterie offre trente kilomètres d'autonomie et se recharge en quatre heures.";
+
+function fullContent(overrides = {}) {
+  return {
+    mode: "full_content",
+    title: "Trottinette électrique pliable pour la ville",
+    meta_description: "Découvrez notre trottinette électrique pliable, légère et robuste.",
+    outline: [],
+    content_html: [
+      `<p>Cette trottinette électrique est pensée pour les trajets urbains. ${PARA}</p>`,
+      `<h2>Pourquoi choisir une trottinette électrique</h2><p>${PARA}</p>`,
+      `<h3>Autonomie</h3><p>${PARA}</p>`,
+      `<h2>Entretien et sécurité</h2><p>${PARA}</p>`,
+      `<h2>Accessoires</h2><p>${PARA} Les trottinettes électriques acceptent un panier.</p>`,
+    ].join("\n"),
+    faq: [
+      { q: "Quelle est l'autonomie de la batterie ?", a: "Comptez trente kilomètres en usage urbain, moins en côte." },
+      { q: "La trottinette est-elle pliable ?", a: "Oui, la trottinette est pliable." },
+    ],
+    seo: { focus_keyword: "trottinette électrique", tags: [], slug: "x", meta_title: "x", internal_links: [], image_alts: [] },
+    checks: { tone: "expert", plagiarism_risk: "low", readability: "hard" },
+    ...overrides,
+  };
+}
+
+test("a clean output passes every check (plural and accents match the keyword)", () => {
+  const q = scoreQuality(fullContent(), { lang: "fr" });
+  assert.deepEqual(q.issues, ['FAQ answer 2 only repeats its question ("La trottinette est-elle pliable ?"): give an actual answer']);
+  for (const id of ["keyword_in_title", "keyword_in_meta_description", "keyword_in_first_paragraph", "keyword_in_h2", "keyword_density", "unique_h2", "heading_order", "readability"]) {
+    assert.equal(q.checks[id].ok, true, id);
+  }
+  assert.deepEqual(q.checks.faq_answers.repeats_question, [1]);
+  assert.equal(q.checks.keyword_density.occurrences, 3);
+  assert.equal(q.checks.keyword_in_h2.h2_with_keyword, 1);
+  assert.equal(q.score, 90);
+  assert.equal(q.keyword, "trottinette électrique");
+});
+
+test("keyword placement, stuffing, duplicate H2s and heading order are reported", () => {
+  const stuffed = Array(12).fill("La trottinette électrique est une trottinette électrique.").join(" ");
+  const q = scoreQuality(fullContent({
+    title: "Notre modèle urbain pliable",
+    meta_description: "Un modèle urbain léger.",
+    content_html: [
+      `<h1>Titre</h1><p>Un modèle urbain. ${PARA}</p>`,
+      `<h2>Les avantages du modèle urbain</h2><p>${stuffed}</p>`,
+      `<h4>Détail</h4><p>${PARA}</p>`,
+      `<h2>Avantages du modèle urbain</h2><p>${PARA}</p>`,
+    ].join(""),
+    faq: [],
+  }), { lang: "fr" });
+
+  assert.deepEqual(
+    Object.entries(q.checks).filter(([, c]) => c.ok === false).map(([id]) => id),
+    ["keyword_in_title", "keyword_in_meta_description", "keyword_in_first_paragraph", "keyword_in_h2", "keyword_density", "unique_h2", "heading_order"]
+  );
+  assert.ok(q.checks.keyword_density.density > 3);
+  assert.deepEqual(q.checks.unique_h2.duplicates, [[0, 1]]);
+  assert.deepEqual(q.checks.heading_order.problems.map((p) => p.problem), ["h1_in_body", "skipped_level"]);
+  assert.equal(q.checks.faq_answers.skipped, "no_faq");
+  assert.match(q.issues.join("\n"), /<h4> "Détail" follows <h2> \(skipped level\)/);
+  assert.equal(q.score, 11);
+});
+
+test("readability uses the formula of the language and overrides checks.readability", () => {
+  const easy = Array(8).fill("The cat sat on the mat. It was warm.").join(" ");
+  const hard = Array(4).fill("Comprehensive interoperability considerations necessitate sophisticated organizational methodologies, particularly regarding international standardization requirements.").join(" ");
+  assert.equal(readability([easy], "en").level, "easy");
+  assert.equal(readability([hard], "en-GB").level, "hard");
+  assert.equal(readability([easy], "de").formula, "amstad");
+  assert.equal(readability([easy], "ja").skipped, "unsupported");
+  assert.equal(readability(["Too short."], "en").skipped, "too_short");
+
+  const exec = fullContent();
+  const q = scoreQuality(exec, { lang: "fr" });
+  applyReadability(exec, q);
+  assert.equal(exec.checks.readability, q.readability.level);
+  assert.equal(q.readability.reported, "hard");
+});
+
+test("every mode, including fallbacks, gets a score; missing parts are skipped", () => {
+  const item = { lang: "fr", entity_id: "1", source_title: "Trottinette électrique pliable", source_excerpt: "Une trottinette électrique légère pour la ville." };
+  for (const mode of ["quick_boost", "full_content", "ecom_catalog"]) {
+    const q = scoreQuality(buildDeterministicFallback(mode, item), { mode, lang: "fr" });
+    assert.ok(q.score >= 0 && q.score <= 100, mode);
+    assert.equal(q.checks.heading_order.skipped, mode === "quick_boost" ? "no_html" : undefined);
+  }
+  const q = scoreQuality({ mode: "quick_boost", title: "T" }, { lang: "fr" });
+  assert.equal(q.checks.keyword_in_title.skipped, "no_focus_keyword");
+  assert.equal(q.score, null);
+});
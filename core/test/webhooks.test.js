@@ -0,0 +1,275 @@
+// Outbound webhooks: signing, delivery attempts against a local receiver, enqueue dedupe,
+// SSRF guard. The local receiver is on 127.0.0.1, so those tests pass allowPrivate.
+const test = require("node:test");
+const assert = require("node:assert/strict");
+const http = require("node:http");
+
+const {
+  signWebhookBody,
+  verifyWebhookSignature,
+  validateWebhookInput,
+  checkWebhookUrl,
+  eventForStatus,
+  enqueueWebhookEvent,
+  sendWebhook,
+  deliverWebhook,
+} = require("../webhooks");
+
+const SECRET = "cs_test_secret";
+
+// Local receiver: records requests and answers with the next queued status (default 200).
+async function startReceiver() {
+  const requests = [];
+  const statuses = [];
+  const server = http.createServer((req, res) => {
+    let body = "";
+    req.on("data", (c) => (body += c));
+    req.on("end", () => {
+      requests.push({ headers: req.headers, body });
+      const status = statuses.shift() ?? 200;
+      if (status === "hang") return;
+      res.writeHead(status, { "Content-Type": "application/json" });
+      res.end(JSON.stringify({ received: true }));
+    });
+  });
+  await new Promise((r) => server.listen(0, "127.0.0.1", r));
+  return {
+    url: `http://127.0.0.1:${server.address().port}/hook`,
+    requests,
+    statuses,
+    close: () => new Promise((r) => { server.closeAllConnections?.(); server.close(r); }),
+  };
+}
+
+// Tiny stand-in for pg: routes queries to handlers by SQL prefix and records them.
+function fakeDb(handlers) {
+  const calls = [];
+  return {
+    calls,
+    query: async (sql, args) => {
+      calls.push({ sql, args });
+      for (const [re, fn] of handlers) if (re.test(sql)) return fn(args);
+      return { rows: [] };
+    },
+  };
+}
+
+test("deliveries sign the timestamp and body, verifiable by the receiver", async () => {
+  const rx = await startReceiver();
+  try {
+    const body = JSON.stringify({ id: "evt_1", type: "job.done", data: { job_id: "7" } });
+    const out = await sendWebhook({ url: rx.url, secret: SECRET, event_type: "job.done", delivery_id: "12", body, allowPrivate: true });
+    assert.equal(out.ok, true);
+    assert.equal(out.status, 200);
+
+    const got = rx.requests[0];
+    assert.equal(got.body, body);
+    assert.equal(got.headers["x-c360-event"], "job.done");
+    assert.equal(got.headers["x-c360-delivery"], "12");
+    const timestamp = got.headers["x-c360-timestamp"];
+    assert.match(timestamp, /^\d+$/);
+    assert.ok(Math.abs(Number(timestamp) - Date.now() / 1000) < 5);
+    const signature = got.headers["x-c360-sign"];
+    assert.equal(signature, signWebhookBody(SECRET, timestamp, body));
+    assert.notEqual(signature, signWebhookBody(SECRET, Number(timestamp) + 1, body));
+    assert.equal(verifyWebhookSignature(SECRET, got.body, { timestamp, signature }), true);
+    assert.equal(verifyWebhookSignature("other", got.body, { timestamp, signature }), false);
+    assert.equal(verifyWebhookSignature(SECRET, got.body, { timestamp, signature: "zz" }), false);
+    // The timestamp is signed: it cannot be swapped for a fresh one.
+    assert.equal(verifyWebhookSignature(SECRET, got.body, { timestamp: String(Number(timestamp) + 1), signature }), false);
+  } finally {
+    await rx.close();
+  }
+});
+
+test("receivers refuse signatures outside the tolerance window", () => {
+  const body = '{"id":"evt_1"}';
+  const nowMs = 1_700_000_000_000;
+  const at = (offsetS) => {
+    const timestamp = String(nowMs / 1000 + offsetS);
+    return { timestamp, signature: signWebhookBody(SECRET, timestamp, body) };
+  };
+  assert.equal(verifyWebhookSignature(SECRET, body, at(-300), { nowMs }), true);
+  assert.equal(verifyWebhookSignature(SECRET, body, at(300), { nowMs }), true);
+  assert.equal(verifyWebhookSignature(SECRET, body, at(-301), { nowMs }), false);
+  assert.equal(verifyWebhookSignature(SECRET, body, at(301), { nowMs }), false);
+  assert.equal(verifyWebhookSignature(SECRET, body, at(-3600), { nowMs, toleranceS: 7200 }), true);
+  const { signature } = at(0);
+  assert.equal(verifyWebhookSignature(SECRET, body, { timestamp: undefined, signature }, { nowMs }), false);
+  assert.equal(verifyWebhookSignature(SECRET, body, { timestamp: "1.7e9", signature }, { nowMs }), false);
+});
+
+test("non-2xx answers and timeouts are failed attempts", async () => {
+  const rx = await startReceiver();
+  try {
+    rx.statuses.push(500, "hang");
+    const a = await sendWebhook({ url: rx.url, secret: SECRET, event_type: "job.error", delivery_id: "1", body: "{}", allowPrivate: true });
+    assert.deepEqual([a.ok, a.status, a.error], [false, 500, "http_500"]);
+    const b = await sendWebhook({ url: rx.url, secret: SECRET, event_type: "job.error", delivery_id: "1", body: "{}", timeoutMs: 100, allowPrivate: true });
+    assert.deepEqual([b.ok, b.status, b.error], [false, null, "timeout"]);
+  } finally {
+    await rx.close();
+  }
+});
+
+test("deliverWebhook logs the attempt and throws so BullMQ retries", async () => {
+  const rx = await startReceiver();
+  try {
+    const row = { id: "5", event_type: "job.done", payload: { id: "evt_5", type: "job.done" }, status: "pending", url: rx.url, is_active: true, api_secret: SECRET };
+    const db = fakeDb([[/^SELECT d\.id/, () => ({ rows: [row] })]]);
+
+    rx.statuses.push(503);
+    await assert.rejects(deliverWebhook({ db, deliveryId: "5", allowPrivate: true }), { code: "webhook_delivery_failed" });
+    let update = db.calls.find((c) => /^UPDATE/.test(c.sql.trim()));
+    assert.deepEqual(update.args.slice(0, 4), ["5", "retrying", 503, "http_503"]);
+
+    db.calls.length = 0;
+    assert.deepEqual(await deliverWebhook({ db, deliveryId: "5", allowPrivate: true }), { delivered: true, status: 200 });
+    update = db.calls.find((c) => /^UPDATE/.test(c.sql.trim()));
+    assert.deepEqual(update.args.slice(0, 4), ["5", "delivered", 200, null]);
+    assert.equal(rx.requests[1].body, JSON.stringify(row.payload));
+  } finally {
+    await rx.close();
+  }
+});
+
+test("enqueue creates one delivery per subscribed endpoint and skips duplicates", async () => {
+  let inserted = 0;
+  const db = fakeDb([
+    [/FROM c360_webhooks/, () => ({ rows: [{ id: 1 }, { id: 2 }] })],
+    // Endpoint 2 already has this dedupe_key: ON CONFLICT DO NOTHING returns no row.
+    [/INSERT INTO c360_webhook_deliveries/, (args) => ({ rows: args[0] === 1 ? [{ id: 100 + ++inserted }] : [] })],
+  ]);
+  const added = [];
+  const queue = { add: async (name, data, opts) => added.push({ name, data, opts }) };
+
+  const ids = await enqueueWebhookEvent({ db, queue, client_id: "c1", event_type: "job.done", job_id: "9", dedupe_key: "job.done:9:1", data: { job_id: "9" } });
+  assert.deepEqual(ids, ["101"]);
+  assert.equal(added.length, 1);
+  assert.equal(added[0].opts.jobId, "wh_101");
+  assert.equal(added[0].opts.backoff.type, "exponential");
+  const payload = db.calls.find((c) => /INSERT/.test(c.sql)).args[6];
+  assert.equal(payload.type, "job.done");
+  assert.match(payload.id, /^evt_[0-9a-f]{24}$/);
+});
+
+test("endpoint registration rules", () => {
+  assert.equal(validateWebhookInput({ url: "https://example.com/h", events: ["job.done", "job.done"] }).events.length, 1);
+  assert.deepEqual(validateWebhookInput({ url: "http://example.com/h", events: ["job.done"] }, { allowHttp: false }).errors, ["url must use https"]);
+  assert.equal(validateWebhookInput({ url: "http://127.0.0.1/h", events: ["job.done"] }, { allowHttp: true, allowPrivate: true }).ok, true);
+  assert.deepEqual(validateWebhookInput({ url: "https://a:b@example.com", events: ["job.nope"] }).errors, [
+    "url must not contain credentials",
+    "invalid event: job.nope",
+  ]);
+});
+
+// Resolver stand-in: name -> addresses (dns.promises.lookup with { all: true }).
+function fakeLookup(table) {
+  const calls = [];
+  const lookup = async (host) => {
+    calls.push(host);
+    const addrs = table[host];
+    if (!addrs) throw Object.assign(new Error(`getaddrinfo ENOTFOUND ${host}`), { code: "ENOTFOUND" });
+    return addrs.map((address) => ({ address, family: address.includes(":") ? 6 : 4 }));
+  };
+  return Object.assign(lookup, { calls });
+}
+
+test("endpoints on loopback, private, link-local, ULA or internal hosts are refused at registration", () => {
+  const refused = [
+    "https://127.0.0.1/h",
+    "https://127.1.2.3/h",
+    "https://2130706433/h", // 127.0.0.1 as a number
+    "https://10.0.0.5/h",
+    "https://172.16.3.4/h",
+    "https://192.168.1.10/h",
+    "https://169.254.169.254/latest/meta-data",
+    "https://100.64.0.1/h",
+    "https://0.0.0.0/h",
+    "https://[::1]/h",
+    "https://[::]/h",
+    "https://[::ffff:127.0.0.1]/h",
+    "https://[::ffff:a9fe:a9fe]/h", // 169.254.169.254, IPv4-mapped
+    "https://[fd12:3456::1]/h",
+    "https://[fe80::1]/h",
+    "https://localhost/h",
+    "https://api.localhost/h",
+    "https://LOCALHOST./h",
+    "https://metadata.google.internal/h",
+    "https://printer.local/h",
+    "https://intranet/h",
+  ];
+  for (const url of refused) {
+    const v = validateWebhookInput({ url, events: ["job.done"] }, { allowPrivate: false });
+    assert.equal(v.ok, false, url);
+    assert.match(v.errors.join(), /private or local address|internal host/, url);
+  }
+  for (const url of ["https://8.8.8.8/h", "https://[2606:4700::1111]/h", "https://hooks.example.com/h"]) {
+    assert.equal(validateWebhookInput({ url, events: ["job.done"] }, { allowPrivate: false }).ok, true, url);
+  }
+});
+
+test("the resolved addresses are checked: one private address is enough to refuse", async () => {
+  const lookup = fakeLookup({
+    "hooks.example.com": ["93.184.216.34"],
+    "rebind.example.com": ["93.184.216.34", "10.1.2.3"],
+    "meta.example.com": ["169.254.169.254"],
+    "v6.example.com": ["fd00::2"],
+    "mapped.example.com": ["::ffff:192.168.0.1"],
+  });
+  const opts = { allowPrivate: false, lookup };
+  assert.deepEqual(await checkWebhookUrl("https://hooks.example.com/h", opts), { ok: true, address: "93.184.216.34", family: 4 });
+  for (const [host, addr] of [
+    ["rebind.example.com", "10.1.2.3"],
+    ["meta.example.com", "169.254.169.254"],
+    ["v6.example.com", "fd00::2"],
+    ["mapped.example.com", "::ffff:192.168.0.1"],
+  ]) {
+    assert.deepEqual(await checkWebhookUrl(`https://${host}/h`, opts), {
+      ok: false,
+      error: `url resolves to a private or local address (${addr})`,
+    });
+  }
+  assert.deepEqual(await checkWebhookUrl("https://nowhere.example.com/h", opts), {
+    ok: false,
+    error: "url host does not resolve (ENOTFOUND)",
+  });
+  // Literals and internal names are refused without a lookup.
+  lookup.calls.length = 0;
+  assert.equal((await checkWebhookUrl("https://[::1]/h", opts)).ok, false);
+  assert.equal((await checkWebhookUrl("https://db.internal/h", opts)).ok, false);
+  assert.deepEqual(lookup.calls, []);
+});
+
+test("each send re-resolves the host and connects to the checked address only", async () => {
+  const rx = await startReceiver();
+  try {
+    const port = new URL(rx.url).port;
+    const url = `http://hooks.example.com:${port}/hook`;
+    // The name now points at an internal address (DNS rebinding): nothing is sent.
+    const rebound = await sendWebhook({
+      url, secret: SECRET, event_type: "job.done", delivery_id: "1", body: "{}",
+      allowPrivate: false, lookup: fakeLookup({ "hooks.example.com": ["127.0.0.1"] }),
+    });
+    assert.deepEqual([rebound.ok, rebound.status, rebound.error], [false, null, "url_blocked: url resolves to a private or local address (127.0.0.1)"]);
+    assert.equal(rx.requests.length, 0);
+
+    // With private targets allowed (local testing), the request goes to the resolved address
+    // and keeps the hostname in the Host header.
+    const lookup = fakeLookup({ "hooks.example.com": ["127.0.0.1"] });
+    const out = await sendWebhook({ url, secret: SECRET, event_type: "job.done", delivery_id: "2", body: "{}", allowPrivate: true, lookup });
+    assert.equal(out.ok, true);
+    assert.deepEqual(lookup.calls, ["hooks.example.com"]);
+    assert.equal(rx.requests[0].headers.host, `hooks.example.com:${port}`);
+  } finally {
+    await rx.close();
+  }
+});
+
+test("final statuses map to job events", () => {
+  assert.equal(eventForStatus("done"), "job.done");
+  assert.equal(eventForStatus("partial"), "job.done");
+  assert.equal(eventForStatus("error"), "job.error");
+  assert.equal(eventForStatus("canceled"), "job.canceled");
+  assert.equal(eventForStatus("running"), null);
+});
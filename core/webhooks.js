@@ -0,0 +1,435 @@
+// /opt/content360/core/webhooks.js
+// S4: signed outbound webhooks (job.done, job.error, job.canceled, quota.low).
+//
+// Producers (worker, API) insert one c360_webhook_deliveries row per subscribed endpoint and
+// enqueue it on the webhook queue (queue.js). The worker delivers it with BullMQ exponential
+// retries. Every attempt is recorded on the row; admins can replay any delivery.
+//
+// Signature: X-C360-Timestamp = unix seconds of the attempt, X-C360-Sign = hex
+// HMAC-SHA256(api_secret, timestamp + "." + exact body bytes). Receivers reject timestamps more
+// than WEBHOOK_SIGN_TOLERANCE_S away from their clock, so a captured delivery cannot be
+// replayed later. The secret is the current one of the API key that registered the endpoint,
+// or of the client's oldest active key if that key is gone.
+//
+// SSRF guard: endpoint hosts must resolve to public addresses only (no loopback, private,
+// link-local / cloud metadata, ULA, localhost or internal names). It is checked at registration
+// and again before each send; the connection is pinned to the address just checked, so a name
+// re-bound to an internal address after the check cannot be reached.
+
+const crypto = require("crypto");
+const dns = require("dns");
+const http = require("http");
+const https = require("https");
+const net = require("net");
+const { fetchBillingSummary } = require("./billing");
+const { fetchChildren, countChildren } = require("./child_jobs");
+const { secretContext } = require("./api_keys");
+const { decryptSecret } = require("./secret_box");
+
+const WEBHOOK_EVENTS = ["job.done", "job.error", "job.canceled", "quota.low"];
+const WEBHOOK_TIMEOUT_MS = Number(process.env.WEBHOOK_TIMEOUT_MS || 10000);
+const WEBHOOK_MAX_ATTEMPTS = Math.max(1, Number(process.env.WEBHOOK_MAX_ATTEMPTS || 8));
+const WEBHOOK_BACKOFF_MS = Number(process.env.WEBHOOK_BACKOFF_MS || 5000);
+// quota.low fires once per month when remaining AEJ drops to this share of the quota.
+const QUOTA_LOW_RATIO = Number(process.env.WEBHOOK_QUOTA_LOW_RATIO || 0.1);
+const MAX_WEBHOOKS_PER_CLIENT = 10;
+// Receiver-side window for X-C360-Timestamp (same default as incoming SIGN_TOLERANCE_S).
+const WEBHOOK_SIGN_TOLERANCE_S = Number(process.env.WEBHOOK_SIGN_TOLERANCE_S || 300);
+// Local testing only: lets endpoints point at loopback / private addresses.
+const ALLOW_PRIVATE = process.env.WEBHOOK_ALLOW_PRIVATE === "1";
+
+// Addresses a webhook must never reach. IPv4-mapped IPv6 (::ffff:10.0.0.1) is matched by the
+// IPv4 ranges.
+const BLOCKED_ADDRESSES = new net.BlockList();
+for (const [addr, prefix] of [
+  ["0.0.0.0", 8], // "this" network
+  ["10.0.0.0", 8],
+  ["100.64.0.0", 10], // carrier-grade NAT
+  ["127.0.0.0", 8],
+  ["169.254.0.0", 16], // link-local, cloud metadata (169.254.169.254)
+  ["172.16.0.0", 12],
+  ["192.0.0.0", 24],
+  ["192.0.2.0", 24],
+  ["192.168.0.0", 16],
+  ["198.18.0.0", 15],
+  ["198.51.100.0", 24],
+  ["203.0.113.0", 24],
+  ["224.0.0.0", 4], // multicast
+  ["240.0.0.0", 4], // reserved, broadcast
+]) BLOCKED_ADDRESSES.addSubnet(addr, prefix, "ipv4");
+for (const [addr, prefix] of [
+  ["::", 128],
+  ["::1", 128],
+  ["64:ff9b::", 96], // NAT64: embeds an IPv4 address
+  ["2001:db8::", 32],
+  ["fc00::", 7], // unique local (ULA)
+  ["fe80::", 10], // link-local
+  ["ff00::", 8], // multicast
+]) BLOCKED_ADDRESSES.addSubnet(addr, prefix, "ipv6");
+
+// Names that only make sense inside a network.
+const INTERNAL_SUFFIXES = [".localhost", ".local", ".internal", ".intranet", ".lan", ".home", ".home.arpa", ".corp"];
+
+function signWebhookBody(secret, timestamp, body) {
+  return crypto.createHmac("sha256", String(secret)).update(`${timestamp}.`).update(body).digest("hex");
+}
+
+// For receivers (and tests): X-C360-Timestamp within the tolerance window, then a
+// constant-time check of X-C360-Sign.
+function verifyWebhookSignature(
+  secret,
+  body,
+  { timestamp, signature },
+  { toleranceS = WEBHOOK_SIGN_TOLERANCE_S, nowMs = Date.now() } = {}
+) {
+  const ts = String(timestamp ?? "");
+  if (!/^\d{1,12}$/.test(ts) || Math.abs(nowMs / 1000 - Number(ts)) > toleranceS) return false;
+  const expected = Buffer.from(signWebhookBody(secret, ts, body), "hex");
+  const got = Buffer.from(String(signature || ""), "hex");
+  return got.length === expected.length && crypto.timingSafeEqual(got, expected);
+}
+
+function isBlockedAddress(address) {
+  const family = net.isIP(address);
+  return !family || BLOCKED_ADDRESSES.check(address, family === 6 ? "ipv6" : "ipv4");
+}
+
+// URL hostname without IPv6 brackets and trailing dot.
+function urlHost(parsed) {
+  return parsed.hostname.replace(/^\[|\]$/g, "").replace(/\.$/, "").toLowerCase();
+}
+
+// Checks that can be made without DNS: IP literals and internal names. Null when fine.
+function hostError(host) {
+  if (net.isIP(host)) return isBlockedAddress(host) ? "url must not point to a private or local address" : null;
+  if (host === "localhost" || !host.includes(".") || INTERNAL_SUFFIXES.some((s) => host.endsWith(s))) {
+    return "url must not point to an internal host";
+  }
+  return null;
+}
+
+/**
+ * Resolves the endpoint host and checks every address it resolves to. Returns
+ * { ok: true, address, family } (the address to connect to) or { ok: false, error }.
+ */
+async function checkWebhookUrl(url, { allowPrivate = ALLOW_PRIVATE, lookup = dns.promises.lookup } = {}) {
+  let host;
+  try {
+    host = urlHost(new URL(url));
+  } catch {
+    return { ok: false, error: "invalid url" };
+  }
+  const literal = net.isIP(host);
+  if (!allowPrivate) {
+    const error = hostError(host);
+    if (error) return { ok: false, error };
+  }
+  if (literal) return { ok: true, address: host, family: literal };
+
+  let addresses;
+  try {
+    addresses = await lookup(host, { all: true, verbatim: true });
+  } catch (e) {
+    return { ok: false, error: `url host does not resolve (${e?.code || e?.message || e})` };
+  }
+  if (!addresses.length) return { ok: false, error: "url host does not resolve" };
+  const blocked = addresses.find((a) => isBlockedAddress(a.address));
+  if (blocked && !allowPrivate) return { ok: false, error: `url resolves to a private or local address (${blocked.address})` };
+  return { ok: true, address: addresses[0].address, family: addresses[0].family };
+}
+
+function validateWebhookInput(
+  body,
+  { allowHttp = process.env.WEBHOOK_ALLOW_HTTP === "1", allowPrivate = ALLOW_PRIVATE } = {}
+) {
+  const errors = [];
+  if (!body || typeof body !== "object" || Array.isArray(body)) return { ok: false, errors: ["body must be an object"] };
+
+  for (const k of Object.keys(body)) {
+    if (!["url", "events", "description"].includes(k)) errors.push(`unexpected field: ${k}`);
+  }
+
+  const url = String(body.url || "").trim();
+  let parsed = null;
+  try {
+    parsed = new URL(url);
+  } catch {
+    errors.push("invalid url");
+  }
+  if (parsed) {
+    if (url.length > 2000) errors.push("url too_long (max 2000)");
+    if (parsed.protocol !== "https:" && !(allowHttp && parsed.protocol === "http:")) errors.push("url must use https");
+    if (parsed.username || parsed.password) errors.push("url must not contain credentials");
+    const blocked = allowPrivate ? null : hostError(urlHost(parsed));
+    if (blocked) errors.push(blocked);
+  }
+
+  const events = Array.isArray(body.events) ? [...new Set(body.events.map((e) => String(e).trim()))] : [];
+  if (!events.length) errors.push("events_required");
+  for (const e of events) {
+    if (!WEBHOOK_EVENTS.includes(e)) errors.push(`invalid event: ${e}`);
+  }
+
+  const description = body.description === undefined || body.description === null ? null : String(body.description).trim();
+  if (description && description.length > 200) errors.push("description too_long (max 200)");
+
+  if (errors.length) return { ok: false, errors };
+  return { ok: true, url, events, description: description || null };
+}
+
+// Final job status -> webhook event. "partial" is reported as job.done (data.status says partial).
+function eventForStatus(status) {
+  if (status === "done" || status === "partial") return "job.done";
+  if (status === "error") return "job.error";
+  if (status === "canceled") return "job.canceled";
+  return null;
+}
+
+function deliveryJobOptions() {
+  return {
+    attempts: WEBHOOK_MAX_ATTEMPTS,
+    backoff: { type: "exponential", delay: WEBHOOK_BACKOFF_MS },
+    removeOnComplete: 1000,
+    removeOnFail: 2000,
+  };
+}
+
+// Returns the ids of the deliveries created (none when nobody subscribed or already sent).
+async function enqueueWebhookEvent({ db, queue, client_id, event_type, job_id = null, dedupe_key, data }) {
+  const hooks = await db.query(
+    `SELECT id FROM c360_webhooks WHERE client_id=$1 AND is_active AND $2 = ANY(events) ORDER BY id`,
+    [String(client_id), event_type]
+  );
+  const created_at = new Date().toISOString();
+  const ids = [];
+  for (const h of hooks.rows) {
+    const event_id = "evt_" + crypto.randomBytes(12).toString("hex");
+    const payload = { id: event_id, type: event_type, created_at, client_id: String(client_id), data };
+    const r = await db.query(
+      `INSERT INTO c360_webhook_deliveries
+         (webhook_id, client_id, event_id, event_type, job_id, dedupe_key, payload, status, created_at, updated_at)
+       VALUES ($1,$2,$3,$4,$5,$6,$7,'pending',NOW(),NOW())
+       ON CONFLICT (webhook_id, dedupe_key) DO NOTHING
+       RETURNING id`,
+      [h.id, String(client_id), event_id, event_type, job_id, dedupe_key, payload]
+    );
+    if (!r.rows.length) continue;
+    const id = String(r.rows[0].id);
+    await queue.add("deliver", { delivery_id: id }, { jobId: `wh_${id}`, ...deliveryJobOptions() });
+    ids.push(id);
+  }
+  return ids;
+}
+
+// Job reached a final status. Child jobs are reported through their parent.
+async function notifyJobFinal({ db, queue, jobId }) {
+  const r = await db.query(
+    `SELECT id, client_id, mode, status, is_parent, parent_id, aej_final, error_text, finished_at, updated_at
+     FROM c360_jobs WHERE id=$1`,
+    [String(jobId)]
+  );
+  const job = r.rows[0];
+  if (!job || job.parent_id) return [];
+  const event_type = eventForStatus(job.status);
+  if (!event_type) return [];
+
+  // A retried job that finishes again is a new outcome: key on the finish time.
+  const at = new Date(job.finished_at || job.updated_at || Date.now());
+  const children = job.is_parent ? countChildren(await fetchChildren(db, job.id)) : null;
+  return enqueueWebhookEvent({
+    db,
+    queue,
+    client_id: job.client_id,
+    event_type,
+    job_id: String(job.id),
+    dedupe_key: `${event_type}:${job.id}:${at.getTime()}`,
+    data: {
+      job_id: String(job.id),
+      status: job.status,
+      mode: job.mode,
+      aej_final: job.aej_final === null || job.aej_final === undefined ? null : Number(job.aej_final),
+      error: job.error_text || null,
+      children,
+      finished_at: at.toISOString(),
+    },
+  });
+}
+
+async function checkQuotaLow({ db, queue, clientId, ratio = QUOTA_LOW_RATIO }) {
+  const b = await fetchBillingSummary(db, clientId);
+  if (!b.monthly_quota_aej || b.aej_remaining > b.monthly_quota_aej * ratio) return [];
+  return enqueueWebhookEvent({
+    db,
+    queue,
+    client_id: clientId,
+    event_type: "quota.low",
+    dedupe_key: `quota.low:${b.month}`,
+    data: {
+      month: b.month,
+      plan: b.plan,
+      monthly_quota_aej: b.monthly_quota_aej,
+      aej_consumed: b.aej_consumed,
+      aej_held: b.aej_held,
+      aej_remaining: b.aej_remaining,
+      threshold_ratio: ratio,
+    },
+  });
+}
+
+// One HTTP attempt. Never throws: the outcome is returned for the delivery log. The host is
+// resolved and checked first, and the request connects to that address only.
+async function sendWebhook({
+  url,
+  secret,
+  event_type,
+  delivery_id,
+  body,
+  timeoutMs = WEBHOOK_TIMEOUT_MS,
+  allowPrivate = ALLOW_PRIVATE,
+  lookup,
+}) {
+  const started = Date.now();
+  const target = await checkWebhookUrl(url, { allowPrivate, lookup });
+  if (!target.ok) return { ok: false, status: null, latency_ms: Date.now() - started, response: null, error: `url_blocked: ${target.error}` };
+
+  const parsed = new URL(url);
+  // Fresh timestamp per attempt: a retry hours later is still inside the receiver's window.
+  const timestamp = String(Math.floor(Date.now() / 1000));
+  const ctrl = new AbortController();
+  const timer = setTimeout(() => ctrl.abort(), timeoutMs);
+  try {
+    const { status, response } = await new Promise((resolve, reject) => {
+      const req = (parsed.protocol === "https:" ? https : http).request(
+        parsed,
+        {
+          method: "POST",
+          signal: ctrl.signal,
+          // Pinned to the checked address; TLS still verifies the certificate for the hostname.
+          lookup: (hostname, options, cb) =>
+            options?.all ? cb(null, [{ address: target.address, family: target.family }]) : cb(null, target.address, target.family),
+          headers: {
+            "Content-Type": "application/json",
+            "Content-Length": Buffer.byteLength(body),
+            "User-Agent": "Content360-Webhooks/1",
+            "X-C360-Event": event_type,
+            "X-C360-Delivery": String(delivery_id),
+            "X-C360-Timestamp": timestamp,
+            "X-C360-Sign": signWebhookBody(secret, timestamp, body),
+          },
+        },
+        (resp) => {
+          let text = "";
+          resp.setEncoding("utf8");
+          resp.on("data", (c) => {
+            if (text.length < 1000) text += c;
+          });
+          resp.on("end", () => resolve({ status: resp.statusCode, response: text.slice(0, 1000) }));
+          resp.on("error", reject);
+        }
+      );
+      req.on("error", reject);
+      req.end(body);
+    });
+    // Redirects are not followed: a 3xx is a failed attempt.
+    const ok = status >= 200 && status < 300;
+    return { ok, status, latency_ms: Date.now() - started, response, error: ok ? null : `http_${status}` };
+  } catch (e) {
+    const error = e?.name === "AbortError" ? "timeout" : `network_error: ${e?.code || e?.cause?.code || e?.message || e}`;
+    return { ok: false, status: null, latency_ms: Date.now() - started, response: null, error };
+  } finally {
+    clearTimeout(timer);
+  }
+}
+
+// BullMQ processor body. Throws on a failed attempt so BullMQ schedules the retry.
+async function deliverWebhook({ db, deliveryId, allowPrivate = ALLOW_PRIVATE, lookup }) {
+  const r = await db.query(
+    `SELECT d.id, d.event_type, d.payload, d.status, w.url, w.is_active, sk.api_key, sk.api_secret
+     FROM c360_webhook_deliveries d
+     JOIN c360_webhooks w ON w.id=d.webhook_id
+     LEFT JOIN LATERAL (
+       SELECT k.api_key, k.api_secret FROM c360_api_keys k
+       WHERE k.client_id=d.client_id AND k.status='active' AND (k.expires_at IS NULL OR k.expires_at > NOW())
+       ORDER BY (k.id IS NOT DISTINCT FROM w.key_id) DESC, k.created_at ASC
+       LIMIT 1
+     ) sk ON TRUE
+     WHERE d.id=$1`,
+    [String(deliveryId)]
+  );
+  const d = r.rows[0];
+  if (!d) return { skipped: "delivery_not_found" };
+  if (d.status === "delivered") return { skipped: "already_delivered" };
+  if (!d.is_active) {
+    await markDeliveryFailed({ db, deliveryId, error: "webhook_inactive" });
+    return { skipped: "webhook_inactive" };
+  }
+  if (!d.api_secret) {
+    await markDeliveryFailed({ db, deliveryId, error: "no_signing_key" });
+    return { skipped: "no_signing_key" };
+  }
+
+  let secret;
+  try {
+    secret = decryptSecret(d.api_secret, { context: secretContext(d.api_key) });
+  } catch (e) {
+    await markDeliveryFailed({ db, deliveryId, error: `secret_unavailable: ${e?.code || e?.message || e}` });
+    return { skipped: "secret_unavailable" };
+  }
+
+  const body = JSON.stringify(d.payload);
+  const out = await sendWebhook({ url: d.url, secret, event_type: d.event_type, delivery_id: d.id, body, allowPrivate, lookup });
+
+  await db.query(
+    `UPDATE c360_webhook_deliveries
+       SET attempts=attempts+1, status=$2, last_status_code=$3, last_error=$4, last_response=$5,
+           last_latency_ms=$6, last_attempt_at=NOW(),
+           delivered_at=CASE WHEN $2='delivered' THEN NOW() ELSE delivered_at END, updated_at=NOW()
+     WHERE id=$1`,
+    [String(deliveryId), out.ok ? "delivered" : "retrying", out.status, out.error, out.response, out.latency_ms]
+  );
+
+  if (!out.ok) throw Object.assign(new Error(`webhook_delivery_failed: ${out.error}`), { code: "webhook_delivery_failed" });
+  return { delivered: true, status: out.status };
+}
+
+async function markDeliveryFailed({ db, deliveryId, error }) {
+  await db.query(
+    `UPDATE c360_webhook_deliveries
+       SET status='failed', last_error=COALESCE($2, last_error), updated_at=NOW()
+     WHERE id=$1 AND status <> 'delivered'`,
+    [String(deliveryId), error || null]
+  );
+}
+
+// Admin replay: same delivery row and body, fresh retry budget.
+async function replayDelivery({ db, queue, deliveryId }) {
+  const r = await db.query(
+    `UPDATE c360_webhook_deliveries
+       SET status='pending', replay_count=replay_count+1, delivered_at=NULL, updated_at=NOW()
+     WHERE id=$1
+     RETURNING id, replay_count`,
+    [String(deliveryId)]
+  );
+  if (!r.rows.length) throw Object.assign(new Error("delivery_not_found"), { code: "delivery_not_found" });
+  const { id, replay_count } = r.rows[0];
+  await queue.add("deliver", { delivery_id: String(id) }, { jobId: `wh_${id}_r${replay_count}`, ...deliveryJobOptions() });
+  return { delivery_id: String(id), status: "pending", replay_count };
+}
+
+module.exports = {
+  WEBHOOK_EVENTS,
+  MAX_WEBHOOKS_PER_CLIENT,
+  WEBHOOK_SIGN_TOLERANCE_S,
+  signWebhookBody,
+  verifyWebhookSignature,
+  validateWebhookInput,
+  checkWebhookUrl,
+  eventForStatus,
+  enqueueWebhookEvent,
+  notifyJobFinal,
+  checkQuotaLow,
+  sendWebhook,
+  deliverWebhook,
+  markDeliveryFailed,
+  replayDelivery,
+};
@@ -1,27 +1,81 @@
 /**
  * Content360 Worker (BullMQ) - UPDATED for S1-T3 (AEJ stages) + S1-T4 (decision log)
+ * + S4: per-item fan-out (one result, one progress step and one AEJ stage set per item)
+ * + S4: child jobs (one BullMQ job per item, parent rolled up to done|partial|error)
+ * + S4: pluggable LLM providers (openai_responses | openai_chat | mock)
+ * + S4: real token usage, model and latency per LLM call in c360_aej_logs
+ * + S4: LLM call timeouts/retries and a fleet-wide circuit breaker (auto_degraded flag)
+ * + S4: Redis heartbeat for worker liveness (admin health endpoints)
+ * + S4: job events and status changes published on Redis pub/sub (SSE job stream)
+ * + S4: signed outbound webhooks (job.done|job.error|job.canceled|quota.low) on their own queue
+ * + S4: per-client running-job cap (plan limits); capped jobs are delayed without using an attempt
+ * + S4: priority lanes with round-robin across clients (see scheduling.js)
+ * + S4: single-field regeneration jobs ("regenerate", see regenerate.js)
+ * + S4: scheduled job ticks ("schedule", BullMQ job schedulers, see schedules.js)
+ * + S4: allow-list sanitiser for the HTML fields of every result (see html_sanitize.js)
+ * + S4: deterministic SEO quality score per result, optional re-prompt under a threshold (seo_quality.js)
  * CommonJS to match existing runtime.
  */
-const { Worker } = require("bullmq");
+const os = require("os");
+const { Worker, DelayedError } = require("bullmq");
 const { Pool } = require("pg");
-const { redisConnection } = require("./queue");
-
-const { callOpenAI } = require("./openai_client");
-const { promptQuickBoost, promptFullContent, promptEcomCatalog } = require("./prompts");
+const { redisConnection, sharedRedis, getQueue, getWebhookQueue, webhookQueueName } = require("./queue");
+
+const { resolveProvider, generateWithResilience } = require("./providers");
+const { createCircuitBreaker } = require("./providers/circuit_breaker");
+const { startHeartbeat } = require("./worker_heartbeat");
+const { promptRepair, languageViolation, buildContext } = require("./prompts");
+const { renderPrompt, createTemplateStore } = require("./prompt_templates");
+const { checkBrand, createBrandStore } = require("./brand_profiles");
+const { slugify } = require("./prompt_packs");
+const { checkLanguage, outputText } = require("./lang_detect");
+const { scoreQuality, applyReadability } = require("./seo_quality");
+const { sanitizeGenerated, removalCount } = require("./html_sanitize");
 const { QUICK_BOOST_SCHEMA, FULL_CONTENT_SCHEMA, ECOM_CATALOG_SCHEMA } = require("./schemas");
+const { validateSchema } = require("./schema_validator");
+const { buildDeterministicFallback } = require("./fallbacks");
+const { tokensToAEJ } = require("./aej_pricing");
+const { rollupParent } = require("./child_jobs");
+const { publishJobEvent, publishJobStatus } = require("./job_stream");
+const { notifyJobFinal, checkQuotaLow, deliverWebhook, markDeliveryFailed } = require("./webhooks");
+const { secretBox } = require("./secret_box");
+const { createLimitsStore, createRunningSlots } = require("./rate_limits");
+const { markLaneStart } = require("./scheduling");
+const { logDecision } = require("./decision_log");
+const { runRegeneration } = require("./regenerate");
+const { runScheduleTick, syncSchedulers } = require("./schedules");
 
 const QUEUE = process.env.BULLMQ_QUEUE || "c360_jobs_v1";
 const CONCURRENCY = Number(process.env.WORKER_CONCURRENCY || 3);
+// Bounded repair loop: re-prompts allowed after the first schema-invalid answer.
+const MAX_REPAIRS = Math.max(0, Number(process.env.LLM_MAX_REPAIRS ?? 2));
+// Generated text must be in the item's language (lang_detect.js); "0" turns the check off.
+const LANG_CHECK = process.env.LLM_LANG_CHECK !== "0";
+// Results scoring under this SEO quality score (0-100) are repaired like schema errors; 0 = off.
+const QUALITY_MIN_SCORE = Math.max(0, Math.min(100, Number(process.env.QUALITY_MIN_SCORE || 0)));
+const WEBHOOK_CONCURRENCY = Number(process.env.WEBHOOK_CONCURRENCY || 5);
+// A job over its client's running cap is retried after this delay.
+const RUNNING_CAP_DELAY_MS = Number(process.env.RUNNING_CAP_DELAY_MS || 5000);
+
+if (!secretBox().configured) console.warn("[worker] C360_MASTER_KEYS missing: webhook secrets are read in plain text");
 
 const pg = new Pool({ connectionString: process.env.DATABASE_URL });
+const jobsQueue = getQueue();
+const webhookQueue = getWebhookQueue();
+const getLimits = createLimitsStore(pg);
+const promptTemplates = createTemplateStore(pg);
+const getBrand = createBrandStore(pg);
+const runningSlots = createRunningSlots(sharedRedis());
 
 async function logJobEvent({ job_id, client_id, event_type, message = null, meta = null }) {
   try {
-    await pg.query(
+    const r = await pg.query(
       `INSERT INTO c360_job_events (job_id, client_id, event_type, message, meta, created_at)
-       VALUES ($1,$2,$3,$4,$5,NOW())`,
+       VALUES ($1,$2,$3,$4,$5,NOW())
+       RETURNING id, job_id, event_type, message, meta, created_at`,
       [String(job_id), String(client_id), String(event_type), message, meta]
     );
+    await publishJobEvent(sharedRedis(), r.rows[0]);
   } catch (_) {}
 }
 
@@ -30,6 +84,30 @@ async function getAdminFlag(key) {
   return r.rows[0]?.value ?? null;
 }
 
+async function setAdminFlag(key, value) {
+  await pg.query(
+    `INSERT INTO c360_admin_flags (key, value, updated_at)
+     VALUES ($1,$2,NOW())
+     ON CONFLICT (key) DO UPDATE SET value=EXCLUDED.value, updated_at=NOW()`,
+    [String(key), String(value)]
+  );
+}
+
+// Circuit breaker state lives in Redis (shared by all workers). Transitions are mirrored in
+// c360_admin_flags.auto_degraded, next to the manual force_degraded flag.
+const breaker = createCircuitBreaker({
+  redis: sharedRedis(),
+  onStateChange: async ({ provider, state, reason }) => {
+    console.warn(`[worker] circuit ${provider} -> ${state} (${reason})`);
+    try {
+      await setAdminFlag("auto_degraded", state === "open" ? "1" : "0");
+    } catch (e) {
+      console.error("[worker] auto_degraded flag error:", e?.message || e);
+    }
+    await logJobEvent({ job_id: "circuit", client_id: "system", event_type: `circuit_${state}`, message: `${provider}: ${reason}`, meta: { provider, state } });
+  },
+});
+
 let cachedDegraded = { v: null, at: 0 };
 async function isForceDegraded() {
   const now = Date.now();
@@ -45,17 +123,18 @@ function normalizeMode(mode) {
   return mode;
 }
 
-function pickPromptAndSchema(mode, reqJson) {
-  switch (mode) {
-    case "quick_boost":
-      return { prompt: promptQuickBoost(reqJson), schema: QUICK_BOOST_SCHEMA.schema };
-    case "full_content":
-      return { prompt: promptFullContent(reqJson), schema: FULL_CONTENT_SCHEMA.schema };
-    case "ecom_catalog":
-      return { prompt: promptEcomCatalog(reqJson), schema: ECOM_CATALOG_SCHEMA.schema };
-    default:
-      throw new Error(`Unsupported mode: ${mode}`);
-  }
+const SCHEMA_BY_MODE = {
+  quick_boost: QUICK_BOOST_SCHEMA.schema,
+  full_content: FULL_CONTENT_SCHEMA.schema,
+  ecom_catalog: ECOM_CATALOG_SCHEMA.schema,
+};
+
+// `template`: published prompt version picked for the item (null = built-in prompt).
+// `brand`: the client's brand profile (null = none).
+function pickPromptAndSchema(mode, reqJson, template = null, brand = null) {
+  if (!SCHEMA_BY_MODE[mode]) throw new Error(`Unsupported mode: ${mode}`);
+  const { lang } = buildContext(reqJson);
+  return { ...renderPrompt(mode, reqJson, template, { brand }), schema: SCHEMA_BY_MODE[mode], lang };
 }
 
 async function getJob(jobId) {
@@ -68,6 +147,7 @@ async function setJob(jobId, patch) {
   const vals = Object.values(patch);
   const setSql = keys.map((k, i) => `${k}=$${i + 1}`).join(", ");
   await pg.query(`UPDATE c360_jobs SET ${setSql}, updated_at=NOW() WHERE id=$${keys.length + 1}`, [...vals, jobId]);
+  if ("status" in patch || "progress" in patch) await publishJobStatus(sharedRedis(), jobId, patch);
 }
 
 async function releaseHold({ client_id, job_id }) {
@@ -90,157 +170,450 @@ async function computeAEJTotal({ client_id, job_id }) {
   return Number(r.rows[0]?.total || 0);
 }
 
-async function logAEJ({ client_id, job_id, stage, aej_used, tokens_used = null, model_used = null }) {
+async function logAEJ({
+  client_id, job_id, stage, aej_used, tokens_used = null, model_used = null,
+  prompt_tokens = null, completion_tokens = null, latency_ms = null, provider = null,
+}) {
   await pg.query(
-    `INSERT INTO c360_aej_logs (client_id, job_id, stage, aej_used, tokens_used, model_used, created_at)
-     VALUES ($1,$2,$3,$4,$5,$6,NOW())
+    `INSERT INTO c360_aej_logs
+       (client_id, job_id, stage, aej_used, tokens_used, model_used, prompt_tokens, completion_tokens, latency_ms, provider, created_at)
+     VALUES ($1,$2,$3,$4,$5,$6,$7,$8,$9,$10,NOW())
      ON CONFLICT (client_id, job_id, stage) DO NOTHING`,
-    [client_id, String(job_id), stage, Number(aej_used || 0), tokens_used, model_used]
+    [client_id, String(job_id), stage, Number(aej_used || 0), tokens_used, model_used, prompt_tokens, completion_tokens, latency_ms, provider]
   );
 }
 
-function inferContentMeta(reqJson) {
-  const first = Array.isArray(reqJson.items) && reqJson.items.length ? reqJson.items[0] : {};
-  const content_source = reqJson.content_source || first.content_source || "wp";
-  const content_type = reqJson.content_type || first.content_type || first.type || "page";
-  const content_id =
-    reqJson.content_id || first.content_id || first.wp_id || first.post_id || first.id || first.entity_id || "unknown";
-  return { content_source, content_type, content_id: String(content_id) };
+// One ledger row per LLM call: "generation:<idx>" for the first call, "generation:<idx>:repair<n>" after.
+async function logLLMCall({ client_id, job_id, stage, provider, model, usage, latency_ms }) {
+  const aej_used = tokensToAEJ({ model, prompt_tokens: usage?.prompt_tokens, completion_tokens: usage?.completion_tokens });
+  await logAEJ({
+    client_id,
+    job_id,
+    stage,
+    aej_used,
+    tokens_used: usage?.total_tokens ?? null,
+    model_used: model || null,
+    prompt_tokens: usage?.prompt_tokens ?? null,
+    completion_tokens: usage?.completion_tokens ?? null,
+    latency_ms,
+    provider,
+  });
+  return aej_used;
 }
 
-async function logDecision({ client_id, job_id, reqJson, decision_type, decision_reason }) {
-  const meta = inferContentMeta(reqJson);
-  await pg.query(
-    `INSERT INTO c360_decision_log
-       (client_id, job_id, content_source, content_type, content_id, decision_type, decision_reason, created_at)
-     VALUES ($1,$2,$3,$4,$5,$6,$7,NOW())
-     ON CONFLICT (client_id, job_id, decision_type) DO NOTHING`,
-    [client_id, String(job_id), meta.content_source, meta.content_type, meta.content_id, decision_type, decision_reason]
-  );
+// Webhooks never fail the job: errors are logged and the job flow continues.
+async function notifyJobFinalSafe(jobId) {
+  try {
+    await notifyJobFinal({ db: pg, queue: webhookQueue, jobId });
+  } catch (e) {
+    console.error("[worker] webhook enqueue error:", e?.message || e);
+  }
 }
 
-function buildDeterministicFallback(mode) {
-  if (mode === "ecom_catalog") {
-    return {
-      mode: "ecom_catalog",
-      product: {
-        short_description: "Description courte (fallback).",
-        long_description_html: "<p>Description longue (fallback).</p>",
-        bullets: ["Point 1", "Point 2", "Point 3"],
-        specs: [],
-      },
-      seo: { focus_keyword: "", tags: [], meta_title: "Titre (fallback)", meta_description: "Meta description (fallback)" },
-    };
+async function checkQuotaLowSafe(clientId) {
+  try {
+    await checkQuotaLow({ db: pg, queue: webhookQueue, clientId });
+  } catch (e) {
+    console.error("[worker] quota.low check error:", e?.message || e);
+  }
+}
+
+async function rollupParentSafe(parentId) {
+  if (!parentId) return null;
+  try {
+    const rolled = await rollupParent(pg, parentId);
+    if (rolled && rolled.previous_status !== rolled.status) await publishJobStatus(sharedRedis(), parentId, { status: rolled.status });
+    if (rolled?.final && rolled.previous_status !== rolled.status) {
+      const parent = await getJob(parentId);
+      await logJobEvent({
+        job_id: parentId,
+        client_id: parent?.client_id,
+        event_type: rolled.status,
+        message: `Parent job ${rolled.status}`,
+        meta: { children: rolled.counts },
+      });
+      await notifyJobFinalSafe(parentId);
+    }
+    return rolled;
+  } catch (e) {
+    console.error("[worker] parent rollup error:", e?.message || e);
+    return null;
+  }
+}
+
+// HTML fields are published as-is: only allowed tags, no attributes, balanced markup.
+// Sanitises `out` in place and logs the removals as an "html_sanitized" event.
+async function sanitizeAndLog(out, { jobId, client_id, meta, htmlValue = false }) {
+  const fields = sanitizeGenerated(out, { htmlValue });
+  if (!fields.length) return;
+  await logJobEvent({
+    job_id: jobId,
+    client_id,
+    event_type: "html_sanitized",
+    message: `${fields.reduce((n, f) => n + removalCount(f.removed), 0)} HTML removal(s) in ${fields.map((f) => f.path).join(", ")}`,
+    meta: { ...meta, fields },
+  });
+}
+
+// Call the LLM, validate against the mode schema, and re-prompt with the exact
+// violations until valid or MAX_REPAIRS is reached. Every attempt is an event.
+// HTML fields are sanitised before validation, so an answer whose HTML is mostly removed fails
+// the schema (minLength) and is repaired like any other violation.
+// With `lang`, the slug is transliterated for the locale and a schema-valid answer written in
+// another language is repaired the same way (event "lang_mismatch").
+// With `quality` ({ mode }) and QUALITY_MIN_SCORE, a low SEO score is repaired too (event
+// "quality_low"); when repairs run out, the best-scoring valid answer is kept.
+async function generateValidated({ jobId, client_id, llm, prompt, schema, stage, meta: itemMeta, lang = null, quality = null, htmlValue = false }) {
+  const meta = { ...itemMeta, provider: llm.provider.name, ...(lang ? { lang } : {}) };
+  let failure = "schema_invalid_after_repair";
+  let best = null;
+  const usage = { prompt_tokens: 0, completion_tokens: 0, total_tokens: 0, latency_ms: 0, calls: 0, aej: 0 };
+  let currentPrompt = prompt;
+  for (let attempt = 0; attempt <= MAX_REPAIRS; attempt++) {
+    const kind = attempt === 0 ? "initial" : "repair";
+    await logJobEvent({
+      job_id: jobId,
+      client_id,
+      event_type: attempt === 0 ? "openai_call" : "repair_call",
+      message: attempt === 0 ? `Calling LLM (${llm.provider.name})` : `Repair attempt ${attempt}/${MAX_REPAIRS}`,
+      meta: { ...meta, attempt, kind },
+    });
+
+    const startedAt = Date.now();
+    const { data: out, model, usage: callUsage } = await generateWithResilience({
+      provider: llm.provider,
+      args: { prompt: currentPrompt, schema, model: llm.model },
+      breaker,
+      onRetry: ({ attempt: retry, wait_ms, error }) => logJobEvent({
+        job_id: jobId,
+        client_id,
+        event_type: "llm_retry",
+        message: `Retrying LLM call in ${wait_ms}ms`,
+        meta: { ...meta, attempt, retry, wait_ms, error: String(error?.message || error), status: error?.status ?? null },
+      }),
+    });
+    const latency_ms = Date.now() - startedAt;
+
+    const aej = await logLLMCall({
+      client_id,
+      job_id: jobId,
+      stage: attempt === 0 ? stage : `${stage}:repair${attempt}`,
+      provider: llm.provider.name,
+      model,
+      usage: callUsage,
+      latency_ms,
+    });
+    usage.prompt_tokens += Number(callUsage?.prompt_tokens || 0);
+    usage.completion_tokens += Number(callUsage?.completion_tokens || 0);
+    usage.total_tokens += Number(callUsage?.total_tokens || 0);
+    usage.latency_ms += latency_ms;
+    usage.calls += 1;
+    usage.aej += aej;
+
+    if (lang && typeof out?.seo?.slug === "string") out.seo.slug = slugify(out.seo.slug, lang) || out.seo.slug;
+
+    await sanitizeAndLog(out, { jobId, client_id, meta: { ...meta, attempt, kind }, htmlValue });
+
+    const v = validateSchema(schema, out);
+    const lc = v.ok && lang && LANG_CHECK ? checkLanguage(outputText(out), lang) : null;
+    if (v.ok && lc && !lc.ok) {
+      const { ok, ...check } = lc;
+      await logJobEvent({
+        job_id: jobId,
+        client_id,
+        event_type: "lang_mismatch",
+        message: `Answer is not in ${lang} (${lc.detected || lc.script})`,
+        meta: { ...meta, attempt, kind, ...check },
+      });
+      failure = "lang_mismatch_after_repair";
+      currentPrompt = promptRepair(prompt, out, [languageViolation(lang, lc.detected)], lang);
+      continue;
+    }
+    const q = v.ok && quality && QUALITY_MIN_SCORE ? scoreQuality(out, { mode: quality.mode, lang: lang || undefined }) : null;
+    if (q && q.score !== null && q.score < QUALITY_MIN_SCORE) {
+      await logJobEvent({
+        job_id: jobId,
+        client_id,
+        event_type: "quality_low",
+        message: `SEO quality score ${q.score} < ${QUALITY_MIN_SCORE}`,
+        meta: { ...meta, attempt, kind, score: q.score, min_score: QUALITY_MIN_SCORE, issues: q.issues },
+      });
+      if (!best || q.score > best.score) best = { score: q.score, data: out, model };
+      currentPrompt = promptRepair(prompt, out, q.issues, lang || undefined);
+      continue;
+    }
+    if (v.ok) {
+      await logJobEvent({ job_id: jobId, client_id, event_type: "openai_ok", message: "LLM returned a schema-valid answer", meta: { ...meta, model, attempt, kind, usage: callUsage, latency_ms } });
+      return { data: out, model, usage };
+    }
+
+    const violations = v.errors.map((e) => e.message);
+    await logJobEvent({
+      job_id: jobId,
+      client_id,
+      event_type: "schema_invalid",
+      message: `${violations.length} schema violation(s)`,
+      meta: { ...meta, attempt, kind, violations },
+    });
+    failure = "schema_invalid_after_repair";
+    currentPrompt = promptRepair(prompt, out, violations, lang || undefined);
+  }
+  if (best) return { data: best.data, model: best.model, usage };
+  throw Object.assign(new Error(failure), { usage });
+}
+
+function itemStage(stage, idx) {
+  // Per-item AEJ stages ("generation:3") keep c360_aej_logs unique per (job, stage).
+  return `${stage}:${idx}`;
+}
+
+async function getClientLLMSettings(client_id) {
+  try {
+    const r = await pg.query(`SELECT llm_provider, llm_model FROM c360_site_settings WHERE client_id=$1`, [String(client_id)]);
+    return r.rows[0] || {};
+  } catch (_) {
+    // Columns missing (migration not applied yet): use env defaults.
+    return {};
+  }
+}
+
+async function processItem({ dbJob, jobId, mode, llm, item, idx }) {
+  const client_id = dbJob.client_id;
+  const entity_id = String(item?.entity_id ?? idx);
+  const itemJson = { ...item, mode };
+  const meta = { item_index: idx, entity_id };
+
+  await logAEJ({ client_id, job_id: jobId, stage: itemStage("analyse", idx), aej_used: 1 });
+  await logAEJ({ client_id, job_id: jobId, stage: itemStage("decision", idx), aej_used: 1 });
+
+  let exec = null;
+  let source = "deterministic";
+  let model = null;
+  let usage = null;
+  let llm_error = null;
+  let prompt_version = null;
+  let prompt_template_id = null;
+  const brand = await getBrand(client_id);
+  const itemLang = buildContext(itemJson).lang;
+
+  try {
+    const forced = await isForceDegraded();
+    if (forced) throw new Error("force_degraded");
+    // A/B: the same job + item always gets the same published version.
+    const template = await promptTemplates.pick({ clientId: client_id, mode, lang: itemLang, seed: `${jobId}:${idx}` });
+    const picked = pickPromptAndSchema(mode, itemJson, template, brand?.profile);
+    // Recorded per item (result and event meta): items of one job can use different versions.
+    ({ prompt_version, prompt_template_id } = picked);
+    meta.prompt_version = prompt_version;
+    const { prompt, schema, lang } = picked;
+    const gen = await generateValidated({ jobId, client_id, llm, prompt, schema, stage: itemStage("generation", idx), meta, lang, quality: { mode } });
+    exec = gen.data;
+    model = gen.model;
+    usage = gen.usage;
+    source = llm.provider.source;
+  } catch (e) {
+    llm_error = String(e?.message || e);
+    usage = e?.usage || null;
+    exec = null;
   }
-  if (mode === "full_content") {
-    return {
-      mode: "full_content",
-      title: "Titre (fallback)",
-      meta_description: "Meta description (fallback)",
-      outline: ["H2 1", "H2 2", "H2 3"],
-      intro: "Intro (fallback).",
-      sections: [{ h2: "H2 1", content: "Contenu (fallback)." }],
-      faq: [{ q: "Question ?", a: "Réponse (fallback)." }],
-      tags: ["fallback"],
-    };
+
+  // Deterministic charge. No-op when an LLM call already billed this stage (ON CONFLICT).
+  await logAEJ({ client_id, job_id: jobId, stage: itemStage("generation", idx), aej_used: 1 });
+
+  if (!exec) {
+    // If OpenAI fails, we keep a deterministic fallback to avoid total failure.
+    // This is also used for "OpenAI down" degraded mode.
+    exec = buildDeterministicFallback(mode, item);
+    await logJobEvent({ job_id: jobId, client_id, event_type: "fallback", message: "Using deterministic fallback", meta: { ...meta, llm_error } });
+    // The fallback escapes its text: this only normalises its markup.
+    await sanitizeAndLog(exec, { jobId, client_id, meta });
+  }
+
+  // SEO quality of every result; checks.readability becomes the computed level.
+  const quality = scoreQuality(exec, { mode, lang: itemLang });
+  applyReadability(exec, quality);
+  if (QUALITY_MIN_SCORE && quality.score !== null) Object.assign(quality, { min_score: QUALITY_MIN_SCORE, passed: quality.score >= QUALITY_MIN_SCORE });
+
+  // Brand profile check: violations are recorded on the result, the output is kept for review.
+  const brand_check = checkBrand(exec, brand?.profile, { version: brand?.version });
+  if (brand_check && !brand_check.ok) {
+    await logJobEvent({
+      job_id: jobId,
+      client_id,
+      event_type: "brand_violations",
+      message: `${brand_check.violations_total || brand_check.violations.length} brand profile violation(s)`,
+      meta: { ...meta, profile_version: brand_check.profile_version, violations: brand_check.violations },
+    });
   }
+
+  await logAEJ({ client_id, job_id: jobId, stage: itemStage("application", idx), aej_used: 1 });
+
   return {
-    mode: "quick_boost",
-    title: "Titre (fallback)",
-    meta_description: "Meta description (fallback)",
-    intro: "Intro (fallback).",
-    reassurance: ["Livraison", "Paiement sécurisé", "Support"],
-    faq: [{ q: "Question ?", a: "Réponse (fallback)." }],
+    entity_type: item?.entity_type || null,
+    entity_id,
+    lang: item?.lang || null,
+    exec,
+    source,
+    provider: source !== "deterministic" ? llm.provider.name : null,
+    model,
+    usage,
+    llm_error,
+    prompt_version,
+    prompt_template_id,
+    quality,
+    ...(brand_check ? { brand_check } : {}),
+    status: "ready_to_review",
   };
 }
 
+// One field of a result item; the new value becomes a revision (not billed to the job's hold).
+async function processRegeneration(bullJob) {
+  const out = await runRegeneration({
+    db: pg,
+    regenerationId: bullJob.data?.regeneration_id,
+    generate: async ({ jobId, client_id, llm_provider, prompt, schema, stage, meta, lang, html_value }) => {
+      if (await isForceDegraded()) throw new Error("llm_unavailable");
+      const settings = await getClientLLMSettings(client_id);
+      const llm = resolveProvider({ requested: llm_provider, clientDefault: settings.llm_provider, model: settings.llm_model });
+      return generateValidated({ jobId, client_id, llm, prompt, schema, stage, meta, lang, htmlValue: html_value });
+    },
+  });
+  if (out.done !== undefined) {
+    const { job_id, client_id, ...meta } = out;
+    await logJobEvent({
+      job_id,
+      client_id,
+      event_type: out.done ? "regenerated" : "regenerate_error",
+      message: out.done ? `${out.path} regenerated as revision ${out.revision}` : `${out.path} regeneration failed: ${out.error}`,
+      meta,
+    });
+  }
+  return { ok: true, ...out };
+}
+
+// Tick of a BullMQ job scheduler: creates the schedule's job like /v1/jobs/create would.
+async function processScheduleTick(bullJob) {
+  const out = await runScheduleTick(pg, { queue: jobsQueue, redis: sharedRedis(), logJobEvent }, {
+    scheduleId: bullJob.data?.schedule_id,
+    scheduledFor: bullJob.opts?.prevMillis ?? bullJob.timestamp,
+  });
+  if (out.status !== "created") console.warn(`[worker] schedule ${bullJob.data?.schedule_id}: ${out.status}`, out.reason || out.error || "");
+  return { ok: true, ...out };
+}
+
 const worker = new Worker(
   QUEUE,
-  async (bullJob) => {
+  async (bullJob, token) => {
+    if (bullJob.name === "regenerate") return processRegeneration(bullJob);
+    if (bullJob.name === "schedule") return processScheduleTick(bullJob);
+
     const jobId = bullJob.data?.job_id;
     if (!jobId) throw new Error("missing job_id");
 
     const dbJob = await getJob(jobId);
     if (!dbJob) throw new Error(`job_not_found:${jobId}`);
+    // Parents are never executed: their children are enqueued individually.
+    if (dbJob.is_parent) return { ok: true, skipped: true, parent: true };
     if (dbJob.status === "done") return { ok: true, skipped: true };
     if (dbJob.status === "canceled") {
       // Admin canceled before execution. Ensure reservation is released.
       await releaseHold({ client_id: dbJob.client_id, job_id: jobId });
+      await rollupParentSafe(dbJob.parent_id);
       return { ok: true, skipped: true, canceled: true };
     }
 
-    await setJob(jobId, { status: "running", progress: 10 });
-    await logJobEvent({ job_id: jobId, client_id: dbJob.client_id, event_type: "running", message: "Job started" });
-
-    const reqJson = dbJob.request_json;
-    if (!reqJson) throw new Error("missing_request_json");
-
-    const mode = normalizeMode(reqJson.mode || dbJob.mode);
-    reqJson.mode = mode;
-
-    await logAEJ({ client_id: dbJob.client_id, job_id: jobId, stage: "analyse", aej_used: 1 });
-
-    await logDecision({
-      client_id: dbJob.client_id,
-      job_id: jobId,
-      reqJson,
-      decision_type: "analysed",
-      decision_reason: "Analyse effectuée et mode de génération sélectionné.",
-    });
-    await logAEJ({ client_id: dbJob.client_id, job_id: jobId, stage: "decision", aej_used: 1 });
-
-    await setJob(jobId, { progress: 30 });
+    // Per-client running cap: wait (delayed, attempt not counted) until a slot frees up.
+    const limits = await getLimits(dbJob.client_id);
+    if (!(await runningSlots.acquire(dbJob.client_id, jobId, limits.max_running_jobs))) {
+      if (!bullJob.data?.throttled) {
+        await bullJob.updateData({ ...bullJob.data, throttled: true });
+        await logJobEvent({
+          job_id: jobId,
+          client_id: dbJob.client_id,
+          event_type: "throttled",
+          message: `Waiting for a running slot (max ${limits.max_running_jobs})`,
+          meta: { max_running_jobs: limits.max_running_jobs, plan: limits.plan },
+        });
+      }
+      await bullJob.moveToDelayed(Date.now() + RUNNING_CAP_DELAY_MS, token);
+      throw new DelayedError();
+    }
 
-    let exec = null;
-    let source = "deterministic";
-    let llm_error = null;
-    let fatal_error = null;
+    // Advances the lane's round-robin and records the queue wait (admin health).
+    await markLaneStart(sharedRedis(), { lane: bullJob.data?.lane, rank: bullJob.data?.fair_rank, waitMs: Date.now() - bullJob.timestamp });
 
     try {
-      const forced = await isForceDegraded();
-      if (forced) throw new Error("force_degraded");
-      const { prompt, schema } = pickPromptAndSchema(mode, reqJson);
-      await logJobEvent({ job_id: jobId, client_id: dbJob.client_id, event_type: "openai_call", message: "Calling OpenAI" });
-      exec = await callOpenAI({ prompt, schema });
-      source = "openai";
-      await logJobEvent({ job_id: jobId, client_id: dbJob.client_id, event_type: "openai_ok", message: "OpenAI returned" });
-    } catch (e) {
-      llm_error = String(e?.message || e);
-      exec = null;
-    }
-
-    await logAEJ({ client_id: dbJob.client_id, job_id: jobId, stage: "generation", aej_used: source === "openai" ? 5 : 1 });
+      await setJob(jobId, { status: "running", progress: 10 });
+      await logJobEvent({ job_id: jobId, client_id: dbJob.client_id, event_type: "running", message: "Job started" });
+      await rollupParentSafe(dbJob.parent_id);
+
+      const reqJson = dbJob.request_json;
+      if (!reqJson) throw new Error("missing_request_json");
+
+      const mode = normalizeMode(reqJson.mode || dbJob.mode);
+      reqJson.mode = mode;
+
+      const items = Array.isArray(reqJson.items) ? reqJson.items : [];
+      if (!items.length) throw new Error("missing_items");
+
+      const settings = await getClientLLMSettings(dbJob.client_id);
+      const llm = resolveProvider({ requested: reqJson.llm_provider, clientDefault: settings.llm_provider, model: settings.llm_model });
+
+      await logDecision(pg, {
+        client_id: dbJob.client_id,
+        job_id: jobId,
+        reqJson,
+        decision_type: "analysed",
+        decision_reason: "Analyse effectuée et mode de génération sélectionné.",
+      });
+
+      await setJob(jobId, { progress: 20 });
+
+      // Fan-out: every item is generated on its own (the AEJ hold is sized per item).
+      const results = [];
+      for (let idx = 0; idx < items.length; idx++) {
+        const r = await processItem({ dbJob, jobId, mode, llm, item: items[idx], idx });
+        results.push(r);
+        await runningSlots.acquire(dbJob.client_id, jobId, limits.max_running_jobs);
+        const progress = 20 + Math.floor((70 * (idx + 1)) / items.length);
+        await setJob(jobId, { progress });
+        await logJobEvent({
+          job_id: jobId,
+          client_id: dbJob.client_id,
+          event_type: "progress",
+          message: `Item ${idx + 1}/${items.length} done`,
+          meta: { item_index: idx, entity_id: r.entity_id, source: r.source, progress },
+        });
+      }
+
+      const resultPayload = { ok: true, results };
+
+      await setJob(jobId, { status: "done", progress: 100, result_json: resultPayload });
+      await logJobEvent({ job_id: jobId, client_id: dbJob.client_id, event_type: "done", message: "Job finished" });
+
+      const llmCount = results.filter((r) => r.source !== "deterministic").length;
+      await logDecision(pg, {
+        client_id: dbJob.client_id,
+        job_id: jobId,
+        reqJson,
+        decision_type: "modified",
+        decision_reason: llmCount === results.length
+          ? "Optimisation IA générée et prête à être appliquée."
+          : `Fallback utilisé (${results.length - llmCount}/${results.length}) : optimisation prête à être appliquée.`,
+      });
+
+      // Finalize AEJ usage and release reservation (S2).
+      const aejFinal = await computeAEJTotal({ client_id: dbJob.client_id, job_id: jobId });
+      await setJob(jobId, { aej_final: aejFinal });
+      await releaseHold({ client_id: dbJob.client_id, job_id: jobId });
+      if (dbJob.parent_id) await rollupParentSafe(dbJob.parent_id);
+      else await notifyJobFinalSafe(jobId);
+      await checkQuotaLowSafe(dbJob.client_id);
 
-    if (!exec) {
-      // If OpenAI fails, we keep a deterministic fallback to avoid total failure.
-      // This is also used for "OpenAI down" degraded mode.
-      exec = buildDeterministicFallback(mode);
-      await logJobEvent({ job_id: jobId, client_id: dbJob.client_id, event_type: "fallback", message: "Using deterministic fallback", meta: { llm_error } });
+      return { ok: true, job_id: jobId };
+    } finally {
+      await runningSlots.release(dbJob.client_id, jobId);
     }
-
-    const resultPayload = {
-      ok: true,
-      results: [{ exec, source, llm_error, status: "ready_to_review" }],
-    };
-
-    await setJob(jobId, { status: "done", progress: 100, result_json: resultPayload });
-    await logJobEvent({ job_id: jobId, client_id: dbJob.client_id, event_type: "done", message: "Job finished" });
-
-    await logDecision({
-      client_id: dbJob.client_id,
-      job_id: jobId,
-      reqJson,
-      decision_type: "modified",
-      decision_reason: source === "openai" ? "Optimisation IA générée et prête à être appliquée." : "Fallback utilisé : optimisation prête à être appliquée.",
-    });
-    await logAEJ({ client_id: dbJob.client_id, job_id: jobId, stage: "application", aej_used: 1 });
-
-    // Finalize AEJ usage and release reservation (S2).
-    const aejFinal = await computeAEJTotal({ client_id: dbJob.client_id, job_id: jobId });
-    await setJob(jobId, { aej_final: aejFinal });
-    await releaseHold({ client_id: dbJob.client_id, job_id: jobId });
-
-    return { ok: true, job_id: jobId };
   },
   { connection: redisConnection(), concurrency: CONCURRENCY }
 );
@@ -252,9 +625,19 @@ worker.on("failed", async (job, err) => {
     if (!jobId) return;
     const dbJob = await getJob(jobId);
     if (!dbJob) return;
+
+    // BullMQ emits "failed" on every attempt: only the last one is final.
+    const attempts = Number(job?.opts?.attempts || 1);
+    if (Number(job?.attemptsMade || 0) < attempts) {
+      await logJobEvent({ job_id: jobId, client_id: dbJob.client_id, event_type: "attempt_failed", message: `Attempt ${job.attemptsMade}/${attempts} failed`, meta: { error: String(err?.message || err) } });
+      return;
+    }
+
     await setJob(jobId, { status: "error", progress: 100, error_text: String(err?.message || err) });
     await logJobEvent({ job_id: jobId, client_id: dbJob.client_id, event_type: "error", message: "Job failed", meta: { error: String(err?.message || err) } });
     await releaseHold({ client_id: dbJob.client_id, job_id: jobId });
+    if (dbJob.parent_id) await rollupParentSafe(dbJob.parent_id);
+    else await notifyJobFinalSafe(jobId);
   } catch (e) {
     console.error("[worker] failed cleanup error:", e?.message || e);
   }
@@ -263,4 +646,44 @@ worker.on("failed", async (job, err) => {
 
 worker.on("completed", (job) => console.log(`[worker] completed bullmq_job=${job.id}`));
 
+// Webhook deliveries: each attempt is logged on the delivery row (see webhooks.js).
+const webhookWorker = new Worker(
+  webhookQueueName(),
+  async (bullJob) => deliverWebhook({ db: pg, deliveryId: bullJob.data?.delivery_id }),
+  { connection: redisConnection(), concurrency: WEBHOOK_CONCURRENCY }
+);
+
+webhookWorker.on("failed", async (job, err) => {
+  const attempts = Number(job?.opts?.attempts || 1);
+  if (Number(job?.attemptsMade || 0) < attempts) return;
+  try {
+    await markDeliveryFailed({ db: pg, deliveryId: job?.data?.delivery_id, error: String(err?.message || err) });
+  } catch (e) {
+    console.error("[worker] webhook failed cleanup error:", e?.message || e);
+  }
+  console.error(`[worker] webhook delivery failed delivery=${job?.data?.delivery_id}`, err?.message || err);
+});
+
+// Schedulers live in Redis: re-register them from c360_job_schedules (e.g. after a Redis flush).
+syncSchedulers(pg, jobsQueue)
+  .then((n) => console.log(`[worker] ${n} active schedule(s) registered`))
+  .catch((e) => console.error("[worker] schedules sync error:", e?.message || e));
+
+const heartbeat = startHeartbeat(sharedRedis(), {
+  id: `${os.hostname()}:${process.pid}`,
+  queue: QUEUE,
+  concurrency: CONCURRENCY,
+  isRunning: () => worker.isRunning(),
+});
+
+async function shutdown(signal) {
+  console.log(`[worker] ${signal} received, closing`);
+  await heartbeat.stop();
+  await worker.close();
+  await webhookWorker.close();
+  process.exit(0);
+}
+process.on("SIGTERM", () => shutdown("SIGTERM"));
+process.on("SIGINT", () => shutdown("SIGINT"));
+
 console.log(`[worker] BullMQ worker started | queue=${QUEUE} | concurrency=${CONCURRENCY}`);
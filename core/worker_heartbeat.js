@@ -0,0 +1,53 @@
+// /opt/content360/core/worker_heartbeat.js
+// Worker liveness: each BullMQ worker process refreshes a Redis key with a short TTL.
+// The API lists live keys instead of inferring liveness from queue counts.
+
+const PREFIX = "c360:worker:hb:";
+const INTERVAL_MS = Number(process.env.WORKER_HEARTBEAT_MS || 10000);
+const TTL_MS = INTERVAL_MS * 3;
+
+function startHeartbeat(redis, { id, queue, concurrency, isRunning = () => true }) {
+  const started_at = new Date().toISOString();
+  const beat = async () => {
+    try {
+      const payload = {
+        id,
+        pid: process.pid,
+        queue,
+        concurrency,
+        running: !!isRunning(),
+        started_at,
+        at: new Date().toISOString(),
+      };
+      await redis.set(PREFIX + id, JSON.stringify(payload), "PX", TTL_MS);
+    } catch (e) {
+      console.warn("[heartbeat] error:", e?.message || e);
+    }
+  };
+  beat();
+  const timer = setInterval(beat, INTERVAL_MS);
+  timer.unref?.();
+  return {
+    stop: async () => {
+      clearInterval(timer);
+      try { await redis.del(PREFIX + id); } catch {}
+    },
+  };
+}
+
+async function listHeartbeats(redis) {
+  const keys = [];
+  let cursor = "0";
+  do {
+    const [next, batch] = await redis.scan(cursor, "MATCH", `${PREFIX}*`, "COUNT", 100);
+    cursor = next;
+    keys.push(...batch);
+  } while (cursor !== "0");
+  if (!keys.length) return [];
+  const vals = await redis.mget(keys);
+  return vals.filter(Boolean).map((v) => {
+    try { return JSON.parse(v); } catch { return null; }
+  }).filter(Boolean);
+}
+
+module.exports = { startHeartbeat, listHeartbeats, HEARTBEAT_TTL_MS: TTL_MS };